@@ -60,12 +60,111 @@ const autobuildCostTracker = {
     }
 };
 
+// Demolition refunds show in the cost tracker as negative costs
+function recordDemolitionRefund(building, refund) {
+    if (!refund) return;
+    const recorded = {};
+    for (const category in refund) {
+        recorded[category] = {};
+        for (const resource in refund[category]) {
+            recorded[category][resource] = -refund[category][resource];
+        }
+    }
+    autobuildCostTracker.recordCost(building.displayName, recorded);
+}
+
 // Construction Office state and UI
 const constructionOfficeState = {
     autobuilderActive: true,
     strategicReserve: 0,
+    resourceBudgets: {},
 };
 
+// Per-resource spending limits for the autobuilder, keyed by colony resource:
+// { mode: 'income' | 'rate', value }. 'income' allows a percentage of the
+// resource's production, 'rate' a fixed amount per second. Allowance builds up
+// between builds, up to BUDGET_WINDOW_SECONDS worth, so spending averaged over
+// the cost tracker's window stays within budget. When one building waiting to
+// be built costs more than that, the allowance may grow to its unit cost so
+// it is not locked out.
+const BUDGET_WINDOW_SECONDS = 10;
+const autobuildBudgetBalances = {};
+
+function cloneResourceBudgets(budgets) {
+    const copy = {};
+    for (const name in budgets || {}) {
+        const budget = budgets[name];
+        if (!budget) continue;
+        copy[name] = { mode: budget.mode === 'rate' ? 'rate' : 'income', value: Math.max(0, Number(budget.value) || 0) };
+    }
+    return copy;
+}
+
+function setResourceBudgets(budgets) {
+    constructionOfficeState.resourceBudgets = cloneResourceBudgets(budgets);
+    for (const name in autobuildBudgetBalances) {
+        if (!constructionOfficeState.resourceBudgets[name]) delete autobuildBudgetBalances[name];
+    }
+}
+
+function setResourceBudget(resourceName, mode, value) {
+    const budgets = { ...constructionOfficeState.resourceBudgets };
+    if (mode === null) {
+        delete budgets[resourceName];
+    } else {
+        budgets[resourceName] = { mode, value };
+    }
+    setResourceBudgets(budgets);
+}
+
+// Amount per second a budget allows right now
+function getBudgetRate(resourceName) {
+    const budget = constructionOfficeState.resourceBudgets[resourceName];
+    if (!budget) return Infinity;
+    if (budget.mode === 'rate') return budget.value;
+    const income = resources.colony[resourceName]?.productionRate || 0;
+    return Math.max(0, income) * budget.value / 100;
+}
+
+function accrueAutobuildBudgets(delta, waitingBuildings = []) {
+    const budgets = constructionOfficeState.resourceBudgets;
+    const unitCosts = {};
+    waitingBuildings.forEach(building => {
+        if (typeof building.getEffectiveCost !== 'function') return;
+        const cost = building.getEffectiveCost(1)?.colony || {};
+        for (const name in cost) {
+            if (budgets[name] && cost[name] > (unitCosts[name] || 0)) unitCosts[name] = cost[name];
+        }
+    });
+    for (const name in budgets) {
+        const rate = getBudgetRate(name);
+        const balance = (autobuildBudgetBalances[name] || 0) + rate * delta / 1000;
+        const cap = Math.max(rate * BUDGET_WINDOW_SECONDS, rate > 0 ? unitCosts[name] || 0 : 0);
+        autobuildBudgetBalances[name] = Math.min(balance, cap);
+    }
+}
+
+// Most buildings of this type the remaining budgets pay for
+function getBudgetBuildLimit(building) {
+    const budgets = constructionOfficeState.resourceBudgets;
+    if (Object.keys(budgets).length === 0 || typeof building.getEffectiveCost !== 'function') return Infinity;
+    const cost = building.getEffectiveCost(1)?.colony || {};
+    let limit = Infinity;
+    for (const name in cost) {
+        if (!budgets[name] || !(cost[name] > 0)) continue;
+        limit = Math.min(limit, Math.floor((autobuildBudgetBalances[name] || 0) / cost[name]));
+    }
+    return Math.max(0, limit);
+}
+
+function spendAutobuildBudgets(cost) {
+    for (const name in cost?.colony || {}) {
+        if (autobuildBudgetBalances[name] !== undefined) {
+            autobuildBudgetBalances[name] = Math.max(0, autobuildBudgetBalances[name] - cost.colony[name]);
+        }
+    }
+}
+
 function updateConstructionOfficeUI() {
     const container = typeof document !== 'undefined' ? document.getElementById('construction-office-container') : null;
     const statusSpan = typeof document !== 'undefined' ? document.getElementById('autobuilder-status') : null;
@@ -85,6 +184,16 @@ function updateConstructionOfficeUI() {
     if (reserveInput) {
         reserveInput.value = constructionOfficeState.strategicReserve;
     }
+    const budgetList = typeof document !== 'undefined' ? document.getElementById('autobuild-budget-list') : null;
+    if (budgetList) {
+        updateBudgetRows(budgetList);
+    }
+    if (typeof updateBuildQueueUI === 'function') {
+        updateBuildQueueUI();
+    }
+    if (typeof updateBuildingPresetsUI === 'function') {
+        updateBuildingPresetsUI();
+    }
 }
 
 function setAutobuilderActive(active) {
@@ -104,11 +213,15 @@ function setStrategicReserve(value) {
 }
 
 function saveConstructionOfficeState() {
-    return { ...constructionOfficeState };
+    return {
+        ...constructionOfficeState,
+        resourceBudgets: cloneResourceBudgets(constructionOfficeState.resourceBudgets),
+    };
 }
 
 function loadConstructionOfficeState(state) {
     if (!state) return;
+    setResourceBudgets(state.resourceBudgets);
     setAutobuilderActive(state.autobuilderActive);
     setStrategicReserve(state.strategicReserve);
 }
@@ -159,6 +272,10 @@ function initializeConstructionOfficeUI() {
     });
     body.appendChild(pauseBtn);
 
+    if (typeof initializeBuildQueueUI === 'function') {
+        initializeBuildQueueUI(body);
+    }
+
     const reserveDiv = document.createElement('div');
     reserveDiv.style.display = 'flex';
     reserveDiv.style.flexDirection = 'column';
@@ -194,12 +311,268 @@ function initializeConstructionOfficeUI() {
     reserveDiv.appendChild(reserveControlsDiv);
     body.appendChild(reserveDiv);
 
+    const budgetDiv = document.createElement('div');
+    budgetDiv.style.flexDirection = 'column';
+    budgetDiv.style.gap = '4px';
+
+    const budgetLabel = document.createElement('label');
+    budgetLabel.textContent = 'Resource budgets';
+    const budgetInfo = document.createElement('span');
+    budgetInfo.classList.add('info-tooltip-icon');
+    budgetInfo.innerHTML = '&#9432;';
+    budgetInfo.title = 'Caps what the Construction Office spends on a resource, across all buildings, as a share of its production or an amount per second.  Unspent allowance carries over for up to 10 seconds.  Leaves the rest for projects that share those resources.';
+    budgetLabel.appendChild(budgetInfo);
+    budgetDiv.appendChild(budgetLabel);
+
+    const budgetList = document.createElement('div');
+    budgetList.id = 'autobuild-budget-list';
+    budgetList.classList.add('autobuild-budget-list');
+    budgetDiv.appendChild(budgetList);
+
+    const addBudgetBtn = document.createElement('button');
+    addBudgetBtn.id = 'autobuild-budget-add';
+    addBudgetBtn.textContent = '+ Budget';
+    addBudgetBtn.addEventListener('click', () => {
+        const unused = getBudgetResourceOptions().find(option => !constructionOfficeState.resourceBudgets[option.value]);
+        if (!unused) return;
+        setResourceBudget(unused.value, 'income', 50);
+        renderBudgetRows(budgetList);
+    });
+    budgetDiv.appendChild(addBudgetBtn);
+    body.appendChild(budgetDiv);
+    renderBudgetRows(budgetList);
+
+    if (typeof initializeBuildingPresetsUI === 'function') {
+        initializeBuildingPresetsUI(body);
+    }
+
     card.appendChild(body);
     container.appendChild(card);
 
     updateConstructionOfficeUI();
 }
 
+// Rule-based targets. With basis 'rules' a structure builds by its
+// autoBuildRules ({ mode: 'and' | 'or', rules: [...] }) instead of a share of
+// colonists or workers. Each rule says how many more to build right now;
+// 'and' takes the smallest answer and 'or' the largest. Count and per-colony
+// rules answer negative when there are already more than they ask for, so the
+// target can drop below the current count.
+const AUTO_BUILD_RULE_TYPES = {
+    netRate: 'Net rate below',
+    count: 'Target count',
+    resourceAbove: 'Resource above % of cap',
+    perColony: 'Per active colony',
+};
+
+function createDefaultAutoBuildRules() {
+    return { mode: 'and', rules: [] };
+}
+
+function cloneAutoBuildRules(rules) {
+    if (!rules || !Array.isArray(rules.rules)) return createDefaultAutoBuildRules();
+    return {
+        mode: rules.mode === 'or' ? 'or' : 'and',
+        rules: rules.rules.map(rule => ({ ...rule })),
+    };
+}
+
+function createAutoBuildRule(type) {
+    switch (type) {
+        case 'netRate':
+            return { type, category: 'colony', resource: 'energy', value: 0 };
+        case 'resourceAbove':
+            return { type, category: 'colony', resource: 'metal', value: 50 };
+        case 'perColony':
+            return { type, value: 1 };
+        default:
+            return { type: 'count', value: 0 };
+    }
+}
+
+function countActiveColonies() {
+    if (typeof colonies === 'undefined' || !colonies) return 0;
+    let total = 0;
+    for (const name in colonies) {
+        total += colonies[name]?.active || 0;
+    }
+    return total;
+}
+
+// Net change of one resource per building at full productivity
+function getPerBuildingNetRate(building, category, resource) {
+    const produced = typeof building.getModifiedProduction === 'function'
+        ? building.getModifiedProduction()[category]?.[resource] || 0
+        : building.production?.[category]?.[resource] || 0;
+    const consumed = typeof building.getModifiedConsumption === 'function'
+        ? building.getModifiedConsumption()[category]?.[resource] || 0
+        : 0;
+    return produced - consumed;
+}
+
+// Count the autobuilder compares with its target. Buildings upgraded into a
+// higher tier still count, in units of this tier, so upgrading does not make
+// the autobuilder replace them.
+function getAutoBuildCount(building) {
+    if (typeof building.getTierEquivalentCount === 'function') {
+        return building.getTierEquivalentCount();
+    }
+    return building.count || 0;
+}
+
+// How many more of `building` a single rule asks for (negative for too many);
+// Infinity when the rule places no limit
+function evaluateAutoBuildRule(building, rule) {
+    const value = Number(rule.value) || 0;
+    const count = getAutoBuildCount(building);
+    switch (rule.type) {
+        case 'count':
+            return Math.ceil(value) - count;
+        case 'perColony':
+            return Math.ceil(value * countActiveColonies()) - count;
+        case 'netRate': {
+            const res = resources[rule.category]?.[rule.resource];
+            if (!res) return 0;
+            const net = (res.productionRate || 0) - (res.consumptionRate || 0);
+            if (net >= value) return 0;
+            const perBuilding = getPerBuildingNetRate(building, rule.category, rule.resource);
+            return perBuilding > 0 ? Math.ceil((value - net) / perBuilding) : 0;
+        }
+        case 'resourceAbove': {
+            const res = resources[rule.category]?.[rule.resource];
+            if (!res) return 0;
+            const cap = res.cap;
+            if (!(cap > 0) || !Number.isFinite(cap)) return Infinity;
+            const spare = res.value - (value / 100) * cap;
+            if (spare <= 0) return 0;
+            const cost = typeof building.getEffectiveCost === 'function' ? building.getEffectiveCost(1) : {};
+            const perBuilding = cost?.[rule.category]?.[rule.resource] || 0;
+            return perBuilding > 0 ? Math.floor(spare / perBuilding) : Infinity;
+        }
+        default:
+            return 0;
+    }
+}
+
+function evaluateAutoBuildRules(building) {
+    const rules = building.autoBuildRules?.rules || [];
+    if (rules.length === 0) return 0;
+    const amounts = rules.map(rule => evaluateAutoBuildRule(building, rule));
+    return building.autoBuildRules.mode === 'or' ? Math.max(...amounts) : Math.min(...amounts);
+}
+
+// Count the autobuilder works toward and "Set active to target" uses
+function getAutoBuildTarget(building) {
+    if (building.autoBuildBasis === 'rules') {
+        let amount = evaluateAutoBuildRules(building);
+        if (!Number.isFinite(amount)) {
+            amount = typeof building.maxBuildable === 'function'
+                ? building.maxBuildable(constructionOfficeState.strategicReserve)
+                : 0;
+        }
+        return Math.max(0, getAutoBuildCount(building) + amount);
+    }
+    const base = building.autoBuildBasis === 'workers'
+        ? resources.colony.workers?.cap || 0
+        : resources.colony.colonists.value;
+    return Math.ceil(((building.autoBuildPercent || 0) * base) / 100);
+}
+
+function getBudgetResourceOptions() {
+    const options = [];
+    const colonyResources = typeof resources !== 'undefined' ? resources.colony || {} : {};
+    for (const name in colonyResources) {
+        const res = colonyResources[name];
+        if (name === 'colonists' || name === 'workers') continue;
+        if (res.unlocked || constructionOfficeState.resourceBudgets[name]) {
+            options.push({ value: name, label: res.displayName || name });
+        }
+    }
+    return options;
+}
+
+// One row per budget: resource, mode, value and current spend
+function renderBudgetRows(list) {
+    list.innerHTML = '';
+    list._rows = [];
+    const budgets = constructionOfficeState.resourceBudgets;
+    for (const name in budgets) {
+        const budget = budgets[name];
+        const row = document.createElement('div');
+        row.classList.add('autobuild-budget-row');
+
+        const resourceSelect = document.createElement('select');
+        getBudgetResourceOptions().forEach(({ value, label }) => {
+            if (value !== name && budgets[value]) return;
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            resourceSelect.appendChild(option);
+        });
+        resourceSelect.value = name;
+        resourceSelect.addEventListener('change', () => {
+            const current = constructionOfficeState.resourceBudgets[name];
+            setResourceBudget(name, null);
+            setResourceBudget(resourceSelect.value, current.mode, current.value);
+            renderBudgetRows(list);
+        });
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.min = '0';
+        valueInput.value = budget.value;
+        valueInput.addEventListener('input', () => {
+            setResourceBudget(name, constructionOfficeState.resourceBudgets[name].mode, valueInput.value);
+        });
+
+        const modeSelect = document.createElement('select');
+        [['income', '% of income'], ['rate', '/s']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.value = budget.mode;
+        modeSelect.addEventListener('change', () => {
+            setResourceBudget(name, modeSelect.value, constructionOfficeState.resourceBudgets[name].value);
+        });
+
+        const spend = document.createElement('span');
+        spend.classList.add('autobuild-budget-spend');
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove budget';
+        removeBtn.addEventListener('click', () => {
+            setResourceBudget(name, null);
+            renderBudgetRows(list);
+        });
+
+        row.append(resourceSelect, valueInput, modeSelect, spend, removeBtn);
+        list.appendChild(row);
+        list._rows.push({ name, spend });
+    }
+    list._keys = Object.keys(budgets).join(',');
+    updateBudgetSpend(list);
+}
+
+function updateBudgetRows(list) {
+    if (list._keys !== Object.keys(constructionOfficeState.resourceBudgets).join(',')) {
+        renderBudgetRows(list);
+    } else {
+        updateBudgetSpend(list);
+    }
+}
+
+function updateBudgetSpend(list) {
+    (list._rows || []).forEach(({ name, spend }) => {
+        const used = autobuildCostTracker.getAverageCost('colony', name);
+        const allowed = getBudgetRate(name);
+        spend.textContent = `Spending ${formatNumber(used, false, 2)}/s of ${formatNumber(allowed, false, 2)}/s`;
+        spend.style.color = allowed > 0 && used >= allowed * 0.99 ? 'orange' : '';
+    });
+}
+
 const savedAutoBuildSettings = {};
 
 function captureAutoBuildSettings(structures) {
@@ -210,6 +583,9 @@ function captureAutoBuildSettings(structures) {
             basis: s.autoBuildBasis,
             priority: s.autoBuildPriority,
             autoActive: s.autoActiveEnabled,
+            autoDemolish: !!s.autoDemolishEnabled,
+            rules: cloneAutoBuildRules(s.autoBuildRules),
+            recipeAutomation: s.recipeAutomation ? JSON.parse(JSON.stringify(s.recipeAutomation)) : undefined,
         };
     }
 }
@@ -224,23 +600,31 @@ function restoreAutoBuildSettings(structures) {
             s.autoActiveEnabled = savedAutoBuildSettings[name].autoActive !== undefined
                 ? savedAutoBuildSettings[name].autoActive
                 : true;
+            s.autoBuildRules = cloneAutoBuildRules(savedAutoBuildSettings[name].rules);
+            s.autoDemolishEnabled = !!savedAutoBuildSettings[name].autoDemolish;
+            if (savedAutoBuildSettings[name].recipeAutomation && s.recipes) {
+                s.recipeAutomation = JSON.parse(JSON.stringify(savedAutoBuildSettings[name].recipeAutomation));
+            }
         } else {
             s.autoBuildBasis = 'population';
             s.autoBuildPriority = false;
             s.autoActiveEnabled = true;
+            s.autoBuildRules = createDefaultAutoBuildRules();
+            s.autoDemolishEnabled = false;
         }
         s.autoBuildEnabled = false;
         s.autoActiveEnabled = false;
     }
 }
 
+// Share of the target a building must be over before autobuild demolishes
+const AUTO_DEMOLISH_MARGIN = 0.05;
+
 function autoBuild(buildings, delta = 0) {
     if (typeof constructionOfficeState !== 'undefined' && !constructionOfficeState.autobuilderActive) {
         return;
     }
     autobuildCostTracker.update(delta);
-    const population = resources.colony.colonists.value;
-    const workerCap = resources.colony.workers?.cap || 0;
     const buildableBuildings = [];
     const buildingInfos = [];
 
@@ -248,14 +632,16 @@ function autoBuild(buildings, delta = 0) {
     for (const buildingName in buildings) {
         const building = buildings[buildingName];
         if (building.autoBuildEnabled || building.autoActiveEnabled) {
-            const base = building.autoBuildBasis === 'workers' ? workerCap : population;
-            const targetCount = Math.ceil(((building.autoBuildPercent || 0)* base) / 100);
+            const targetCount = getAutoBuildTarget(building);
 
-            buildingInfos.push({ building, targetCount });
+            const equivalentCount = getAutoBuildCount(building);
+            // Upgraded buildings already cover part of the target
+            const upgradedCount = equivalentCount - (building.count || 0);
+            buildingInfos.push({ building, targetCount, upgradedCount });
 
             if (building.autoBuildEnabled) {
-                const currentRatio = building.count / targetCount;
-                const requiredAmount = targetCount - building.count;
+                const currentRatio = equivalentCount / targetCount;
+                const requiredAmount = targetCount - equivalentCount;
 
                 if (requiredAmount > 0) {
                     buildableBuildings.push({
@@ -276,14 +662,18 @@ function autoBuild(buildings, delta = 0) {
     });
 
     // Step 3: Efficiently allocate builds
+    accrueAutobuildBudgets(delta, buildableBuildings.map(({ building }) => building));
     buildableBuildings.forEach(({ building, requiredAmount }) => {
         let buildCount = 0;
         const reserve = constructionOfficeState.strategicReserve;
-        const canBuildFull = building.canAfford(requiredAmount, reserve);
+        const budgetLimit = getBudgetBuildLimit(building);
+        const amount = Math.min(requiredAmount, budgetLimit);
+        if (amount <= 0) return;
+        const canBuildFull = building.canAfford(amount, reserve);
         if (canBuildFull) {
-            buildCount = requiredAmount;
+            buildCount = amount;
         } else {
-            let maxBuildable = building.maxBuildable(reserve);
+            let maxBuildable = Math.min(building.maxBuildable(reserve), budgetLimit);
 
             if (building.requiresLand && typeof building.landAffordCount === 'function') {
                 maxBuildable = Math.min(maxBuildable, building.landAffordCount());
@@ -313,15 +703,26 @@ function autoBuild(buildings, delta = 0) {
             }
             if (built) {
                 autobuildCostTracker.recordCost(building.displayName, cost);
+                spendAutobuildBudgets(cost);
             }
         }
         // Skip incremental building as it significantly impacts performance
     });
 
-    // Step 4: Auto-set active counts after building
-    buildingInfos.forEach(({ building, targetCount }) => {
+    // Step 4: Demolish down to the target where the building allows it, once
+    // the surplus is more than AUTO_DEMOLISH_MARGIN of the target so a target
+    // that wobbles does not rebuild and demolish the same buildings.
+    buildingInfos.forEach(({ building, targetCount, upgradedCount }) => {
+        if (!building.autoBuildEnabled || !building.autoDemolishEnabled || typeof building.demolish !== 'function') return;
+        const surplus = building.count + upgradedCount - targetCount;
+        if (surplus < 1 || surplus <= targetCount * AUTO_DEMOLISH_MARGIN) return;
+        recordDemolitionRefund(building, building.demolish(Math.min(building.count, surplus)));
+    });
+
+    // Step 5: Auto-set active counts after building
+    buildingInfos.forEach(({ building, targetCount, upgradedCount }) => {
         if (building.autoActiveEnabled) {
-            const desiredActive = Math.min(targetCount, building.count);
+            const desiredActive = Math.max(0, Math.min(targetCount - upgradedCount, building.count));
             const change = desiredActive - building.active;
             if (change !== 0) {
                 if (typeof adjustStructureActivation === 'function') {
@@ -338,12 +739,25 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         autoBuild,
         autobuildCostTracker,
+        recordDemolitionRefund,
+        AUTO_BUILD_RULE_TYPES,
+        createDefaultAutoBuildRules,
+        cloneAutoBuildRules,
+        createAutoBuildRule,
+        evaluateAutoBuildRule,
+        evaluateAutoBuildRules,
+        getAutoBuildTarget,
+        getAutoBuildCount,
         captureAutoBuildSettings,
         restoreAutoBuildSettings,
         constructionOfficeState,
         setAutobuilderActive,
         toggleAutobuilder,
         setStrategicReserve,
+        setResourceBudget,
+        setResourceBudgets,
+        getBudgetRate,
+        getBudgetBuildLimit,
         saveConstructionOfficeState,
         loadConstructionOfficeState,
         captureConstructionOfficeSettings,
@@ -356,12 +770,19 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
     window.autoBuild = autoBuild;
     window.autobuildCostTracker = autobuildCostTracker;
+    window.recordDemolitionRefund = recordDemolitionRefund;
+    window.AUTO_BUILD_RULE_TYPES = AUTO_BUILD_RULE_TYPES;
+    window.createDefaultAutoBuildRules = createDefaultAutoBuildRules;
+    window.cloneAutoBuildRules = cloneAutoBuildRules;
+    window.createAutoBuildRule = createAutoBuildRule;
+    window.getAutoBuildTarget = getAutoBuildTarget;
     window.captureAutoBuildSettings = captureAutoBuildSettings;
     window.restoreAutoBuildSettings = restoreAutoBuildSettings;
     window.constructionOfficeState = constructionOfficeState;
     window.setAutobuilderActive = setAutobuilderActive;
     window.toggleAutobuilder = toggleAutobuilder;
     window.setStrategicReserve = setStrategicReserve;
+    window.setResourceBudget = setResourceBudget;
     window.saveConstructionOfficeState = saveConstructionOfficeState;
     window.loadConstructionOfficeState = loadConstructionOfficeState;
     window.captureConstructionOfficeSettings = captureConstructionOfficeSettings;
@@ -0,0 +1,160 @@
+(function(){
+  // Explains why structures run below 100% productivity. The limiting input is
+  // recorded on each structure as productivityLimit while productivity is
+  // computed (Building.calculateBaseMinRatio, Colony.updateProductivity,
+  // produceResources); this module turns it into text and ranks the inputs
+  // that cost the most output across all structures.
+  const BOTTLENECK_LIST_SIZE = 8;
+
+  function resourceLabel(category, resource) {
+    const res = typeof resources !== 'undefined' ? resources?.[category]?.[resource] : null;
+    return res?.displayName || resource;
+  }
+
+  function percent(ratio) {
+    return `${Math.round(Math.max(0, Math.min(1, ratio)) * 100)}%`;
+  }
+
+  // Stable id used to group the same limit across structures
+  function getLimitKey(limit) {
+    switch (limit.type) {
+      case 'resource':
+      case 'need':
+        return `${limit.type}:${limit.category}.${limit.resource}`;
+      case 'cap':
+        return `cap:${limit.reason}`;
+      default:
+        return limit.type;
+    }
+  }
+
+  function getLimitLabel(limit) {
+    switch (limit.type) {
+      case 'resource':
+        return `${resourceLabel(limit.category, limit.resource)} shortage`;
+      case 'need':
+        return `Colony need: ${resourceLabel(limit.category, limit.resource)}`;
+      case 'workers':
+        return 'Workers';
+      case 'colonists':
+        return 'Colonists';
+      case 'dayNight':
+        return 'Night';
+      case 'cap':
+        return limit.reason;
+      default:
+        return limit.type;
+    }
+  }
+
+  function findEffectValue(structure, effectId) {
+    const effect = (structure.activeEffects || []).find(e => e.effectId === effectId);
+    return effect ? effect.value : 1;
+  }
+
+  /**
+   * Lines explaining a structure's productivity: the limiting input, idle
+   * buildings waiting for land and temperature penalties on upkeep.
+   */
+  function describeProductivity(structure) {
+    const lines = [];
+    const limit = structure.productivityLimit;
+    if (limit) {
+      switch (limit.type) {
+        case 'resource':
+          lines.push(`Limited by ${resourceLabel(limit.category, limit.resource)}: supply covers ${percent(limit.ratio)} of demand`);
+          break;
+        case 'need':
+          lines.push(`Limited by ${resourceLabel(limit.category, limit.resource)}: production covers ${percent(limit.ratio)} of colony consumption`);
+          break;
+        case 'workers':
+          lines.push(`Limited by workers: ${percent(limit.ratio)} of required workers available`);
+          break;
+        case 'colonists':
+          lines.push(`Limited by colonists: housing is ${percent(limit.ratio)} full`);
+          break;
+        case 'dayNight':
+          lines.push('Inactive at night');
+          break;
+        case 'cap':
+          lines.push(`Limited by ${limit.reason}`);
+          break;
+      }
+    } else if (structure.active > 0 && structure.productivity < 0.995) {
+      lines.push('Adjusting toward full productivity');
+    }
+
+    if (structure.requiresLand && structure.active < structure.count &&
+        typeof structure.landAffordCount === 'function' && structure.landAffordCount() < 1) {
+      lines.push(`${formatBigInteger(structure.count - structure.active)} inactive: not enough land`);
+    }
+
+    const maintenancePenalty = findEffectValue(structure, 'temperatureMaintenancePenalty');
+    if (structure.requiresMaintenance && maintenancePenalty > 1) {
+      lines.push(`Maintenance x${maintenancePenalty.toFixed(2)} from temperature`);
+    }
+    const energyPenalty = findEffectValue(structure, 'temperaturePenalty');
+    if (energyPenalty > 1) {
+      lines.push(`Energy use x${energyPenalty.toFixed(2)} from temperature`);
+    }
+    return lines;
+  }
+
+  /**
+   * Group limited structures by the input limiting them. `lost` counts the
+   * active buildings' worth of output the limit costs (active x missing
+   * productivity), so entries compare across resources.
+   */
+  function rankProductivityBottlenecks(structureMaps, limit = BOTTLENECK_LIST_SIZE) {
+    const groups = new Map();
+    structureMaps.forEach(map => {
+      for (const name in map || {}) {
+        const structure = map[name];
+        if (!structure || !structure.productivityLimit || !(structure.active > 0)) continue;
+        const lost = structure.active * (1 - Math.max(0, Math.min(1, structure.productivity)));
+        if (!(lost > 0)) continue;
+        const key = getLimitKey(structure.productivityLimit);
+        if (!groups.has(key)) {
+          groups.set(key, { key, label: getLimitLabel(structure.productivityLimit), lost: 0, structures: [] });
+        }
+        const group = groups.get(key);
+        group.lost += lost;
+        group.structures.push(structure.displayName || name);
+      }
+    });
+    return Array.from(groups.values())
+      .sort((a, b) => b.lost - a.lost)
+      .slice(0, limit);
+  }
+
+  function updateBottleneckDisplay() {
+    if (typeof document === 'undefined') return;
+    const list = document.getElementById('bottleneck-list');
+    if (!list) return;
+    const maps = [];
+    if (typeof buildings !== 'undefined') maps.push(buildings);
+    if (typeof colonies !== 'undefined') maps.push(colonies);
+    const ranked = rankProductivityBottlenecks(maps);
+    const lines = ranked.length === 0
+      ? ['Everything is running at full productivity.']
+      : ranked.map(entry => `${entry.label}: ${formatNumber(entry.lost, false, 1)} buildings idle (${entry.structures.join(', ')})`);
+    // Rebuild only when the text changes; this runs every frame
+    const key = lines.join('\n');
+    if (list._key === key) return;
+    list.innerHTML = '';
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    list._key = key;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getLimitKey, getLimitLabel, describeProductivity, rankProductivityBottlenecks, updateBottleneckDisplay };
+  } else {
+    globalThis.describeProductivity = describeProductivity;
+    globalThis.rankProductivityBottlenecks = rankProductivityBottlenecks;
+    globalThis.updateBottleneckDisplay = updateBottleneckDisplay;
+  }
+})();
@@ -0,0 +1,290 @@
+// Construction order queue. Orders ({ id, structure, total, remaining, paused })
+// run in sequence as resources arrive: the first unpaused order builds as many
+// as it can afford each tick and later orders wait for it to finish. Spending
+// respects the strategic reserve and is recorded with the autobuilder's.
+const buildQueueState = {
+    orders: [],
+    nextId: 1,
+};
+
+function getBuildQueueStructure(name) {
+    if (typeof buildings !== 'undefined' && buildings?.[name]) return buildings[name];
+    if (typeof colonies !== 'undefined' && colonies?.[name]) return colonies[name];
+    return null;
+}
+
+function enqueueBuildOrder(structureName, count) {
+    const amount = Math.floor(Number(count));
+    if (!structureName || !(amount > 0)) return null;
+    const order = {
+        id: buildQueueState.nextId++,
+        structure: structureName,
+        total: amount,
+        remaining: amount,
+        paused: false,
+    };
+    buildQueueState.orders.push(order);
+    return order;
+}
+
+function removeBuildOrder(id) {
+    const index = buildQueueState.orders.findIndex(order => order.id === id);
+    if (index >= 0) buildQueueState.orders.splice(index, 1);
+}
+
+// Move an order `offset` places toward the front (negative) or back
+function moveBuildOrder(id, offset) {
+    const orders = buildQueueState.orders;
+    const index = orders.findIndex(order => order.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= orders.length) return;
+    const [order] = orders.splice(index, 1);
+    orders.splice(target, 0, order);
+}
+
+function setBuildOrderPaused(id, paused) {
+    const order = buildQueueState.orders.find(entry => entry.id === id);
+    if (order) order.paused = !!paused;
+}
+
+function clearBuildQueue() {
+    buildQueueState.orders = [];
+}
+
+// The order the queue is working on
+function getActiveBuildOrder() {
+    return buildQueueState.orders.find(order => !order.paused) || null;
+}
+
+function processBuildQueue(structures) {
+    const reserve = typeof constructionOfficeState !== 'undefined' ? constructionOfficeState.strategicReserve : 0;
+    while (true) {
+        const order = getActiveBuildOrder();
+        if (!order) return;
+        const structure = structures?.[order.structure];
+        if (!structure) {
+            // Structure no longer exists on this planet
+            removeBuildOrder(order.id);
+            continue;
+        }
+        if (!structure.unlocked) return;
+
+        let buildCount = Math.min(order.remaining, structure.maxBuildable(reserve));
+        if (structure.requiresLand && typeof structure.landAffordCount === 'function') {
+            buildCount = Math.min(buildCount, structure.landAffordCount());
+        }
+        if (buildCount > 0) {
+            const cost = structure.getEffectiveCost ? structure.getEffectiveCost(buildCount) : {};
+            if (structure.build(buildCount)) {
+                order.remaining -= buildCount;
+                if (typeof autobuildCostTracker !== 'undefined') {
+                    autobuildCostTracker.recordCost(structure.displayName, cost);
+                }
+            }
+        }
+        if (order.remaining > 0) return;
+        removeBuildOrder(order.id);
+    }
+}
+
+function saveBuildQueueState() {
+    return {
+        orders: buildQueueState.orders.map(order => ({ ...order })),
+        nextId: buildQueueState.nextId,
+    };
+}
+
+function loadBuildQueueState(state) {
+    clearBuildQueue();
+    if (!state || !Array.isArray(state.orders)) return;
+    state.orders.forEach(order => {
+        const remaining = Math.floor(Number(order.remaining));
+        if (!order.structure || !(remaining > 0)) return;
+        buildQueueState.orders.push({
+            id: order.id,
+            structure: order.structure,
+            total: Math.max(remaining, Math.floor(Number(order.total)) || 0),
+            remaining,
+            paused: !!order.paused,
+        });
+    });
+    const highestId = buildQueueState.orders.reduce((max, order) => Math.max(max, order.id || 0), 0);
+    buildQueueState.nextId = Math.max(state.nextId || 1, highestId + 1);
+}
+
+// Queue controls in the Construction Office card: an add-order form and one
+// row per order with its progress and controls
+function initializeBuildQueueUI(parent) {
+    const queueDiv = document.createElement('div');
+    queueDiv.id = 'build-queue';
+    queueDiv.classList.add('build-queue');
+
+    const label = document.createElement('label');
+    label.textContent = 'Build queue';
+    const info = document.createElement('span');
+    info.classList.add('info-tooltip-icon');
+    info.innerHTML = '&#9432;';
+    info.title = 'Orders are built in sequence as resources arrive, partially when only some can be afforded.  Paused orders are skipped.  Respects the strategic reserve.  Orders are cleared when travelling to a new planet.';
+    label.appendChild(info);
+    queueDiv.appendChild(label);
+
+    const form = document.createElement('div');
+    form.classList.add('build-queue-form');
+    const structureSelect = document.createElement('select');
+    structureSelect.id = 'build-queue-structure';
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.min = '1';
+    countInput.value = '1';
+    countInput.id = 'build-queue-count';
+    const addButton = document.createElement('button');
+    addButton.id = 'build-queue-add';
+    addButton.textContent = 'Add order';
+    addButton.addEventListener('click', () => {
+        if (enqueueBuildOrder(structureSelect.value, countInput.value)) {
+            updateBuildQueueUI();
+        }
+    });
+    form.append(structureSelect, countInput, addButton);
+    queueDiv.appendChild(form);
+
+    const list = document.createElement('ol');
+    list.id = 'build-queue-list';
+    list.classList.add('build-queue-list');
+    queueDiv.appendChild(list);
+
+    parent.appendChild(queueDiv);
+    updateBuildQueueUI();
+}
+
+function updateBuildQueueStructureOptions(select) {
+    const options = [];
+    [typeof buildings !== 'undefined' ? buildings : null, typeof colonies !== 'undefined' ? colonies : null]
+        .forEach(map => {
+            for (const name in map || {}) {
+                if (map[name].unlocked && !map[name].isHidden) {
+                    options.push({ value: name, label: map[name].displayName || name });
+                }
+            }
+        });
+    const key = options.map(option => option.value).join(',');
+    if (select._key === key) return;
+    const current = select.value;
+    select.innerHTML = '';
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    if (options.some(option => option.value === current)) select.value = current;
+    select._key = key;
+}
+
+function describeBuildOrderStatus(order, structure, active) {
+    if (order.paused) return 'Paused';
+    if (!active) return 'Queued';
+    if (!structure || !structure.unlocked) return 'Waiting: not unlocked';
+    if (structure.requiresLand && typeof structure.landAffordCount === 'function' && structure.landAffordCount() < 1) {
+        return 'Waiting: not enough land';
+    }
+    if (typeof getTimeToAfford === 'function' && typeof structure.getEffectiveCost === 'function') {
+        const seconds = getTimeToAfford(structure.getEffectiveCost(1));
+        if (!Number.isFinite(seconds)) return 'Waiting: not affordable at current rates';
+        const wait = formatTimeToAfford(seconds);
+        if (wait) return `Waiting: next ${wait.charAt(0).toLowerCase()}${wait.slice(1)}`;
+    }
+    return 'Building';
+}
+
+function createBuildOrderRow(order) {
+    const row = document.createElement('li');
+    row.classList.add('build-queue-order');
+    const name = document.createElement('span');
+    name.classList.add('build-queue-name');
+    const status = document.createElement('span');
+    status.classList.add('build-queue-status');
+
+    const button = (text, title, onClick) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.title = title;
+        btn.addEventListener('click', () => {
+            onClick();
+            updateBuildQueueUI();
+        });
+        return btn;
+    };
+    const pauseButton = button('', '', () => setBuildOrderPaused(order.id, !order.paused));
+    row.append(
+        name,
+        status,
+        button('↑', 'Move up', () => moveBuildOrder(order.id, -1)),
+        button('↓', 'Move down', () => moveBuildOrder(order.id, 1)),
+        pauseButton,
+        button('×', 'Remove order', () => removeBuildOrder(order.id))
+    );
+    return { row, name, status, pauseButton };
+}
+
+function updateBuildQueueUI() {
+    if (typeof document === 'undefined') return;
+    const select = document.getElementById('build-queue-structure');
+    const list = document.getElementById('build-queue-list');
+    if (!list) return;
+    if (select) updateBuildQueueStructureOptions(select);
+
+    const orders = buildQueueState.orders;
+    const key = orders.map(order => order.id).join(',');
+    if (list._key !== key) {
+        list.innerHTML = '';
+        list._rows = new Map();
+        orders.forEach(order => {
+            const entry = createBuildOrderRow(order);
+            list._rows.set(order.id, entry);
+            list.appendChild(entry.row);
+        });
+        list._key = key;
+    }
+
+    const active = getActiveBuildOrder();
+    orders.forEach(order => {
+        const entry = list._rows?.get(order.id);
+        if (!entry) return;
+        const structure = getBuildQueueStructure(order.structure);
+        const built = order.total - order.remaining;
+        entry.name.textContent = `${structure?.displayName || order.structure}: ${formatBigInteger(built)} / ${formatBigInteger(order.total)}`;
+        entry.status.textContent = describeBuildOrderStatus(order, structure, order === active);
+        entry.pauseButton.textContent = order.paused ? 'Resume' : 'Pause';
+        entry.pauseButton.title = order.paused ? 'Resume order' : 'Pause order';
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildQueueState,
+        enqueueBuildOrder,
+        removeBuildOrder,
+        moveBuildOrder,
+        setBuildOrderPaused,
+        clearBuildQueue,
+        getActiveBuildOrder,
+        processBuildQueue,
+        saveBuildQueueState,
+        loadBuildQueueState,
+        describeBuildOrderStatus,
+        initializeBuildQueueUI,
+        updateBuildQueueUI,
+    };
+}
+
+if (typeof window !== 'undefined') {
+    window.buildQueueState = buildQueueState;
+    window.enqueueBuildOrder = enqueueBuildOrder;
+    window.processBuildQueue = processBuildQueue;
+    window.clearBuildQueue = clearBuildQueue;
+    window.saveBuildQueueState = saveBuildQueueState;
+    window.loadBuildQueueState = loadBuildQueueState;
+    window.initializeBuildQueueUI = initializeBuildQueueUI;
+    window.updateBuildQueueUI = updateBuildQueueUI;
+}
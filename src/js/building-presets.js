@@ -0,0 +1,418 @@
+// Named building presets. A preset records how the colony is run: each
+// structure's autobuild settings, recipe and recipe automation, the GHG and
+// oxygen factory thresholds and the colony sliders. Presets outlive travel,
+// and one preset per planet type (story planet or random world archetype) can
+// be applied automatically on arrival.
+const buildingPresetsState = {
+    presets: {},
+    planetDefaults: {},
+};
+
+// Selections in the preset controls. followedType is the planet type the
+// arrival selector last switched to on its own.
+const buildingPresetsUI = {
+    preset: '',
+    planetType: null,
+    followedType: null,
+};
+
+function getBuildingPresetGhgSettings() {
+    return typeof ghgFactorySettings !== 'undefined' ? ghgFactorySettings : null;
+}
+
+function getBuildingPresetOxygenSettings() {
+    return typeof oxygenFactorySettings !== 'undefined' ? oxygenFactorySettings : null;
+}
+
+function captureBuildingPreset(structures) {
+    const preset = { structures: {} };
+    for (const name in structures || {}) {
+        const s = structures[name];
+        const entry = {
+            percent: s.autoBuildPercent,
+            basis: s.autoBuildBasis,
+            priority: !!s.autoBuildPriority,
+            autoActive: !!s.autoActiveEnabled,
+            autoDemolish: !!s.autoDemolishEnabled,
+            rules: cloneAutoBuildRules(s.autoBuildRules),
+        };
+        if (s.recipes && s.currentRecipeKey) {
+            entry.recipe = s.currentRecipeKey;
+            if (s.recipeAutomation) entry.recipeAutomation = JSON.parse(JSON.stringify(s.recipeAutomation));
+        }
+        preset.structures[name] = entry;
+    }
+    const ghg = getBuildingPresetGhgSettings();
+    if (ghg) preset.ghgFactory = { ...ghg };
+    const oxygen = getBuildingPresetOxygenSettings();
+    if (oxygen) preset.oxygenFactory = { ...oxygen };
+    if (typeof colonySliderSettings !== 'undefined' && typeof colonySliderSettings.saveState === 'function') {
+        preset.colonySliders = colonySliderSettings.saveState();
+    }
+    return preset;
+}
+
+// Copy of a preset holding only the fields presets know about; null when
+// `raw` is not a preset
+function sanitizeBuildingPreset(raw) {
+    if (!raw || typeof raw !== 'object' || !raw.structures || typeof raw.structures !== 'object') {
+        return null;
+    }
+    const preset = { structures: {} };
+    for (const name in raw.structures) {
+        const entry = raw.structures[name];
+        if (!entry || typeof entry !== 'object') continue;
+        const percent = Number(entry.percent);
+        preset.structures[name] = {
+            percent: Number.isFinite(percent) ? percent : 0.1,
+            basis: typeof entry.basis === 'string' ? entry.basis : 'population',
+            priority: !!entry.priority,
+            autoActive: !!entry.autoActive,
+            autoDemolish: !!entry.autoDemolish,
+            rules: cloneAutoBuildRules(entry.rules),
+        };
+        if (typeof entry.recipe === 'string') {
+            preset.structures[name].recipe = entry.recipe;
+        }
+        if (Array.isArray(entry.recipeAutomation?.rules)) {
+            preset.structures[name].recipeAutomation = {
+                enabled: !!entry.recipeAutomation.enabled,
+                rules: entry.recipeAutomation.rules.filter(rule => rule && typeof rule === 'object').map(rule => ({ ...rule })),
+            };
+        }
+    }
+    ['ghgFactory', 'oxygenFactory', 'colonySliders'].forEach(key => {
+        if (raw[key] && typeof raw[key] === 'object') preset[key] = { ...raw[key] };
+    });
+    return preset;
+}
+
+function applyBuildingPreset(preset, structures) {
+    if (!preset) return;
+    for (const name in preset.structures) {
+        const s = structures?.[name];
+        if (!s) continue;
+        const entry = preset.structures[name];
+        s.autoBuildPercent = entry.percent;
+        s.autoBuildBasis = entry.basis || 'population';
+        s.autoBuildPriority = !!entry.priority;
+        s.autoActiveEnabled = !!entry.autoActive;
+        s.autoDemolishEnabled = !!entry.autoDemolish;
+        s.autoBuildRules = cloneAutoBuildRules(entry.rules);
+        if (entry.recipe && s.recipes?.[entry.recipe] && s.currentRecipeKey !== entry.recipe
+            && typeof s.setRecipe === 'function') {
+            s.setRecipe(entry.recipe);
+        }
+        if (entry.recipeAutomation && s.recipes) {
+            s.recipeAutomation = JSON.parse(JSON.stringify(entry.recipeAutomation));
+        }
+    }
+    const ghg = getBuildingPresetGhgSettings();
+    if (ghg && preset.ghgFactory) {
+        Object.assign(ghg, preset.ghgFactory);
+        if (typeof enforceGhgFactoryTempGap === 'function') enforceGhgFactoryTempGap();
+    }
+    const oxygen = getBuildingPresetOxygenSettings();
+    if (oxygen && preset.oxygenFactory) {
+        Object.assign(oxygen, preset.oxygenFactory);
+    }
+    if (preset.colonySliders && typeof colonySliderSettings !== 'undefined'
+        && typeof colonySliderSettings.loadState === 'function') {
+        colonySliderSettings.loadState(preset.colonySliders);
+    }
+}
+
+function saveBuildingPreset(name, structures) {
+    const key = String(name || '').trim();
+    if (!key) return null;
+    buildingPresetsState.presets[key] = captureBuildingPreset(structures);
+    return key;
+}
+
+function loadBuildingPreset(name, structures) {
+    const preset = buildingPresetsState.presets[name];
+    if (!preset) return false;
+    applyBuildingPreset(preset, structures);
+    return true;
+}
+
+function deleteBuildingPreset(name) {
+    delete buildingPresetsState.presets[name];
+    for (const type in buildingPresetsState.planetDefaults) {
+        if (buildingPresetsState.planetDefaults[type] === name) {
+            delete buildingPresetsState.planetDefaults[type];
+        }
+    }
+}
+
+function exportBuildingPreset(name) {
+    const preset = buildingPresetsState.presets[name];
+    if (!preset) return null;
+    return JSON.stringify({ name, preset });
+}
+
+// Adds a preset from an exported string and returns its name, or null if the
+// string is not a preset
+function importBuildingPreset(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+    const name = typeof data?.name === 'string' ? data.name.trim() : '';
+    const preset = sanitizeBuildingPreset(data?.preset);
+    if (!name || !preset) return null;
+    buildingPresetsState.presets[name] = preset;
+    return name;
+}
+
+// Story planets use their planet key, random worlds 'rwg:<archetype>'
+function getCurrentPlanetPresetType() {
+    if (typeof spaceManager === 'undefined' || !spaceManager) return null;
+    if (spaceManager.currentRandomSeed !== null && spaceManager.currentRandomSeed !== undefined) {
+        const status = spaceManager.randomWorldStatuses?.[String(spaceManager.currentRandomSeed)];
+        const archetype = status?.original?.archetype || status?.original?.override?.classification?.archetype;
+        return archetype ? `rwg:${archetype}` : null;
+    }
+    return typeof spaceManager.getCurrentPlanetKey === 'function' ? spaceManager.getCurrentPlanetKey() : null;
+}
+
+function getPlanetPresetTypes() {
+    const types = [];
+    if (typeof planetParameters !== 'undefined') {
+        for (const key in planetParameters) {
+            types.push({ value: key, label: planetParameters[key]?.name || key });
+        }
+    }
+    const worldTypes = globalThis.RWG_WORLD_TYPES || {};
+    for (const archetype in worldTypes) {
+        types.push({ value: `rwg:${archetype}`, label: `Random: ${worldTypes[archetype].displayName || archetype}` });
+    }
+    return types;
+}
+
+function setPlanetDefaultPreset(type, name) {
+    if (!type) return;
+    if (name && buildingPresetsState.presets[name]) {
+        buildingPresetsState.planetDefaults[type] = name;
+    } else {
+        delete buildingPresetsState.planetDefaults[type];
+    }
+}
+
+// Called after travel; returns the applied preset's name
+function applyPlanetDefaultPreset(structures) {
+    const type = getCurrentPlanetPresetType();
+    const name = type ? buildingPresetsState.planetDefaults[type] : null;
+    if (!name || !loadBuildingPreset(name, structures)) return null;
+    return name;
+}
+
+function saveBuildingPresetsState() {
+    return {
+        presets: JSON.parse(JSON.stringify(buildingPresetsState.presets)),
+        planetDefaults: { ...buildingPresetsState.planetDefaults },
+    };
+}
+
+function loadBuildingPresetsState(state) {
+    buildingPresetsState.presets = {};
+    buildingPresetsState.planetDefaults = {};
+    if (!state) return;
+    for (const name in state.presets || {}) {
+        const preset = sanitizeBuildingPreset(state.presets[name]);
+        if (preset) buildingPresetsState.presets[name] = preset;
+    }
+    for (const type in state.planetDefaults || {}) {
+        setPlanetDefaultPreset(type, state.planetDefaults[type]);
+    }
+}
+
+// Preset controls in the Construction Office card: save/load/export/import by
+// name, and the preset each planet type starts with
+function initializeBuildingPresetsUI(parent) {
+    const presetsDiv = document.createElement('div');
+    presetsDiv.id = 'building-presets';
+    presetsDiv.classList.add('building-presets');
+
+    const label = document.createElement('label');
+    label.textContent = 'Presets';
+    const info = document.createElement('span');
+    info.classList.add('info-tooltip-icon');
+    info.innerHTML = '&#9432;';
+    info.title = 'Saves autobuild targets, priorities, Set active to target, recipes and recipe automation, GHG and oxygen factory thresholds and colony sliders under a name.  A preset chosen for a planet type is applied when arriving on a planet of that type.';
+    label.appendChild(info);
+    presetsDiv.appendChild(label);
+
+    const presetRow = document.createElement('div');
+    presetRow.classList.add('building-presets-row');
+    const presetSelect = document.createElement('select');
+    presetSelect.id = 'building-preset-select';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.id = 'building-preset-name';
+    nameInput.placeholder = 'Preset name';
+    presetSelect.addEventListener('change', () => {
+        buildingPresetsUI.preset = presetSelect.value;
+        nameInput.value = presetSelect.value;
+        updateBuildingPresetsUI();
+    });
+    presetRow.append(presetSelect, nameInput);
+    presetsDiv.appendChild(presetRow);
+
+    const button = (id, text, onClick) => {
+        const btn = document.createElement('button');
+        btn.id = id;
+        btn.textContent = text;
+        btn.addEventListener('click', () => {
+            onClick();
+            updateBuildingPresetsUI();
+        });
+        return btn;
+    };
+    const buttonRow = document.createElement('div');
+    buttonRow.classList.add('building-presets-row');
+    buttonRow.append(
+        button('building-preset-save', 'Save', () => {
+            const name = saveBuildingPreset(nameInput.value || buildingPresetsUI.preset, structures);
+            if (name) buildingPresetsUI.preset = name;
+        }),
+        button('building-preset-load', 'Load', () => {
+            loadBuildingPreset(buildingPresetsUI.preset, structures);
+        }),
+        button('building-preset-delete', 'Delete', () => {
+            deleteBuildingPreset(buildingPresetsUI.preset);
+        }),
+        button('building-preset-export', 'Export', () => {
+            const text = exportBuildingPreset(buildingPresetsUI.preset);
+            if (!text) return;
+            const showFallback = () => {
+                if (typeof prompt === 'function') prompt('Copy your preset:', text);
+            };
+            if (typeof navigator !== 'undefined' && navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+                navigator.clipboard.writeText(text).catch(showFallback);
+            } else {
+                showFallback();
+            }
+        }),
+        button('building-preset-import', 'Import', () => {
+            if (typeof prompt !== 'function') return;
+            const text = prompt('Paste a preset:');
+            if (!text || !text.trim()) return;
+            const name = importBuildingPreset(text.trim());
+            if (name) {
+                buildingPresetsUI.preset = name;
+            } else if (typeof alert === 'function') {
+                alert('That is not a valid preset.');
+            }
+        })
+    );
+    presetsDiv.appendChild(buttonRow);
+
+    const defaultRow = document.createElement('div');
+    defaultRow.classList.add('building-presets-row');
+    const defaultLabel = document.createElement('span');
+    defaultLabel.textContent = 'On arrival at';
+    const typeSelect = document.createElement('select');
+    typeSelect.id = 'building-preset-planet-type';
+    const defaultSelect = document.createElement('select');
+    defaultSelect.id = 'building-preset-planet-default';
+    typeSelect.addEventListener('change', () => {
+        buildingPresetsUI.planetType = typeSelect.value;
+        updateBuildingPresetsUI();
+    });
+    defaultSelect.addEventListener('change', () => {
+        setPlanetDefaultPreset(buildingPresetsUI.planetType, defaultSelect.value);
+        updateBuildingPresetsUI();
+    });
+    defaultRow.append(defaultLabel, typeSelect, defaultSelect);
+    presetsDiv.appendChild(defaultRow);
+
+    parent.appendChild(presetsDiv);
+    buildingPresetsUI.followedType = null;
+    updateBuildingPresetsUI();
+}
+
+// Refill `select` when its options change and select `value`
+function setBuildingPresetOptions(select, options, value) {
+    const key = options.map(option => `${option.value}:${option.label}`).join(',');
+    if (select._key !== key) {
+        select.innerHTML = '';
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select._key = key;
+    }
+    select.value = value;
+}
+
+function updateBuildingPresetsUI() {
+    if (typeof document === 'undefined') return;
+    const presetSelect = document.getElementById('building-preset-select');
+    const typeSelect = document.getElementById('building-preset-planet-type');
+    const defaultSelect = document.getElementById('building-preset-planet-default');
+    if (!presetSelect || !typeSelect || !defaultSelect) return;
+
+    const types = getPlanetPresetTypes();
+    const currentType = getCurrentPlanetPresetType();
+    if (currentType !== buildingPresetsUI.followedType) {
+        buildingPresetsUI.followedType = currentType;
+        if (currentType) buildingPresetsUI.planetType = currentType;
+    }
+    if (!types.some(type => type.value === buildingPresetsUI.planetType)) {
+        buildingPresetsUI.planetType = types[0]?.value ?? null;
+    }
+    setBuildingPresetOptions(typeSelect, types, buildingPresetsUI.planetType ?? '');
+
+    const names = Object.keys(buildingPresetsState.presets).sort();
+    if (!names.includes(buildingPresetsUI.preset)) {
+        buildingPresetsUI.preset = names[0] ?? '';
+    }
+    const presetOptions = names.map(name => ({ value: name, label: name }));
+    setBuildingPresetOptions(presetSelect, presetOptions, buildingPresetsUI.preset);
+    setBuildingPresetOptions(
+        defaultSelect,
+        [{ value: '', label: 'No preset' }].concat(presetOptions),
+        buildingPresetsState.planetDefaults[buildingPresetsUI.planetType] || ''
+    );
+
+    const hasPreset = !!buildingPresetsUI.preset;
+    ['building-preset-load', 'building-preset-delete', 'building-preset-export'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.disabled = !hasPreset;
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildingPresetsState,
+        captureBuildingPreset,
+        applyBuildingPreset,
+        saveBuildingPreset,
+        loadBuildingPreset,
+        deleteBuildingPreset,
+        exportBuildingPreset,
+        importBuildingPreset,
+        getCurrentPlanetPresetType,
+        getPlanetPresetTypes,
+        setPlanetDefaultPreset,
+        applyPlanetDefaultPreset,
+        saveBuildingPresetsState,
+        loadBuildingPresetsState,
+        initializeBuildingPresetsUI,
+        updateBuildingPresetsUI,
+    };
+}
+
+if (typeof window !== 'undefined') {
+    window.buildingPresetsState = buildingPresetsState;
+    window.applyPlanetDefaultPreset = applyPlanetDefaultPreset;
+    window.saveBuildingPresetsState = saveBuildingPresetsState;
+    window.loadBuildingPresetsState = loadBuildingPresetsState;
+    window.initializeBuildingPresetsUI = initializeBuildingPresetsUI;
+    window.updateBuildingPresetsUI = updateBuildingPresetsUI;
+}
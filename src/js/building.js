@@ -1,5 +1,9 @@
 
 // Building Class (Core Game Logic)
+
+// Share of the cost refunded on demolition unless the config sets demolishRefund
+const DEFAULT_DEMOLISH_REFUND = 0.5;
+
 class Building extends EffectableEntity {
   constructor(config, buildingName) {
     super(config); // Call the base class constructor
@@ -12,15 +16,19 @@ class Building extends EffectableEntity {
     this.count = 0;
     this.active = 0;
     this.productivity = 0;
+    this.productivityLimit = null; // why productivity is below 100%, see calculateBaseMinRatio
     this.isHidden = false; // track whether the building is hidden in the UI
     this.alertedWhenUnlocked = this.unlocked ? true : false;
 
     this.autoBuildEnabled = false;
     this.autoBuildPercent = 0.1;
     this.autoBuildPriority = false;
-    this.autoBuildBasis = 'population';
+    this.autoBuildBasis = 'population'; // 'population', 'workers' or 'rules'
+    this.autoBuildRules = { mode: 'and', rules: [] }; // see autobuild.js
     this.workerPriority = 0; // -1 low, 0 normal, 1 high
+    this.energyPriority = 0; // -1 low, 0 normal, 1 critical
     this.autoActiveEnabled = false;
+    this.autoDemolishEnabled = false; // autobuild demolishes down to its target
 
     this.maintenanceCost = this.calculateMaintenanceCost();
     this.currentProduction = {};
@@ -35,6 +43,7 @@ class Building extends EffectableEntity {
     this.recipes = config.recipes || null;
     this.defaultRecipe = config.defaultRecipe || null;
     this.currentRecipeKey = this.defaultRecipe || (this.recipes ? Object.keys(this.recipes)[0] : null);
+    this.recipeAutomation = { enabled: false, rules: [] }; // see recipe-automation.js
     this._baseConsumption = JSON.parse(JSON.stringify(this.consumption || {}));
     this._applyRecipeMapping();
   }
@@ -81,6 +90,10 @@ class Building extends EffectableEntity {
       this.requiresProductivity = typeof requiresProductivity !== 'undefined' ? requiresProductivity : true;
       this.requiresLand = requiresLand;
       this.powerPerBuilding = config.powerPerBuilding;
+      this.energyStorage = config.energyStorage || null; // { chargeRate, efficiency }, see energy-storage.js
+      this.nextTier = config.nextTier || null; // building that upgradeRatio of these upgrade into
+      this.upgradeRatio = config.upgradeRatio || 10;
+      this.demolishRefund = config.demolishRefund ?? DEFAULT_DEMOLISH_REFUND; // share of the cost returned
       this.temperatureMaintenanceImmune = !!temperatureMaintenanceImmune;
 
       this.updateResourceStorage();
@@ -132,12 +145,23 @@ class Building extends EffectableEntity {
     const keys = Object.keys(this.recipes);
     if (keys.length < 2) return;
     const idx = keys.indexOf(this.currentRecipeKey);
-    const nextKey = keys[(idx + 1) % keys.length];
-    this.currentRecipeKey = nextKey;
+    this.setRecipe(keys[(idx + 1) % keys.length]);
+  }
+
+  // External: switch to the named recipe
+  setRecipe(key) {
+    if (!this.recipes || !this.recipes[key]) return false;
+    this.currentRecipeKey = key;
     // When changing recipe, automatically disable reversal so the building
     // starts producing the newly selected recipe rather than consuming it.
     this.reverseEnabled = false;
     this._applyRecipeMapping();
+    return true;
+  }
+
+  // Whether the building switches its own recipes, overriding recipe automation
+  hasBuiltInRecipeControl() {
+    return false;
   }
 
   applyActiveEffects(firstTime = true) {
@@ -410,6 +434,174 @@ class Building extends EffectableEntity {
     }
   }
 
+  getNextTierName() {
+    return this.nextTier || null;
+  }
+
+  getUpgradeRatio() {
+    return this.upgradeRatio || 10;
+  }
+
+  getTierStructure(name) {
+    if (typeof buildings !== 'undefined' && buildings && buildings[name]) return buildings[name];
+    if (typeof colonies !== 'undefined' && colonies && colonies[name]) return colonies[name];
+    return null;
+  }
+
+  // Count including buildings upgraded into higher tiers, in units of this
+  // tier. Only follows tiers set in the config.
+  getTierEquivalentCount() {
+    let total = this.count;
+    let ratio = 1;
+    let current = this;
+    const seen = new Set([this.name]);
+    while (current.nextTier && !seen.has(current.nextTier)) {
+      const next = this.getTierStructure(current.nextTier);
+      if (!next) break;
+      seen.add(next.name);
+      ratio *= current.getUpgradeRatio();
+      total += next.count * ratio;
+      current = next;
+    }
+    return total;
+  }
+
+  // Cost of one resource for an upgrade. The buildings removed cover their
+  // share of the next tier with metal and glass at half price and everything
+  // else waived; the share of missing buildings costs the full price.
+  getUpgradeResourceCost(resource, baseAmount, missingRatio, nextName) {
+    if (resource === 'metal' || resource === 'glass') {
+      return baseAmount * (0.5 + 0.5 * missingRatio);
+    }
+    return baseAmount * missingRatio;
+  }
+
+  getUpgradeEvent() {
+    return GAME_EVENTS.BUILDING_UPGRADED;
+  }
+
+  // Buildings removed by an upgrade, active ones first
+  getUpgradeRemovals(upgradeCount) {
+    const amount = upgradeCount * this.getUpgradeRatio();
+    const activeToRemove = Math.min(amount, this.active);
+    const inactiveToRemove = Math.min(amount - activeToRemove, this.count - this.active);
+    return { amount, activeToRemove, inactiveToRemove, removeCount: activeToRemove + inactiveToRemove };
+  }
+
+  // Resources to convert upgradeRatio buildings per upgrade into the next
+  // tier. Land and deposits are the extra amounts to reserve.
+  getUpgradeCost(upgradeCount = 1) {
+    const nextName = this.getNextTierName();
+    if (!nextName) return null;
+    const next = this.getTierStructure(nextName);
+    if (!next) return null;
+
+    const nextCost = next.getEffectiveCost(1);
+    const cost = {};
+    const { amount, activeToRemove, inactiveToRemove, removeCount } = this.getUpgradeRemovals(upgradeCount);
+    const missingRatio = (amount - removeCount) / amount;
+
+    for (const category in nextCost) {
+      for (const resource in nextCost[category]) {
+        const baseAmount = nextCost[category][resource] * upgradeCount;
+        const value = this.getUpgradeResourceCost(resource, baseAmount, missingRatio, nextName);
+        if (value > 0) {
+          if (!cost[category]) cost[category] = {};
+          cost[category][resource] = value;
+        }
+      }
+    }
+
+    let landNeeded = upgradeCount * (next.requiresLand || 0) + inactiveToRemove * (this.requiresLand || 0) - activeToRemove * (this.requiresLand || 0);
+    if (landNeeded > 0) {
+      if (!cost.surface) cost.surface = {};
+      cost.surface.land = landNeeded;
+    }
+
+    const deposits = new Set([
+      ...Object.keys(this.requiresDeposit?.underground || {}),
+      ...Object.keys(next.requiresDeposit?.underground || {})
+    ]);
+    deposits.forEach(deposit => {
+      const needed = upgradeCount * (next.requiresDeposit?.underground?.[deposit] || 0)
+        - removeCount * (this.requiresDeposit?.underground?.[deposit] || 0);
+      if (needed > 0) {
+        if (!cost.underground) cost.underground = {};
+        cost.underground[deposit] = needed;
+      }
+    });
+
+    return cost;
+  }
+
+  // Land and deposits are reserved rather than spent
+  isUpgradeReservation(category, resource) {
+    return resource === 'land' || category === 'underground';
+  }
+
+  canAffordUpgrade(upgradeCount = 1) {
+    const maxUpgrades = Math.ceil(this.count / this.getUpgradeRatio());
+    if (maxUpgrades === 0 || upgradeCount > maxUpgrades) return false;
+    const cost = this.getUpgradeCost(upgradeCount);
+    if (!cost) return false;
+    for (const category in cost) {
+      for (const resource in cost[category]) {
+        const res = resources[category][resource];
+        if (this.isUpgradeReservation(category, resource)) {
+          const available = res.value - (res.reserved || 0);
+          if (available < cost[category][resource]) {
+            return false;
+          }
+        } else if (res.value < cost[category][resource]) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  upgrade(upgradeCount = 1) {
+    const nextName = this.getNextTierName();
+    if (!nextName) return false;
+    const next = this.getTierStructure(nextName);
+    if (!next || !next.unlocked) return false;
+    if (!this.canAffordUpgrade(upgradeCount)) return false;
+    const cost = this.getUpgradeCost(upgradeCount);
+    const { activeToRemove, removeCount } = this.getUpgradeRemovals(upgradeCount);
+
+    // Pay cost
+    for (const category in cost) {
+      for (const resource in cost[category]) {
+        if (this.isUpgradeReservation(category, resource)) continue;
+        resources[category][resource].decrease(cost[category][resource]);
+      }
+    }
+
+    // Land is held by active buildings, deposits by every building
+    if (this.requiresLand) this.adjustLand(-activeToRemove);
+    if (next.requiresLand) next.adjustLand(upgradeCount);
+    this.releaseDeposit(resources, removeCount);
+    for (const deposit in next.requiresDeposit?.underground || {}) {
+      resources.underground[deposit].reserve(next.requiresDeposit.underground[deposit] * upgradeCount);
+    }
+
+    // Remove lower tier buildings
+    this.count -= removeCount;
+    this.active -= activeToRemove;
+    if (this.active < 0) this.active = 0;
+    this.updateResourceStorage();
+
+    // Add upgraded building
+    next.count += upgradeCount;
+    next.active += upgradeCount;
+    next.updateResourceStorage();
+
+    if (typeof emitGameEvent === 'function') {
+      emitGameEvent(this.getUpgradeEvent(), { from: this.name, to: nextName, count: upgradeCount });
+    }
+    return true;
+  }
+
   maxBuildable(reservePercent = 0) {
     let maxByResource = Infinity;
 
@@ -476,6 +668,9 @@ class Building extends EffectableEntity {
         this.productivity = 0;
       }
       this.updateResourceStorage();
+      if (typeof emitGameEvent === 'function') {
+        emitGameEvent(GAME_EVENTS.BUILDING_BUILT, { name: this.name, count: buildCount, structure: this });
+      }
       return true;
     }
     return false;
@@ -489,6 +684,49 @@ class Building extends EffectableEntity {
     }
   }
 
+  // Resources returned for demolishing `count` buildings at today's cost
+  getDemolishRefund(count = 1) {
+    const refund = {};
+    const share = Math.max(0, Math.min(this.demolishRefund ?? DEFAULT_DEMOLISH_REFUND, 1));
+    if (share === 0 || count <= 0) return refund;
+    const cost = this.getEffectiveCost(count);
+    for (const category in cost) {
+      for (const resource in cost[category]) {
+        if (!refund[category]) refund[category] = {};
+        refund[category][resource] = cost[category][resource] * share;
+      }
+    }
+    return refund;
+  }
+
+  // Removes buildings, inactive ones first, releasing their land and deposits
+  // and refunding part of their cost. Returns the refund, or null when nothing
+  // was demolished.
+  demolish(demolishCount = 1) {
+    const count = Math.min(Math.floor(demolishCount), this.count);
+    if (!(count > 0)) return null;
+    const activeToRemove = Math.max(0, count - (this.count - this.active));
+    const refund = this.getDemolishRefund(count);
+
+    for (const category in refund) {
+      for (const resource in refund[category]) {
+        resources[category][resource].increase(refund[category][resource]);
+      }
+    }
+    if (this.requiresLand && activeToRemove > 0) this.adjustLand(-activeToRemove);
+    this.releaseDeposit(resources, count);
+
+    this.count -= count;
+    this.active -= activeToRemove;
+    if (this.active === 0) this.productivity = 0;
+    this.updateResourceStorage();
+
+    if (typeof emitGameEvent === 'function') {
+      emitGameEvent(GAME_EVENTS.BUILDING_DEMOLISHED, { name: this.name, count, structure: this, refund });
+    }
+    return refund;
+  }
+
   releaseDeposit(resources, releaseCount = 1) {
     if (this.requiresDeposit) {
       for (const deposit in this.requiresDeposit.underground) {
@@ -497,33 +735,66 @@ class Building extends EffectableEntity {
     }
   }
 
-  // Method to calculate the base minRatio based on resource consumption and worker availability
+  // Method to calculate the base minRatio based on resource consumption and worker availability.
+  // The input that sets the ratio is kept in productivityLimit.
   calculateBaseMinRatio(resources, deltaTime) {
     let minRatio = Infinity;
+    let limit = null;
 
     // Calculate minRatio based on resource consumption
     for (const category in this.consumption) {
       for (const resource in this.consumption[category]) {
         const requiredAmount = resources[category][resource].consumptionRate * (deltaTime / 1000);
         if (requiredAmount === 0) continue;
-        const availableAmount = resources[category][resource].value + resources[category][resource].productionRate*(deltaTime / 1000);
-        if (availableAmount < requiredAmount) {
-          minRatio = Math.min(minRatio, Math.max(availableAmount / requiredAmount,0));
+        let ratio = 1;
+        if (category === 'colony' && resource === 'energy' && typeof energyPriorityManager !== 'undefined') {
+          // Energy is shared out by priority tier
+          ratio = energyPriorityManager.getAvailabilityRatio(this.energyPriority);
         } else {
-          minRatio = Math.min(minRatio, 1);
+          const availableAmount = resources[category][resource].value + resources[category][resource].productionRate*(deltaTime / 1000);
+          if (availableAmount < requiredAmount) {
+            ratio = Math.max(availableAmount / requiredAmount, 0);
+          }
         }
+        if (ratio < minRatio && ratio < 1) {
+          limit = { type: 'resource', category, resource, ratio };
+        }
+        minRatio = Math.min(minRatio, ratio);
       }
     }
 
     // Calculate minRatio based on worker availability if applicable
     if (this.getTotalWorkerNeed() > 0) {
       const workerRatio = populationModule.getWorkerAvailabilityRatio(this.workerPriority);
+      if (workerRatio < minRatio && workerRatio < 1) {
+        limit = { type: 'workers', ratio: workerRatio };
+      }
       minRatio = Math.min(minRatio, workerRatio);
     }
 
+    this.productivityLimit = limit;
     return minRatio;
   }
 
+  // Reason a subclass holds productivity below what its inputs allow, or null
+  getProductivityCapReason() {
+    return null;
+  }
+
+  // Called after updateProductivity. When a subclass cap cut deeper than the
+  // inputs did, the cap becomes the recorded limit.
+  finalizeProductivityLimit() {
+    if (this.active === 0) {
+      this.productivityLimit = null;
+      return;
+    }
+    const reason = this.getProductivityCapReason();
+    const inputTarget = this.productivityLimit ? this.productivityLimit.ratio : 1;
+    if (reason && this.productivity < inputTarget - 0.001) {
+      this.productivityLimit = { type: 'cap', reason, ratio: this.productivity };
+    }
+  }
+
   computeBaseProductivity(resources, deltaTime) {
     let targetProductivity = 0;
     if (this.active > 0) {
@@ -770,9 +1041,14 @@ const constructors = {
   solarPanel: 'solarPanel'
 };
 
-function loadConstructor(name) {
-  const ctorName = constructors[name];
-  if (!ctorName) return Building;
+// Class names a building's `type` may name, e.g. in a content pack
+function getBuildingClassNames() {
+  return ['Building', ...new Set(Object.values(constructors))];
+}
+
+function loadConstructor(name, type) {
+  const ctorName = type || constructors[name];
+  if (!ctorName || ctorName === 'Building') return Building;
   if (typeof globalThis !== 'undefined' && globalThis[ctorName]) {
     return globalThis[ctorName];
   }
@@ -792,7 +1068,7 @@ function initializeBuildings(buildingsParameters) {
     const buildingConfig = {
       ...buildingData
     };
-    const Ctor = loadConstructor(buildingName);
+    const Ctor = loadConstructor(buildingName, buildingData.type);
     buildings[buildingName] = new Ctor(buildingConfig, buildingName);
   }
   initializeBuildingTabs();
@@ -800,8 +1076,9 @@ function initializeBuildings(buildingsParameters) {
 }
 
 if (typeof module !== "undefined" && module.exports) {
-  module.exports = { Building, initializeBuildings };
+  module.exports = { Building, initializeBuildings, getBuildingClassNames };
 } else if (typeof globalThis !== 'undefined') {
   globalThis.Building = Building;
   globalThis.initializeBuildings = initializeBuildings;
+  globalThis.getBuildingClassNames = getBuildingClassNames;
 }
@@ -13,6 +13,23 @@ const buildingsParameters = {
     requiresDeposit: { underground: { ore: 1 } },
     requiresWorker: 0,
     maintenanceFactor: 1,
+    nextTier: 'oreMiningComplex',
+    unlocked: false
+  },
+  oreMiningComplex: {
+    name: 'Ore Mining Complex',
+    category: 'resource',
+    description: 'Ten ore mines consolidated around a single deep shaft. Produces more metal for less energy than the mines it replaces and keeps their ten ore deposits.',
+    cost: { colony: { metal: 500, components: 100 } },
+    consumption: { colony: { energy: 400000 } },
+    production: { colony: { metal: 12 } },
+    storage: {},
+    dayNightActivity: false,
+    canBeToggled: true,
+    requiresMaintenance: true,
+    requiresDeposit: { underground: { ore: 10 } },
+    requiresWorker: 0,
+    maintenanceFactor: 1,
     unlocked: false
   },
   sandQuarry: {
@@ -133,6 +150,22 @@ const buildingsParameters = {
     requiresMaintenance: true,
     requiresWorker: 100,
     maintenanceFactor: 1,
+    nextTier: 'componentMegafactory',
+    unlocked: false
+  },
+  componentMegafactory: {
+    name: 'Component Megafactory',
+    category: 'production',
+    description: 'Ten component factories merged onto automated lines. Needs fewer workers and less energy for the same output.',
+    cost: { colony: { metal: 10000, components: 1000, electronics: 500 } },
+    consumption: { colony: { energy: 200_000_000, metal: 60 } },
+    production: { colony: { components: 12 } },
+    storage: {},
+    dayNightActivity: false,
+    canBeToggled: true,
+    requiresMaintenance: true,
+    requiresWorker: 600,
+    maintenanceFactor: 1,
     unlocked: false
   },
   electronicsFactory: {
@@ -302,6 +335,22 @@ const buildingsParameters = {
     requiresMaintenance: true,
     requiresWorker: 0,
     maintenanceFactor: 1,
+    nextTier: 'nuclearPowerComplex',
+    unlocked: false
+  },
+  nuclearPowerComplex: {
+    name: 'Nuclear Power Complex',
+    category: 'energy',
+    description: 'Ten reactors sharing one cooling loop and control room. Produces more energy than the plants it replaces.  Consumes water.',
+    cost: { colony: { metal: 100000, components: 5000, electronics: 5000 } },
+    consumption: { colony: { metal: 5, water: 500 } },
+    production: { colony: { energy: 6_000_000_000 }, atmospheric: { atmosphericWater: 500 } },
+    storage: {},
+    dayNightActivity: false,
+    canBeToggled: true,
+    requiresMaintenance: true,
+    requiresWorker: 0,
+    maintenanceFactor: 1,
     unlocked: false
   },
   fusionPowerPlant: {
@@ -353,11 +402,12 @@ const buildingsParameters = {
   battery: {
     name: 'Battery',
     category: 'storage',
-    description: 'Stores energy generated by renewable sources to ensure uninterrupted power supply.  Requires low maintenance.',
+    description: 'Stores energy generated by renewable sources to ensure uninterrupted power supply, with little loss.  Requires low maintenance.',
     cost: { colony: { metal: 100} },
     consumption: {},
     production: {},
     storage: { colony: { energy: 10_000_000 } },
+    energyStorage: { chargeRate: 1_000_000, efficiency: 0.9 },
     dayNightActivity: false,
     canBeToggled: true,
     requiresMaintenance: true,
@@ -397,11 +447,12 @@ const buildingsParameters = {
   hydrogenBattery: {
     name: 'Hydrogen Battery',
     category: 'storage',
-    description: 'Stores energy in the form of hydrogen.',
+    description: 'Stores energy in the form of hydrogen.  Holds far more than a battery, but loses 40% of the energy put in.',
     cost: { colony: { metal: 100, water: 100} },
     consumption: {},
     production: {},
     storage: { colony: { energy: 200_000_000 } },
+    energyStorage: { chargeRate: 5_000_000, efficiency: 0.6 },
     dayNightActivity: false,
     canBeToggled: true,
     requiresMaintenance: true,
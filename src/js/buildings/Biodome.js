@@ -1,16 +1,24 @@
 class Biodome extends Building {
-  updateProductivity(resources, deltaTime) {
-    if (
+  lifeCannotSurvive() {
+    return (
       typeof lifeDesigner !== 'undefined' &&
       lifeDesigner.currentDesign &&
       typeof lifeDesigner.currentDesign.canSurviveAnywhere === 'function' &&
       !lifeDesigner.currentDesign.canSurviveAnywhere()
-    ) {
+    );
+  }
+
+  updateProductivity(resources, deltaTime) {
+    if (this.lifeCannotSurvive()) {
       this.productivity = 0;
       return;
     }
     super.updateProductivity(resources, deltaTime);
   }
+
+  getProductivityCapReason() {
+    return this.lifeCannotSurvive() ? 'Life design cannot survive anywhere' : null;
+  }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -290,6 +290,16 @@ class GhgFactory extends Building {
     }
   }
 
+  hasBuiltInRecipeControl() {
+    return ghgFactorySettings.autoDisableAboveTemp && this.isBooleanFlagSet('terraformingBureauFeature');
+  }
+
+  getProductivityCapReason() {
+    return ghgFactorySettings.autoDisableAboveTemp && this.isBooleanFlagSet('terraformingBureauFeature')
+      ? 'Temperature automation'
+      : null;
+  }
+
   initUI(autoBuildContainer, cache) {
     if (!autoBuildContainer || !cache) return;
 
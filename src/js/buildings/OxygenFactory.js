@@ -67,6 +67,12 @@ class OxygenFactory extends Building {
     }
   }
 
+  getProductivityCapReason() {
+    return oxygenFactorySettings.autoDisableAbovePressure && this.isBooleanFlagSet('terraformingBureauFeature')
+      ? 'Oxygen pressure automation'
+      : null;
+  }
+
   initUI(autoBuildContainer, cache) {
     if (!autoBuildContainer || !cache) return;
 
@@ -15,6 +15,10 @@ class DysonReceiver extends Building {
     const maxProductivity = totalEnergy / (perBuilding * this.active);
     this.productivity = Math.min(targetProductivity, maxProductivity);
   }
+
+  getProductivityCapReason() {
+    return 'Dyson Swarm collectors';
+  }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -15,6 +15,7 @@ class Colony extends Building {
     this.baseComfort = config.baseComfort || 0;  // Default to 0 if not provided in the config
     this.filledNeeds = {};
     this.obsolete = false;
+    this.energyPriority = 1; // Life support is served before other consumers
 
     // Initialize luxury resource flags
     this.luxuryResourcesEnabled = {};
@@ -89,6 +90,9 @@ class Colony extends Building {
     let minRatio = this.calculateBaseMinRatio(resources, deltaTime);
     const populationRatio = this.getConsumptionRatio();
 
+    if (populationRatio < minRatio && populationRatio < 1) {
+      this.productivityLimit = { type: 'colonists', ratio: populationRatio };
+    }
     minRatio = Math.min(minRatio, populationRatio);
 
     const targetProductivity = Math.max(0, Math.min(1, minRatio));
@@ -246,6 +250,7 @@ class Colony extends Building {
   // Override calculateBaseMinRatio to exclude luxury resources from productivity calculation
   calculateBaseMinRatio(resources, deltaTime) {
       let minRatio = Infinity;
+      let limit = null;
 
       // Calculate minRatio based on NON-LUXURY resource consumption
       for (const category in this.consumption) {
@@ -258,6 +263,15 @@ class Colony extends Building {
               // Original logic from Building class for non-luxury resources
               const requiredAmount = resources[category][resource].consumptionRate * (deltaTime / 1000);
               if (requiredAmount === 0) continue;
+              if (category === 'colony' && resource === 'energy' && typeof energyPriorityManager !== 'undefined') {
+                  // Energy is shared out by priority tier
+                  const ratio = energyPriorityManager.getAvailabilityRatio(this.energyPriority);
+                  if (ratio < minRatio && ratio < 1) {
+                     limit = { type: 'need', category, resource, ratio };
+                  }
+                  minRatio = Math.min(minRatio, ratio);
+                  continue;
+              }
               // Use available value directly, production rate during the tick shouldn't affect availability *for* consumption in the same tick
               const availableAmount = resources[category][resource].value;
               if (availableAmount < requiredAmount) {
@@ -269,8 +283,11 @@ class Colony extends Building {
                   } else {
                      // Calculate ratio based on production vs consumption *rates* if available amount is insufficient
                      const productionRate = resources[category][resource].productionRate;
-                     const ratio = productionRate / consumptionRate;
-                     minRatio = Math.min(minRatio, Math.max(ratio, 0)); // Ensure ratio isn't negative
+                     const ratio = Math.max(productionRate / consumptionRate, 0); // Ensure ratio isn't negative
+                     if (ratio < minRatio && ratio < 1) {
+                        limit = { type: 'need', category, resource, ratio };
+                     }
+                     minRatio = Math.min(minRatio, ratio);
                   }
 
               } else {
@@ -281,6 +298,8 @@ class Colony extends Building {
 
       // Worker check is NOT needed here because Colony's overridden updateProductivity handles population ratio separately.
 
+      this.productivityLimit = limit;
+
       // If no non-luxury resources are consumed, or if all needs are met, return 1.
       return minRatio === Infinity ? 1 : minRatio;
   }
@@ -291,105 +310,24 @@ class Colony extends Building {
     return index >= 0 && index < tiers.length - 1 ? tiers[index + 1] : null;
   }
 
-  getUpgradeCost(upgradeCount = 1) {
-    const nextName = this.getNextTierName();
-    if (!nextName) return null;
-    const next = colonies[nextName];
-    if (!next) return null;
-
-    const nextCost = next.getEffectiveCost(1);
-    const cost = {};
-    const amount = upgradeCount * 10;
-    const activeToRemove = Math.min(amount, this.active);
-    const inactiveToRemove = Math.min(amount - activeToRemove, this.count - this.active);
-    const removeCount = activeToRemove + inactiveToRemove;
-    const missingRatio = (amount - removeCount) / amount;
-
-    for (const category in nextCost) {
-      for (const resource in nextCost[category]) {
-        const baseAmount = nextCost[category][resource] * upgradeCount;
-        let value = 0;
-        if (nextName === 't7_colony' && resource === 'superalloys') {
-          value = baseAmount;
-        } else if (resource === 'metal' || resource === 'glass') {
-          value = baseAmount * (0.5 + 0.5 * missingRatio);
-        } else if (resource === 'water') {
-          value = baseAmount * missingRatio;
-        }
-        if (value > 0) {
-          if (!cost[category]) cost[category] = {};
-          cost[category][resource] = value;
-        }
-      }
+  // Upgrades pay metal and glass at half price (full price for any missing
+  // colonies) and water only for the missing ones; t7 pays its superalloys.
+  // Everything else is waived, even for missing colonies.
+  getUpgradeResourceCost(resource, baseAmount, missingRatio, nextName) {
+    if (nextName === 't7_colony' && resource === 'superalloys') {
+      return baseAmount;
     }
-
-    let landNeeded = upgradeCount * next.requiresLand + inactiveToRemove * (this.requiresLand || 0) - activeToRemove * (this.requiresLand || 0);
-    if (landNeeded > 0) {
-      if (!cost.surface) cost.surface = {};
-      cost.surface.land = landNeeded;
+    if (resource === 'metal' || resource === 'glass') {
+      return baseAmount * (0.5 + 0.5 * missingRatio);
     }
-
-    return cost;
-  }
-
-  canAffordUpgrade(upgradeCount = 1) {
-    const maxUpgrades = Math.ceil(this.count / 10);
-    if (maxUpgrades === 0 || upgradeCount > maxUpgrades) return false;
-    const cost = this.getUpgradeCost(upgradeCount);
-    if (!cost) return false;
-    for (const category in cost) {
-      for (const resource in cost[category]) {
-        if (resource === 'land') {
-          const available = resources[category][resource].value - resources[category][resource].reserved;
-          if (available < cost[category][resource]) {
-            return false;
-          }
-        } else if (resources[category][resource].value < cost[category][resource]) {
-          return false;
-        }
-      }
+    if (resource === 'water') {
+      return baseAmount * missingRatio;
     }
-    return true;
+    return 0;
   }
 
-  upgrade(upgradeCount = 1) {
-    const nextName = this.getNextTierName();
-    if (!nextName) return false;
-    const next = colonies[nextName];
-    if (!next || !next.unlocked) return false;
-    if (!this.canAffordUpgrade(upgradeCount)) return false;
-    const cost = this.getUpgradeCost(upgradeCount);
-    const amount = upgradeCount * 10;
-
-    // Determine how many colonies to remove, prioritizing active ones
-    const activeToRemove = Math.min(amount, this.active);
-    const inactiveToRemove = Math.min(amount - activeToRemove, this.count - this.active);
-    const removeCount = activeToRemove + inactiveToRemove;
-
-    // Pay cost
-    for (const category in cost) {
-      for (const resource in cost[category]) {
-        if (resource === 'land') continue;
-        resources[category][resource].decrease(cost[category][resource]);
-      }
-    }
-
-    // Adjust land usage
-    if (this.requiresLand) this.adjustLand(-activeToRemove);
-    if (next.requiresLand) next.adjustLand(upgradeCount);
-
-    // Remove lower tier buildings
-    this.count -= removeCount;
-    this.active -= activeToRemove;
-    if (this.active < 0) this.active = 0;
-    this.updateResourceStorage();
-
-    // Add upgraded building
-    next.count += upgradeCount;
-    next.active += upgradeCount;
-    next.updateResourceStorage();
-
-    return true;
+  getUpgradeEvent() {
+    return GAME_EVENTS.COLONY_UPGRADED;
   }
 
   enable(tierName){
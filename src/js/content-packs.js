@@ -0,0 +1,496 @@
+(function(){
+  // Content packs are JSON files that add or override entries in the core
+  // parameter tables without editing them:
+  //   {
+  //     "id": "hard-mode", "name": "Hard Mode",
+  //     "buildings": { "oreMine": { "cost": { "colony": { "metal": 100 } } } },
+  //     "colonies":  { ... }, "projects": { ... },
+  //     "research":  { "energy": [ { "id": "solar_efficiency", "cost": { "research": 200 } } ] }
+  //   }
+  // Existing entries are deep merged (a null value removes a field); new
+  // entries must be complete. Packs are validated before anything is changed.
+  const CONTENT_PACK_STORAGE_KEY = 'contentPacks';
+  const PACK_SECTIONS = ['buildings', 'colonies', 'projects', 'research'];
+  const PACK_META_FIELDS = ['id', 'name', 'description', 'version'];
+  const COST_FIELDS = ['cost', 'consumption', 'production', 'storage'];
+
+  const REQUIRED_FIELDS = {
+    buildings: ['name', 'category', 'description', 'cost', 'consumption', 'production', 'storage', 'dayNightActivity', 'canBeToggled', 'requiresMaintenance', 'maintenanceFactor', 'unlocked'],
+    colonies: ['name', 'category', 'description', 'cost', 'consumption', 'production', 'storage', 'baseComfort', 'dayNightActivity', 'canBeToggled', 'requiresMaintenance', 'maintenanceFactor', 'unlocked'],
+    projects: ['name', 'category', 'description', 'cost', 'duration'],
+    research: ['id', 'name', 'description', 'cost', 'prerequisites', 'effects']
+  };
+
+  // Effect types come from effectable-entity.js, which keeps the list next to
+  // applyEffect. Looked up when a pack is validated, since this script loads
+  // before it.
+  function getKnownEffectTypes() {
+    let entity = typeof EffectableEntity !== 'undefined' ? EffectableEntity : null;
+    if (!entity && typeof require === 'function') {
+      try { entity = require('./effectable-entity.js'); } catch (_) { entity = null; }
+    }
+    return new Set(entity?.EFFECT_TYPES || []);
+  }
+
+  // Effect targets understood by addOrRemoveEffect
+  const KNOWN_EFFECT_TARGETS = new Set([
+    'fundingModule', 'population', 'projectManager', 'tab', 'tabContent', 'global', 'terraforming',
+    'lifeDesigner', 'lifeManager', 'oreScanner', 'researchManager', 'solisManager', 'spaceManager',
+    'warpGateCommand', 'rwgManager', 'nanotechManager', 'colonySliders',
+    'building', 'project', 'colony', 'resource'
+  ]);
+
+  class ContentPackError extends Error {
+    constructor(packName, errors) {
+      super(`Content pack "${packName}" is invalid:\n- ${errors.join('\n- ')}`);
+      this.name = 'ContentPackError';
+      this.errors = errors;
+    }
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // Merge `patch` into `target` in place. Objects merge, everything else
+  // (including arrays) is replaced and null removes the field.
+  function deepMerge(target, patch) {
+    for (const key in patch) {
+      const value = patch[key];
+      if (value === null) {
+        delete target[key];
+      } else if (isPlainObject(value) && isPlainObject(target[key])) {
+        deepMerge(target[key], value);
+      } else {
+        target[key] = clone(value);
+      }
+    }
+    return target;
+  }
+
+  function findResearch(research, id) {
+    for (const category in research) {
+      const entry = (research[category] || []).find(r => r.id === id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  // Names of every entry once the pack is applied, used to check targetIds
+  function collectIds(pack, tables) {
+    const ids = {
+      buildings: new Set(Object.keys(tables.buildings || {})),
+      colonies: new Set(Object.keys(tables.colonies || {})),
+      projects: new Set(Object.keys(tables.projects || {})),
+      research: new Set()
+    };
+    ['buildings', 'colonies', 'projects'].forEach(section => {
+      Object.keys(pack[section] || {}).forEach(name => ids[section].add(name));
+    });
+    [tables.research || {}, pack.research || {}].forEach(research => {
+      for (const category in research) {
+        if (!Array.isArray(research[category])) continue;
+        research[category].forEach(r => { if (r && r.id) ids.research.add(r.id); });
+      }
+    });
+    return ids;
+  }
+
+  function checkResourceMap(map, path, resources, errors) {
+    if (!isPlainObject(map)) {
+      errors.push(`${path}: expected an object of resource categories`);
+      return;
+    }
+    for (const category in map) {
+      if (!resources[category]) {
+        errors.push(`${path}.${category}: unknown resource category "${category}"`);
+        continue;
+      }
+      if (!isPlainObject(map[category])) {
+        errors.push(`${path}.${category}: expected an object of resources`);
+        continue;
+      }
+      for (const name in map[category]) {
+        if (!resources[category][name]) {
+          errors.push(`${path}.${category}.${name}: unknown resource "${name}" in category "${category}"`);
+        } else if (typeof map[category][name] !== 'number') {
+          errors.push(`${path}.${category}.${name}: expected a number`);
+        }
+      }
+    }
+  }
+
+  function checkEffects(effects, path, ids, resources, errors) {
+    if (!Array.isArray(effects)) {
+      errors.push(`${path}: expected an array of effects`);
+      return;
+    }
+    const knownEffectTypes = getKnownEffectTypes();
+    effects.forEach((effect, index) => {
+      const effectPath = `${path}[${index}]`;
+      if (!isPlainObject(effect)) {
+        errors.push(`${effectPath}: expected an effect object`);
+        return;
+      }
+      if (!knownEffectTypes.has(effect.type)) {
+        errors.push(`${effectPath}.type: unknown effect type "${effect.type}"`);
+      }
+      if (!KNOWN_EFFECT_TARGETS.has(effect.target)) {
+        errors.push(`${effectPath}.target: unknown effect target "${effect.target}"`);
+        return;
+      }
+      const idSets = { building: ids.buildings, colony: ids.colonies, project: ids.projects };
+      if (idSets[effect.target] && !idSets[effect.target].has(effect.targetId)) {
+        errors.push(`${effectPath}.targetId: no ${effect.target} named "${effect.targetId}"`);
+      } else if (effect.target === 'resource'
+        && !(resources[effect.resourceType] && resources[effect.resourceType][effect.targetId])) {
+        errors.push(`${effectPath}.targetId: no resource "${effect.resourceType}.${effect.targetId}"`);
+      } else if (effect.type === 'completeResearch' && !ids.research.has(effect.targetId)) {
+        errors.push(`${effectPath}.targetId: no research with id "${effect.targetId}"`);
+      }
+    });
+  }
+
+  function checkEntry(section, name, entry, existing, path, context, errors) {
+    const { ids, resources, buildingTypes } = context;
+    if (!isPlainObject(entry)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (!existing) {
+      REQUIRED_FIELDS[section].forEach(field => {
+        if (entry[field] === undefined || entry[field] === null) {
+          errors.push(`${path}: new entry is missing required field "${field}"`);
+        }
+      });
+    }
+    if (section === 'research') {
+      if (entry.cost !== undefined && entry.cost !== null) {
+        if (!isPlainObject(entry.cost)) {
+          errors.push(`${path}.cost: expected an object of colony resources`);
+        } else {
+          for (const res in entry.cost) {
+            if (!resources.colony || !resources.colony[res]) {
+              errors.push(`${path}.cost.${res}: unknown colony resource "${res}"`);
+            }
+          }
+        }
+      }
+      if (entry.prerequisites !== undefined && entry.prerequisites !== null) {
+        if (!Array.isArray(entry.prerequisites)) {
+          errors.push(`${path}.prerequisites: expected an array of research ids`);
+        } else {
+          entry.prerequisites.forEach(id => {
+            if (!ids.research.has(id)) errors.push(`${path}.prerequisites: no research with id "${id}"`);
+          });
+        }
+      }
+      if (entry.effects !== undefined && entry.effects !== null) {
+        checkEffects(entry.effects, `${path}.effects`, ids, resources, errors);
+      }
+      return;
+    }
+    COST_FIELDS.forEach(field => {
+      if (entry[field] !== undefined && entry[field] !== null) {
+        checkResourceMap(entry[field], `${path}.${field}`, resources, errors);
+      }
+    });
+    if (section === 'buildings' && entry.type !== undefined) {
+      if (!buildingTypes.includes(entry.type)) {
+        errors.push(`${path}.type: unknown building class "${entry.type}" (expected one of ${buildingTypes.join(', ')})`);
+      }
+    }
+    if (section === 'colonies' && entry.type !== undefined) {
+      errors.push(`${path}.type: colonies do not support a custom class`);
+    }
+    if (section === 'projects') {
+      if (entry.type !== undefined && entry.type !== 'Project'
+        && typeof globalThis[entry.type] !== 'function') {
+        errors.push(`${path}.type: unknown project class "${entry.type}"`);
+      }
+      const completion = entry.attributes && entry.attributes.completionEffect;
+      if (completion !== undefined && completion !== null) {
+        checkEffects(completion, `${path}.attributes.completionEffect`, ids, resources, errors);
+      }
+    }
+  }
+
+  /**
+   * Check a content pack against the parameter tables it would change.
+   * `tables` holds { buildings, colonies, projects, research, resources }.
+   * Returns a list of error messages, empty when the pack is valid.
+   */
+  function validateContentPack(pack, tables) {
+    const errors = [];
+    if (!isPlainObject(pack)) {
+      return ['Content pack must be a JSON object'];
+    }
+    if (typeof pack.id !== 'string' || !pack.id.trim()) {
+      errors.push('id: a content pack needs a non-empty string id');
+    }
+    for (const key in pack) {
+      if (!PACK_SECTIONS.includes(key) && !PACK_META_FIELDS.includes(key)) {
+        errors.push(`${key}: unknown section (expected ${PACK_SECTIONS.join(', ')})`);
+      }
+    }
+    const context = {
+      ids: collectIds(pack, tables),
+      resources: tables.resources || {},
+      buildingTypes: typeof getBuildingClassNames === 'function' ? getBuildingClassNames() : ['Building']
+    };
+    ['buildings', 'colonies', 'projects'].forEach(section => {
+      const entries = pack[section];
+      if (entries === undefined) return;
+      if (!isPlainObject(entries)) {
+        errors.push(`${section}: expected an object keyed by entry name`);
+        return;
+      }
+      for (const name in entries) {
+        const existing = tables[section] && tables[section][name];
+        checkEntry(section, name, entries[name], existing, `${section}.${name}`, context, errors);
+      }
+    });
+    if (pack.research !== undefined) {
+      if (!isPlainObject(pack.research)) {
+        errors.push('research: expected an object keyed by research category');
+      } else {
+        for (const category in pack.research) {
+          const list = pack.research[category];
+          if (!tables.research || !tables.research[category]) {
+            errors.push(`research.${category}: unknown research category "${category}"`);
+            continue;
+          }
+          if (!Array.isArray(list)) {
+            errors.push(`research.${category}: expected an array of research entries`);
+            continue;
+          }
+          list.forEach((entry, index) => {
+            const path = `research.${category}[${index}]`;
+            if (!entry || typeof entry.id !== 'string') {
+              errors.push(`${path}.id: research entries need a string id`);
+              return;
+            }
+            checkEntry('research', entry.id, entry, findResearch(tables.research, entry.id), path, context, errors);
+          });
+        }
+      }
+    }
+    return errors;
+  }
+
+  // Validate and merge a pack into the tables in place. Throws a
+  // ContentPackError listing every problem and leaves the tables untouched
+  // when the pack is invalid.
+  function applyContentPack(pack, tables) {
+    const errors = validateContentPack(pack, tables);
+    if (errors.length > 0) {
+      throw new ContentPackError((pack && (pack.name || pack.id)) || 'unnamed', errors);
+    }
+    ['buildings', 'colonies', 'projects'].forEach(section => {
+      for (const name in pack[section] || {}) {
+        if (tables[section][name]) {
+          deepMerge(tables[section][name], pack[section][name]);
+        } else {
+          tables[section][name] = clone(pack[section][name]);
+        }
+      }
+    });
+    for (const category in pack.research || {}) {
+      pack.research[category].forEach(entry => {
+        const existing = findResearch(tables.research, entry.id);
+        if (existing) {
+          deepMerge(existing, entry);
+        } else {
+          tables.research[category].push(clone(entry));
+        }
+      });
+    }
+    return pack;
+  }
+
+  function getCoreContentTables() {
+    return {
+      buildings: typeof buildingsParameters !== 'undefined' ? buildingsParameters : {},
+      colonies: typeof colonyParameters !== 'undefined' ? colonyParameters : {},
+      projects: typeof projectParameters !== 'undefined' ? projectParameters : {},
+      research: typeof researchParameters !== 'undefined' ? researchParameters : {},
+      resources: typeof defaultPlanetParameters !== 'undefined' ? defaultPlanetParameters.resources : {}
+    };
+  }
+
+  function getStoredContentPacks() {
+    try {
+      return JSON.parse(localStorage.getItem(CONTENT_PACK_STORAGE_KEY)) || [];
+    } catch (e) {
+      console.warn('Unable to read stored content packs:', e);
+      return [];
+    }
+  }
+
+  function setStoredContentPacks(packs) {
+    localStorage.setItem(CONTENT_PACK_STORAGE_KEY, JSON.stringify(packs));
+  }
+
+  // Errors from the packs applied at startup, shown in the settings tab
+  const contentPackLoadErrors = [];
+
+  // Apply the installed packs to the core tables. Called once before the
+  // game objects are created; a broken pack is skipped and reported.
+  function applyStoredContentPacks() {
+    const tables = getCoreContentTables();
+    const applied = [];
+    getStoredContentPacks().forEach(pack => {
+      try {
+        applyContentPack(pack, tables);
+        applied.push(pack.id);
+      } catch (e) {
+        console.error(e.message);
+        contentPackLoadErrors.push(e.message);
+      }
+    });
+    if (applied.length > 0) {
+      console.log(`Applied content packs: ${applied.join(', ')}`);
+    }
+    return applied;
+  }
+
+  // Validate a pack against the core tables plus the packs already installed
+  // and store it. Returns the list of errors; the pack is stored only when
+  // that list is empty. The new content takes effect after a reload.
+  function installContentPack(pack) {
+    const installed = getStoredContentPacks().filter(p => !pack || p.id !== pack.id);
+    const tables = clone(getCoreContentTables());
+    installed.forEach(p => {
+      try { applyContentPack(p, tables); } catch (e) { /* reported at startup */ }
+    });
+    const errors = validateContentPack(pack, tables);
+    if (errors.length === 0) {
+      installed.push(pack);
+      setStoredContentPacks(installed);
+    }
+    return errors;
+  }
+
+  function removeContentPack(id) {
+    setStoredContentPacks(getStoredContentPacks().filter(p => p.id !== id));
+  }
+
+  function showContentPackErrors(title, errors) {
+    if (typeof document === 'undefined') return;
+    const overlay = document.createElement('div');
+    overlay.classList.add('popup-overlay');
+    const win = document.createElement('div');
+    win.classList.add('popup-window');
+    const heading = document.createElement('h2');
+    heading.classList.add('popup-title');
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    list.classList.add('content-pack-errors');
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('popup-close-button');
+    closeButton.textContent = 'OK';
+    closeButton.addEventListener('click', () => {
+      if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+    });
+    win.appendChild(heading);
+    win.appendChild(list);
+    win.appendChild(closeButton);
+    overlay.appendChild(win);
+    document.body.appendChild(overlay);
+  }
+
+  function loadContentPackFromFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function(e) {
+      let pack;
+      try {
+        pack = JSON.parse(e.target.result);
+      } catch (err) {
+        showContentPackErrors('Content pack not loaded', [`${file.name} is not valid JSON: ${err.message}`]);
+        return;
+      }
+      const errors = installContentPack(pack);
+      if (errors.length > 0) {
+        showContentPackErrors(`Content pack "${(pack && (pack.name || pack.id)) || file.name}" not loaded`, errors);
+        return;
+      }
+      renderContentPackList();
+      if (confirm('Content pack installed. Reload the game now to apply it? Your progress is autosaved first.')) {
+        Promise.resolve(typeof saveGameToSlot === 'function' ? saveGameToSlot('autosave') : null)
+          .then(() => location.reload());
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
+  // List installed packs in the settings tab
+  function renderContentPackList() {
+    if (typeof document === 'undefined') return;
+    const list = document.getElementById('content-pack-list');
+    if (!list) return;
+    list.innerHTML = '';
+    const packs = getStoredContentPacks();
+    if (packs.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No content packs installed';
+      list.appendChild(empty);
+    }
+    packs.forEach(pack => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = pack.name ? `${pack.name} (${pack.id})` : pack.id;
+      const removeButton = document.createElement('button');
+      removeButton.classList.add('delete-button');
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => {
+        if (confirm(`Remove content pack "${pack.name || pack.id}"? It stays active until the game is reloaded.`)) {
+          removeContentPack(pack.id);
+          renderContentPackList();
+        }
+      });
+      item.appendChild(label);
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+    contentPackLoadErrors.forEach(message => {
+      const item = document.createElement('li');
+      item.classList.add('content-pack-error');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      ContentPackError,
+      deepMerge,
+      validateContentPack,
+      applyContentPack,
+      installContentPack,
+      getStoredContentPacks,
+      removeContentPack
+    };
+  } else {
+    globalThis.ContentPackError = ContentPackError;
+    globalThis.validateContentPack = validateContentPack;
+    globalThis.applyContentPack = applyContentPack;
+    globalThis.applyStoredContentPacks = applyStoredContentPacks;
+    globalThis.getCoreContentTables = getCoreContentTables;
+    globalThis.installContentPack = installContentPack;
+    globalThis.removeContentPack = removeContentPack;
+    globalThis.loadContentPackFromFile = loadContentPackFromFile;
+    globalThis.renderContentPackList = renderContentPackList;
+  }
+})();
@@ -2,6 +2,7 @@ let dayNightContainer = null;
 let dayNightProgressBar = null;
 let dayNightProgressText = null;
 let dayNightSun = null; // NEW
+let dayNightForecast = null;
 
 class DayNightCycle {
     constructor(dayDuration) {
@@ -60,6 +61,7 @@ function resetDayNightContainerCache() {
   dayNightProgressBar = null;
   dayNightProgressText = null;
   dayNightSun = null; // NEW
+  dayNightForecast = null;
 }
 
 function ensureSun(container) {
@@ -141,8 +143,58 @@ function updateDayNightDisplay() {
   if (dayNightProgressText) {
     dayNightProgressText.textContent = `Day Cycle: ${dayProgressPercent.toFixed(1)}%`;
   }
+
+  if (!dayNightForecast) dayNightForecast = document.getElementById('day-night-storage-forecast');
+  if (dayNightForecast) updateNightStorageForecast(dayNightForecast);
+}
+
+// Whether stored energy lasts through the next night, for sizing batteries
+// against solar production. Details go in the element's tooltip.
+function updateNightStorageForecast(element) {
+  const energy = typeof resources !== 'undefined' ? resources?.colony?.energy : null;
+  const forecast = energy && energy.unlocked && typeof energyStorageManager !== 'undefined'
+    ? energyStorageManager.forecastNight(energy, typeof buildings !== 'undefined' ? buildings : {}, dayNightCycle)
+    : null;
+  if (!forecast || !(forecast.nightDeficit > 0)) {
+    element.textContent = '';
+    element.title = '';
+    return;
+  }
+
+  const storage = energyStorageManager;
+  const lines = [
+    `Night deficit: ${formatNumber(-forecast.nightNetRate, false, 2)}/s for ${formatDuration(forecast.nightSeconds)} (${formatNumber(forecast.nightDeficit, false, 2)})`,
+    `${forecast.isDay ? 'Stored at nightfall' : 'Stored now'}: ${formatNumber(forecast.storedAtNightfall, false, 2)}`,
+    `Usable overnight: ${formatNumber(forecast.deliverable, false, 2)}`
+  ];
+  if (storage.capacity > 0) {
+    lines.push(`Batteries: ${formatNumber(storage.capacity, false, 2)} capacity, ${formatNumber(storage.rate, false, 2)}/s charge rate, ${Math.round(storage.efficiency * 100)}% round-trip efficiency`);
+  }
+  if (storage.chargeRate > 0) {
+    lines.push(`Charging: ${formatNumber(storage.chargeRate, false, 2)}/s, losing ${formatNumber(storage.lossRate, false, 2)}/s`);
+  }
+  if (storage.curtailedRate > 0) {
+    lines.push(`Surplus above the charge rate: ${formatNumber(storage.curtailedRate, false, 2)}/s`);
+  }
+
+  if (forecast.covered) {
+    element.textContent = 'Storage covers the night';
+    element.style.color = '';
+  } else {
+    element.textContent = `Night shortfall: ${formatNumber(forecast.shortfall, false, 2)}`;
+    element.style.color = 'orange';
+    const battery = typeof buildings !== 'undefined' ? buildings?.battery : null;
+    const needed = storage.getBuildingsToCover(forecast, battery);
+    if (forecast.limitedBy === 'generation') {
+      lines.push('Not enough daytime surplus to fill storage before nightfall');
+    } else if (needed > 0) {
+      const reason = forecast.limitedBy === 'discharge' ? 'discharge rate' : 'capacity';
+      lines.push(`${battery.displayName} needed to cover it: about ${formatBigInteger(needed)} more (${reason})`);
+    }
+  }
+  element.title = lines.join('\n');
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { DayNightCycle, rotationPeriodToDuration, updateDayNightDisplay, resetDayNightContainerCache };
+  module.exports = { DayNightCycle, rotationPeriodToDuration, updateDayNightDisplay, updateNightStorageForecast, resetDayNightContainerCache };
 }
@@ -417,6 +417,22 @@
     globalThis.fastForwardToEquilibrium = fastForwardToEquilibrium;
     globalThis.generateOverrideSnippet = generateOverrideSnippet;
     globalThis.reconstructJournalState = reconstructJournalState;
+    globalThis.checkSaveIntegrity = function() {
+      if (typeof validateGameState !== 'function') {
+        console.error('Save integrity checker not available');
+        return [];
+      }
+      const report = validateGameState();
+      if (report.length) {
+        console.log('Save integrity repairs:', report);
+        if (typeof showSaveRepairReport === 'function') {
+          showSaveRepairReport(report);
+        }
+      } else {
+        console.log('Save integrity check found no problems');
+      }
+      return report;
+    };
     globalThis.runEquilibriumCalculation = function(terraformingInstance) {
       if (terraformingInstance && typeof terraformingInstance.calculateInitialValues === 'function') {
         console.log('Calling calculateEquilibriumConstants. initialValuesCalculated =', terraformingInstance.initialValuesCalculated);
@@ -593,6 +593,37 @@ class EffectableEntity {
     }
 }
 
+// Effect types applyEffect handles, here or in a subclass override
+// (spaceManager, rwgManager) or through the getEffective* helpers. Content
+// packs validate against this list, so extend it with every new effect type.
+EffectableEntity.EFFECT_TYPES = Object.freeze([
+  'increaseResourceGain', 'productionMultiplier', 'consumptionMultiplier', 'maintenanceMultiplier',
+  'resourceConsumptionMultiplier', 'resourceProductionMultiplier', 'resourceCostMultiplier',
+  'spaceshipCostMultiplier', 'maintenanceCostMultiplier', 'addedWorkerNeed', 'workerMultiplier',
+  'workerRatio', 'addResourceConsumption', 'enable', 'enableContent', 'activateTab', 'activateSubtab',
+  'booleanFlag', 'enableReversal', 'solisTabAlert', 'oneTimeStart', 'instantResourceGain',
+  'setFundingRate', 'fundingBonus', 'baseStorageBonus', 'globalCostReduction', 'globalPopulationGrowth',
+  'globalWorkerReduction', 'globalResearchBoost', 'globalMaintenanceReduction',
+  'scanningSpeedMultiplier', 'shipEfficiency', 'shipCapacityMultiplier', 'projectDurationReduction',
+  'projectDurationMultiplier', 'researchCostMultiplier', 'completeResearch', 'lifeDesignPointBonus',
+  'lifeGrowthMultiplier', 'storageMultiplier', 'setRwgLock', 'extraTerraformedWorlds', 'unlockOrbit',
+  'lockOrbit', 'solisPoints', 'wgcHighestDifficulty'
+]);
+
+// Flat per-building amounts, keyed by the field holding the amount. A higher
+// tier building replaces upgradeRatio of the one below, so these are scaled
+// by the ratio when an effect is passed up; multipliers pass up unchanged.
+const TIER_SCALED_EFFECT_FIELDS = {
+  addedWorkerNeed: 'value',
+  addResourceConsumption: 'amount'
+};
+
+function scaleEffectForTier(effect, ratio) {
+  const field = TIER_SCALED_EFFECT_FIELDS[effect.type];
+  if (!field || ratio === 1 || typeof effect[field] !== 'number') return effect;
+  return { ...effect, [field]: effect[field] * ratio };
+}
+
 function addOrRemoveEffect(effect, action) {
   const targetHandlers = {
     'fundingModule': fundingModule,
@@ -622,6 +653,20 @@ function addOrRemoveEffect(effect, action) {
     const building = buildings[effect.targetId];
     if (building) {
       building[action](effect);
+      // Higher tiers keep the upgrades of the buildings they replace
+      if (effect.type !== 'enable') {
+        const seen = new Set([effect.targetId]);
+        let ratio = 1;
+        let current = building;
+        let next = buildings[building.nextTier];
+        while (next && !seen.has(next.name)) {
+          seen.add(next.name);
+          ratio *= typeof current.getUpgradeRatio === 'function' ? current.getUpgradeRatio() : 1;
+          next[action](scaleEffectForTier(effect, ratio));
+          current = next;
+          next = buildings[next.nextTier];
+        }
+      }
     }
   } else if (effect.target === 'project') {
     const project = projectManager.projects[effect.targetId];
@@ -0,0 +1,205 @@
+(function(){
+  // Shares energy out by priority tier when supply falls short, the way
+  // PopulationModule.getWorkerAvailabilityRatio shares workers. Each tick,
+  // after calculateProductionRates has filled the ledger at full productivity,
+  // demand is grouped by the consumer's energyPriority (1 critical, 0 normal,
+  // -1 low). Supply (production plus the stored energy the batteries can
+  // discharge this tick, see energy-storage.js) covers critical demand
+  // first, then normal, then low; each tier gets the fraction it could be given.
+  const ENERGY_PRIORITIES = [
+    { value: 1, key: 'critical', label: 'Critical' },
+    { value: 0, key: 'normal', label: 'Normal' },
+    { value: -1, key: 'low', label: 'Low' }
+  ];
+
+  function getEnergyPriorityKey(priority) {
+    return priority > 0 ? 'critical' : priority < 0 ? 'low' : 'normal';
+  }
+
+  // Projects whose cost is paid while they run rather than up front
+  function hasRunningCost(project) {
+    if (typeof project.isContinuous === 'function' && project.isContinuous()) return true;
+    return typeof Project !== 'undefined' && project.applyCostAndGain !== Project.prototype.applyCostAndGain;
+  }
+
+  class EnergyPriorityManager {
+    constructor() {
+      this.reset();
+    }
+
+    reset() {
+      this.supply = 0; // per second: production plus stored energy spread over the tick
+      this.demand = { critical: 0, normal: 0, low: 0 }; // per second at full productivity
+      this.ratios = { critical: 1, normal: 1, low: 1 };
+      this.consumers = [];
+    }
+
+    /**
+     * Recompute tier demand and availability. `structures` are buildings and
+     * colonies keyed by name; `projects` is projectManager.projects.
+     */
+    update(energy, structures, projects, deltaTime) {
+      this.reset();
+      if (!energy || !(deltaTime > 0)) return;
+      const seconds = deltaTime / 1000;
+      const buildingRates = energy.consumptionRateByType?.building || {};
+      const projectRates = energy.consumptionRateByType?.project || {};
+      let fromLedger = 0;
+
+      const addConsumer = (kind, target, rate) => {
+        if (!(rate > 0)) return;
+        const priority = target.energyPriority || 0;
+        this.consumers.push({ kind, name: target.name, displayName: target.displayName || target.name, priority, rate });
+        this.demand[getEnergyPriorityKey(priority)] += rate;
+      };
+
+      for (const name in structures || {}) {
+        const structure = structures[name];
+        if (!structure || !(structure.active > 0)) continue;
+        const rate = buildingRates[structure.displayName] || 0;
+        fromLedger += rate;
+        addConsumer('structure', structure, rate);
+      }
+
+      for (const name in projects || {}) {
+        const project = projects[name];
+        if (!project || typeof project.estimateCostAndGain !== 'function') continue;
+        if (project.treatAsBuilding) {
+          const rate = projectRates[project.displayName] || 0;
+          fromLedger += rate;
+          addConsumer('project', project, rate);
+        } else if (hasRunningCost(project)) {
+          const { cost = {} } = project.estimateCostAndGain(deltaTime, false) || {};
+          addConsumer('project', project, (cost.colony?.energy || 0) / seconds);
+        }
+      }
+
+      // Anything else already in the ledger is treated as normal priority
+      this.demand.normal += Math.max(0, (energy.consumptionRate || 0) - fromLedger);
+
+      const stored = typeof energyStorageManager !== 'undefined'
+        ? energyStorageManager.getDrawableEnergy(energy.value, seconds)
+        : Math.max(0, energy.value || 0);
+      this.supply = (energy.productionRate || 0) + stored / seconds;
+      let remaining = this.supply;
+      ENERGY_PRIORITIES.forEach(({ key }) => {
+        const need = this.demand[key];
+        this.ratios[key] = need > 0 ? Math.min(1, remaining / need) : 1;
+        remaining = Math.max(0, remaining - need);
+      });
+    }
+
+    // Fraction of its energy demand a consumer of this priority receives
+    getAvailabilityRatio(priority = 0) {
+      return this.ratios[getEnergyPriorityKey(priority)];
+    }
+
+    // Productivity for a project this tick; only energy is rationed here
+    getProjectProductivity(project, cost) {
+      return cost?.colony?.energy > 0 ? this.getAvailabilityRatio(project.energyPriority) : 1;
+    }
+  }
+
+  const energyPriorityManager = new EnergyPriorityManager();
+
+  function createPowerPanel(panel) {
+    panel.innerHTML = '';
+    const title = document.createElement('h4');
+    title.textContent = 'Power';
+    const summary = document.createElement('div');
+    summary.classList.add('power-panel-summary');
+    const tiers = document.createElement('table');
+    tiers.classList.add('power-panel-tiers');
+    tiers.innerHTML = '<thead><tr><th>Tier</th><th>Demand</th><th>Supplied</th></tr></thead>';
+    const tierBody = document.createElement('tbody');
+    const tierCells = {};
+    ENERGY_PRIORITIES.forEach(({ key, label }) => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = label;
+      const demand = document.createElement('td');
+      const supplied = document.createElement('td');
+      row.append(name, demand, supplied);
+      tierBody.appendChild(row);
+      tierCells[key] = { demand, supplied };
+    });
+    tiers.appendChild(tierBody);
+    const consumers = document.createElement('div');
+    consumers.classList.add('power-panel-consumers');
+    panel.append(title, summary, tiers, consumers);
+    panel._cache = { summary, tierCells, consumers, rows: new Map(), keys: '' };
+  }
+
+  function createConsumerRow(consumer) {
+    const row = document.createElement('div');
+    row.classList.add('power-panel-consumer');
+    const name = document.createElement('span');
+    name.textContent = consumer.displayName;
+    const rate = document.createElement('span');
+    rate.classList.add('power-panel-rate');
+    const select = document.createElement('select');
+    ENERGY_PRIORITIES.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+      const target = consumer.kind === 'project'
+        ? projectManager?.projects?.[consumer.name]
+        : (buildings?.[consumer.name] || colonies?.[consumer.name]);
+      if (target) target.energyPriority = Number(select.value);
+    });
+    row.append(name, rate, select);
+    return { row, rate, select };
+  }
+
+  function updatePowerPanel() {
+    if (typeof document === 'undefined') return;
+    const panel = document.getElementById('power-panel');
+    if (!panel) return;
+    if (!panel._cache) createPowerPanel(panel);
+    const cache = panel._cache;
+    const manager = energyPriorityManager;
+    const totalDemand = manager.demand.critical + manager.demand.normal + manager.demand.low;
+    const curtailed = ENERGY_PRIORITIES.reduce((sum, { key }) => sum + manager.demand[key] * (1 - manager.ratios[key]), 0);
+    cache.summary.textContent = `Supply: ${formatNumber(manager.supply, false, 2)}/s, Demand: ${formatNumber(totalDemand, false, 2)}/s` +
+      (curtailed > 0 ? `, Curtailed: ${formatNumber(curtailed, false, 2)}/s` : '');
+    ENERGY_PRIORITIES.forEach(({ key }) => {
+      const cells = cache.tierCells[key];
+      cells.demand.textContent = `${formatNumber(manager.demand[key], false, 2)}/s`;
+      cells.supplied.textContent = `${Math.round(manager.ratios[key] * 100)}%`;
+      cells.supplied.style.color = manager.ratios[key] < 1 ? 'red' : '';
+    });
+
+    const keys = manager.consumers.map(c => `${c.kind}:${c.name}`).join(',');
+    if (keys !== cache.keys) {
+      cache.keys = keys;
+      cache.consumers.innerHTML = '';
+      cache.rows = new Map();
+      manager.consumers.forEach(consumer => {
+        const entry = createConsumerRow(consumer);
+        cache.rows.set(`${consumer.kind}:${consumer.name}`, entry);
+        cache.consumers.appendChild(entry.row);
+      });
+    }
+    manager.consumers.forEach(consumer => {
+      const entry = cache.rows.get(`${consumer.kind}:${consumer.name}`);
+      if (!entry) return;
+      entry.rate.textContent = `${formatNumber(consumer.rate, false, 2)}/s`;
+      const value = String(consumer.priority);
+      if (entry.select.value !== value && document.activeElement !== entry.select) {
+        entry.select.value = value;
+      }
+    });
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ENERGY_PRIORITIES, getEnergyPriorityKey, EnergyPriorityManager, energyPriorityManager, updatePowerPanel };
+  } else {
+    globalThis.ENERGY_PRIORITIES = ENERGY_PRIORITIES;
+    globalThis.EnergyPriorityManager = EnergyPriorityManager;
+    globalThis.energyPriorityManager = energyPriorityManager;
+    globalThis.updatePowerPanel = updatePowerPanel;
+  }
+})();
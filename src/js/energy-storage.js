@@ -0,0 +1,179 @@
+(function(){
+  // Charge and discharge modelling for energy storage buildings. Buildings with
+  // an `energyStorage` config ({ chargeRate, efficiency }) form the battery
+  // banks: energy above the colony's base storage is held in them, goes in no
+  // faster than their combined charge rate, comes out no faster than the same
+  // rate, and loses (1 - efficiency) of what is charged. The round-trip loss is
+  // taken on the way in, so stored energy discharges one for one.
+
+  class EnergyStorageManager {
+    constructor() {
+      this.reset();
+    }
+
+    reset() {
+      this.capacity = 0; // battery capacity, excluding base storage
+      this.baseCapacity = 0;
+      this.rate = 0; // combined charge and discharge rate per second
+      this.efficiency = 1;
+      this.chargeRate = 0; // last tick, per second
+      this.lossRate = 0;
+      this.curtailedRate = 0;
+    }
+
+    /**
+     * Recompute the battery banks from active storage buildings. Called after
+     * storage caps are updated so base capacity is what the cap leaves over.
+     */
+    update(energy, structures) {
+      this.reset();
+      if (!energy) return;
+      let weightedEfficiency = 0;
+      for (const name in structures || {}) {
+        const structure = structures[name];
+        const config = structure?.energyStorage;
+        if (!config || !(structure.active > 0)) continue;
+        const multiplier = typeof structure.getEffectiveStorageMultiplier === 'function'
+          ? structure.getEffectiveStorageMultiplier()
+          : 1;
+        const rate = structure.active * (config.chargeRate || 0) * multiplier;
+        this.capacity += structure.active * (structure.storage?.colony?.energy || 0) * multiplier;
+        this.rate += rate;
+        weightedEfficiency += rate * (config.efficiency ?? 1);
+      }
+      this.efficiency = this.rate > 0 ? weightedEfficiency / this.rate : 1;
+      const cap = Number.isFinite(energy.cap) ? energy.cap : this.capacity;
+      this.baseCapacity = Math.max(0, cap - this.capacity);
+    }
+
+    // Portion of `value` held in the battery banks
+    getBatteryCharge(value) {
+      return Math.max(0, Math.min(this.capacity, value - this.baseCapacity));
+    }
+
+    // Stored energy that can be drawn over `seconds`: all of base storage plus
+    // what the batteries can discharge in that time
+    getDrawableEnergy(value, seconds) {
+      const stored = Math.max(0, value || 0);
+      const inBatteries = this.getBatteryCharge(stored);
+      return stored - inBatteries + Math.min(inBatteries, this.rate * seconds);
+    }
+
+    /**
+     * Turn a tick's net energy change into what is actually stored. Surplus
+     * fills base storage first; the rest charges the batteries up to their
+     * rate, less conversion losses. Losses are recorded as consumption and
+     * surplus the batteries could not take as overflow.
+     */
+    applyCharge(energy, change, deltaTime) {
+      if (!energy || !(change > 0) || !(this.capacity > 0) || !(deltaTime > 0)) return change;
+      const seconds = deltaTime / 1000;
+      const direct = Math.min(change, Math.max(0, this.baseCapacity - energy.value));
+      const room = Math.max(0, this.baseCapacity + this.capacity - Math.max(energy.value, this.baseCapacity));
+      const offered = Math.min(change - direct, room / this.efficiency);
+      const charged = Math.min(offered, this.rate * seconds);
+      const stored = charged * this.efficiency;
+      this.chargeRate = charged / seconds;
+      this.lossRate = (charged - stored) / seconds;
+      this.curtailedRate = (offered - charged) / seconds;
+      if (typeof energy.modifyRate === 'function') {
+        if (this.lossRate > 0) energy.modifyRate(-this.lossRate, 'Battery losses', 'storage');
+        if (this.curtailedRate > 0) energy.modifyRate(-this.curtailedRate, 'Battery charge limit (not summed)', 'overflow');
+      }
+      // Surplus beyond full storage is left for the usual overflow handling
+      return direct + stored + Math.max(0, change - direct - offered);
+    }
+
+    // Stored energy after `seconds` at a constant net rate
+    projectStoredEnergy(value, netRate, seconds) {
+      if (!(netRate > 0)) return Math.max(0, value + netRate * seconds);
+      const cap = this.baseCapacity + this.capacity;
+      const room = Math.max(0, this.baseCapacity - value);
+      if (room >= netRate * seconds) return value + netRate * seconds;
+      const remaining = seconds - room / netRate;
+      const charged = Math.min(netRate, this.rate) * this.efficiency * remaining;
+      return Math.min(Math.max(cap, value), Math.max(value, this.baseCapacity) + charged);
+    }
+
+    /**
+     * Whether storage carries the colony through the next night at current
+     * rates. During the day, solar-style (dayNightActivity) production is
+     * dropped for the night and the batteries charge until dusk; at night the
+     * forecast covers the rest of the current night.
+     */
+    forecastNight(energy, structures, cycle) {
+      if (!energy || !cycle || !(cycle.dayDuration > 0)) return null;
+      const cycleSeconds = cycle.dayDuration / 1000;
+      const progress = cycle.getDayProgress();
+      const isDay = cycle.isDay();
+      const net = (energy.productionRate || 0) - (energy.consumptionRate || 0);
+      let daylightProduction = 0;
+      if (isDay) {
+        const producedBy = energy.productionRateByType?.building || {};
+        for (const name in structures || {}) {
+          const structure = structures[name];
+          if (structure?.dayNightActivity) {
+            daylightProduction += producedBy[structure.displayName] || 0;
+          }
+        }
+      }
+      const secondsToNight = isDay ? Math.max(0, 0.5 - progress) * cycleSeconds : 0;
+      const nightSeconds = isDay ? 0.5 * cycleSeconds : Math.max(0, 1 - progress) * cycleSeconds;
+      const storedAtNightfall = isDay
+        ? this.projectStoredEnergy(energy.value || 0, net, secondsToNight)
+        : Math.max(0, energy.value || 0);
+      const nightNet = net - daylightProduction;
+      const nightDeficit = Math.max(0, -nightNet) * nightSeconds;
+      const deliverable = this.getDrawableEnergy(storedAtNightfall, nightSeconds);
+      const shortfall = Math.max(0, nightDeficit - deliverable);
+
+      let limitedBy = null;
+      if (shortfall > 0) {
+        if (this.getBatteryCharge(storedAtNightfall) > this.rate * nightSeconds) {
+          limitedBy = 'discharge';
+        } else if (storedAtNightfall >= this.baseCapacity + this.capacity - 1e-6) {
+          limitedBy = 'capacity';
+        } else {
+          limitedBy = 'generation';
+        }
+      }
+      return {
+        isDay,
+        secondsToNight,
+        nightSeconds,
+        nightNetRate: nightNet,
+        nightDeficit,
+        storedAtNightfall,
+        deliverable,
+        shortfall,
+        covered: shortfall === 0,
+        limitedBy
+      };
+    }
+
+    // Storage buildings of this type needed to close a forecast shortfall;
+    // 0 when more storage would not help
+    getBuildingsToCover(forecast, building) {
+      if (!forecast || !(forecast.shortfall > 0) || !building?.energyStorage) return 0;
+      const multiplier = typeof building.getEffectiveStorageMultiplier === 'function'
+        ? building.getEffectiveStorageMultiplier()
+        : 1;
+      let perBuilding = 0;
+      if (forecast.limitedBy === 'capacity') {
+        perBuilding = (building.storage?.colony?.energy || 0) * multiplier;
+      } else if (forecast.limitedBy === 'discharge') {
+        perBuilding = (building.energyStorage.chargeRate || 0) * multiplier * forecast.nightSeconds;
+      }
+      return perBuilding > 0 ? Math.ceil(forecast.shortfall / perBuilding) : 0;
+    }
+  }
+
+  const energyStorageManager = new EnergyStorageManager();
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnergyStorageManager, energyStorageManager };
+  } else {
+    globalThis.EnergyStorageManager = EnergyStorageManager;
+    globalThis.energyStorageManager = energyStorageManager;
+  }
+})();
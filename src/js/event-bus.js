@@ -0,0 +1,97 @@
+(function(){
+  // Names of the events subsystems publish, with the detail each one carries.
+  // Subscribe with gameEvents.on(GAME_EVENTS.X, listener) instead of polling
+  // game state every tick.
+  const GAME_EVENTS = Object.freeze({
+    BUILDING_BUILT: 'buildingBuilt',                 // { name, count, structure }
+    BUILDING_DEMOLISHED: 'buildingDemolished',       // { name, count, structure, refund }
+    PROJECT_STARTED: 'projectStarted',               // { name, project, resumed }
+    PROJECT_COMPLETED: 'projectCompleted',           // { name, project, repeatCount }
+    RESEARCH_COMPLETED: 'researchCompleted',         // { id, research }
+    RESOURCE_CAPPED: 'resourceCapped',               // { category, name, resource }
+    RESOURCE_DEPLETED: 'resourceDepleted',           // { category, name, resource }
+    COLONY_UPGRADED: 'colonyUpgraded',               // { from, to, count }
+    BUILDING_UPGRADED: 'buildingUpgraded',           // { from, to, count }
+    PLANET_TRAVELLED: 'planetTravelled',             // { from, to, randomSeed }
+    WGC_OPERATION_FINISHED: 'wgcOperationFinished',  // { team, number, successes, artifacts }
+    MILESTONE_COMPLETED: 'milestoneCompleted'        // { name, milestone }
+  });
+
+  class GameEventBus {
+    constructor(events = GAME_EVENTS) {
+      this.knownTypes = new Set(Object.values(events));
+      this.listeners = new Map();
+    }
+
+    checkType(type) {
+      if (!this.knownTypes.has(type)) {
+        throw new Error(`Unknown game event "${type}"`);
+      }
+    }
+
+    // Register a listener. Returns a function that removes it again.
+    on(type, listener) {
+      this.checkType(type);
+      if (typeof listener !== 'function') {
+        throw new TypeError(`Listener for "${type}" must be a function`);
+      }
+      if (!this.listeners.has(type)) {
+        this.listeners.set(type, []);
+      }
+      this.listeners.get(type).push(listener);
+      return () => this.off(type, listener);
+    }
+
+    once(type, listener) {
+      const remove = this.on(type, (detail) => {
+        remove();
+        listener(detail);
+      });
+      return remove;
+    }
+
+    off(type, listener) {
+      const list = this.listeners.get(type);
+      if (!list) return;
+      const index = list.indexOf(listener);
+      if (index !== -1) list.splice(index, 1);
+    }
+
+    // Call every listener for `type`. A listener that throws is logged and
+    // does not stop the others or the game update that emitted the event.
+    emit(type, detail = {}) {
+      if (!this.knownTypes.has(type)) {
+        console.error(`Unknown game event "${type}"`);
+        return;
+      }
+      const list = this.listeners.get(type);
+      if (!list || list.length === 0) return;
+      list.slice().forEach(listener => {
+        try {
+          listener(detail);
+        } catch (e) {
+          console.error(`Error in "${type}" listener:`, e);
+        }
+      });
+    }
+
+    clear() {
+      this.listeners.clear();
+    }
+  }
+
+  const gameEvents = new GameEventBus(GAME_EVENTS);
+
+  function emitGameEvent(type, detail) {
+    gameEvents.emit(type, detail);
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GAME_EVENTS, GameEventBus, gameEvents, emitGameEvent };
+  } else {
+    globalThis.GAME_EVENTS = GAME_EVENTS;
+    globalThis.GameEventBus = GameEventBus;
+    globalThis.gameEvents = gameEvents;
+    globalThis.emitGameEvent = emitGameEvent;
+  }
+})();
@@ -26,6 +26,11 @@ function preload() {
 }
 
 function create() {
+  // Merge installed content packs into the parameter tables before anything is built
+  if (typeof applyStoredContentPacks === 'function') {
+    applyStoredContentPacks();
+  }
+
   // Instantiate the TabManager and load tabs from the constant
   tabManager = new TabManager({
     description: 'Manages game tabs and unlocks them based on effects.',
@@ -170,6 +175,10 @@ function initializeGameState(options = {}) {
   globalEffects = new EffectableEntity({description : 'Manages global effects'});
 
   playTimeSeconds = 0;
+  // History belongs to the old resources; saved history is restored after this
+  if (typeof resourceHistory !== 'undefined' && resourceHistory) {
+    resourceHistory.reset();
+  }
 
   const rotation = currentPlanetParameters.celestialParameters.rotationPeriod || 24;
   const dayDuration = rotationPeriodToDuration(rotation);
@@ -222,6 +231,10 @@ function initializeGameState(options = {}) {
   if (savedConstructionOffice && typeof restoreConstructionOfficeSettings === 'function') {
     restoreConstructionOfficeSettings(savedConstructionOffice);
   }
+  // Build orders belong to the planet they were placed on
+  if (typeof clearBuildQueue === 'function') {
+    clearBuildQueue();
+  }
   if (!preserveManagers || !researchManager) {
     researchManager = new ResearchManager(researchParameters);
   } else {
@@ -328,68 +341,108 @@ function initializeGameState(options = {}) {
     nanotechManager.reapplyEffects();
     nanotechManager.updateUI();
   }
+  // The preset picked for this planet type overrides the reset settings
+  if (preserveManagers && typeof applyPlanetDefaultPreset === 'function') {
+    applyPlanetDefaultPreset(structures);
+  }
+}
+
+// Advance one subsystem in substeps no larger than its step limit
+function runSubsystemSteps(subsystem, delta, callback) {
+  if (typeof runSubsteps === 'function' && typeof getSimulationStepLimit === 'function') {
+    runSubsteps(delta, getSimulationStepLimit(subsystem), callback);
+  } else {
+    callback(delta);
+  }
+}
+
+// Time a stage with the performance profiler when it is switched on
+function profileStage(name, callback) {
+  if (typeof performanceProfiler !== 'undefined' && performanceProfiler && performanceProfiler.enabled) {
+    return performanceProfiler.measure(name, callback);
+  }
+  return callback();
 }
 
 function updateLogic(delta) {
   const increment = delta / 1000;
   playTimeSeconds += increment;
   totalPlayTimeSeconds += increment;
-  dayNightCycle.update(delta);
+  profileStage('logic.dayNightCycle', () => dayNightCycle.update(delta));
 
   const allStructures = {...buildings, ...colonies};
   // Update funding
-  terraforming.update(delta);
-  
-  produceResources(delta, allStructures);
+  runSubsystemSteps('terraforming', delta, (step) => {
+    profileStage('logic.terraforming', () => terraforming.update(step));
 
-  // Update happiness for each colony
-  for (const colonyName in colonies) {
-    const colony = colonies[colonyName];
-    colony.updateHappiness(delta);
-  }
+    if (typeof applyRecipeAutomation === 'function') {
+      profileStage('logic.recipeAutomation', () => applyRecipeAutomation(buildings));
+    }
+
+    profileStage('logic.produceResources', () => produceResources(step, allStructures));
+  });
 
-  populationModule.updatePopulation(delta);
+  runSubsystemSteps('economy', delta, (step) => {
+    // Update happiness for each colony
+    profileStage('logic.colonyHappiness', () => {
+      for (const colonyName in colonies) {
+        const colony = colonies[colonyName];
+        colony.updateHappiness(step);
+      }
+    });
 
-  autoBuild(allStructures, delta);
+    profileStage('logic.population', () => populationModule.updatePopulation(step));
 
-  projectManager.updateProjects(delta);
+    profileStage('logic.autoBuild', () => autoBuild(allStructures, step));
 
-  goldenAsteroid.update(delta);
+    if (typeof processBuildQueue === 'function') {
+      profileStage('logic.buildQueue', () => processBuildQueue(allStructures));
+    }
+  });
+
+  profileStage('logic.projects', () => projectManager.updateProjects(delta));
+
+  profileStage('logic.goldenAsteroid', () => goldenAsteroid.update(delta));
 
   if (solisManager) {
-    solisManager.update(delta);
+    profileStage('logic.solis', () => solisManager.update(delta));
   }
   if (warpGateCommand) {
-    warpGateCommand.update(delta);
+    profileStage('logic.warpGateCommand', () => warpGateCommand.update(delta));
   }
 
-  lifeDesigner.update(delta);
+  profileStage('logic.lifeDesigner', () => lifeDesigner.update(delta));
 
-  milestonesManager.update(delta);
+  profileStage('logic.milestones', () => milestonesManager.update(delta));
 
   // **** Update the Story Manager ****
   // This will check objectives for active events, process completions,
   // apply rewards, and check for/activate newly available events.
-  storyManager.update(); // <--- NEW CENTRAL UPDATE CALL
+  profileStage('logic.story', () => storyManager.update()); // <--- NEW CENTRAL UPDATE CALL
 
   if (typeof applyRWGEffects === 'function') {
-    applyRWGEffects();
+    profileStage('logic.rwgEffects', () => applyRWGEffects());
   }
 
-  recalculateTotalRates();
+  profileStage('logic.recalculateTotalRates', () => recalculateTotalRates());
 
+  if (typeof resourceHistory !== 'undefined' && resourceHistory) {
+    profileStage('logic.resourceHistory', () => resourceHistory.update(delta, resources));
+  }
 }
 
 function updateRender(force = false) {
   // Always-on UI pieces
-  updateDayNightDisplay();           // Day/night display is global
-  updateResourceDisplay(resources);  // Resources are global
-  updateWarnings();                  // Global warnings
+  profileStage('render.dayNight', () => updateDayNightDisplay());     // Day/night display is global
+  profileStage('render.resources', () => updateResourceDisplay(resources));  // Resources are global
+  profileStage('render.warnings', () => updateWarnings());            // Global warnings
   // Always keep alert badges in sync regardless of active tab
-  if (typeof updateBuildingAlert === 'function') updateBuildingAlert();
-  if (typeof updateProjectAlert === 'function') updateProjectAlert();
-  if (typeof updateResearchAlert === 'function') updateResearchAlert();
-  if (typeof updateHopeAlert === 'function') updateHopeAlert();
+  profileStage('render.alerts', () => {
+    if (typeof updateBuildingAlert === 'function') updateBuildingAlert();
+    if (typeof updateProjectAlert === 'function') updateProjectAlert();
+    if (typeof updateResearchAlert === 'function') updateResearchAlert();
+    if (typeof updateHopeAlert === 'function') updateHopeAlert();
+  });
 
   // Gate heavy per-tab UI updates behind tab visibility
   if (typeof document !== 'undefined') {
@@ -400,40 +453,50 @@ function updateRender(force = false) {
     };
 
     if (isActive('buildings')) {
-      updateBuildingDisplay(buildings);
+      profileStage('render.buildings', () => {
+        updateBuildingDisplay(buildings);
+        if (typeof updatePowerPanel === 'function') updatePowerPanel();
+      });
     }
 
     if (isActive('colonies')) {
-      updateColonyDisplay(colonies);
-      if (typeof updateGrowthRateDisplay === 'function') {
-        updateGrowthRateDisplay();
-      }
-      updateColonySlidersUI();
+      profileStage('render.colonies', () => {
+        updateColonyDisplay(colonies);
+        if (typeof updateGrowthRateDisplay === 'function') {
+          updateGrowthRateDisplay();
+        }
+        updateColonySlidersUI();
+      });
     }
 
     if (isActive('special-projects')) {
-      renderProjects();
+      profileStage('render.projects', () => renderProjects());
     }
 
     if (isActive('research')) {
-      updateResearchUI();
+      profileStage('render.research', () => updateResearchUI());
     }
 
     if (isActive('terraforming')) {
-      updateTerraformingUI();
+      profileStage('render.terraforming', () => updateTerraformingUI());
     }
 
     if (isActive('space') && typeof updateSpaceUI === 'function') {
-      updateSpaceUI();
-      if (typeof updateRWGEffectsUI === 'function') updateRWGEffectsUI();
+      profileStage('render.space', () => {
+        updateSpaceUI();
+        if (typeof updateRWGEffectsUI === 'function') updateRWGEffectsUI();
+      });
     }
 
     if (isActive('hope')) {
-      updateHopeUI();
+      profileStage('render.hope', () => updateHopeUI());
     }
 
     if (isActive('settings')) {
-      updateStatisticsDisplay();
+      profileStage('render.settings', () => {
+        updateStatisticsDisplay();
+        if (typeof updateBottleneckDisplay === 'function') updateBottleneckDisplay();
+      });
     }
   } else {
     // Non-DOM environment fallback (tests or headless): keep previous behavior
@@ -450,16 +513,42 @@ function updateRender(force = false) {
   }
 
   // Milestones often affect multiple views; keep updated
-  updateMilestonesUI();
+  profileStage('render.milestones', () => updateMilestonesUI());
+
+  // The flow overlay can be open over any tab
+  if (typeof updateResourceFlowOverlay === 'function') {
+    profileStage('render.resourceFlow', () => updateResourceFlowOverlay());
+  }
 }
 
 function update(time, delta) {
+  // Hold the simulation while a save slot is still being read from storage
+  if (typeof saveLoadPending !== 'undefined' && saveLoadPending) return;
+  const profiling = typeof performanceProfiler !== 'undefined' && performanceProfiler && performanceProfiler.enabled;
+  if (profiling) performanceProfiler.beginFrame();
   const speed = (typeof gameSpeed !== 'undefined') ? gameSpeed : 1;
   const scaledDelta = delta * speed;
-  updateLogic(scaledDelta);   // Update game state
-  updateRender();             // Render updated game state
+  let simulatedDelta = scaledDelta;
+  const advanceLogic = () => {
+    if (typeof simulationClock !== 'undefined' && simulationClock) {
+      // Split large deltas into bounded ticks within the frame budget
+      simulatedDelta = simulationClock.advance(scaledDelta, (tick) => updateLogic(tick));
+    } else {
+      updateLogic(scaledDelta);   // Update game state
+    }
+  };
+  profileStage('logic', () => {
+    if (typeof climateStepRunner !== 'undefined' && climateStepRunner) {
+      // Let the climate step run in its worker while the frame loop drives it
+      climateStepRunner.defer(advanceLogic);
+    } else {
+      advanceLogic();
+    }
+  });
+  profileStage('render', () => updateRender());   // Render updated game state
 
-  autosave(scaledDelta);      // Call the autosave function
+  profileStage('autosave', () => autosave(simulatedDelta));   // Call the autosave function
+  if (profiling && typeof endProfilerFrame === 'function') endProfilerFrame();
 }
 
 function startNewGame() {
@@ -41,6 +41,7 @@ let gameSettings = {
   disableDayNightCycle: false,
   preserveProjectAutoStart: false,
   autobuildAlsoSetsActive: true,
+  autosaveHistoryLimit: 10,
 };
 let globalEffects = new EffectableEntity({description : 'Manages global effects'});
 let skillManager;
@@ -272,6 +272,9 @@ class MilestonesManager {
         if (milestone && milestone.canBeCompleted) {
             milestone.isCompleted = true;
             milestone.canBeCompleted = false;
+            if (typeof emitGameEvent === 'function') {
+                emitGameEvent(GAME_EVENTS.MILESTONE_COMPLETED, { name: milestone.name, milestone });
+            }
         }
         this.addEffects();
         this.startCountdown(30000);
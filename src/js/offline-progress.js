@@ -0,0 +1,253 @@
+(function(){
+  const OFFLINE_MIN_SECONDS = 60; // Shorter absences are not worth a catch-up pass
+  const OFFLINE_MAX_SECONDS = 24 * 3600; // Time beyond this is discarded
+  const OFFLINE_MAX_STEPS = 2880;
+  const OFFLINE_MIN_STEP_MS = 1000;
+  const OFFLINE_CHUNK_STEPS = 20;
+
+  // Split an absence into fixed updateLogic steps. Long absences use larger steps
+  // so the total number of updates stays bounded.
+  function planOfflineSteps(elapsedMs) {
+    const cappedMs = Math.min(Math.max(0, elapsedMs || 0), OFFLINE_MAX_SECONDS * 1000);
+    if (cappedMs < OFFLINE_MIN_SECONDS * 1000) {
+      return { steps: 0, stepMs: 0, simulatedMs: 0, discardedMs: Math.max(0, elapsedMs || 0) };
+    }
+    const stepMs = Math.max(OFFLINE_MIN_STEP_MS, Math.ceil(cappedMs / OFFLINE_MAX_STEPS));
+    const steps = Math.floor(cappedMs / stepMs);
+    const simulatedMs = steps * stepMs;
+    return { steps, stepMs, simulatedMs, discardedMs: elapsedMs - simulatedMs };
+  }
+
+  function captureOfflineSnapshot() {
+    const snapshot = { resources: {}, structures: {}, projects: {} };
+    if (typeof resources !== 'undefined' && resources) {
+      for (const category in resources) {
+        for (const name in resources[category]) {
+          const res = resources[category][name];
+          if (!res || !res.unlocked) continue;
+          snapshot.resources[`${category}.${name}`] = {
+            category,
+            name,
+            displayName: res.displayName || name,
+            value: res.value || 0
+          };
+        }
+      }
+    }
+    const structureSets = [
+      typeof buildings !== 'undefined' ? buildings : null,
+      typeof colonies !== 'undefined' ? colonies : null
+    ];
+    structureSets.forEach(set => {
+      if (!set) return;
+      for (const name in set) {
+        const structure = set[name];
+        snapshot.structures[name] = {
+          displayName: structure.displayName || name,
+          count: structure.count || 0
+        };
+      }
+    });
+    if (typeof projectManager !== 'undefined' && projectManager && projectManager.projects) {
+      for (const name in projectManager.projects) {
+        const project = projectManager.projects[name];
+        snapshot.projects[name] = {
+          displayName: project.displayName || name,
+          repeatCount: project.repeatCount || 0,
+          isCompleted: !!project.isCompleted
+        };
+      }
+    }
+    return snapshot;
+  }
+
+  // Compare two snapshots and list what changed while away
+  function summarizeOfflineProgress(before, after) {
+    const summary = { resources: [], built: [], completed: [] };
+    for (const key in after.resources) {
+      const cur = after.resources[key];
+      const prevValue = before.resources[key] ? before.resources[key].value : 0;
+      const delta = cur.value - prevValue;
+      if (Math.abs(delta) > 1e-9) {
+        summary.resources.push({ category: cur.category, name: cur.name, displayName: cur.displayName, delta });
+      }
+    }
+    for (const name in after.structures) {
+      const built = after.structures[name].count - (before.structures[name] ? before.structures[name].count : 0);
+      if (built > 0) {
+        summary.built.push({ name, displayName: after.structures[name].displayName, count: built });
+      }
+    }
+    for (const name in after.projects) {
+      const cur = after.projects[name];
+      const prev = before.projects[name] || { repeatCount: 0, isCompleted: false };
+      let completions = cur.repeatCount - prev.repeatCount;
+      if (completions <= 0 && cur.isCompleted && !prev.isCompleted) {
+        completions = 1;
+      }
+      if (completions > 0) {
+        summary.completed.push({ name, displayName: cur.displayName, count: completions });
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Advance the game by the time elapsed since a save was written.
+   * options: { sync, chunkSteps }
+   * onProgress: fn(0..1, { step, steps, simulatedMs })
+   * Resolves with { simulatedMs, discardedMs, summary }.
+   */
+  function simulateOfflineProgress(elapsedMs, options = {}, onProgress) {
+    const plan = planOfflineSteps(elapsedMs);
+    const chunkSteps = options.chunkSteps || OFFLINE_CHUNK_STEPS;
+
+    return new Promise((resolve, reject) => {
+      const before = captureOfflineSnapshot();
+      let step = 0;
+
+      function finish() {
+        const summary = summarizeOfflineProgress(before, captureOfflineSnapshot());
+        resolve({ simulatedMs: plan.simulatedMs, discardedMs: plan.discardedMs, summary });
+      }
+
+      function loopChunk() {
+        try {
+          const end = Math.min(plan.steps, step + chunkSteps);
+          for (; step < end; step++) {
+            updateLogic(plan.stepMs);
+          }
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        if (onProgress) {
+          onProgress(plan.steps > 0 ? step / plan.steps : 1, {
+            step,
+            steps: plan.steps,
+            simulatedMs: step * plan.stepMs
+          });
+        }
+        if (step >= plan.steps) {
+          finish();
+          return;
+        }
+        if (options.sync) { loopChunk(); return; }
+        setTimeout(loopChunk, 0);
+      }
+
+      if (plan.steps === 0) {
+        finish();
+        return;
+      }
+      if (options.sync) loopChunk(); else setTimeout(loopChunk, 0);
+    });
+  }
+
+  function formatOfflineSummaryHTML(result) {
+    const lines = [];
+    const listItems = (items, render) => `<ul>${items.map(render).join('')}</ul>`;
+    lines.push(`<p>Simulated ${formatDuration(result.simulatedMs / 1000)} of offline time.</p>`);
+    if (result.discardedMs > 1000) {
+      lines.push(`<p>${formatDuration(result.discardedMs / 1000)} beyond the offline limit was not simulated.</p>`);
+    }
+    const produced = result.summary.resources.filter(r => r.category !== 'surface' && r.category !== 'underground' && r.category !== 'atmospheric');
+    if (produced.length) {
+      lines.push('<h3>Resources</h3>');
+      lines.push(listItems(produced, r => `<li>${r.displayName}: ${r.delta > 0 ? '+' : ''}${formatNumber(r.delta)}</li>`));
+    }
+    if (result.summary.built.length) {
+      lines.push('<h3>Built</h3>');
+      lines.push(listItems(result.summary.built, b => `<li>${b.displayName}: ${formatBigInteger(b.count)}</li>`));
+    }
+    if (result.summary.completed.length) {
+      lines.push('<h3>Completed</h3>');
+      lines.push(listItems(result.summary.completed, p => `<li>${p.displayName}${p.count > 1 ? ` x${p.count}` : ''}</li>`));
+    }
+    if (!produced.length && !result.summary.built.length && !result.summary.completed.length) {
+      lines.push('<p>Nothing changed while you were away.</p>');
+    }
+    return lines.join('');
+  }
+
+  // Run the offline simulation behind a modal, pausing normal updates while it works
+  function runOfflineProgress(elapsedMs) {
+    const plan = planOfflineSteps(elapsedMs);
+    if (plan.steps === 0 || typeof document === 'undefined') {
+      return Promise.resolve(null);
+    }
+    const prevSpeed = typeof getGameSpeed === 'function' ? getGameSpeed() : 1;
+    if (typeof setGameSpeed === 'function') setGameSpeed(0);
+
+    const overlay = document.createElement('div');
+    overlay.classList.add('popup-overlay', 'offline-progress-overlay');
+    const win = document.createElement('div');
+    win.classList.add('popup-window', 'offline-progress-window');
+    const title = document.createElement('h2');
+    title.classList.add('popup-title');
+    title.textContent = 'Welcome back';
+    const label = document.createElement('div');
+    label.classList.add('offline-progress-label');
+    label.textContent = `Simulating ${formatDuration(plan.simulatedMs / 1000)} of offline time...`;
+    const barContainer = document.createElement('div');
+    barContainer.classList.add('offline-progress-bar-container');
+    const bar = document.createElement('div');
+    bar.classList.add('offline-progress-bar');
+    barContainer.appendChild(bar);
+    const summaryDiv = document.createElement('div');
+    summaryDiv.classList.add('offline-progress-summary');
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('popup-close-button');
+    closeButton.textContent = 'Continue';
+    closeButton.style.display = 'none';
+    closeButton.addEventListener('click', () => {
+      if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+    });
+
+    win.appendChild(title);
+    win.appendChild(label);
+    win.appendChild(barContainer);
+    win.appendChild(summaryDiv);
+    win.appendChild(closeButton);
+    overlay.appendChild(win);
+    document.body.appendChild(overlay);
+
+    const restoreSpeed = () => {
+      if (typeof setGameSpeed === 'function' && !globalThis.manualPause) setGameSpeed(prevSpeed);
+      if (typeof updateRender === 'function') updateRender(true);
+    };
+
+    return simulateOfflineProgress(elapsedMs, {}, (p, info) => {
+      bar.style.width = `${(p * 100).toFixed(1)}%`;
+      label.textContent = `Simulated ${formatDuration(info.simulatedMs / 1000)} of ${formatDuration(plan.simulatedMs / 1000)}`;
+    }).then(result => {
+      label.textContent = 'While you were away:';
+      barContainer.style.display = 'none';
+      summaryDiv.innerHTML = formatOfflineSummaryHTML(result);
+      closeButton.style.display = 'block';
+      restoreSpeed();
+      return result;
+    }).catch(e => {
+      console.error('Offline progress failed:', e);
+      label.textContent = 'Offline progress could not be simulated.';
+      closeButton.style.display = 'block';
+      restoreSpeed();
+      return null;
+    });
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      planOfflineSteps,
+      captureOfflineSnapshot,
+      summarizeOfflineProgress,
+      simulateOfflineProgress,
+      runOfflineProgress,
+      OFFLINE_MAX_SECONDS
+    };
+  } else {
+    globalThis.planOfflineSteps = planOfflineSteps;
+    globalThis.simulateOfflineProgress = simulateOfflineProgress;
+    globalThis.runOfflineProgress = runOfflineProgress;
+  }
+})();
@@ -0,0 +1,254 @@
+(function(){
+  // Opt-in frame profiler. Stages are timed with profileStage() in game.js;
+  // the time each stage takes is summed over a frame and the per-frame totals
+  // are kept for the last PROFILER_WINDOW_FRAMES frames. Stage names nest with
+  // dots, so 'logic' includes 'logic.terraforming'.
+  const PROFILER_WINDOW_FRAMES = 300;
+  // Real time between overlay refreshes
+  const PROFILER_OVERLAY_INTERVAL_MS = 500;
+
+  function defaultNow() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  // Nearest-rank percentile of an ascending list
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+  }
+
+  // Ring buffer of the most recent per-frame totals of one stage
+  class StageSamples {
+    constructor(size) {
+      this.values = new Array(size);
+      this.size = size;
+      this.length = 0;
+      this.next = 0;
+      this.frames = 0;
+    }
+
+    push(value) {
+      this.values[this.next] = value;
+      this.next = (this.next + 1) % this.size;
+      this.length = Math.min(this.length + 1, this.size);
+      this.frames += 1;
+    }
+
+    summary() {
+      const sorted = this.values.slice(0, this.length).sort((a, b) => a - b);
+      const total = sorted.reduce((sum, v) => sum + v, 0);
+      return {
+        frames: this.frames,
+        avg: sorted.length ? total / sorted.length : 0,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        max: sorted.length ? sorted[sorted.length - 1] : 0
+      };
+    }
+  }
+
+  class PerformanceProfiler {
+    constructor(options = {}) {
+      this.windowFrames = options.windowFrames || PROFILER_WINDOW_FRAMES;
+      this.now = options.now || defaultNow;
+      this.enabled = false;
+      this.reset();
+    }
+
+    reset() {
+      this.stages = new Map();
+      this.frameTotals = new Map();
+      this.frameStart = null;
+      this.frames = 0;
+    }
+
+    enable() {
+      this.enabled = true;
+    }
+
+    disable() {
+      this.enabled = false;
+      this.frameTotals.clear();
+      this.frameStart = null;
+    }
+
+    // Run `callback` and add its duration to the current frame's total for
+    // `name`. Returns whatever the callback returns.
+    measure(name, callback) {
+      if (!this.enabled) return callback();
+      const start = this.now();
+      try {
+        return callback();
+      } finally {
+        this.record(name, this.now() - start);
+      }
+    }
+
+    record(name, ms) {
+      this.frameTotals.set(name, (this.frameTotals.get(name) || 0) + ms);
+    }
+
+    beginFrame() {
+      if (!this.enabled) return;
+      this.frameTotals.clear();
+      this.frameStart = this.now();
+    }
+
+    // Fold the current frame into the rolling statistics. Stages that did
+    // not run this frame (hidden tabs) are left out rather than counted as 0.
+    endFrame() {
+      if (!this.enabled || this.frameStart === null) return;
+      this.record('frame', this.now() - this.frameStart);
+      this.frameTotals.forEach((ms, name) => {
+        if (!this.stages.has(name)) {
+          this.stages.set(name, new StageSamples(this.windowFrames));
+        }
+        this.stages.get(name).push(ms);
+      });
+      this.frameTotals.clear();
+      this.frameStart = null;
+      this.frames += 1;
+    }
+
+    // Stage statistics in milliseconds, slowest average first
+    getReport() {
+      const stages = [];
+      this.stages.forEach((samples, name) => {
+        stages.push({ name, ...samples.summary() });
+      });
+      stages.sort((a, b) => b.avg - a.avg);
+      return { frames: this.frames, windowFrames: this.windowFrames, stages };
+    }
+
+    toJSON() {
+      return {
+        generatedAt: new Date().toISOString(),
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : undefined,
+        ...this.getReport()
+      };
+    }
+  }
+
+  const performanceProfiler = new PerformanceProfiler();
+  let lastOverlayRender = -Infinity;
+
+  function formatMs(ms) {
+    return ms.toFixed(ms >= 10 ? 1 : 2);
+  }
+
+  function exportProfilerReport() {
+    const data = JSON.stringify(performanceProfiler.toJSON(), null, 2);
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `profiler_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function createProfilerOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'profiler-overlay';
+    overlay.classList.add('profiler-overlay');
+
+    const header = document.createElement('div');
+    header.classList.add('profiler-header');
+    const title = document.createElement('span');
+    title.textContent = 'Profiler (ms per frame)';
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'Export JSON';
+    exportButton.addEventListener('click', exportProfilerReport);
+    const resetButton = document.createElement('button');
+    resetButton.textContent = 'Reset';
+    resetButton.addEventListener('click', () => {
+      performanceProfiler.reset();
+      renderProfilerOverlay(true);
+    });
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => setProfilerEnabled(false));
+    header.appendChild(title);
+    header.appendChild(exportButton);
+    header.appendChild(resetButton);
+    header.appendChild(closeButton);
+
+    const table = document.createElement('table');
+    const head = document.createElement('thead');
+    head.innerHTML = '<tr><th>Stage</th><th>Avg</th><th>p50</th><th>p95</th><th>p99</th><th>Max</th></tr>';
+    const body = document.createElement('tbody');
+    body.id = 'profiler-overlay-body';
+    table.appendChild(head);
+    table.appendChild(body);
+
+    const footer = document.createElement('div');
+    footer.id = 'profiler-overlay-footer';
+    footer.classList.add('profiler-footer');
+
+    overlay.appendChild(header);
+    overlay.appendChild(table);
+    overlay.appendChild(footer);
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  function renderProfilerOverlay(force = false) {
+    if (typeof document === 'undefined') return;
+    const time = defaultNow();
+    if (!force && time - lastOverlayRender < PROFILER_OVERLAY_INTERVAL_MS) return;
+    lastOverlayRender = time;
+    const overlay = document.getElementById('profiler-overlay') || createProfilerOverlay();
+    overlay.style.display = '';
+    const report = performanceProfiler.getReport();
+    const body = document.getElementById('profiler-overlay-body');
+    body.innerHTML = '';
+    report.stages.forEach(stage => {
+      const row = document.createElement('tr');
+      const depth = stage.name === 'frame' ? 0 : stage.name.split('.').length;
+      const nameCell = document.createElement('td');
+      nameCell.textContent = stage.name;
+      nameCell.style.paddingLeft = `${depth * 8}px`;
+      row.appendChild(nameCell);
+      ['avg', 'p50', 'p95', 'p99', 'max'].forEach(key => {
+        const cell = document.createElement('td');
+        cell.textContent = formatMs(stage[key]);
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+    document.getElementById('profiler-overlay-footer').textContent =
+      `Last ${Math.min(report.frames, report.windowFrames)} of ${report.frames} frames`;
+  }
+
+  function setProfilerEnabled(enabled) {
+    if (enabled) {
+      performanceProfiler.enable();
+      renderProfilerOverlay(true);
+    } else {
+      performanceProfiler.disable();
+      const overlay = typeof document !== 'undefined' && document.getElementById('profiler-overlay');
+      if (overlay) overlay.style.display = 'none';
+    }
+    const toggle = typeof document !== 'undefined' && document.getElementById('profiler-toggle');
+    if (toggle) toggle.checked = enabled;
+  }
+
+  // Called once per frame after the game update
+  function endProfilerFrame() {
+    if (!performanceProfiler.enabled) return;
+    performanceProfiler.endFrame();
+    renderProfilerOverlay();
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROFILER_WINDOW_FRAMES, percentile, PerformanceProfiler, performanceProfiler };
+  } else {
+    globalThis.PerformanceProfiler = PerformanceProfiler;
+    globalThis.performanceProfiler = performanceProfiler;
+    globalThis.setProfilerEnabled = setProfilerEnabled;
+    globalThis.endProfilerFrame = endProfilerFrame;
+    globalThis.exportProfilerReport = exportProfilerReport;
+  }
+})();
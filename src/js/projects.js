@@ -17,6 +17,7 @@ class Project extends EffectableEntity {
     this.isPaused = false; // Whether the project is paused due to missing sustain cost
     this.shortfallLastTick = false; // Tracks if resource consumption failed last tick
     this.alertedWhenUnlocked = this.unlocked ? true : false;
+    this.energyPriority = 0; // -1 low, 0 normal, 1 critical
   }
 
   initializeFromConfig(config, name) {
@@ -293,6 +294,7 @@ class Project extends EffectableEntity {
 
   start(resources) {
     if (this.canStart(resources)) {
+      const resumed = this.isPaused;
       // Deduct the required resources if this isn't a resume
       if (!this.isPaused) {
         this.deductResources(resources);
@@ -303,8 +305,10 @@ class Project extends EffectableEntity {
       // Set the project as active
       this.isActive = true;
       this.isPaused = false;
-  
-  
+
+      if (typeof emitGameEvent === 'function') {
+        emitGameEvent(GAME_EVENTS.PROJECT_STARTED, { name: this.name, project: this, resumed });
+      }
       return true;
     } else {
       return false;
@@ -374,6 +378,9 @@ class Project extends EffectableEntity {
       }
     }
 
+    if (typeof emitGameEvent === 'function') {
+      emitGameEvent(GAME_EVENTS.PROJECT_COMPLETED, { name: this.name, project: this, repeatCount: this.repeatCount });
+    }
   }
 
   applyResourceGain() {
@@ -458,14 +465,22 @@ class Project extends EffectableEntity {
     }
   }
 
-  usesSpaceStorageForResource(category, resource, amount) {
-    if (!this.attributes.canUseSpaceStorage) return false;
+  // Space storage this project may draw on for a resource, above the strategic reserve
+  getUsableSpaceStorage(category, resource) {
+    if (!this.attributes.canUseSpaceStorage) return 0;
     const storageProj = projectManager?.projects?.spaceStorage;
-    if (!storageProj) return false;
+    if (!storageProj) return 0;
     const key = resource === 'water' ? 'liquidWater' : resource;
     const stored = storageProj.resourceUsage[key] || 0;
     const reserve = storageProj.strategicReserve || 0;
-    const usable = Math.max(0, stored - reserve);
+    return Math.max(0, stored - reserve);
+  }
+
+  usesSpaceStorageForResource(category, resource, amount) {
+    if (!this.attributes.canUseSpaceStorage) return false;
+    const storageProj = projectManager?.projects?.spaceStorage;
+    if (!storageProj) return false;
+    const usable = this.getUsableSpaceStorage(category, resource);
     if (storageProj.prioritizeMegaProjects) {
       return usable >= amount;
     }
@@ -541,6 +556,7 @@ class Project extends EffectableEntity {
       autoStart: this.autoStart,
       shownStorySteps: Array.from(this.shownStorySteps),
       alertedWhenUnlocked: this.alertedWhenUnlocked,
+      energyPriority: this.energyPriority,
     };
   }
 
@@ -565,6 +581,7 @@ class Project extends EffectableEntity {
     this.autoStart = state.autoStart;
     this.shownStorySteps = new Set(state.shownStorySteps || []);
     this.alertedWhenUnlocked = state.alertedWhenUnlocked || false;
+    this.energyPriority = state.energyPriority || 0;
     if (this.attributes.completionEffect && (this.isCompleted || this.repeatCount > 0)) {
       this.applyCompletionEffect();
     }
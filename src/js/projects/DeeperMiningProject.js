@@ -6,14 +6,23 @@ class DeeperMiningProject extends AndroidProject {
     this.maxDepth = config.maxDepth || Infinity;
   }
 
-  registerMine() {
-    let current = this.oreMineCount;
-    let built = 0;
+  // Mines upgraded into mining complexes keep counting toward the depth
+  getBuiltMineCount() {
+    let oreMine = null;
     if (typeof buildings !== 'undefined' && buildings.oreMine) {
-      built = buildings.oreMine.count;
+      oreMine = buildings.oreMine;
     } else if (typeof globalThis !== 'undefined' && globalThis.buildings?.oreMine) {
-      built = globalThis.buildings.oreMine.count;
+      oreMine = globalThis.buildings.oreMine;
     }
+    if (!oreMine) return 0;
+    return typeof oreMine.getTierEquivalentCount === 'function'
+      ? oreMine.getTierEquivalentCount()
+      : oreMine.count;
+  }
+
+  registerMine() {
+    let current = this.oreMineCount;
+    const built = this.getBuiltMineCount();
     const delta = built - current;
     if (delta > 0) {
       const totalDepth = this.averageDepth * current;
@@ -31,6 +40,14 @@ class DeeperMiningProject extends AndroidProject {
     }
   }
 
+  // Demolished mines stop counting; the ones left keep the average depth
+  unregisterMines() {
+    const built = this.getBuiltMineCount();
+    if (built < this.oreMineCount) {
+      this.oreMineCount = built;
+    }
+  }
+
   canStart() {
     if (this.averageDepth >= this.maxDepth) {
       return false;
@@ -136,12 +153,7 @@ class DeeperMiningProject extends AndroidProject {
 
   loadState(state) {
     super.loadState(state);
-    let built = 0;
-    if (typeof buildings !== 'undefined' && buildings.oreMine) {
-      built = buildings.oreMine.count;
-    } else if (typeof globalThis !== 'undefined' && globalThis.buildings?.oreMine) {
-      built = globalThis.buildings.oreMine.count;
-    }
+    const built = this.getBuiltMineCount();
     this.oreMineCount =
       state.oreMineCount !== undefined ? state.oreMineCount : built;
     if (state.averageDepth !== undefined) {
@@ -155,6 +167,15 @@ class DeeperMiningProject extends AndroidProject {
   }
 }
 
+// Covers ore mines and the mining complexes they were upgraded into
+if (typeof gameEvents !== 'undefined' && typeof GAME_EVENTS !== 'undefined') {
+  gameEvents.on(GAME_EVENTS.BUILDING_DEMOLISHED, () => {
+    if (typeof projectManager !== 'undefined') {
+      projectManager?.projects?.deeperMining?.unregisterMines?.();
+    }
+  });
+}
+
 if (typeof globalThis !== 'undefined') {
   globalThis.DeeperMiningProject = DeeperMiningProject;
 }
@@ -1828,7 +1828,11 @@ class SpaceMirrorFacilityProject extends Project {
     sanitizeMirrorDistribution();
     try {
       if (mirrorOversightSettings.advancedOversight) {
-        runAdvancedOversightAssignments(this);
+        if (typeof profileStage === 'function') {
+          profileStage('logic.projects.mirrorOversight', () => runAdvancedOversightAssignments(this));
+        } else {
+          runAdvancedOversightAssignments(this);
+        }
       }
     } catch (e) { /* swallow to avoid breaking tick */ }
     super.update(deltaTime);
@@ -434,6 +434,25 @@ function updateCostDisplay(project) {
       }
     }
     elements.costElement.style.display = hasItem ? 'block' : 'none';
+
+    if (typeof getTimeToAfford === 'function') {
+      let timeElement = elements.costTimeElement;
+      if (!timeElement) {
+        timeElement = document.createElement('span');
+        timeElement.classList.add('cost-time-estimate');
+        elements.costElement.appendChild(timeElement);
+        elements.costTimeElement = timeElement;
+      }
+      // Continuous projects pay as they run, so there is nothing to wait for
+      const continuous = typeof project.isContinuous === 'function' && project.isContinuous();
+      const estimate = hasItem && !continuous && !project.isActive
+        ? formatTimeToAfford(getTimeToAfford(cost, project))
+        : '';
+      const timeText = estimate ? ` (${estimate})` : '';
+      if (timeElement.textContent !== timeText) {
+        timeElement.textContent = timeText;
+      }
+    }
   }
 }
 
@@ -0,0 +1,121 @@
+// Recipe automation. A building with recipes carries recipeAutomation
+// ({ enabled, rules: [...] }) and each tick the first rule whose condition
+// holds picks its recipe. A rule whose recipe is already running keeps it
+// until the reading moves `margin` back past the threshold, so the recipe does
+// not flip back and forth around it. When no rule holds the recipe is left as
+// it is.
+const RECIPE_AUTOMATION_METRICS = {
+    resource: 'Resource % of cap',
+    pressure: 'Pressure',
+    temperature: 'Temperature',
+};
+
+function createDefaultRecipeAutomation() {
+    return { enabled: false, rules: [] };
+}
+
+function cloneRecipeAutomation(automation) {
+    if (!automation || !Array.isArray(automation.rules)) return createDefaultRecipeAutomation();
+    return {
+        enabled: !!automation.enabled,
+        rules: automation.rules.map(rule => ({ ...rule })),
+    };
+}
+
+function createRecipeAutomationRule(building, metric) {
+    const recipe = building?.currentRecipeKey || Object.keys(building?.recipes || {})[0] || null;
+    switch (metric) {
+        case 'resource':
+            return { recipe, metric, category: 'colony', resource: 'energy', comparison: 'above', value: 50, margin: 5 };
+        case 'pressure':
+            // An empty resource reads the total pressure
+            return { recipe, metric, category: 'atmospheric', resource: '', comparison: 'above', value: 10, margin: 1 };
+        default:
+            return { recipe, metric: 'temperature', comparison: 'above', value: 283.15, margin: 2 };
+    }
+}
+
+// Current reading for a rule: percent of cap, kPa or kelvin; null when
+// unavailable
+function getRecipeAutomationReading(rule) {
+    switch (rule.metric) {
+        case 'resource': {
+            const res = resources?.[rule.category || 'colony']?.[rule.resource];
+            if (!res || !(res.cap > 0)) return null;
+            return (res.value / res.cap) * 100;
+        }
+        case 'pressure': {
+            if (typeof terraforming === 'undefined' || !terraforming) return null;
+            if (!rule.resource) {
+                return typeof terraforming.calculateTotalPressure === 'function'
+                    ? terraforming.calculateTotalPressure()
+                    : null;
+            }
+            const gas = resources?.atmospheric?.[rule.resource];
+            if (!gas || typeof calculateAtmosphericPressure !== 'function') return null;
+            const { gravity, radius } = terraforming.celestialParameters || {};
+            return calculateAtmosphericPressure(gas.value || 0, gravity, radius) / 1000;
+        }
+        case 'temperature':
+            return typeof terraforming !== 'undefined' && terraforming?.temperature
+                ? terraforming.temperature.value
+                : null;
+        default:
+            return null;
+    }
+}
+
+function isRecipeAutomationRuleMet(building, rule) {
+    const reading = getRecipeAutomationReading(rule);
+    if (reading === null || !Number.isFinite(reading)) return false;
+    const value = Number(rule.value) || 0;
+    // The recipe this rule chose keeps running inside the margin
+    const margin = building.currentRecipeKey === rule.recipe ? Math.max(0, Number(rule.margin) || 0) : 0;
+    return rule.comparison === 'below'
+        ? reading < value + margin
+        : reading > value - margin;
+}
+
+// Recipe the rules ask for, or null to keep the current one
+function chooseAutomatedRecipe(building) {
+    const rules = building.recipeAutomation?.rules || [];
+    for (const rule of rules) {
+        if (!building.recipes?.[rule.recipe]) continue;
+        if (isRecipeAutomationRuleMet(building, rule)) return rule.recipe;
+    }
+    return null;
+}
+
+function applyRecipeAutomation(buildings) {
+    for (const name in buildings) {
+        const building = buildings[name];
+        if (!building.recipes || !building.recipeAutomation?.enabled) continue;
+        // Buildings with their own recipe logic (GHG factory temperature control) keep it
+        if (typeof building.hasBuiltInRecipeControl === 'function' && building.hasBuiltInRecipeControl()) continue;
+        const recipe = chooseAutomatedRecipe(building);
+        if (recipe && recipe !== building.currentRecipeKey) {
+            building.setRecipe(recipe);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RECIPE_AUTOMATION_METRICS,
+        createDefaultRecipeAutomation,
+        cloneRecipeAutomation,
+        createRecipeAutomationRule,
+        getRecipeAutomationReading,
+        chooseAutomatedRecipe,
+        applyRecipeAutomation,
+    };
+}
+
+if (typeof window !== 'undefined') {
+    window.RECIPE_AUTOMATION_METRICS = RECIPE_AUTOMATION_METRICS;
+    window.createDefaultRecipeAutomation = createDefaultRecipeAutomation;
+    window.cloneRecipeAutomation = cloneRecipeAutomation;
+    window.createRecipeAutomationRule = createRecipeAutomationRule;
+    window.getRecipeAutomationReading = getRecipeAutomationReading;
+    window.applyRecipeAutomation = applyRecipeAutomation;
+}
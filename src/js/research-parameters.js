@@ -459,6 +459,30 @@ const researchParameters = {
       //    }
       //  ]
       //}, 
+      {
+        id: 'industrial_consolidation',
+        name: 'Industrial Consolidation',
+        description: 'Allows ten ore mines, component factories or nuclear power plants to be upgraded into a single complex with better output per worker and per unit of energy.',
+        cost: { research: 5000000 },
+        prerequisites: [],
+        effects: [
+          {
+            target: 'building',
+            targetId: 'oreMiningComplex',
+            type: 'enable'
+          },
+          {
+            target: 'building',
+            targetId: 'componentMegafactory',
+            type: 'enable'
+          },
+          {
+            target: 'building',
+            targetId: 'nuclearPowerComplex',
+            type: 'enable'
+          },
+        ],
+      },
       {
         id: 'advanced_alloy',
         name: 'Advanced Alloys',
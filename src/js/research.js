@@ -212,6 +212,9 @@ class Research {
           if (research.category === 'advanced') {
             this.checkResearchUnlocks();
           }
+          if (typeof emitGameEvent === 'function') {
+            emitGameEvent(GAME_EVENTS.RESEARCH_COMPLETED, { id: research.id, research });
+          }
         } else {
           console.log(`Research "${id}" cannot be completed yet.`);
         }
@@ -226,6 +229,9 @@ class Research {
           if (research.category === 'advanced') {
             this.checkResearchUnlocks();
           }
+          if (typeof emitGameEvent === 'function') {
+            emitGameEvent(GAME_EVENTS.RESEARCH_COMPLETED, { id: research.id, research });
+          }
         }
       }
 
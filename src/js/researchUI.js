@@ -59,7 +59,11 @@ function updateAllResearchButtons(researchData) {
             updateResearchButtonText(button, researchItem, isVisible);
             if (costEl && descEl) {
                 if (isVisible) {
-                    costEl.textContent = `Cost: ${formatResearchCost(researchItem.cost)}`;
+                    let estimate = '';
+                    if (!researchItem.isResearched && typeof getTimeToAfford === 'function') {
+                        estimate = formatTimeToAfford(getTimeToAfford({ colony: researchItem.cost }));
+                    }
+                    costEl.textContent = `Cost: ${formatResearchCost(researchItem.cost)}${estimate ? ` (${estimate})` : ''}`;
                     descEl.textContent = researchItem.description;
                 } else {
                     costEl.textContent = 'Cost: ???';
@@ -0,0 +1,398 @@
+(function(){
+  // Sankey-style view of where resources come from and where they go, built
+  // from the per-source rates each resource collects through modifyRate.
+  // Producers sit on the left, resources in the middle and consumers on the
+  // right. Resources use different units, so every resource node has the same
+  // height and link widths show each source's share of that resource's flow.
+  const RESOURCE_FLOW_CATEGORIES = ['colony', 'surface', 'underground', 'atmospheric', 'special'];
+  // Flows below this share of a resource's throughput are merged into "Other"
+  const RESOURCE_FLOW_MIN_SHARE = 0.02;
+  const RESOURCE_FLOW_REFRESH_MS = 1000;
+  const FLOW_LAYOUT = { width: 900, nodeWidth: 12, resourceHeight: 36, gap: 8, labelWidth: 190 };
+  const OTHER_SOURCE = 'Other';
+
+  function isIgnoredSource(source) {
+    return source.endsWith('(not summed)');
+  }
+
+  // Rates by source for one side of a resource's ledger, keeping the rate
+  // type each source reported under
+  function collectFlows(byType) {
+    const flows = new Map();
+    for (const type in byType) {
+      for (const source in byType[type]) {
+        const rate = byType[type][source];
+        if (!(rate > 0) || isIgnoredSource(source)) continue;
+        const flow = flows.get(source) || { source, type, rate: 0 };
+        flow.rate += rate;
+        flows.set(source, flow);
+      }
+    }
+    return Array.from(flows.values());
+  }
+
+  function mergeSmallFlows(flows, throughput, minShare) {
+    const kept = [];
+    let other = 0;
+    flows.forEach(flow => {
+      if (flow.rate / throughput < minShare) {
+        other += flow.rate;
+      } else {
+        kept.push(flow);
+      }
+    });
+    if (other > 0) kept.push({ source: OTHER_SOURCE, type: null, rate: other });
+    return kept;
+  }
+
+  /**
+   * Build the flow graph for the unlocked resources in `categories`.
+   * Returns { nodes, links }: nodes have an id, a side ('producer',
+   * 'resource' or 'consumer'), a label and the total share they carry; links
+   * join producers to resources and resources to consumers with a rate and a
+   * share of the resource's throughput.
+   */
+  function buildResourceFlowGraph(resourceMap, options = {}) {
+    const categories = options.categories || RESOURCE_FLOW_CATEGORIES;
+    const minShare = options.minShare ?? RESOURCE_FLOW_MIN_SHARE;
+    const nodes = new Map();
+    const links = [];
+
+    function addNode(id, props, share) {
+      if (!nodes.has(id)) nodes.set(id, { id, share: 0, ...props });
+      nodes.get(id).share += share;
+    }
+
+    categories.forEach(category => {
+      const group = resourceMap?.[category];
+      if (!group) return;
+      for (const name in group) {
+        const resource = group[name];
+        if (!resource || !resource.unlocked) continue;
+        const produced = collectFlows(resource.productionRateByType || {});
+        const consumed = collectFlows(resource.consumptionRateByType || {});
+        const totalIn = produced.reduce((sum, f) => sum + f.rate, 0);
+        const totalOut = consumed.reduce((sum, f) => sum + f.rate, 0);
+        const throughput = Math.max(totalIn, totalOut);
+        if (!(throughput > 0)) continue;
+
+        const resourceId = `resource:${category}.${name}`;
+        addNode(resourceId, {
+          side: 'resource',
+          label: resource.displayName || name,
+          category,
+          resource: name,
+          unit: resource.unit || null,
+          rateIn: totalIn,
+          rateOut: totalOut
+        }, 1);
+
+        mergeSmallFlows(produced, throughput, minShare).forEach(flow => {
+          const share = flow.rate / throughput;
+          const id = `producer:${flow.source}`;
+          addNode(id, { side: 'producer', label: flow.source, source: flow.source, type: flow.type }, share);
+          links.push({ from: id, to: resourceId, rate: flow.rate, share });
+        });
+        mergeSmallFlows(consumed, throughput, minShare).forEach(flow => {
+          const share = flow.rate / throughput;
+          const id = `consumer:${flow.source}`;
+          addNode(id, { side: 'consumer', label: flow.source, source: flow.source, type: flow.type }, share);
+          links.push({ from: resourceId, to: id, rate: flow.rate, share });
+        });
+      }
+    });
+
+    return { nodes: Array.from(nodes.values()), links };
+  }
+
+  /**
+   * Give every node x/y/height and every link its band offsets. Resource
+   * nodes keep their insertion order; producers and consumers are sorted so
+   * the biggest sit at the top.
+   */
+  function layoutResourceFlowGraph(graph, layout = FLOW_LAYOUT) {
+    const columns = { producer: [], resource: [], consumer: [] };
+    graph.nodes.forEach(node => columns[node.side].push(node));
+    columns.producer.sort((a, b) => b.share - a.share);
+    columns.consumer.sort((a, b) => b.share - a.share);
+
+    const x = {
+      producer: layout.labelWidth,
+      resource: (layout.width - layout.nodeWidth) / 2,
+      consumer: layout.width - layout.labelWidth - layout.nodeWidth
+    };
+    let height = 0;
+    for (const side in columns) {
+      let y = layout.gap;
+      columns[side].forEach(node => {
+        node.x = x[side];
+        node.y = y;
+        node.height = Math.max(node.share * layout.resourceHeight, 1);
+        node.inOffset = 0;
+        node.outOffset = 0;
+        y += node.height + layout.gap;
+      });
+      height = Math.max(height, y);
+    }
+
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    graph.links.forEach(link => {
+      const from = byId.get(link.from);
+      const to = byId.get(link.to);
+      link.width = Math.max(link.share * layout.resourceHeight, 1);
+      link.y0 = from.y + from.outOffset;
+      link.y1 = to.y + to.inOffset;
+      from.outOffset += link.width;
+      to.inOffset += link.width;
+      link.x0 = from.x + layout.nodeWidth;
+      link.x1 = to.x;
+    });
+    return { ...graph, width: layout.width, height };
+  }
+
+  // Band between two nodes as a closed cubic path
+  function linkPath(link) {
+    const mid = (link.x0 + link.x1) / 2;
+    const top = `M${link.x0},${link.y0} C${mid},${link.y0} ${mid},${link.y1} ${link.x1},${link.y1}`;
+    const bottom = `L${link.x1},${link.y1 + link.width} C${mid},${link.y1 + link.width} ${mid},${link.y0 + link.width} ${link.x0},${link.y0 + link.width} Z`;
+    return `${top} ${bottom}`;
+  }
+
+  function findByDisplayName(collection, source) {
+    if (!collection) return null;
+    for (const key in collection) {
+      const item = collection[key];
+      if (item && (item.displayName === source || item.name === source)) return item;
+    }
+    return null;
+  }
+
+  // Where clicking a producer or consumer should take the player
+  function resolveFlowTarget(node) {
+    if (!node || !node.source) return null;
+    const building = typeof buildings !== 'undefined' ? findByDisplayName(buildings, node.source) : null;
+    if (building) {
+      return { tab: 'buildings', subtab: `${building.category}-buildings`, structure: building.name };
+    }
+    const colony = typeof colonies !== 'undefined' ? findByDisplayName(colonies, node.source) : null;
+    if (colony) {
+      return { tab: 'colonies', structure: colony.name };
+    }
+    const project = typeof projectManager !== 'undefined' ? findByDisplayName(projectManager.projects, node.source) : null;
+    if (project) {
+      return { tab: 'special-projects', subtab: `${project.category || 'resources'}-projects`, project: project.name };
+    }
+    switch (node.type) {
+      case 'terraforming':
+      case 'overflow':
+        return { tab: 'terraforming', subtab: 'summary-terraforming' };
+      case 'life':
+        return { tab: 'terraforming', subtab: 'life-terraforming' };
+      case 'research':
+        return { tab: 'research' };
+      case 'nanotech':
+      case 'population':
+      case 'funding':
+        return { tab: 'colonies' };
+      default:
+        return null;
+    }
+  }
+
+  function openFlowTarget(target) {
+    if (typeof activateTab === 'function') {
+      activateTab(target.tab);
+    } else if (typeof tabManager !== 'undefined' && tabManager) {
+      tabManager.activateTab(target.tab);
+    }
+    if (target.subtab) {
+      if (target.tab === 'buildings' && typeof activateBuildingSubtab === 'function') {
+        activateBuildingSubtab(target.subtab);
+      } else if (target.tab === 'special-projects' && typeof activateProjectSubtab === 'function') {
+        activateProjectSubtab(target.subtab);
+      } else if (target.tab === 'terraforming' && typeof activateTerraformingSubtab === 'function') {
+        activateTerraformingSubtab(target.subtab);
+      }
+    }
+    let element = null;
+    if (target.structure && typeof structureUIElements !== 'undefined') {
+      element = structureUIElements[target.structure]?.combinedRow || null;
+    } else if (target.project && typeof projectElements !== 'undefined') {
+      element = projectElements[target.project]?.projectItem || null;
+    }
+    if (element && typeof element.scrollIntoView === 'function') {
+      element.scrollIntoView({ block: 'center' });
+    }
+  }
+
+  let flowCategory = 'all';
+  let lastFlowRender = -Infinity;
+
+  function formatFlowRate(rate, unit) {
+    const text = typeof formatNumber === 'function' ? formatNumber(rate, false, 2) : rate.toFixed(2);
+    return `${text}${unit ? ' ' + unit : ''}/s`;
+  }
+
+  function renderResourceFlowDiagram(container, resourceMap) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const categories = flowCategory === 'all' ? RESOURCE_FLOW_CATEGORIES : [flowCategory];
+    const graph = layoutResourceFlowGraph(buildResourceFlowGraph(resourceMap, { categories }));
+    container.innerHTML = '';
+    if (graph.nodes.length === 0) {
+      const empty = document.createElement('p');
+      empty.classList.add('empty-message');
+      empty.textContent = 'No resource flows right now.';
+      container.appendChild(empty);
+      return graph;
+    }
+
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('width', graph.width);
+    svg.setAttribute('height', graph.height);
+    svg.setAttribute('viewBox', `0 0 ${graph.width} ${graph.height}`);
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+
+    graph.links.forEach(link => {
+      const path = document.createElementNS(svgNS, 'path');
+      path.setAttribute('d', linkPath(link));
+      path.classList.add('resource-flow-link');
+      const resourceNode = byId.get(link.to).side === 'resource' ? byId.get(link.to) : byId.get(link.from);
+      path.classList.add(link.to === resourceNode.id ? 'resource-flow-in' : 'resource-flow-out');
+      const title = document.createElementNS(svgNS, 'title');
+      title.textContent = `${byId.get(link.from).label} → ${byId.get(link.to).label}: ${formatFlowRate(link.rate, resourceNode.unit)}`;
+      path.appendChild(title);
+      svg.appendChild(path);
+    });
+
+    graph.nodes.forEach(node => {
+      const group = document.createElementNS(svgNS, 'g');
+      group.classList.add('resource-flow-node', `resource-flow-${node.side}`);
+      const rect = document.createElementNS(svgNS, 'rect');
+      rect.setAttribute('x', node.x);
+      rect.setAttribute('y', node.y);
+      rect.setAttribute('width', FLOW_LAYOUT.nodeWidth);
+      rect.setAttribute('height', node.height);
+      group.appendChild(rect);
+
+      const text = document.createElementNS(svgNS, 'text');
+      const left = node.side === 'producer';
+      text.setAttribute('x', left ? node.x - 4 : node.x + FLOW_LAYOUT.nodeWidth + 4);
+      text.setAttribute('y', node.y + node.height / 2);
+      text.setAttribute('text-anchor', left ? 'end' : 'start');
+      text.setAttribute('dominant-baseline', 'middle');
+      text.textContent = node.label;
+      group.appendChild(text);
+
+      const title = document.createElementNS(svgNS, 'title');
+      if (node.side === 'resource') {
+        title.textContent = `${node.label}: +${formatFlowRate(node.rateIn, node.unit)} / -${formatFlowRate(node.rateOut, node.unit)}`;
+      } else {
+        title.textContent = node.label;
+      }
+      group.appendChild(title);
+
+      const target = resolveFlowTarget(node);
+      if (target) {
+        group.classList.add('resource-flow-clickable');
+        group.addEventListener('click', () => {
+          closeResourceFlowOverlay();
+          openFlowTarget(target);
+        });
+      }
+      svg.appendChild(group);
+    });
+
+    container.appendChild(svg);
+    return graph;
+  }
+
+  function createResourceFlowOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'resource-flow-overlay';
+    overlay.classList.add('resource-flow-overlay');
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) closeResourceFlowOverlay();
+    });
+
+    const windowDiv = document.createElement('div');
+    windowDiv.classList.add('resource-flow-window');
+
+    const header = document.createElement('div');
+    header.classList.add('resource-flow-header');
+    const title = document.createElement('h2');
+    title.textContent = 'Resource Flows';
+    const select = document.createElement('select');
+    select.id = 'resource-flow-category';
+    ['all', ...RESOURCE_FLOW_CATEGORIES].forEach(category => {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = category === 'all' ? 'All categories' : category.charAt(0).toUpperCase() + category.slice(1);
+      select.appendChild(option);
+    });
+    select.value = flowCategory;
+    select.addEventListener('change', () => {
+      flowCategory = select.value;
+      updateResourceFlowOverlay(true);
+    });
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', closeResourceFlowOverlay);
+    header.appendChild(title);
+    header.appendChild(select);
+    header.appendChild(closeButton);
+
+    const note = document.createElement('p');
+    note.classList.add('resource-flow-note');
+    note.textContent = 'Band widths show each source\'s share of a resource\'s flow. Hover for rates; click a producer or consumer to open it.';
+
+    const body = document.createElement('div');
+    body.id = 'resource-flow-body';
+
+    windowDiv.appendChild(header);
+    windowDiv.appendChild(note);
+    windowDiv.appendChild(body);
+    overlay.appendChild(windowDiv);
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  function openResourceFlowOverlay() {
+    const overlay = document.getElementById('resource-flow-overlay') || createResourceFlowOverlay();
+    overlay.style.display = '';
+    updateResourceFlowOverlay(true);
+  }
+
+  function closeResourceFlowOverlay() {
+    const overlay = document.getElementById('resource-flow-overlay');
+    if (overlay) overlay.style.display = 'none';
+  }
+
+  // Called from the render loop; redraws at most once per refresh interval
+  function updateResourceFlowOverlay(force = false) {
+    if (typeof document === 'undefined') return;
+    const overlay = document.getElementById('resource-flow-overlay');
+    if (!overlay || overlay.style.display === 'none') return;
+    const now = typeof performance !== 'undefined' ? performance.now() : Date.now();
+    if (!force && now - lastFlowRender < RESOURCE_FLOW_REFRESH_MS) return;
+    lastFlowRender = now;
+    const body = document.getElementById('resource-flow-body');
+    if (body && typeof resources !== 'undefined') {
+      renderResourceFlowDiagram(body, resources);
+    }
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      RESOURCE_FLOW_CATEGORIES,
+      buildResourceFlowGraph,
+      layoutResourceFlowGraph,
+      resolveFlowTarget,
+      renderResourceFlowDiagram
+    };
+  } else {
+    globalThis.buildResourceFlowGraph = buildResourceFlowGraph;
+    globalThis.openResourceFlowOverlay = openResourceFlowOverlay;
+    globalThis.closeResourceFlowOverlay = closeResourceFlowOverlay;
+    globalThis.updateResourceFlowOverlay = updateResourceFlowOverlay;
+  }
+})();
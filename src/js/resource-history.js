@@ -0,0 +1,269 @@
+(function(){
+  // Samples every unlocked resource at fixed intervals of game time: its value,
+  // net rate and the sources contributing most to that rate (from the
+  // modifyRate ledger). Each tier is a ring buffer, so memory stays bounded.
+  // Saves keep every saveEvery-th sample of a tier (default 1); tiers with
+  // saveEvery 0 start empty after a load.
+  const RESOURCE_HISTORY_TIERS = [
+    { name: 'recent', label: 'Last 10 minutes', intervalSeconds: 1, samples: 600, saveEvery: 0 },
+    { name: 'day', label: 'Last 24 hours', intervalSeconds: 60, samples: 1440, saveEvery: 10 }
+  ];
+  const RESOURCE_HISTORY_TOP_SOURCES = 3;
+  // Sources the tooltip leaves out of the totals as well
+  const IGNORED_SOURCES = new Set(['Overflow (not summed)']);
+
+  // Round to a few significant digits to keep saves small
+  function roundSignificant(value, digits) {
+    if (!Number.isFinite(value) || value === 0) return value || 0;
+    return Number(value.toPrecision(digits));
+  }
+
+  // The `count` sources with the largest net contribution, as [name, rate]
+  function getTopSources(resource, count = RESOURCE_HISTORY_TOP_SOURCES) {
+    const net = {};
+    const production = resource.productionRateBySource || {};
+    const consumption = resource.consumptionRateBySource || {};
+    for (const source in production) {
+      if (!IGNORED_SOURCES.has(source)) net[source] = (net[source] || 0) + production[source];
+    }
+    for (const source in consumption) {
+      if (!IGNORED_SOURCES.has(source)) net[source] = (net[source] || 0) - consumption[source];
+    }
+    return Object.entries(net)
+      .filter(([, rate]) => rate !== 0)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .slice(0, count);
+  }
+
+  function getSaveEvery(tier) {
+    return tier.saveEvery === undefined ? 1 : Math.max(0, Math.floor(tier.saveEvery));
+  }
+
+  // Ring buffer of samples for one resource in one tier
+  class HistorySeries {
+    constructor(size) {
+      this.size = size;
+      this.clear();
+    }
+
+    clear() {
+      this.values = new Array(this.size);
+      this.rates = new Array(this.size);
+      this.sources = new Array(this.size);
+      this.start = 0;
+      this.length = 0;
+      this.total = 0; // samples pushed since the last clear
+    }
+
+    push(value, rate, sources) {
+      const index = (this.start + this.length) % this.size;
+      this.values[index] = value;
+      this.rates[index] = rate;
+      this.sources[index] = sources;
+      this.total += 1;
+      if (this.length < this.size) {
+        this.length += 1;
+      } else {
+        this.start = (this.start + 1) % this.size;
+      }
+    }
+
+    // Samples oldest first
+    toArray() {
+      const samples = [];
+      for (let i = 0; i < this.length; i++) {
+        const index = (this.start + i) % this.size;
+        samples.push({ value: this.values[index], rate: this.rates[index], sources: this.sources[index] });
+      }
+      return samples;
+    }
+
+    // Source names are stored once per series; each sample keeps
+    // [nameIndex, rate, nameIndex, rate, ...]. With `every` > 1 only every
+    // every-th sample counting back from the newest is kept.
+    saveState(every = 1) {
+      const names = [];
+      const nameIndex = new Map();
+      const state = { values: [], rates: [], sources: [], names };
+      const samples = this.toArray().filter((sample, index, all) => (all.length - 1 - index) % every === 0);
+      samples.forEach(sample => {
+        state.values.push(roundSignificant(sample.value, 5));
+        state.rates.push(roundSignificant(sample.rate, 4));
+        const flat = [];
+        (sample.sources || []).forEach(([name, rate]) => {
+          if (!nameIndex.has(name)) {
+            nameIndex.set(name, names.length);
+            names.push(name);
+          }
+          flat.push(nameIndex.get(name), roundSignificant(rate, 3));
+        });
+        state.sources.push(flat);
+      });
+      return state;
+    }
+
+    // Each saved sample fills `every` slots, so the time axis survives
+    // downsampling
+    loadState(state = {}, every = 1) {
+      this.clear();
+      const values = Array.isArray(state.values) ? state.values : [];
+      const rates = Array.isArray(state.rates) ? state.rates : [];
+      const sources = Array.isArray(state.sources) ? state.sources : [];
+      const names = Array.isArray(state.names) ? state.names : [];
+      const first = Math.max(0, values.length - Math.ceil(this.size / every));
+      for (let i = first; i < values.length; i++) {
+        const flat = Array.isArray(sources[i]) ? sources[i] : [];
+        const pairs = [];
+        for (let j = 0; j + 1 < flat.length; j += 2) {
+          if (names[flat[j]] !== undefined) pairs.push([names[flat[j]], flat[j + 1]]);
+        }
+        for (let k = 0; k < every; k++) {
+          this.push(values[i] || 0, rates[i] || 0, pairs);
+        }
+      }
+    }
+  }
+
+  class ResourceHistory {
+    constructor(options = {}) {
+      this.tiers = options.tiers || RESOURCE_HISTORY_TIERS;
+      this.topSources = options.topSources || RESOURCE_HISTORY_TOP_SOURCES;
+      this.reset();
+    }
+
+    reset() {
+      this.elapsed = {};
+      this.series = {};
+      this.tiers.forEach(tier => {
+        this.elapsed[tier.name] = 0;
+        this.series[tier.name] = {};
+      });
+    }
+
+    getTier(name) {
+      return this.tiers.find(tier => tier.name === name) || null;
+    }
+
+    // Advance by `delta` ms of game time and take the samples that are due.
+    // The resources are read once per call however many samples are due; a
+    // long step fills at most one buffer's worth of samples per tier.
+    update(delta, resourceMap) {
+      if (!resourceMap || !(delta > 0)) return;
+      let sample = null;
+      this.tiers.forEach(tier => {
+        this.elapsed[tier.name] += delta / 1000;
+        let due = Math.floor(this.elapsed[tier.name] / tier.intervalSeconds);
+        if (due <= 0) return;
+        this.elapsed[tier.name] -= due * tier.intervalSeconds;
+        due = Math.min(due, tier.samples);
+        sample = sample || this.takeSample(resourceMap);
+        for (let i = 0; i < due; i++) {
+          this.record(tier, sample);
+        }
+      });
+    }
+
+    // Value, net rate and top sources of every unlocked resource
+    takeSample(resourceMap) {
+      const sample = [];
+      for (const category in resourceMap) {
+        for (const name in resourceMap[category]) {
+          const resource = resourceMap[category][name];
+          if (!resource || !resource.unlocked) continue;
+          const rate = (resource.productionRate || 0) - (resource.consumptionRate || 0);
+          sample.push({ category, name, value: resource.value || 0, rate, sources: getTopSources(resource, this.topSources) });
+        }
+      }
+      return sample;
+    }
+
+    record(tier, sample) {
+      const tierSeries = this.series[tier.name];
+      sample.forEach(({ category, name, value, rate, sources }) => {
+        if (!tierSeries[category]) tierSeries[category] = {};
+        if (!tierSeries[category][name]) tierSeries[category][name] = new HistorySeries(tier.samples);
+        tierSeries[category][name].push(value, rate, sources);
+      });
+    }
+
+    getSeries(category, name, tierName) {
+      return this.series[tierName]?.[category]?.[name] || null;
+    }
+
+    // Samples for one resource, oldest first
+    getSamples(category, name, tierName) {
+      const series = this.getSeries(category, name, tierName);
+      return series ? series.toArray() : [];
+    }
+
+    // Average net contribution of each source over a tier's samples,
+    // largest first
+    getSourceAverages(category, name, tierName) {
+      const samples = this.getSamples(category, name, tierName);
+      if (samples.length === 0) return [];
+      const totals = {};
+      samples.forEach(sample => {
+        (sample.sources || []).forEach(([source, rate]) => {
+          totals[source] = (totals[source] || 0) + rate;
+        });
+      });
+      return Object.entries(totals)
+        .map(([source, total]) => [source, total / samples.length])
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+    }
+
+    saveState() {
+      const state = { elapsed: {}, series: {} };
+      this.tiers.forEach(tier => {
+        const every = getSaveEvery(tier);
+        if (!every) return;
+        const tierSeries = this.series[tier.name];
+        state.elapsed[tier.name] = this.elapsed[tier.name];
+        state.series[tier.name] = {};
+        for (const category in tierSeries) {
+          state.series[tier.name][category] = {};
+          for (const name in tierSeries[category]) {
+            state.series[tier.name][category][name] = tierSeries[category][name].saveState(every);
+          }
+        }
+      });
+      return state;
+    }
+
+    loadState(state = {}) {
+      this.reset();
+      this.tiers.forEach(tier => {
+        const every = getSaveEvery(tier);
+        if (!every) return;
+        const elapsed = state.elapsed?.[tier.name];
+        if (Number.isFinite(elapsed)) this.elapsed[tier.name] = elapsed;
+        const savedTier = state.series?.[tier.name] || {};
+        for (const category in savedTier) {
+          this.series[tier.name][category] = {};
+          for (const name in savedTier[category]) {
+            const series = new HistorySeries(tier.samples);
+            series.loadState(savedTier[category][name], every);
+            this.series[tier.name][category][name] = series;
+          }
+        }
+      });
+    }
+  }
+
+  const resourceHistory = new ResourceHistory();
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      RESOURCE_HISTORY_TIERS,
+      RESOURCE_HISTORY_TOP_SOURCES,
+      getTopSources,
+      HistorySeries,
+      ResourceHistory,
+      resourceHistory
+    };
+  } else {
+    globalThis.RESOURCE_HISTORY_TIERS = RESOURCE_HISTORY_TIERS;
+    globalThis.ResourceHistory = ResourceHistory;
+    globalThis.resourceHistory = resourceHistory;
+  }
+})();
@@ -355,15 +355,29 @@ function produceResources(deltaTime, buildings) {
     }
   }
 
+  // Size the battery banks, then share energy out by priority tier before
+  // productivities are set
+  if (typeof energyStorageManager !== 'undefined') {
+    energyStorageManager.update(resources.colony?.energy, buildings);
+  }
+  if (typeof energyPriorityManager !== 'undefined') {
+    const projects = typeof projectManager !== 'undefined' ? projectManager?.projects : null;
+    energyPriorityManager.update(resources.colony?.energy, buildings, projects, deltaTime);
+  }
+
   for (const buildingName in buildings) {
     const building = buildings[buildingName];
 
     // Set productivity to 0 if it's nighttime and the building is inactive during the night
     if (!isDay && building.dayNightActivity) {
       building.productivity = 0;
+      building.productivityLimit = building.active > 0 ? { type: 'dayNight', ratio: 0 } : null;
     } else {
       // Otherwise, update productivity as usual
       building.updateProductivity(resources, deltaTime);
+      if (typeof building.finalizeProductivityLimit === 'function') {
+        building.finalizeProductivityLimit();
+      }
     }
   }
 
@@ -410,10 +424,15 @@ function produceResources(deltaTime, buildings) {
     for (const name in projectManager.projects) {
       const project = projectManager.projects[name];
       if (project && project.treatAsBuilding && typeof project.applyCostAndGain === 'function') {
+        let productivity = 1;
         if (typeof project.estimateCostAndGain === 'function') {
-          project.estimateCostAndGain(deltaTime, true, 1);
+          if (typeof energyPriorityManager !== 'undefined') {
+            const { cost } = project.estimateCostAndGain(deltaTime, false) || {};
+            productivity = energyPriorityManager.getProjectProductivity(project, cost);
+          }
+          project.estimateCostAndGain(deltaTime, true, productivity);
         }
-        project.applyCostAndGain(deltaTime, accumulatedChanges, 1);
+        project.applyCostAndGain(deltaTime, accumulatedChanges, productivity);
       }
     }
   }
@@ -473,7 +492,10 @@ function produceResources(deltaTime, buildings) {
       if (!data || data.project.treatAsBuilding) continue;
       const { project } = data;
 //      const productivity = productivityMap[name] ?? 1;
-      const productivity = 1;
+      // Only energy is rationed, by the project's priority tier
+      const productivity = typeof energyPriorityManager !== 'undefined'
+        ? energyPriorityManager.getProjectProductivity(project, data.cost)
+        : 1;
       if (project.autoStart === false) {
         project.applyCostAndGain(deltaTime, accumulatedChanges, productivity);
         continue;
@@ -487,6 +509,12 @@ function produceResources(deltaTime, buildings) {
     nanotechManager.produceResources(deltaTime, accumulatedChanges);
   }
 
+  // Surplus energy charges the batteries at their rate and efficiency
+  if (typeof energyStorageManager !== 'undefined' && accumulatedChanges.colony?.energy !== undefined) {
+    accumulatedChanges.colony.energy = energyStorageManager.applyCharge(
+      resources.colony.energy, accumulatedChanges.colony.energy, deltaTime);
+  }
+
   // Apply accumulated changes to resources
   for (const category in resources) {
     for (const resourceName in resources[category]) {
@@ -507,6 +535,14 @@ function produceResources(deltaTime, buildings) {
 
       resource.value = Math.max(finalValue, 0); // Ensure non-negative
 
+      if (typeof emitGameEvent === 'function') {
+        if (resource.hasCap && resource.cap > 0 && previousValue < resource.cap && resource.value >= resource.cap) {
+          emitGameEvent(GAME_EVENTS.RESOURCE_CAPPED, { category, name: resourceName, resource });
+        } else if (previousValue > 0 && resource.value <= 0) {
+          emitGameEvent(GAME_EVENTS.RESOURCE_DEPLETED, { category, name: resourceName, resource });
+        }
+      }
+
       if (overflow > 0 && category === 'colony' && resourceName === 'water' && terraforming && terraforming.zonalWater) {
         const zones = ['tropical', 'temperate', 'polar'];
         const warmZones = zones.filter(z => (terraforming.temperature?.zones?.[z]?.value || 0) > 273.15);
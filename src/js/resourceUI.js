@@ -201,22 +201,130 @@ function createTooltipElement(resourceName) {
   autobuildDiv.appendChild(autoTable);
   autobuildDiv._info = { value: autoValue, table: autoTable, rows: new Map() };
 
+  const historyDiv = document.createElement('div');
+  historyDiv.id = `${resourceName}-tooltip-history`;
+  historyDiv.style.display = 'none';
+  historyDiv.appendChild(document.createElement('br'));
+  const historyHeader = document.createElement('strong');
+  historyHeader.textContent = 'History (value, net rate dashed):';
+  historyDiv.appendChild(historyHeader);
+  const historyTiers = typeof RESOURCE_HISTORY_TIERS !== 'undefined' ? RESOURCE_HISTORY_TIERS : [];
+  historyDiv._info = { charts: new Map() };
+  historyTiers.forEach(tier => {
+    const chart = createResourceHistoryChart(tier);
+    historyDiv.appendChild(chart.root);
+    historyDiv._info.charts.set(tier.name, chart);
+  });
+
   const col1 = document.createElement('div');
   col1.appendChild(headerDiv);
   col1.appendChild(productionDiv);
   col1.appendChild(consumptionDiv);
   col1.appendChild(overflowDiv);
   col1.appendChild(autobuildDiv);
+  col1.appendChild(historyDiv);
   tooltip.appendChild(col1);
 
   const col2 = document.createElement('div');
   const col3 = document.createElement('div');
   // Store references needed for dynamic column reflow
-  tooltip._columnsInfo = { headerDiv, productionDiv, consumptionDiv, overflowDiv, autobuildDiv, col1, col2, col3, timeDiv, netDiv };
+  tooltip._columnsInfo = { headerDiv, productionDiv, consumptionDiv, overflowDiv, autobuildDiv, historyDiv, col1, col2, col3, timeDiv, netDiv };
 
   return tooltip;
 }
 
+const RESOURCE_HISTORY_CHART_WIDTH = 220;
+const RESOURCE_HISTORY_CHART_HEIGHT = 48;
+
+// One history tier in the resource tooltip: a label, a chart of the value
+// (solid) and net rate (dashed) and the sources that moved it most.
+function createResourceHistoryChart(tier) {
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const root = document.createElement('div');
+  root.classList.add('resource-history-chart');
+  root.style.display = 'none';
+
+  const label = document.createElement('div');
+  root.appendChild(label);
+
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${RESOURCE_HISTORY_CHART_WIDTH} ${RESOURCE_HISTORY_CHART_HEIGHT}`);
+  svg.setAttribute('preserveAspectRatio', 'none');
+  const zeroLine = document.createElementNS(svgNS, 'line');
+  zeroLine.classList.add('resource-history-zero');
+  const rateLine = document.createElementNS(svgNS, 'polyline');
+  rateLine.classList.add('resource-history-rate');
+  const valueLine = document.createElementNS(svgNS, 'polyline');
+  valueLine.classList.add('resource-history-value');
+  svg.appendChild(zeroLine);
+  svg.appendChild(rateLine);
+  svg.appendChild(valueLine);
+  root.appendChild(svg);
+
+  const sources = document.createElement('div');
+  sources.classList.add('resource-history-sources');
+  root.appendChild(sources);
+
+  return { tier, root, label, svg, zeroLine, rateLine, valueLine, sources, total: -1 };
+}
+
+function historyChartPoints(values, min, max) {
+  const span = max - min || 1;
+  const last = Math.max(values.length - 1, 1);
+  return values.map((v, i) => {
+    const x = (i / last) * RESOURCE_HISTORY_CHART_WIDTH;
+    const y = RESOURCE_HISTORY_CHART_HEIGHT - ((v - min) / span) * RESOURCE_HISTORY_CHART_HEIGHT;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+}
+
+function updateResourceHistoryChart(chart, resource) {
+  const series = resourceHistory.getSeries(resource.category, resource.name, chart.tier.name);
+  if (!series || series.length < 2) {
+    chart.root.style.display = 'none';
+    return false;
+  }
+  chart.root.style.display = 'block';
+  if (series.total === chart.total) return true;
+  chart.total = series.total;
+
+  const samples = series.toArray();
+  const values = samples.map(s => s.value);
+  const rates = samples.map(s => s.rate);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const minRate = Math.min(0, ...rates);
+  const maxRate = Math.max(0, ...rates);
+  const unit = resource.unit ? ' ' + resource.unit : '';
+
+  chart.label.textContent = `${chart.tier.label}: ${formatNumber(minValue, false, 3)} - ${formatNumber(maxValue, false, 3)}${unit}`;
+  chart.valueLine.setAttribute('points', historyChartPoints(values, minValue, maxValue));
+  chart.rateLine.setAttribute('points', historyChartPoints(rates, minRate, maxRate));
+  const zeroY = (RESOURCE_HISTORY_CHART_HEIGHT - (-minRate / (maxRate - minRate || 1)) * RESOURCE_HISTORY_CHART_HEIGHT).toFixed(1);
+  chart.zeroLine.setAttribute('x1', 0);
+  chart.zeroLine.setAttribute('x2', RESOURCE_HISTORY_CHART_WIDTH);
+  chart.zeroLine.setAttribute('y1', zeroY);
+  chart.zeroLine.setAttribute('y2', zeroY);
+
+  const averages = resourceHistory.getSourceAverages(resource.category, resource.name, chart.tier.name).slice(0, 3);
+  chart.sources.textContent = averages.length
+    ? 'Average: ' + averages.map(([source, rate]) => `${source} ${rate >= 0 ? '+' : ''}${formatNumber(rate, false, 2)}/s`).join(', ')
+    : '';
+  return true;
+}
+
+function updateResourceHistory(historyDiv, resource) {
+  if (typeof resourceHistory === 'undefined' || !resourceHistory || !historyDiv._info) {
+    historyDiv.style.display = 'none';
+    return;
+  }
+  let shown = false;
+  historyDiv._info.charts.forEach(chart => {
+    if (updateResourceHistoryChart(chart, resource)) shown = true;
+  });
+  historyDiv.style.display = shown ? 'block' : 'none';
+}
+
 function clearElement(element) {
   while (element.firstChild) {
     element.removeChild(element.firstChild);
@@ -277,7 +385,7 @@ function updateRateTable(container, entries, formatter) {
 
 function setResourceTooltipColumns(tooltip, cols) {
   if (!tooltip || !tooltip._columnsInfo) return;
-  const { headerDiv, productionDiv, consumptionDiv, overflowDiv, autobuildDiv, col1, col2, col3, timeDiv, netDiv } = tooltip._columnsInfo;
+  const { headerDiv, productionDiv, consumptionDiv, overflowDiv, autobuildDiv, historyDiv, col1, col2, col3, timeDiv, netDiv } = tooltip._columnsInfo;
   col1.innerHTML = '';
   if (cols === 3) {
     col2.innerHTML = '';
@@ -294,6 +402,7 @@ function setResourceTooltipColumns(tooltip, cols) {
 
     col1.appendChild(headerDiv);
     col1.appendChild(productionDiv);
+    if (historyDiv) col1.appendChild(historyDiv);
     // Time to full above consumption
     // Remove any leading <br> so the header aligns cleanly at the top of its column
     if (consumptionDiv.firstChild && consumptionDiv.firstChild.tagName === 'BR') {
@@ -356,6 +465,7 @@ function setResourceTooltipColumns(tooltip, cols) {
     col1.appendChild(consumptionDiv);
     col1.appendChild(overflowDiv);
     col1.appendChild(autobuildDiv);
+    if (historyDiv) col1.appendChild(historyDiv);
     if (col2.parentNode) tooltip.removeChild(col2);
     if (col3.parentNode) tooltip.removeChild(col3);
   }
@@ -862,6 +972,7 @@ function updateResourceRateDisplay(resource){
   const consumptionDiv = entry?.tooltip?.consumptionDiv || document.getElementById(`${resource.name}-tooltip-consumption`);
   const overflowDiv = entry?.tooltip?.overflowDiv || document.getElementById(`${resource.name}-tooltip-overflow`);
   const autobuildDiv = entry?.tooltip?.autobuildDiv || document.getElementById(`${resource.name}-tooltip-autobuild`);
+  const historyDiv = entry?.tooltip?.historyDiv || document.getElementById(`${resource.name}-tooltip-history`);
 
   const netRate = resource.productionRate - resource.consumptionRate;
 
@@ -1033,6 +1144,10 @@ function updateResourceRateDisplay(resource){
       autobuildDiv.style.display = 'none';
     }
   }
+
+  if (historyDiv) {
+    updateResourceHistory(historyDiv, resource);
+  }
 }
 
 function updateResourceUI(resources) {
@@ -1090,6 +1205,7 @@ function cacheSingleResource(category, resourceName) {
       consumptionDiv: document.getElementById(`${resourceName}-tooltip-consumption`),
       overflowDiv: document.getElementById(`${resourceName}-tooltip-overflow`),
       autobuildDiv: document.getElementById(`${resourceName}-tooltip-autobuild`),
+      historyDiv: document.getElementById(`${resourceName}-tooltip-history`),
     }
   };
   resourceUICache.resources[resourceName] = entry;
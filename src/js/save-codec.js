@@ -0,0 +1,266 @@
+(function(){
+  // Compact save strings look like TTSAVE:<codec>:<save format version>:<crc32>:<base64 payload>.
+  // The payload is the UTF-8 save JSON compressed with LZW and prefixed with its byte length.
+  const SAVE_STRING_PREFIX = 'TTSAVE';
+  const SAVE_CODEC_VERSION = 1;
+  const LZW_MIN_WIDTH = 9;
+  const LZW_MAX_CODE = 1 << 20;
+  // Largest decompressed size accepted per compressed byte. Game saves
+  // compress far less than this; it keeps a tampered length header from
+  // allocating gigabytes before the checksum is checked.
+  const LZW_MAX_EXPANSION = 2048;
+
+  class SaveStringError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'SaveStringError';
+    }
+  }
+
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function bitsFor(value) {
+    let width = LZW_MIN_WIDTH;
+    while (value >= (1 << width)) width++;
+    return width;
+  }
+
+  function lzwCompress(input) {
+    let out = new Uint8Array(Math.max(16, input.length >> 1));
+    let outLength = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const pushByte = (byte) => {
+      if (outLength === out.length) {
+        const grown = new Uint8Array(out.length * 2);
+        grown.set(out);
+        out = grown;
+      }
+      out[outLength++] = byte;
+    };
+    const writeCode = (code, width) => {
+      bitBuffer |= code << bitCount;
+      bitCount += width;
+      while (bitCount >= 8) {
+        pushByte(bitBuffer & 0xFF);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    // Uncompressed length header (32-bit little endian)
+    const length = input.length;
+    pushByte(length & 0xFF);
+    pushByte((length >>> 8) & 0xFF);
+    pushByte((length >>> 16) & 0xFF);
+    pushByte((length >>> 24) & 0xFF);
+
+    const dictionary = new Map();
+    let nextCode = 256;
+    let width = LZW_MIN_WIDTH;
+    let current = -1;
+    for (let i = 0; i < input.length; i++) {
+      const byte = input[i];
+      if (current === -1) {
+        current = byte;
+        continue;
+      }
+      const key = current * 256 + byte;
+      const code = dictionary.get(key);
+      if (code !== undefined) {
+        current = code;
+        continue;
+      }
+      writeCode(current, width);
+      if (nextCode < LZW_MAX_CODE) {
+        dictionary.set(key, nextCode++);
+        width = bitsFor(Math.min(nextCode - 1, LZW_MAX_CODE - 1));
+      }
+      current = byte;
+    }
+    if (current !== -1) {
+      writeCode(current, width);
+    }
+    if (bitCount > 0) {
+      pushByte(bitBuffer & 0xFF);
+    }
+    return out.subarray(0, outLength);
+  }
+
+  function lzwDecompress(input) {
+    if (input.length < 4) {
+      throw new SaveStringError('Save data is truncated.');
+    }
+    const length = (input[0] | (input[1] << 8) | (input[2] << 16) | (input[3] << 24)) >>> 0;
+    // The n-th code decodes to at most n bytes, and every code takes at
+    // least LZW_MIN_WIDTH bits
+    const maxCodes = Math.floor((input.length - 4) * 8 / LZW_MIN_WIDTH);
+    if (length > maxCodes * (maxCodes + 1) / 2 || length > input.length * LZW_MAX_EXPANSION) {
+      throw new SaveStringError('Save data is corrupt.');
+    }
+    const output = new Uint8Array(length);
+    if (length === 0) return output;
+
+    const prefix = new Int32Array(LZW_MAX_CODE);
+    const suffix = new Uint8Array(LZW_MAX_CODE);
+    const firstByte = new Uint8Array(LZW_MAX_CODE);
+    const entryLength = new Int32Array(LZW_MAX_CODE);
+    for (let i = 0; i < 256; i++) {
+      suffix[i] = i;
+      firstByte[i] = i;
+      entryLength[i] = 1;
+      prefix[i] = -1;
+    }
+
+    let inPos = 4;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const readCode = (width) => {
+      while (bitCount < width) {
+        if (inPos >= input.length) {
+          throw new SaveStringError('Save data is truncated.');
+        }
+        bitBuffer |= input[inPos++] << bitCount;
+        bitCount += 8;
+      }
+      const code = bitBuffer & ((1 << width) - 1);
+      bitBuffer >>>= width;
+      bitCount -= width;
+      return code;
+    };
+
+    let outPos = 0;
+    const writeEntry = (code) => {
+      const len = entryLength[code];
+      if (outPos + len > length) {
+        throw new SaveStringError('Save data is corrupt.');
+      }
+      let pos = outPos + len - 1;
+      let c = code;
+      while (c !== -1) {
+        output[pos--] = suffix[c];
+        c = prefix[c];
+      }
+      outPos += len;
+    };
+
+    let nextCode = 256;
+    let previous = readCode(LZW_MIN_WIDTH);
+    if (previous > 255) {
+      throw new SaveStringError('Save data is corrupt.');
+    }
+    writeEntry(previous);
+    while (outPos < length) {
+      const code = readCode(bitsFor(Math.min(nextCode, LZW_MAX_CODE - 1)));
+      let first;
+      if (code < nextCode) {
+        first = firstByte[code];
+      } else if (code === nextCode && nextCode < LZW_MAX_CODE) {
+        first = firstByte[previous];
+      } else {
+        throw new SaveStringError('Save data is corrupt.');
+      }
+      if (nextCode < LZW_MAX_CODE) {
+        prefix[nextCode] = previous;
+        suffix[nextCode] = first;
+        firstByte[nextCode] = firstByte[previous];
+        entryLength[nextCode] = entryLength[previous] + 1;
+        nextCode++;
+      }
+      writeEntry(code);
+      previous = code;
+    }
+    return output;
+  }
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+  }
+
+  function base64ToBytes(text) {
+    let binary;
+    try {
+      binary = atob(text);
+    } catch (e) {
+      throw new SaveStringError('Save data is not valid base64. It may have been truncated while copying.');
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  function isEncodedSaveString(text) {
+    return typeof text === 'string' && text.trimStart().startsWith(`${SAVE_STRING_PREFIX}:`);
+  }
+
+  // Compress a save JSON string into a compact, checksummed export string
+  function encodeSaveString(json, formatVersion = 0) {
+    const bytes = new TextEncoder().encode(json);
+    const checksum = crc32(bytes).toString(16).padStart(8, '0');
+    const payload = bytesToBase64(lzwCompress(bytes));
+    return `${SAVE_STRING_PREFIX}:${SAVE_CODEC_VERSION}:${formatVersion}:${checksum}:${payload}`;
+  }
+
+  // Unpack an export string and verify its checksum. Returns { json, formatVersion }.
+  function decodeSaveString(text) {
+    const parts = text.trim().split(':');
+    if (parts.length !== 5 || parts[0] !== SAVE_STRING_PREFIX) {
+      throw new SaveStringError('Save string header is malformed.');
+    }
+    const codecVersion = Number(parts[1]);
+    const formatVersion = Number(parts[2]);
+    if (!Number.isInteger(codecVersion) || !Number.isInteger(formatVersion)) {
+      throw new SaveStringError('Save string header is malformed.');
+    }
+    if (codecVersion > SAVE_CODEC_VERSION) {
+      throw new SaveStringError(`Save string uses encoding version ${codecVersion}, which this version of the game cannot read.`);
+    }
+    const bytes = lzwDecompress(base64ToBytes(parts[4].replace(/\s+/g, '')));
+    const checksum = crc32(bytes).toString(16).padStart(8, '0');
+    if (checksum !== parts[3].toLowerCase()) {
+      throw new SaveStringError('Save data failed its checksum. It is corrupt or incomplete.');
+    }
+    return { json: new TextDecoder().decode(bytes), formatVersion };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      SaveStringError,
+      crc32,
+      lzwCompress,
+      lzwDecompress,
+      isEncodedSaveString,
+      encodeSaveString,
+      decodeSaveString
+    };
+  } else {
+    globalThis.SaveStringError = SaveStringError;
+    globalThis.isEncodedSaveString = isEncodedSaveString;
+    globalThis.encodeSaveString = encodeSaveString;
+    globalThis.decodeSaveString = decodeSaveString;
+  }
+})();
@@ -0,0 +1,196 @@
+(function(){
+  const ZONAL_STORES = ['zonalWater', 'zonalCO2', 'zonalHydrocarbons', 'zonalSurface'];
+
+  function isBadNumber(value) {
+    return typeof value !== 'number' || !Number.isFinite(value);
+  }
+
+  // Reset a numeric field to a sane value. Returns true when it changed.
+  function repairNumber(target, key, report, label, { min = 0, fallback = 0 } = {}) {
+    const value = target[key];
+    if (value === undefined) return false;
+    if (isBadNumber(value)) {
+      target[key] = fallback;
+      report.push(`${label}: ${key} was ${value}, reset to ${fallback}`);
+      return true;
+    }
+    if (value < min) {
+      target[key] = min;
+      report.push(`${label}: ${key} was ${value}, clamped to ${min}`);
+      return true;
+    }
+    return false;
+  }
+
+  function checkResources(report) {
+    if (typeof resources === 'undefined' || !resources) return;
+    for (const category in resources) {
+      for (const name in resources[category]) {
+        const res = resources[category][name];
+        if (!res || typeof res !== 'object') continue;
+        const label = `Resource ${res.displayName || name}`;
+        repairNumber(res, 'value', report, label);
+        repairNumber(res, 'reserved', report, label);
+        if (res.hasCap) {
+          repairNumber(res, 'cap', report, label, { fallback: res.baseCap || 0 });
+        }
+      }
+    }
+  }
+
+  function checkStructures(set, report) {
+    if (!set) return;
+    for (const name in set) {
+      const structure = set[name];
+      const label = structure.displayName || name;
+      repairNumber(structure, 'count', report, label);
+      repairNumber(structure, 'active', report, label);
+      repairNumber(structure, 'productivity', report, label);
+      if (structure.active > structure.count) {
+        report.push(`${label}: active (${structure.active}) exceeded count (${structure.count}), clamped`);
+        structure.active = structure.count;
+      }
+    }
+  }
+
+  function checkUnknownKeys(saved, known, report, kind) {
+    if (!saved || !known) return;
+    for (const key in saved) {
+      if (!Object.prototype.hasOwnProperty.call(known, key)) {
+        report.push(`Dropped saved ${kind} "${key}" which no longer exists`);
+      }
+    }
+  }
+
+  function checkProjects(report) {
+    if (typeof projectManager === 'undefined' || !projectManager || !projectManager.projects) return;
+    for (const name in projectManager.projects) {
+      const project = projectManager.projects[name];
+      const label = `Project ${project.displayName || name}`;
+      repairNumber(project, 'repeatCount', report, label);
+      repairNumber(project, 'remainingTime', report, label, { fallback: project.duration || 0 });
+    }
+    if (Array.isArray(projectManager.projectOrder)) {
+      const order = projectManager.projectOrder.filter(n => projectManager.projects[n]);
+      if (order.length !== projectManager.projectOrder.length) {
+        report.push('Removed unknown projects from the project order');
+        projectManager.projectOrder = order;
+      }
+    }
+  }
+
+  function checkTerraforming(report) {
+    if (typeof terraforming === 'undefined' || !terraforming) return false;
+    let changed = false;
+    ZONAL_STORES.forEach(storeName => {
+      const store = terraforming[storeName];
+      if (!store) return;
+      for (const zone in store) {
+        const zoneData = store[zone];
+        if (!zoneData) continue;
+        for (const key in zoneData) {
+          const value = zoneData[key];
+          // NaN is written to JSON as null, so null is repaired while other types are skipped
+          if (value !== null && typeof value !== 'number') continue;
+          if (repairNumber(zoneData, key, report, `Terraforming ${storeName}.${zone}`)) {
+            changed = true;
+          }
+        }
+      }
+    });
+    if (changed && typeof terraforming.synchronizeGlobalResources === 'function') {
+      terraforming.synchronizeGlobalResources();
+    }
+    return changed;
+  }
+
+  function checkSpace(report) {
+    if (typeof spaceManager === 'undefined' || !spaceManager) return;
+    const statuses = spaceManager.planetStatuses || {};
+    for (const key in statuses) {
+      if (spaceManager.allPlanetsData && !spaceManager.allPlanetsData[key]) {
+        report.push(`Removed status for unknown planet "${key}"`);
+        delete statuses[key];
+        continue;
+      }
+      const status = statuses[key];
+      repairNumber(status, 'colonists', report, `Planet ${key}`);
+      repairNumber(status, 'ecumenopolisPercent', report, `Planet ${key}`);
+    }
+    const randomStatuses = spaceManager.randomWorldStatuses || {};
+    for (const seed in randomStatuses) {
+      const status = randomStatuses[seed];
+      if (!status || typeof status !== 'object') {
+        report.push(`Removed invalid status for random world "${seed}"`);
+        delete randomStatuses[seed];
+        continue;
+      }
+      repairNumber(status, 'colonists', report, `Random world ${status.name || seed}`);
+    }
+  }
+
+  /**
+   * Walk the live game state after a load, repair what can be repaired and
+   * return a list of human readable notes describing each fix.
+   * `savedState` is the raw save object, used to report entries that no
+   * longer exist in the current content.
+   */
+  function validateGameState(savedState) {
+    const report = [];
+    if (savedState) {
+      checkUnknownKeys(savedState.buildings, typeof buildingsParameters !== 'undefined' ? buildingsParameters : null, report, 'building');
+      checkUnknownKeys(savedState.colonies, typeof colonyParameters !== 'undefined' ? colonyParameters : null, report, 'colony');
+      const savedProjects = savedState.projects ? (savedState.projects.projects || savedState.projects) : null;
+      checkUnknownKeys(savedProjects, typeof projectParameters !== 'undefined' ? projectParameters : null, report, 'project');
+    }
+    checkResources(report);
+    checkStructures(typeof buildings !== 'undefined' ? buildings : null, report);
+    checkStructures(typeof colonies !== 'undefined' ? colonies : null, report);
+    checkProjects(report);
+    checkTerraforming(report);
+    checkSpace(report);
+    if (typeof recalculateLandUsage === 'function') {
+      recalculateLandUsage();
+    }
+    return report;
+  }
+
+  function showSaveRepairReport(report) {
+    if (!report || report.length === 0 || typeof document === 'undefined') return;
+    const overlay = document.createElement('div');
+    overlay.classList.add('popup-overlay');
+    const win = document.createElement('div');
+    win.classList.add('popup-window');
+    const title = document.createElement('h2');
+    title.classList.add('popup-title');
+    title.textContent = 'Save repaired';
+    const intro = document.createElement('p');
+    intro.textContent = 'Some saved values were invalid and have been fixed:';
+    const list = document.createElement('ul');
+    list.classList.add('save-repair-list');
+    report.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('popup-close-button');
+    closeButton.textContent = 'OK';
+    closeButton.addEventListener('click', () => {
+      if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+    });
+    win.appendChild(title);
+    win.appendChild(intro);
+    win.appendChild(list);
+    win.appendChild(closeButton);
+    overlay.appendChild(win);
+    document.body.appendChild(overlay);
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateGameState, showSaveRepairReport };
+  } else {
+    globalThis.validateGameState = validateGameState;
+    globalThis.showSaveRepairReport = showSaveRepairReport;
+  }
+})();
@@ -0,0 +1,179 @@
+(function(){
+  // Save slot data (gameState_* keys) is kept in IndexedDB when the browser
+  // provides it, since localStorage is limited to a few megabytes. Small
+  // bookkeeping such as slot dates and the autosave history index stays in
+  // localStorage so it can still be read synchronously.
+  const SAVE_DB_NAME = 'terraformingTitans';
+  const SAVE_DB_VERSION = 1;
+  const SAVE_STORE_NAME = 'saves';
+  const SAVE_KEY_PREFIX = 'gameState_';
+  const MIGRATION_FLAG_KEY = 'saveStorageMigrated';
+
+  class SaveStorageError extends Error {
+    constructor(message, cause) {
+      super(message);
+      this.name = 'SaveStorageError';
+      this.cause = cause;
+      this.quotaExceeded = isQuotaError(cause);
+    }
+  }
+
+  function isQuotaError(error) {
+    if (!error) return false;
+    return error.name === 'QuotaExceededError'
+      || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+      || error.code === 22
+      || error.code === 1014;
+  }
+
+  function toWriteError(error) {
+    if (error instanceof SaveStorageError) return error;
+    const message = isQuotaError(error)
+      ? 'Browser storage is full. Delete old save slots, lower the autosave history limit or export your save to a file.'
+      : `Browser storage rejected the save (${error && error.message ? error.message : error}).`;
+    return new SaveStorageError(message, error);
+  }
+
+  function createLocalStorageBackend(storage) {
+    return {
+      name: 'localStorage',
+      getItem: (key) => new Promise(resolve => resolve(storage.getItem(key))),
+      setItem: (key, value) => new Promise(resolve => {
+        storage.setItem(key, value);
+        resolve();
+      }),
+      removeItem: (key) => new Promise(resolve => {
+        storage.removeItem(key);
+        resolve();
+      })
+    };
+  }
+
+  function openSaveDatabase(factory) {
+    return new Promise((resolve, reject) => {
+      const request = factory.open(SAVE_DB_NAME, SAVE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SAVE_STORE_NAME)) {
+          db.createObjectStore(SAVE_STORE_NAME);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Save database is blocked by another open tab.'));
+    });
+  }
+
+  function createIndexedDBBackend(db) {
+    // Resolve once the transaction commits so quota failures, which abort the
+    // transaction, are reported as a rejection.
+    const run = (mode, action) => new Promise((resolve, reject) => {
+      let result;
+      const transaction = db.transaction(SAVE_STORE_NAME, mode);
+      const request = action(transaction.objectStore(SAVE_STORE_NAME));
+      request.onsuccess = () => { result = request.result; };
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+    return {
+      name: 'indexedDB',
+      getItem: (key) => run('readonly', store => store.get(key)).then(value => (value === undefined ? null : value)),
+      setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+      removeItem: (key) => run('readwrite', store => store.delete(key))
+    };
+  }
+
+  // Copy save slots written by older versions from localStorage into the
+  // backend once, then free the localStorage space they used.
+  function migrateLocalSaves(backend, storage) {
+    if (storage.getItem(MIGRATION_FLAG_KEY)) return Promise.resolve(0);
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(SAVE_KEY_PREFIX)) keys.push(key);
+    }
+    return keys.reduce(
+      (chain, key) => chain.then(() => backend.setItem(key, storage.getItem(key))),
+      Promise.resolve()
+    ).then(() => {
+      keys.forEach(key => storage.removeItem(key));
+      storage.setItem(MIGRATION_FLAG_KEY, String(Date.now()));
+      return keys.length;
+    });
+  }
+
+  /**
+   * Create the async key/value store used for save slots. The backend is
+   * chosen on first use: IndexedDB when `indexedDB` is given and opens,
+   * otherwise `localStorage`. Writes reject with a SaveStorageError.
+   */
+  function createSaveStorage({ indexedDB: factory = null, localStorage: storage = null } = {}) {
+    let ready = null;
+    const saveStorage = {
+      backend: null,
+      ready() {
+        if (!ready) {
+          const fallback = createLocalStorageBackend(storage);
+          const opened = factory
+            ? openSaveDatabase(factory).then(db => {
+                const backend = createIndexedDBBackend(db);
+                return migrateLocalSaves(backend, storage).then(count => {
+                  if (count > 0) {
+                    console.log(`Moved ${count} save slots from localStorage to IndexedDB.`);
+                  }
+                  return backend;
+                });
+              }).catch(e => {
+                console.warn('IndexedDB unavailable, keeping saves in localStorage:', e);
+                return fallback;
+              })
+            : Promise.resolve(fallback);
+          ready = opened.then(backend => {
+            saveStorage.backend = backend;
+            return backend;
+          });
+        }
+        return ready;
+      },
+      getItem(key) {
+        return saveStorage.ready().then(backend => backend.getItem(key));
+      },
+      setItem(key, value) {
+        return saveStorage.ready()
+          .then(backend => backend.setItem(key, value))
+          .catch(e => { throw toWriteError(e); });
+      },
+      removeItem(key) {
+        return saveStorage.ready().then(backend => backend.removeItem(key));
+      }
+    };
+    return saveStorage;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      SaveStorageError,
+      isQuotaError,
+      createLocalStorageBackend,
+      createIndexedDBBackend,
+      migrateLocalSaves,
+      createSaveStorage
+    };
+  } else {
+    let storage = null;
+    try {
+      storage = globalThis.localStorage;
+    } catch (e) {
+      console.warn('Unable to access localStorage:', e);
+    }
+    let factory = null;
+    try {
+      factory = globalThis.indexedDB || null;
+    } catch (e) {
+      factory = null;
+    }
+    globalThis.SaveStorageError = SaveStorageError;
+    globalThis.saveStorage = createSaveStorage({ indexedDB: factory, localStorage: storage });
+  }
+})();
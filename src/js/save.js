@@ -14,6 +14,50 @@ var oxygenFactorySettingsRef = oxygenFactorySettingsRef ||
     : globalThis.oxygenFactorySettings);
 
 globalGameIsLoadingFromSave = false;
+// True while a save slot is being read from storage
+let saveLoadPending = false;
+
+// Ordered list of save upgrades. saveMigrations[n] converts a version n save
+// into a version n + 1 save, so the current format version is simply the
+// number of migrations. Append a new function whenever a manager changes the
+// shape of its saved state; never edit or reorder existing entries.
+const saveMigrations = [
+  // 0 -> 1: saves written before versioning
+  function migrateLegacySave(gameState) {
+    if (!gameState.spaceManager && gameState.spaceState) {
+      gameState.spaceManager = gameState.spaceState;
+    }
+    delete gameState.spaceState;
+
+    const mirror = gameState.projects?.projects?.spaceMirrorFacility;
+    if (gameState.mirrorOversightSettings && mirror && !mirror.mirrorOversightSettings) {
+      mirror.mirrorOversightSettings = gameState.mirrorOversightSettings;
+    }
+    delete gameState.mirrorOversightSettings;
+    return gameState;
+  },
+];
+
+const SAVE_FORMAT_VERSION = saveMigrations.length;
+
+// Saves from a newer game may hold data this version would misread or drop
+function checkSaveFormatVersion(version) {
+  if (version > SAVE_FORMAT_VERSION) {
+    throw new Error(`This save was made by a newer version of the game (save format ${version}, supported ${SAVE_FORMAT_VERSION}). Update the game to load it.`);
+  }
+}
+
+// Upgrade a parsed save to SAVE_FORMAT_VERSION by running each pending migration in order
+function migrateGameState(gameState) {
+  let version = Number(gameState.version) || 0;
+  checkSaveFormatVersion(version);
+  while (version < SAVE_FORMAT_VERSION) {
+    gameState = saveMigrations[version](gameState) || gameState;
+    version++;
+    gameState.version = version;
+  }
+  return gameState;
+}
 
 function recalculateLandUsage() {
   if (!resources || !resources.surface || !resources.surface.land) return;
@@ -39,8 +83,11 @@ function recalculateLandUsage() {
 
 function getGameState() {
   return {
+    version: SAVE_FORMAT_VERSION,
+    savedAt: Date.now(),
     dayNightCycle: (typeof dayNightCycle !== 'undefined' && typeof dayNightCycle.saveState === 'function') ? dayNightCycle.saveState() : undefined,
     resources: typeof resources !== 'undefined' ? resources : undefined,
+    resourceHistory: (typeof resourceHistory !== 'undefined' && typeof resourceHistory.saveState === 'function') ? resourceHistory.saveState() : undefined,
     buildings: typeof buildings !== 'undefined' ? buildings : undefined,
     colonies: typeof colonies !== 'undefined' ? colonies : undefined,
     projects: (typeof projectManager !== 'undefined' && typeof projectManager.saveState === 'function') ? projectManager.saveState() : undefined,
@@ -64,6 +111,8 @@ function getGameState() {
     ghgFactorySettings: typeof ghgFactorySettingsRef !== 'undefined' ? ghgFactorySettingsRef : undefined,
     oxygenFactorySettings: typeof oxygenFactorySettingsRef !== 'undefined' ? oxygenFactorySettingsRef : undefined,
     constructionOffice: typeof saveConstructionOfficeState === 'function' ? saveConstructionOfficeState() : undefined,
+    buildQueue: typeof saveBuildQueueState === 'function' ? saveBuildQueueState() : undefined,
+    buildingPresets: typeof saveBuildingPresetsState === 'function' ? saveBuildingPresetsState() : undefined,
     playTimeSeconds: typeof playTimeSeconds !== 'undefined' ? playTimeSeconds : undefined,
     totalPlayTimeSeconds: typeof totalPlayTimeSeconds !== 'undefined' ? totalPlayTimeSeconds : undefined
   };
@@ -76,22 +125,37 @@ function loadGame(slotOrCustomString) {
     return;
   }
 
-  let savedState = '';
-
   if (slotOrCustomString.startsWith('gameState_')) {
-    // Load from a specific slot
-    savedState = localStorage.getItem(slotOrCustomString);
-  } else {
-    // Load from a custom string
-    savedState = slotOrCustomString;
+    // Load from a specific slot. Slot data is read asynchronously, so this
+    // returns a promise and the game loop waits until the load has finished.
+    saveLoadPending = true;
+    return readSaveSlot(slotOrCustomString)
+      .then(loadGameFromString)
+      .finally(() => { saveLoadPending = false; });
   }
+
+  // Load from a custom string
+  return loadGameFromString(slotOrCustomString);
+}
+
+// Apply a save given as a string. Returns the loaded game state, if any.
+function loadGameFromString(savedState) {
+  let parsedState = null;
   if (savedState) {
+    try {
+      parsedState = parseSaveString(savedState);
+    } catch (e) {
+      reportSaveImportError(e);
+      return;
+    }
+  }
+  if (parsedState) {
       globalGameIsLoadingFromSave = true;
 
-      const gameState = JSON.parse(savedState);
+      const gameState = migrateGameState(parsedState);
 
       // Load space state first so planet parameters are correct
-      const savedSpace = gameState.spaceManager || gameState.spaceState;
+      const savedSpace = gameState.spaceManager;
       if (savedSpace) {
         spaceManager.loadState(savedSpace);
         const worldOriginal = typeof spaceManager.getCurrentWorldOriginal === 'function'
@@ -224,6 +288,14 @@ function loadGame(slotOrCustomString) {
         }
       }
   
+      if (typeof resourceHistory !== 'undefined' && resourceHistory) {
+        if (gameState.resourceHistory) {
+          resourceHistory.loadState(gameState.resourceHistory);
+        } else {
+          resourceHistory.reset();
+        }
+      }
+
       // Restore buildings
       if (gameState.buildings) {
         for (const buildingName in gameState.buildings) {
@@ -295,11 +367,6 @@ function loadGame(slotOrCustomString) {
     
       // Restore projects
       if (gameState.projects) {
-          if (gameState.mirrorOversightSettings &&
-              gameState.projects.projects.spaceMirrorFacility &&
-              !gameState.projects.projects.spaceMirrorFacility.mirrorOversightSettings) {
-            gameState.projects.projects.spaceMirrorFacility.mirrorOversightSettings = gameState.mirrorOversightSettings;
-          }
           projectManager.loadState(gameState.projects);
       }
 
@@ -424,6 +491,10 @@ function loadGame(slotOrCustomString) {
       if(autobuildSetActiveToggle){
         autobuildSetActiveToggle.checked = gameSettings.autobuildAlsoSetsActive;
       }
+      const historyLimitInput = document.getElementById('autosave-history-limit');
+      if(historyLimitInput){
+        historyLimitInput.value = gameSettings.autosaveHistoryLimit;
+      }
       if (typeof completedResearchHidden !== 'undefined') {
         completedResearchHidden = gameSettings.hideCompletedResearch || false;
         if (typeof updateAllResearchButtons === 'function') {
@@ -454,6 +525,14 @@ function loadGame(slotOrCustomString) {
         loadConstructionOfficeState(gameState.constructionOffice);
       }
 
+      if(typeof loadBuildQueueState === 'function'){
+        loadBuildQueueState(gameState.buildQueue);
+      }
+
+      if(typeof loadBuildingPresetsState === 'function'){
+        loadBuildingPresetsState(gameState.buildingPresets);
+      }
+
       if(gameState.playTimeSeconds !== undefined){
         playTimeSeconds = gameState.playTimeSeconds;
       }
@@ -462,6 +541,17 @@ function loadGame(slotOrCustomString) {
         totalPlayTimeSeconds = gameState.totalPlayTimeSeconds;
       }
 
+      // Repair invalid values before the first render
+      if (typeof validateGameState === 'function') {
+        const repairs = validateGameState(gameState);
+        if (repairs.length) {
+          console.warn('Save repairs:', repairs);
+          if (typeof showSaveRepairReport === 'function') {
+            showSaveRepairReport(repairs);
+          }
+        }
+      }
+
       tabManager.activateTab('buildings');
 
     if(typeof applyDayNightSettingEffects === 'function'){
@@ -480,26 +570,104 @@ function loadGame(slotOrCustomString) {
     }
 
       console.log('Game loaded successfully (DayNightCycle, resources, buildings, projects, colonies, and research).');
+      return gameState;
   } else {
       console.log('No saved game found.');
   }
 }
 
-function saveGameToSlot(slot) {
-  const gameState = getGameState();
-
-  // Store game state in localStorage
+// Parse a save given as plain JSON or as a compact export string.
+// Throws an Error with a player-facing message when the save cannot be used.
+function parseSaveString(text) {
+  let json = text;
+  let formatVersion = null;
+  if (typeof isEncodedSaveString === 'function' && isEncodedSaveString(text)) {
+    const decoded = decodeSaveString(text);
+    json = decoded.json;
+    formatVersion = decoded.formatVersion;
+  }
+  let gameState;
   try {
-    localStorage.setItem(`gameState_${slot}`, JSON.stringify(gameState));
-    console.log(`Game saved successfully to slot ${slot}.`);
+    gameState = JSON.parse(json);
   } catch (e) {
-    console.warn(`Unable to access localStorage for slot ${slot}:`, e);
-    return;
+    throw new Error('Save data is not valid JSON. It may be incomplete or truncated.');
+  }
+  if (!gameState || typeof gameState !== 'object' || Array.isArray(gameState)) {
+    throw new Error('Save data does not contain a game state.');
+  }
+  const savedVersion = Number(gameState.version) || 0;
+  checkSaveFormatVersion(formatVersion > savedVersion ? formatVersion : savedVersion);
+  return gameState;
+}
+
+function reportSaveImportError(error) {
+  const message = error && error.message ? error.message : String(error);
+  console.error('Unable to load save:', error);
+  if (typeof alert === 'function') {
+    alert(`Unable to load save: ${message}`);
+  }
+}
+
+function getExportSaveString() {
+  const json = JSON.stringify(getGameState());
+  return typeof encodeSaveString === 'function' ? encodeSaveString(json, SAVE_FORMAT_VERSION) : json;
+}
+
+// Save slot data goes through the async store from save-storage.js. Without
+// it (e.g. when save.js is loaded on its own) slots use localStorage directly.
+function getSaveStorage() {
+  if (typeof saveStorage !== 'undefined' && saveStorage) return saveStorage;
+  return {
+    getItem: (key) => new Promise(resolve => resolve(localStorage.getItem(key))),
+    setItem: (key, value) => new Promise(resolve => resolve(localStorage.setItem(key, value))),
+    removeItem: (key) => new Promise(resolve => resolve(localStorage.removeItem(key)))
+  };
+}
+
+function readSaveSlot(key) {
+  return getSaveStorage().getItem(key).catch(e => {
+    console.warn(`Unable to read save data for ${key}:`, e);
+    return null;
+  });
+}
+
+function removeSaveSlotData(key) {
+  return getSaveStorage().removeItem(key).catch(e => {
+    console.warn(`Unable to delete save data for ${key}:`, e);
+  });
+}
+
+function reportSaveStorageError(slot, error) {
+  const message = error && error.message ? error.message : String(error);
+  console.error(`Unable to save to slot ${slot}:`, error);
+  if (typeof alert === 'function') {
+    alert(`Unable to save to slot ${slot}: ${message}`);
   }
+}
 
+// Write the current game to a slot. Resolves to true once the save is stored;
+// storage failures are reported to the player and resolve to false.
+function saveGameToSlot(slot) {
+  const gameState = getGameState();
+  const serialized = JSON.stringify(gameState);
   // Get the current date and time
   const saveDate = new Date();
 
+  return getSaveStorage().setItem(`gameState_${slot}`, serialized).then(() => {
+    console.log(`Game saved successfully to slot ${slot}.`);
+    updateSaveSlotAfterSave(slot, saveDate);
+    // Keep a restore point for autosaves and planet departures
+    if (slot === 'autosave' || slot === 'pretravel') {
+      recordSaveHistory(slot === 'pretravel' ? 'departure' : 'autosave', serialized, saveDate);
+    }
+    return true;
+  }, e => {
+    reportSaveStorageError(slot, e);
+    return false;
+  });
+}
+
+function updateSaveSlotAfterSave(slot, saveDate) {
   // Format the save date using the formatDate function
   const formattedSaveDate = formatDate(saveDate);
 
@@ -515,11 +683,179 @@ function saveGameToSlot(slot) {
   }
 }
 
-function saveGameToFile() {
-  const gameState = getGameState();
+const SAVE_HISTORY_HOURLY_LIMIT = 24;
+const SAVE_HISTORY_DEPARTURE_LIMIT = 10;
+const DEFAULT_SAVE_HISTORY_LIMIT = 10;
+
+function getSaveHistory() {
+  try {
+    return JSON.parse(localStorage.getItem('saveHistory')) || [];
+  } catch (e) {
+    console.warn('Unable to access localStorage for save history:', e);
+    return [];
+  }
+}
+
+function setSaveHistory(history) {
+  try {
+    localStorage.setItem('saveHistory', JSON.stringify(history));
+  } catch (e) {
+    console.warn('Unable to access localStorage for save history:', e);
+  }
+}
+
+// Pick which restore points to keep: the newest autosaves, the first autosave
+// of each hour, and the saves made before each planet departure.
+function pruneSaveHistory(history) {
+  const limit = (typeof gameSettings !== 'undefined' && gameSettings.autosaveHistoryLimit >= 0)
+    ? gameSettings.autosaveHistoryLimit
+    : DEFAULT_SAVE_HISTORY_LIMIT;
+  const newestFirst = history.slice().sort((a, b) => b.date - a.date);
+  const keep = new Set();
+  newestFirst.filter(e => e.reason === 'autosave').slice(0, limit).forEach(e => keep.add(e.id));
+  newestFirst.filter(e => e.hourly).slice(0, SAVE_HISTORY_HOURLY_LIMIT).forEach(e => keep.add(e.id));
+  newestFirst.filter(e => e.reason === 'departure').slice(0, SAVE_HISTORY_DEPARTURE_LIMIT).forEach(e => keep.add(e.id));
+  const kept = history.filter(e => keep.has(e.id));
+  const removed = history.filter(e => !keep.has(e.id));
+  return { kept, removed };
+}
+
+// History writes are chained so overlapping saves do not clobber the index
+let saveHistoryQueue = Promise.resolve();
+
+// Store a restore point. Resolves to the new history entry, or null when it
+// could not be stored even after dropping every older restore point.
+function recordSaveHistory(reason, serialized, date = new Date()) {
+  const task = () => {
+    let history = getSaveHistory();
+    const time = new Date(date).getTime();
+    const hour = Math.floor(time / 3600000);
+    const entry = {
+      id: `history_${time}`,
+      date: time,
+      reason,
+      hourly: reason === 'autosave' && !history.some(e => e.hourly && Math.floor(e.date / 3600000) === hour),
+      planet: (typeof spaceManager !== 'undefined' && spaceManager && typeof spaceManager.getCurrentWorldName === 'function')
+        ? spaceManager.getCurrentWorldName()
+        : '',
+      playTimeSeconds: typeof playTimeSeconds !== 'undefined' ? playTimeSeconds : 0,
+      totalPlayTimeSeconds: typeof totalPlayTimeSeconds !== 'undefined' ? totalPlayTimeSeconds : 0
+    };
+    history = history.filter(e => e.id !== entry.id);
+    history.push(entry);
+
+    const { kept, removed } = pruneSaveHistory(history);
+    history = kept;
+    const storage = getSaveStorage();
+
+    // Drop the oldest restore points until the new one fits in storage
+    const store = () => {
+      if (!history.some(e => e.id === entry.id)) return false;
+      return storage.setItem(`gameState_${entry.id}`, serialized).then(() => true, e => {
+        const oldest = history.filter(h => h.id !== entry.id).sort((a, b) => a.date - b.date)[0];
+        if (!oldest) {
+          console.warn('Unable to store autosave history entry:', e);
+          history = history.filter(h => h.id !== entry.id);
+          return false;
+        }
+        history = history.filter(h => h.id !== oldest.id);
+        return removeSaveSlotData(`gameState_${oldest.id}`).then(store);
+      });
+    };
+
+    return Promise.all(removed.map(e => removeSaveSlotData(`gameState_${e.id}`)))
+      .then(store)
+      .then(stored => {
+        setSaveHistory(history);
+        renderSaveHistory();
+        return stored ? entry : null;
+      });
+  };
+  const result = saveHistoryQueue.then(task);
+  saveHistoryQueue = result.catch(() => null);
+  return result;
+}
+
+// Resolves to whether the restore point was loaded
+function restoreSaveHistoryEntry(id) {
+  const entry = getSaveHistory().find(e => e.id === id);
+  if (!entry) {
+    console.warn(`Autosave history entry ${id} not found.`);
+    return Promise.resolve(false);
+  }
+  return Promise.resolve()
+    .then(() => loadGame(`gameState_${entry.id}`))
+    .then(() => true, error => {
+      const message = error && error.message ? error.message : String(error);
+      console.error('Unable to restore autosave:', error);
+      if (typeof alert === 'function') {
+        alert(`Unable to restore autosave: ${message}`);
+      }
+      return false;
+    });
+}
+
+function clearSaveHistory() {
+  getSaveHistory().forEach(e => removeSaveSlotData(`gameState_${e.id}`));
+  setSaveHistory([]);
+  renderSaveHistory();
+}
+
+function describeSaveHistoryReason(entry) {
+  if (entry.reason === 'departure') return 'Before departure';
+  return entry.hourly ? 'Hourly' : 'Autosave';
+}
 
-  const saveData = JSON.stringify(gameState);
-  const blob = new Blob([saveData], { type: 'application/json' });
+// Fill the autosave history table in the settings tab
+function renderSaveHistory() {
+  if (typeof document === 'undefined') return;
+  const body = document.getElementById('save-history-body');
+  if (!body) return;
+  body.innerHTML = '';
+  const history = getSaveHistory().sort((a, b) => b.date - a.date);
+  if (history.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.textContent = 'No restore points yet';
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+  history.forEach(entry => {
+    const row = document.createElement('tr');
+    const dateCell = document.createElement('td');
+    dateCell.textContent = formatDate(new Date(entry.date));
+    const typeCell = document.createElement('td');
+    typeCell.textContent = describeSaveHistoryReason(entry);
+    const planetCell = document.createElement('td');
+    planetCell.textContent = entry.planet || '';
+    const timeCell = document.createElement('td');
+    timeCell.textContent = typeof formatPlayTime === 'function'
+      ? formatPlayTime(entry.totalPlayTimeSeconds || 0)
+      : String(entry.totalPlayTimeSeconds || 0);
+    const actionCell = document.createElement('td');
+    const restoreButton = document.createElement('button');
+    restoreButton.classList.add('load-button');
+    restoreButton.textContent = 'Restore';
+    restoreButton.addEventListener('click', () => {
+      if (confirm(`Restore the save from ${formatDate(new Date(entry.date))}? Unsaved progress will be lost.`)) {
+        restoreSaveHistoryEntry(entry.id);
+      }
+    });
+    actionCell.appendChild(restoreButton);
+    row.appendChild(dateCell);
+    row.appendChild(typeCell);
+    row.appendChild(planetCell);
+    row.appendChild(timeCell);
+    row.appendChild(actionCell);
+    body.appendChild(row);
+  });
+}
+
+function saveGameToFile() {
+  const saveData = getExportSaveString();
+  const blob = new Blob([saveData], { type: 'text/plain' });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
@@ -529,12 +865,38 @@ function saveGameToFile() {
     : 'game';
   const safeWorldName = worldName.replace(/[^a-z0-9_\-]/gi, '_');
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  a.download = `${safeWorldName}_${timestamp}.json`;
+  a.download = `${safeWorldName}_${timestamp}.sav`;
   a.click();
 
   URL.revokeObjectURL(url);
 }
 
+// Copy a compact save string to the clipboard, falling back to a prompt
+function exportSaveToClipboard() {
+  const saveString = getExportSaveString();
+  const showFallback = () => {
+    if (typeof prompt === 'function') {
+      prompt('Copy your save string:', saveString);
+    }
+  };
+  if (typeof navigator !== 'undefined' && navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+    navigator.clipboard.writeText(saveString).then(() => {
+      console.log('Save string copied to clipboard.');
+    }).catch(showFallback);
+  } else {
+    showFallback();
+  }
+  return saveString;
+}
+
+function importSaveFromString() {
+  if (typeof prompt !== 'function') return;
+  const saveString = prompt('Paste a save string:');
+  if (saveString && saveString.trim()) {
+    loadGame(saveString.trim());
+  }
+}
+
 // Load game state from a file
 function loadGameFromFile(event) {
   const file = event.target.files[0];
@@ -550,12 +912,9 @@ function loadGameFromFile(event) {
 
 // Delete save file from a specific slot
 function deleteSaveFileFromSlot(slot) {
-  try {
-    localStorage.removeItem(`gameState_${slot}`);
+  removeSaveSlotData(`gameState_${slot}`).then(() => {
     console.log(`Save file deleted successfully from slot ${slot}.`);
-  } catch (e) {
-    console.warn(`Unable to access localStorage for slot ${slot}:`, e);
-  }
+  });
 
   // Clear the save date for the slot
   document.getElementById(`${slot}-date`).textContent = 'Empty';
@@ -604,6 +963,7 @@ function loadSaveSlotDates() {
       preRow.classList.add('hidden');
     }
   }
+  renderSaveHistory();
 }
 
 // Format the date in a user-friendly way
@@ -671,8 +1031,23 @@ function loadMostRecentSave() {
   }
 
   if (mostRecentSlot) {
-    loadGame(`gameState_${mostRecentSlot}`);
-    console.log(`Loaded most recent save from slot ${mostRecentSlot}.`);
+    loadGame(`gameState_${mostRecentSlot}`).then(loadedState => {
+      if (!loadedState) {
+        console.warn(`Save slot ${mostRecentSlot} could not be loaded. Starting a new game.`);
+        initializeGameState();
+        return;
+      }
+      console.log(`Loaded most recent save from slot ${mostRecentSlot}.`);
+      // Catch up on the time that passed since the save was written
+      if (loadedState.savedAt && typeof runOfflineProgress === 'function') {
+        runOfflineProgress(Date.now() - loadedState.savedAt);
+      }
+    }, error => {
+      console.error(`Save slot ${mostRecentSlot} failed to load. Starting a new game.`, error);
+      initializeGameState();
+    }).catch(error => {
+      console.error('Offline progress failed:', error);
+    });
     return true;
   } else {
     console.log('No save slots found. Starting a new game.');
@@ -711,5 +1086,19 @@ function updateStatisticsDisplay() {
 document.addEventListener('DOMContentLoaded', addSaveSlotListeners);
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { getGameState, loadGame, recalculateLandUsage };
+  module.exports = {
+    getGameState,
+    loadGame,
+    recalculateLandUsage,
+    migrateGameState,
+    saveMigrations,
+    SAVE_FORMAT_VERSION,
+    parseSaveString,
+    getExportSaveString,
+    recordSaveHistory,
+    pruneSaveHistory,
+    getSaveHistory,
+    restoreSaveHistoryEntry,
+    clearSaveHistory
+  };
 }
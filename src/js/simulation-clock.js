@@ -0,0 +1,95 @@
+(function(){
+  // Largest step, in game milliseconds, that each subsystem is advanced by at
+  // once. Larger deltas are split into equal substeps so fast cycles do not
+  // overshoot at high game speed or during offline catch-up.
+  //   terraforming: resource production and the climate cycles (1 s = 1 day)
+  //   economy:      colony happiness, population growth and the autobuilder
+  const SIMULATION_STEP_LIMITS = {
+    terraforming: 5000,
+    economy: 1000
+  };
+  // Largest delta handed to a single updateLogic call
+  const SIMULATION_TICK_MS = 5000;
+  // Real time a frame may spend simulating before it stops to render
+  const SIMULATION_FRAME_BUDGET_MS = 25;
+  // Game time carried over to later frames when the budget runs out. Anything
+  // beyond this is dropped so the game slows down instead of falling behind.
+  const SIMULATION_MAX_BACKLOG_MS = 60000;
+
+  // Call `callback` with equal substeps no larger than `maxStep` that add up
+  // to `delta`. Returns the number of substeps.
+  function runSubsteps(delta, maxStep, callback) {
+    if (!(delta > 0)) {
+      callback(delta);
+      return 1;
+    }
+    const count = maxStep > 0 ? Math.ceil(delta / maxStep) : 1;
+    const step = delta / count;
+    for (let i = 0; i < count; i++) {
+      callback(step);
+    }
+    return count;
+  }
+
+  function getSimulationStepLimit(subsystem) {
+    return SIMULATION_STEP_LIMITS[subsystem] || Infinity;
+  }
+
+  class SimulationClock {
+    constructor(options = {}) {
+      this.tickMs = options.tickMs || SIMULATION_TICK_MS;
+      this.frameBudgetMs = options.frameBudgetMs || SIMULATION_FRAME_BUDGET_MS;
+      this.maxBacklogMs = options.maxBacklogMs !== undefined ? options.maxBacklogMs : SIMULATION_MAX_BACKLOG_MS;
+      this.now = options.now || (() => (typeof performance !== 'undefined' ? performance.now() : Date.now()));
+      this.backlogMs = 0;
+      this.droppedMs = 0;
+    }
+
+    // Feed `delta` game milliseconds to `step` in ticks of at most tickMs,
+    // stopping once the frame budget is spent. Always runs at least one tick
+    // so the game keeps moving. A zero delta (game speed 0) still runs one
+    // empty tick and clears the backlog. Returns the game time simulated.
+    advance(delta, step) {
+      if (!(delta > 0)) {
+        this.backlogMs = 0;
+        step(0);
+        return 0;
+      }
+      this.backlogMs += delta;
+      const start = this.now();
+      let simulated = 0;
+      while (this.backlogMs > 0) {
+        const tick = Math.min(this.backlogMs, this.tickMs);
+        step(tick);
+        this.backlogMs -= tick;
+        simulated += tick;
+        if (this.now() - start >= this.frameBudgetMs) break;
+      }
+      if (this.backlogMs > this.maxBacklogMs) {
+        this.droppedMs += this.backlogMs - this.maxBacklogMs;
+        this.backlogMs = this.maxBacklogMs;
+      }
+      return simulated;
+    }
+
+    reset() {
+      this.backlogMs = 0;
+    }
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      SIMULATION_STEP_LIMITS,
+      SIMULATION_TICK_MS,
+      runSubsteps,
+      getSimulationStepLimit,
+      SimulationClock
+    };
+  } else {
+    globalThis.SIMULATION_STEP_LIMITS = SIMULATION_STEP_LIMITS;
+    globalThis.runSubsteps = runSubsteps;
+    globalThis.getSimulationStepLimit = getSimulationStepLimit;
+    globalThis.SimulationClock = SimulationClock;
+    globalThis.simulationClock = new SimulationClock();
+  }
+})();
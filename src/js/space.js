@@ -481,6 +481,7 @@ class SpaceManager extends EffectableEntity {
             return false;
         }
 
+        const departingKey = this.currentPlanetKey;
         const departingTerraformed = this.currentRandomSeed !== null
             ? this.isSeedTerraformed(String(this.currentRandomSeed))
             : this.isPlanetTerraformed(this.currentPlanetKey);
@@ -534,6 +535,9 @@ class SpaceManager extends EffectableEntity {
         if (typeof updateSpaceUI === 'function') {
             updateSpaceUI();
         }
+        if (typeof emitGameEvent === 'function') {
+            emitGameEvent(GAME_EVENTS.PLANET_TRAVELLED, { from: departingKey, to: s, randomSeed: s });
+        }
         return true;
     }
 
@@ -350,6 +350,10 @@ function selectPlanet(planetKey, force){
     }
 
     updateSpaceUI();
+
+    if (typeof emitGameEvent === 'function') {
+        emitGameEvent(GAME_EVENTS.PLANET_TRAVELLED, { from: currentKey, to: planetKey, randomSeed: null });
+    }
 }
 
 function updateCurrentWorldUI() {
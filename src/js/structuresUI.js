@@ -168,7 +168,7 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
     buildCallback(structure.name, selectedBuildCounts[structure.name]);
     updateStructureButtonText(button, structure, selectedBuildCounts[structure.name]);
     updateStructureCostDisplay(costElement, structure, selectedBuildCounts[structure.name]);
-    if (isColony && upgradeButton) {
+    if (upgradeButton) {
       updateUpgradeButton(upgradeButton, structure);
     }
   });
@@ -202,7 +202,7 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
       updateIncreaseButtonText(increaseButton, selectedBuildCounts[structure.name]);
       updateDecreaseButtonText(decreaseButton, selectedBuildCounts[structure.name]);
     }
-    if (isColony && upgradeButton) {
+    if (upgradeButton) {
       updateUpgradeButton(upgradeButton, structure);
     }
   });
@@ -220,23 +220,39 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
       updateIncreaseButtonText(increaseButton, selectedBuildCounts[structure.name]);
       updateDecreaseButtonText(decreaseButton, selectedBuildCounts[structure.name]);
     }
-    if (isColony && upgradeButton) {
+    if (upgradeButton) {
       updateUpgradeButton(upgradeButton, structure);
     }
   });
   buildCountButtons.appendChild(divideButton);
 
+  // Queue the selected amount with the Construction Office
+  const queueButton = document.createElement('button');
+  queueButton.textContent = 'Queue';
+  queueButton.title = 'Add an order for this amount to the Construction Office build queue';
+  queueButton.classList.add('queue-build-button');
+  queueButton.style.display = 'none';
+  queueButton.addEventListener('click', function () {
+    if (typeof enqueueBuildOrder === 'function') {
+      enqueueBuildOrder(structure.name, selectedBuildCounts[structure.name]);
+      if (typeof updateBuildQueueUI === 'function') updateBuildQueueUI();
+    }
+  });
+  buildCountButtons.appendChild(queueButton);
+  cached.queueButton = queueButton;
+
   leftContainer.appendChild(buildCountButtons);
 
   let upgradeButton = null;
-  if (isColony) {
+  if (isColony || structure.nextTier) {
     upgradeButton = document.createElement('button');
     upgradeButton.id = `${structure.name}-upgrade-button`;
     upgradeButton.classList.add('upgrade-button');
     upgradeButton.addEventListener('click', function () {
-      const upgrades = Math.max(1, selectedBuildCounts[structure.name] / 10 || 1);
+      const ratio = structure.getUpgradeRatio ? structure.getUpgradeRatio() : 10;
+      const upgrades = Math.max(1, selectedBuildCounts[structure.name] / ratio || 1);
       if (structure.upgrade && structure.upgrade(upgrades)) {
-        updateStructureDisplay(colonies);
+        updateStructureDisplay(isColony ? colonies : buildings);
       }
     });
     leftContainer.appendChild(upgradeButton);
@@ -254,6 +270,30 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   leftContainer.appendChild(hideButton);
   cached.hideButton = hideButton;
 
+  // Demolish the selected amount, inactive buildings first
+  if (typeof structure.demolish === 'function') {
+    const demolishButton = document.createElement('button');
+    demolishButton.classList.add('demolish-button');
+    demolishButton.textContent = 'Demolish';
+    const refundPercent = Math.round((structure.demolishRefund ?? 0) * 100);
+    demolishButton.title = `Remove the selected amount, inactive ones first. Frees their land and deposits and refunds ${refundPercent}% of the cost.`;
+    demolishButton.addEventListener('click', function () {
+      const count = Math.min(selectedBuildCounts[structure.name], structure.count);
+      if (!(count > 0)) return;
+      if (!confirm(`Demolish ${formatBigInteger(count)} ${structure.displayName}? ${refundPercent}% of the cost is refunded.`)) return;
+      const refund = structure.demolish(count);
+      if (refund) {
+        if (typeof recordDemolitionRefund === 'function') {
+          recordDemolitionRefund(structure, refund);
+        }
+        updateStructureDisplay(isColony ? colonies : buildings);
+      }
+    });
+    demolishButton.disabled = structure.count <= 0;
+    leftContainer.appendChild(demolishButton);
+    cached.demolishButton = demolishButton;
+  }
+
   // Reverse button to the right of Hide
   const reverseInlineBtn = document.createElement('button');
   reverseInlineBtn.classList.add('reverse-button');
@@ -332,6 +372,13 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
     productivityValue.textContent = `${Math.round(structure.productivity * 100)}%`;
     productivityContainer.appendChild(productivityValue);
 
+    const productivityInfo = document.createElement('span');
+    productivityInfo.id = `${structure.name}-productivity-info`;
+    productivityInfo.classList.add('info-tooltip-icon');
+    productivityInfo.innerHTML = '&#9432;';
+    productivityInfo.style.display = 'none';
+    productivityContainer.appendChild(productivityInfo);
+
     if (structure.dayNightActivity && !(typeof gameSettings !== 'undefined' && gameSettings.disableDayNightCycle)) {
       const dayNightIcon = document.createElement('span');
       dayNightIcon.id = `${structure.name}-day-night-icon`;
@@ -401,6 +448,7 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   const autoBuildLabel = document.createElement('span');
   autoBuildLabel.textContent = 'Auto-build % of ';
   autoBuildInputContainer.appendChild(autoBuildLabel);
+  structureUIElements[structure.name].autoBuildLabel = autoBuildLabel;
 
   const autoBuildBasisSelect = document.createElement('select');
   autoBuildBasisSelect.classList.add('auto-build-basis');
@@ -412,13 +460,21 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   workerOption.value = 'workers';
   workerOption.textContent = 'workers';
   autoBuildBasisSelect.appendChild(workerOption);
+  const rulesOption = document.createElement('option');
+  rulesOption.value = 'rules';
+  rulesOption.textContent = 'rules';
+  autoBuildBasisSelect.appendChild(rulesOption);
   autoBuildBasisSelect.value = structure.autoBuildBasis || 'population';
   autoBuildBasisSelect.addEventListener('change', () => {
     structure.autoBuildBasis = autoBuildBasisSelect.value;
+    updateAutoBuildBasisDisplay(structure);
   });
   autoBuildInputContainer.appendChild(autoBuildBasisSelect);
   structureUIElements[structure.name].autoBuildBasisSelect = autoBuildBasisSelect;
-  autoBuildInputContainer.appendChild(document.createTextNode(': '));
+  const autoBuildSeparator = document.createElement('span');
+  autoBuildSeparator.textContent = ': ';
+  autoBuildInputContainer.appendChild(autoBuildSeparator);
+  structureUIElements[structure.name].autoBuildSeparator = autoBuildSeparator;
 
   const autoBuildInput = document.createElement('input');
   autoBuildInput.type = 'number';
@@ -433,11 +489,17 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   });
 
   autoBuildInputContainer.appendChild(autoBuildInput);
+  structureUIElements[structure.name].autoBuildInput = autoBuildInput;
 
   autoBuildContainer.appendChild(autoBuildInputContainer);
   structureUIElements[structure.name].autoBuildInputContainer = autoBuildInputContainer;
   cached.autoBuildInputContainer = autoBuildInputContainer;
 
+  const autoBuildRulesEditor = createAutoBuildRulesEditor(structure);
+  autoBuildContainer.appendChild(autoBuildRulesEditor);
+  structureUIElements[structure.name].autoBuildRulesEditor = autoBuildRulesEditor;
+  updateAutoBuildBasisDisplay(structure);
+
   const autoBuildTarget = document.createElement('span');
   const autoBuildTargetContainer = document.createElement('div');
   autoBuildTargetContainer.classList.add('auto-build-target-container');
@@ -462,6 +524,20 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   autoBuildTargetContainer.appendChild(autoBuildPriorityLabel);
   structureUIElements[structure.name].autoBuildPriority = autoBuildPriority;
 
+  const autoDemolishLabel = document.createElement('label');
+  autoDemolishLabel.textContent = 'Demolish above target';
+  autoDemolishLabel.title = 'Demolish buildings more than 5% above the target while auto-build is on, refunding part of their cost';
+  const autoDemolish = document.createElement('input');
+  autoDemolish.type = 'checkbox';
+  autoDemolish.classList.add('auto-demolish');
+  autoDemolish.checked = !!structure.autoDemolishEnabled;
+  autoDemolish.addEventListener('change', () => {
+    structure.autoDemolishEnabled = autoDemolish.checked;
+  });
+  autoDemolishLabel.prepend(autoDemolish);
+  autoBuildTargetContainer.appendChild(autoDemolishLabel);
+  structureUIElements[structure.name].autoDemolish = autoDemolish;
+
   autoBuildContainer.appendChild(autoBuildTargetContainer);
 
   const setActiveContainer = document.createElement('div');
@@ -488,10 +564,7 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   setActiveButton.appendChild(setActiveLabel);
 
   setActiveButton.addEventListener('click', () => {
-    const pop = resources.colony.colonists.value;
-    const workerCap = resources.colony.workers?.cap || 0;
-    const base = structure.autoBuildBasis === 'workers' ? workerCap : pop;
-    const targetCount = Math.ceil((structure.autoBuildPercent * base || 0) / 100);
+    const targetCount = getStructureAutoBuildTarget(structure);
     const desiredActive = Math.min(targetCount, structure.count);
     const change = desiredActive - structure.active;
     adjustStructureActivation(structure, change);
@@ -508,6 +581,12 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   reverseControl.style.display = structure.reversalAvailable ? 'inline-block' : 'none';
   autoBuildContainer.appendChild(reverseControl);
 
+  if (structure.recipes) {
+    const recipeAutomationEditor = createRecipeAutomationEditor(structure);
+    autoBuildContainer.appendChild(recipeAutomationEditor);
+    structureUIElements[structure.name].recipeAutomationEditor = recipeAutomationEditor;
+  }
+
   structure.initUI?.(autoBuildContainer, cached);
 
   combinedStructureRow.append(autoBuildContainer);
@@ -522,6 +601,318 @@ function createStructureRow(structure, buildCallback, toggleCallback, isColony)
   return combinedStructureRow;
 }
 
+// Target count shown by the autobuild controls; rule-based targets need
+// autobuild.js
+function getStructureAutoBuildTarget(structure) {
+  if (typeof getAutoBuildTarget === 'function') {
+    return getAutoBuildTarget(structure);
+  }
+  const pop = resources.colony.colonists.value;
+  const workerCap = resources.colony.workers?.cap || 0;
+  const base = structure.autoBuildBasis === 'workers' ? workerCap : pop;
+  return Math.ceil((structure.autoBuildPercent * base || 0) / 100);
+}
+
+// Swap the percentage input for the rules editor when the basis is 'rules'
+function updateAutoBuildBasisDisplay(structure) {
+  const els = structureUIElements[structure.name] || {};
+  const useRules = structure.autoBuildBasis === 'rules';
+  if (els.autoBuildLabel) els.autoBuildLabel.textContent = useRules ? 'Auto-build by ' : 'Auto-build % of ';
+  if (els.autoBuildSeparator) els.autoBuildSeparator.style.display = useRules ? 'none' : '';
+  if (els.autoBuildInput) els.autoBuildInput.style.display = useRules ? 'none' : '';
+  if (els.autoBuildRulesEditor) {
+    els.autoBuildRulesEditor.style.display = useRules ? 'flex' : 'none';
+    if (useRules) els.autoBuildRulesEditor._render();
+  }
+}
+
+function getAutoBuildRuleResourceOptions() {
+  const options = [];
+  const colonyResources = typeof resources !== 'undefined' ? resources.colony || {} : {};
+  for (const name in colonyResources) {
+    const res = colonyResources[name];
+    if (res.unlocked || name === 'energy' || name === 'metal') {
+      options.push({ value: name, label: res.displayName || name });
+    }
+  }
+  return options;
+}
+
+// Editor for structure.autoBuildRules: an all/any selector and one row per rule
+function createAutoBuildRulesEditor(structure) {
+  const editor = document.createElement('div');
+  editor.classList.add('auto-build-rules');
+
+  const ensureRules = () => {
+    if (!structure.autoBuildRules || !Array.isArray(structure.autoBuildRules.rules)) {
+      structure.autoBuildRules = { mode: 'and', rules: [] };
+    }
+    return structure.autoBuildRules;
+  };
+
+  const createRuleRow = (rule, index) => {
+    const row = document.createElement('div');
+    row.classList.add('auto-build-rule');
+
+    const typeSelect = document.createElement('select');
+    const ruleTypes = typeof AUTO_BUILD_RULE_TYPES !== 'undefined' ? AUTO_BUILD_RULE_TYPES : {};
+    for (const type in ruleTypes) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = ruleTypes[type];
+      typeSelect.appendChild(option);
+    }
+    typeSelect.value = rule.type;
+    typeSelect.addEventListener('change', () => {
+      ensureRules().rules[index] = createAutoBuildRule(typeSelect.value);
+      editor._render();
+    });
+    row.appendChild(typeSelect);
+
+    if (rule.type === 'netRate' || rule.type === 'resourceAbove') {
+      const resourceSelect = document.createElement('select');
+      getAutoBuildRuleResourceOptions().forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        resourceSelect.appendChild(option);
+      });
+      resourceSelect.value = rule.resource;
+      resourceSelect.addEventListener('change', () => {
+        rule.resource = resourceSelect.value;
+      });
+      row.appendChild(resourceSelect);
+    }
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'number';
+    valueInput.classList.add('auto-build-input');
+    valueInput.value = rule.value;
+    valueInput.addEventListener('input', () => {
+      const value = parseFloat(valueInput.value);
+      rule.value = isNaN(value) ? 0 : value;
+    });
+    row.appendChild(valueInput);
+
+    const unit = { netRate: '/s', resourceAbove: '%' }[rule.type];
+    if (unit) {
+      const unitSpan = document.createElement('span');
+      unitSpan.textContent = unit;
+      row.appendChild(unitSpan);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove rule';
+    removeButton.addEventListener('click', () => {
+      ensureRules().rules.splice(index, 1);
+      editor._render();
+    });
+    row.appendChild(removeButton);
+    return row;
+  };
+
+  editor._render = () => {
+    const rules = ensureRules();
+    editor.innerHTML = '';
+
+    const modeRow = document.createElement('div');
+    modeRow.classList.add('auto-build-rule');
+    modeRow.appendChild(document.createTextNode('Build while '));
+    const modeSelect = document.createElement('select');
+    [['and', 'all'], ['or', 'any']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = rules.mode === 'or' ? 'or' : 'and';
+    modeSelect.addEventListener('change', () => {
+      ensureRules().mode = modeSelect.value;
+    });
+    modeRow.appendChild(modeSelect);
+    modeRow.appendChild(document.createTextNode(' rules hold'));
+    editor.appendChild(modeRow);
+
+    rules.rules.forEach((rule, index) => editor.appendChild(createRuleRow(rule, index)));
+
+    const addButton = document.createElement('button');
+    addButton.textContent = '+ Rule';
+    addButton.addEventListener('click', () => {
+      ensureRules().rules.push(createAutoBuildRule('count'));
+      editor._render();
+    });
+    editor.appendChild(addButton);
+    editor._rules = rules;
+  };
+
+  return editor;
+}
+
+function getRecipeAutomationResourceOptions(metric) {
+  if (metric !== 'pressure') return getAutoBuildRuleResourceOptions();
+  const options = [{ value: '', label: 'Total' }];
+  const gases = typeof resources !== 'undefined' ? resources.atmospheric || {} : {};
+  for (const name in gases) {
+    options.push({ value: name, label: gases[name].displayName || name });
+  }
+  return options;
+}
+
+// Editor for structure.recipeAutomation: an enable checkbox, the running
+// recipe and one row per rule
+function createRecipeAutomationEditor(structure) {
+  const editor = document.createElement('div');
+  editor.classList.add('auto-build-rules', 'recipe-automation');
+
+  const ensureAutomation = () => {
+    if (!structure.recipeAutomation || !Array.isArray(structure.recipeAutomation.rules)) {
+      structure.recipeAutomation = { enabled: false, rules: [] };
+    }
+    return structure.recipeAutomation;
+  };
+
+  const createSelect = (options, value, onChange) => {
+    const select = document.createElement('select');
+    options.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  };
+
+  const createNumberInput = (value, onInput) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.classList.add('auto-build-input');
+    input.value = value;
+    input.addEventListener('input', () => {
+      const parsed = parseFloat(input.value);
+      onInput(isNaN(parsed) ? 0 : parsed);
+    });
+    return input;
+  };
+
+  const createRuleRow = (rule, index) => {
+    const row = document.createElement('div');
+    row.classList.add('auto-build-rule');
+
+    row.appendChild(document.createTextNode('Use '));
+    const recipeOptions = Object.keys(structure.recipes).map(key => ({
+      value: key,
+      label: structure.recipes[key].displayName || key
+    }));
+    row.appendChild(createSelect(recipeOptions, rule.recipe, value => { rule.recipe = value; }));
+    row.appendChild(document.createTextNode(' when '));
+
+    const metrics = typeof RECIPE_AUTOMATION_METRICS !== 'undefined' ? RECIPE_AUTOMATION_METRICS : {};
+    const metricOptions = Object.keys(metrics).map(key => ({ value: key, label: metrics[key] }));
+    row.appendChild(createSelect(metricOptions, rule.metric, value => {
+      const replacement = createRecipeAutomationRule(structure, value);
+      replacement.recipe = rule.recipe;
+      ensureAutomation().rules[index] = replacement;
+      editor._render();
+    }));
+
+    if (rule.metric === 'resource' || rule.metric === 'pressure') {
+      row.appendChild(createSelect(getRecipeAutomationResourceOptions(rule.metric), rule.resource, value => {
+        rule.resource = value;
+      }));
+    }
+
+    row.appendChild(createSelect(
+      [{ value: 'above', label: 'above' }, { value: 'below', label: 'below' }],
+      rule.comparison === 'below' ? 'below' : 'above',
+      value => { rule.comparison = value; }
+    ));
+
+    // Temperatures are stored in kelvin and edited in the display unit
+    const isTemperature = rule.metric === 'temperature';
+    const useCelsius = isTemperature && typeof gameSettings !== 'undefined' && gameSettings.useCelsius;
+    row.appendChild(createNumberInput(useCelsius ? rule.value - 273.15 : rule.value, value => {
+      rule.value = useCelsius ? value + 273.15 : value;
+    }));
+    const unit = isTemperature
+      ? (typeof getTemperatureUnit === 'function' ? getTemperatureUnit() : 'K')
+      : (rule.metric === 'pressure' ? 'kPa' : '%');
+    row.appendChild(document.createTextNode(` ${unit} ± `));
+    const marginInput = createNumberInput(rule.margin, value => { rule.margin = Math.max(0, value); });
+    marginInput.title = 'Hysteresis: once this rule has picked its recipe, it keeps it until the reading is this far back past the threshold';
+    row.appendChild(marginInput);
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove rule';
+    removeButton.addEventListener('click', () => {
+      ensureAutomation().rules.splice(index, 1);
+      editor._render();
+    });
+    row.appendChild(removeButton);
+    return row;
+  };
+
+  editor._render = () => {
+    const automation = ensureAutomation();
+    editor.innerHTML = '';
+
+    const headerRow = document.createElement('div');
+    headerRow.classList.add('auto-build-rule');
+    const enableLabel = document.createElement('label');
+    const enableCheckbox = document.createElement('input');
+    enableCheckbox.type = 'checkbox';
+    enableCheckbox.classList.add('recipe-automation-checkbox');
+    enableCheckbox.checked = !!automation.enabled;
+    enableCheckbox.addEventListener('change', () => {
+      ensureAutomation().enabled = enableCheckbox.checked;
+      editor._update();
+    });
+    enableLabel.append(enableCheckbox, document.createTextNode('Automate recipe'));
+    const status = document.createElement('span');
+    status.classList.add('recipe-automation-status');
+    headerRow.append(enableLabel, status);
+    editor.appendChild(headerRow);
+
+    automation.rules.forEach((rule, index) => editor.appendChild(createRuleRow(rule, index)));
+
+    const addButton = document.createElement('button');
+    addButton.textContent = '+ Recipe rule';
+    addButton.addEventListener('click', () => {
+      ensureAutomation().rules.push(createRecipeAutomationRule(structure, 'temperature'));
+      editor._render();
+    });
+    editor.appendChild(addButton);
+
+    editor._automation = automation;
+    editor._checkbox = enableCheckbox;
+    editor._status = status;
+    editor._update();
+  };
+
+  editor._update = () => {
+    if (!editor._status) return;
+    const automation = ensureAutomation();
+    editor._checkbox.checked = !!automation.enabled;
+    const recipe = structure.recipes?.[structure.currentRecipeKey];
+    let text = `Running: ${recipe?.displayName || structure.currentRecipeKey}`;
+    if (automation.enabled && typeof structure.hasBuiltInRecipeControl === 'function' &&
+        structure.hasBuiltInRecipeControl()) {
+      text += " (overridden by the building's own automation)";
+    }
+    editor._status.textContent = text;
+  };
+
+  if (typeof createRecipeAutomationRule === 'function') {
+    editor._render();
+  } else {
+    editor.style.display = 'none';
+  }
+  return editor;
+}
+
 function disableAutoActive(structure) {
   const els = structureUIElements[structure.name] || {};
   let checkbox = els.autoActiveCheckbox;
@@ -639,20 +1030,21 @@ function updateDecreaseButtonText(button, buildCount) {
     }
   }
 
-  function updateUpgradeButton(button, colony) {
-    if (!button || !(colony instanceof Colony)) return;
+  function updateUpgradeButton(button, structure) {
+    if (!button || typeof structure.getTierStructure !== 'function') return;
 
-    const nextName = colony.getNextTierName();
-    const next = nextName ? colonies[nextName] : null;
+    const nextName = structure.getNextTierName();
+    const next = nextName ? structure.getTierStructure(nextName) : null;
 
     if (!next || !next.unlocked) {
       button.style.display = 'none';
       return;
     }
 
-    const upgradeCount = Math.max(1, selectedBuildCounts[colony.name] / 10 || 1);
-    const amount = Math.min(upgradeCount * 10, colony.count);
-    const cost = colony.getUpgradeCost(upgradeCount);
+    const ratio = structure.getUpgradeRatio();
+    const upgradeCount = Math.max(1, selectedBuildCounts[structure.name] / ratio || 1);
+    const amount = Math.min(upgradeCount * ratio, structure.count);
+    const cost = structure.getUpgradeCost(upgradeCount);
     if (!cost) {
       button.style.display = 'none';
       return;
@@ -662,8 +1054,8 @@ function updateDecreaseButtonText(button, buildCount) {
     for (const category in cost) {
       for (const resource in cost[category]) {
         let available = resources[category][resource]?.value || 0;
-        if (resource === 'land') {
-          available -= resources[category][resource].reserved;
+        if (structure.isUpgradeReservation(category, resource)) {
+          available -= resources[category][resource]?.reserved || 0;
         }
         items.push({
           key: `${category}.${resource}`,
@@ -708,7 +1100,10 @@ function updateDecreaseButtonText(button, buildCount) {
       }
     });
 
-    const canAfford = colony.canAffordUpgrade(upgradeCount);
+    const canAfford = structure.canAffordUpgrade(upgradeCount);
+    if (typeof getTimeToAfford === 'function') {
+      button.title = formatTimeToAfford(getTimeToAfford(cost));
+    }
     button.disabled = !canAfford;
     button.style.display = 'inline-block';
     button.style.color = '';
@@ -783,6 +1178,17 @@ function updateDecreaseButtonText(button, buildCount) {
           list.appendChild(document.createTextNode(', '));
         }
       });
+      costElement._timeSpan = document.createElement('span');
+      costElement._timeSpan.classList.add('cost-time-estimate');
+      costElement.appendChild(costElement._timeSpan);
+    }
+
+    if (typeof getTimeToAfford === 'function') {
+      const estimate = formatTimeToAfford(getTimeToAfford(structure.getEffectiveCost(buildCount)));
+      const timeText = estimate ? ` (${estimate})` : '';
+      if (costElement._timeSpan.textContent !== timeText) {
+        costElement._timeSpan.textContent = timeText;
+      }
     }
 
     items.forEach(item => {
@@ -860,8 +1266,6 @@ function updateDecreaseButtonText(button, buildCount) {
   }
   
   function updateStructureDisplay(structures) {
-    const pop = resources.colony.colonists.value;
-    const workerCap = resources.colony.workers?.cap || 0;
     for (const structureName in structures) {
       const structure = structures[structureName];
       const els = structureUIElements[structureName] || {};
@@ -911,6 +1315,9 @@ function updateDecreaseButtonText(button, buildCount) {
         hideButton.style.display = 'inline-block';
         hideButton.disabled = structure.active > 0;
       }
+      if (els.demolishButton) {
+        els.demolishButton.disabled = structure.count <= 0;
+      }
 
       const reverseBtn = els.reverseButton || (buttonContainer ? buttonContainer.getElementsByClassName('reverse-button')[0] : null);
       if (reverseBtn) {
@@ -929,20 +1336,38 @@ function updateDecreaseButtonText(button, buildCount) {
         
         // Set auto-build checkbox based on autoBuildEnabled
         const els = structureUIElements[structureName] || {};
+        if (els.queueButton) {
+          els.queueButton.style.display = globalEffects.isBooleanFlagSet('automateConstruction') ? '' : 'none';
+        }
         if (els.autoBuildCheckbox) {
           els.autoBuildCheckbox.checked = structure.autoBuildEnabled;
         }
         if (els.autoBuildPriority) {
           els.autoBuildPriority.checked = structure.autoBuildPriority;
         }
+        if (els.autoDemolish) {
+          els.autoDemolish.checked = !!structure.autoDemolishEnabled;
+        }
 
-        const base = structure.autoBuildBasis === 'workers' ? workerCap : pop;
-        const targetCount = Math.ceil((structure.autoBuildPercent * base || 0) / 100);
+        const targetCount = getStructureAutoBuildTarget(structure);
         const targetEl = els.autoBuildTarget || document.getElementById(`${structure.name}-auto-build-target`);
         if (targetEl) targetEl.textContent = `Target : ${formatBigInteger(targetCount)}`;
 
-        if (els.autoBuildBasisSelect) {
+        if (els.autoBuildBasisSelect && els.autoBuildBasisSelect.value !== (structure.autoBuildBasis || 'population')) {
           els.autoBuildBasisSelect.value = structure.autoBuildBasis || 'population';
+          updateAutoBuildBasisDisplay(structure);
+        }
+        // Rules replaced from outside the editor (travel, loading a save)
+        if (els.autoBuildRulesEditor && structure.autoBuildBasis === 'rules' &&
+            els.autoBuildRulesEditor._rules !== structure.autoBuildRules) {
+          els.autoBuildRulesEditor._render();
+        }
+        if (els.recipeAutomationEditor && els.recipeAutomationEditor._automation !== undefined) {
+          if (els.recipeAutomationEditor._automation !== structure.recipeAutomation) {
+            els.recipeAutomationEditor._render();
+          } else {
+            els.recipeAutomationEditor._update();
+          }
         }
         if (els.autoActiveCheckbox) {
           els.autoActiveCheckbox.checked = structure.autoActiveEnabled;
@@ -965,6 +1390,13 @@ function updateDecreaseButtonText(button, buildCount) {
         }
       }
 
+      const productivityInfo = document.getElementById(`${structureName}-productivity-info`);
+      if (productivityInfo && typeof describeProductivity === 'function') {
+        const lines = describeProductivity(structure);
+        productivityInfo.style.display = lines.length > 0 ? '' : 'none';
+        productivityInfo.title = lines.join('\n');
+      }
+
       const iconElement = document.getElementById(`${structureName}-day-night-icon`);
       if (iconElement) {
         if (typeof gameSettings !== 'undefined' && gameSettings.disableDayNightCycle) {
@@ -55,54 +55,62 @@ function runAtmosphericChemistry(resources, params = {}) {
   const co2Rate = durationSeconds > 0 ? (combustionCO2Amount / durationSeconds) * 86400 : 0;
   const calciteRate = realSeconds > 0 ? calciteDecayAmount / realSeconds : 0;
 
+  const rates = {
+    methane: methaneRate,
+    oxygen: oxygenRate,
+    water: waterRate,
+    co2: co2Rate,
+    calcite: calciteRate,
+  };
+  applyAtmosphericChemistryRates(resources, rates);
+
+  return {
+    changes: {
+      atmosphericMethane: -combustionMethaneAmount,
+      oxygen: -combustionOxygenAmount,
+      atmosphericWater: combustionWaterAmount,
+      carbonDioxide: combustionCO2Amount,
+      calciteAerosol: -calciteDecayAmount,
+    },
+    rates,
+  };
+}
+
+// Report chemistry rates on the atmospheric resources. Split out so rates
+// computed in the climate worker can be applied on the main thread.
+function applyAtmosphericChemistryRates(resources, rates = {}) {
   const rateType = 'terraforming';
   resources?.atmospheric?.atmosphericWater?.modifyRate?.(
-    waterRate,
+    rates.water || 0,
     'Methane Combustion',
     rateType
   );
   resources?.atmospheric?.carbonDioxide?.modifyRate?.(
-    co2Rate,
+    rates.co2 || 0,
     'Methane Combustion',
     rateType
   );
   resources?.atmospheric?.atmosphericMethane?.modifyRate?.(
-    -methaneRate,
+    -(rates.methane || 0),
     'Methane Combustion',
     rateType
   );
   resources?.atmospheric?.oxygen?.modifyRate?.(
-    -oxygenRate,
+    -(rates.oxygen || 0),
     'Methane Combustion',
     rateType
   );
   resources?.atmospheric?.calciteAerosol?.modifyRate?.(
-    -calciteRate,
+    -(rates.calcite || 0),
     'Calcite Decay',
     rateType
   );
-
-  return {
-    changes: {
-      atmosphericMethane: -combustionMethaneAmount,
-      oxygen: -combustionOxygenAmount,
-      atmosphericWater: combustionWaterAmount,
-      carbonDioxide: combustionCO2Amount,
-      calciteAerosol: -calciteDecayAmount,
-    },
-    rates: {
-      methane: methaneRate,
-      oxygen: oxygenRate,
-      water: waterRate,
-      co2: co2Rate,
-      calcite: calciteRate,
-    },
-  };
 }
 
 if (isNodeChem) {
   module.exports = {
     runAtmosphericChemistry,
+    applyAtmosphericChemistryRates,
     METHANE_COMBUSTION_PARAMETER,
     OXYGEN_COMBUSTION_THRESHOLD,
     METHANE_COMBUSTION_THRESHOLD,
@@ -110,6 +118,7 @@ if (isNodeChem) {
   };
 } else {
   globalThis.runAtmosphericChemistry = runAtmosphericChemistry;
+  globalThis.applyAtmosphericChemistryRates = applyAtmosphericChemistryRates;
   globalThis.METHANE_COMBUSTION_PARAMETER = METHANE_COMBUSTION_PARAMETER;
   globalThis.OXYGEN_COMBUSTION_THRESHOLD = OXYGEN_COMBUSTION_THRESHOLD;
   globalThis.METHANE_COMBUSTION_THRESHOLD = METHANE_COMBUSTION_THRESHOLD;
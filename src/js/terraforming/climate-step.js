@@ -0,0 +1,609 @@
+// Climate step: zonal temperatures, the water, methane and CO2 phase-change
+// cycles, surface flow and atmospheric chemistry. It runs on a snapshot of
+// the zonal stores and atmosphere and returns deltas, so the same code can
+// run on the main thread or in climate-worker.js. The temperature solve is
+// plain data in and out: Terraforming.updateSurfaceTemperature runs it
+// directly, and worker snapshots carry its input so the answer comes back
+// with the other deltas.
+const isNodeClimateStep = (typeof module !== 'undefined' && module.exports);
+var runAtmosphericChemistryFn = globalThis.runAtmosphericChemistry;
+var applyAtmosphericChemistryRatesFn = globalThis.applyAtmosphericChemistryRates;
+if (isNodeClimateStep) {
+  ({
+    runAtmosphericChemistry: runAtmosphericChemistryFn,
+    applyAtmosphericChemistryRates: applyAtmosphericChemistryRatesFn,
+  } = require('./atmospheric-chemistry.js'));
+  if (typeof globalThis.ZONES === 'undefined') {
+    globalThis.ZONES = require('./zones.js').ZONES;
+  }
+  const physics = require('./physics.js');
+  ['calculateAtmosphericPressure', 'calculateEmissivity', 'dayNightTemperaturesModel',
+    'autoSlabHeatCapacity', 'effectiveTemp'].forEach((name) => {
+    if (typeof globalThis[name] === 'undefined') {
+      globalThis[name] = physics[name];
+    }
+  });
+}
+
+const CLIMATE_ZONAL_STORES = ['zonalWater', 'zonalHydrocarbons', 'zonalCO2'];
+// Melt totals the surface flow functions leave on the terraforming object
+const CLIMATE_FLOW_FIELDS = {
+  flowMeltAmount: 'flowMeltRate',
+  flowMethaneMeltAmount: 'flowMethaneMeltRate',
+  flowCO2MeltAmount: 'flowCO2MeltRate',
+};
+const CLIMATE_WORKER_URL = 'src/js/terraforming/climate-worker.js';
+
+function buildAtmosphereContext(atmospheric, gravity, radius) {
+    let totalPressurePa = 0;
+    const pressureByKey = {};
+    const availableByKey = {};
+    for (const key in atmospheric) {
+        const amount = atmospheric[key]?.value || 0;
+        const pressure = calculateAtmosphericPressure(amount, gravity, radius);
+        totalPressurePa += pressure;
+        pressureByKey[key] = pressure;
+        availableByKey[key] = amount;
+    }
+    return { totalPressure: totalPressurePa, pressureByKey, availableByKey };
+}
+
+function copyZones(source = {}) {
+  const copy = {};
+  for (const zone in source) {
+    copy[zone] = { ...source[zone] };
+  }
+  return copy;
+}
+
+// Mass fractions of the gases the emissivity model knows about, from
+// atmospheric amounts in tons. Everything else counts as inert mass.
+function calculateAtmosphericCompositionFromValues(atmospheric) {
+  let co2Mass = 0, h2oMass = 0, ch4Mass = 0, h2so4Mass = 0, safeGHGMass = 0, inertMass = 0;
+  for (const gas in atmospheric) {
+    const kg = (atmospheric[gas] || 0) * 1000;
+    if (gas === 'carbonDioxide') co2Mass += kg;
+    else if (gas === 'atmosphericWater') h2oMass += kg;
+    else if (gas === 'atmosphericMethane') ch4Mass += kg;
+    else if (gas === 'sulfuricAcid') h2so4Mass += kg;
+    else if (gas === 'greenhouseGas') safeGHGMass += kg;
+    else inertMass += kg;
+  }
+  const totalMass = co2Mass + h2oMass + ch4Mass + h2so4Mass + safeGHGMass + inertMass;
+  const composition = {};
+  if (totalMass > 0) {
+    if (co2Mass > 0) composition.co2 = co2Mass / totalMass;
+    if (h2oMass > 0) composition.h2o = h2oMass / totalMass;
+    if (ch4Mass > 0) composition.ch4 = ch4Mass / totalMass;
+    if (h2so4Mass > 0) composition.h2so4 = h2so4Mass / totalMass;
+    if (safeGHGMass > 0) composition.greenhouseGas = safeGHGMass / totalMass;
+  }
+  return { composition, totalMass };
+}
+
+/**
+ * Solve the zonal surface temperatures for `input` (see
+ * Terraforming.getSurfaceTemperatureInput): a day/night radiative balance per zone,
+ * then meridional mixing between neighbouring zones. Returns the zone
+ * temperatures and the global diagnostics; nothing is written.
+ */
+function solveSurfaceTemperatures(input) {
+  const { zones, groundAlbedo, rotationPeriodH, gravity: gSurface } = input;
+
+  // --- Atmospheric state (composition → IR emissivity, pressure → column mass)
+  const { composition, totalMass } = calculateAtmosphericCompositionFromValues(input.atmospheric); // totalMass in kg
+  const surfacePressurePa = calculateAtmosphericPressure(
+    totalMass / 1000, // tons → Pa via physics helper
+    gSurface,
+    input.radius
+  );
+  const surfacePressureBar = surfacePressurePa / 1e5;
+
+  const { emissivity, tau, contributions } =
+    calculateEmissivity(composition, surfacePressureBar, gSurface);
+
+  // --- Shortwave aerosols (for albedo adders)
+  const aerosolsSW = {};
+  const area_m2 = 4 * Math.PI * Math.pow((input.radius || 1) * 1000, 2);
+  if (input.atmospheric.calciteAerosol !== undefined) {
+    const mass_ton = input.atmospheric.calciteAerosol || 0;
+    aerosolsSW.calcite = area_m2 > 0 ? (mass_ton * 1000) / area_m2 : 0; // kg/m²
+  }
+
+  // --- Base per-zone radiative solve
+  const baseParams = {
+    groundAlbedo,
+    // flux will be set per zone below
+    rotationPeriodH,
+    surfacePressureBar,
+    composition,
+    gSurface,
+    aerosolsSW
+  };
+
+  const z = {}; // per-zone working data
+  let weightedEqTemp = 0;
+  let weightedFluxUnpenalized = 0;
+
+  for (const zone of zones) {
+    const zoneFlux = input.zonalFlux[zone];
+    const zoneFractions = input.zoneFractions[zone];
+
+    const zTemps = dayNightTemperaturesModel({
+      ...baseParams,
+      flux: zoneFlux,
+      surfaceFractions: zoneFractions
+    });
+
+    // Slab heat capacity (J/m²/K) including atmosphere + ocean/ice/soil
+    const Cslab = (typeof autoSlabHeatCapacity === 'function')
+      ? autoSlabHeatCapacity(rotationPeriodH, surfacePressureBar, zoneFractions, gSurface)
+      : // Fallback: atmosphere only
+        (1004 /* C_P_AIR */) * (surfacePressurePa / Math.max(gSurface, 1e-6));
+
+    const pct = input.zonePercentages[zone];  // fraction of surface (0..1)
+    const area = input.surfaceArea * pct;     // m²
+
+    z[zone] = {
+      mean:  zTemps.mean,
+      day:   zTemps.day,
+      night: zTemps.night,
+      eq:    zTemps.equilibriumTemperature,
+      frac:  zoneFractions,
+      area,
+      Cslab
+    };
+
+    weightedEqTemp           += zTemps.equilibriumTemperature * pct;
+    weightedFluxUnpenalized  += zoneFlux * pct;
+  }
+
+  // --- Meridional (equator↔pole) mixing strength --------------------
+  // Column mass (kg/m²) — higher => stronger mixing
+  const columnMass = surfacePressurePa / Math.max(gSurface, 1e-6);
+
+  // Tunables (picked to match Earth/Mars/Titan/Venus qualitatively)
+  const MASS_REF = 1.03e4;  // ≈ Earth column mass at 1 bar
+  const K_MASS   = 0.03;    // how quickly mixing rises with mass
+  const A_MASS   = 1.0;     // exponent on (columnMass / MASS_REF)
+
+  // 0..~1: 1-e^{-K (M/Mref)^a}
+  const massBoost = 1 - Math.exp(-K_MASS * Math.pow(columnMass / MASS_REF, A_MASS));
+
+  // Rotation boost: slower rotation ⇒ larger Hadley cells (cap at 3×)
+  const rotFactor = Math.min(3, Math.sqrt(Math.max(0.5, rotationPeriodH / 24)));
+
+  // Planet-wide liquid coverage (water + hydrocarbons), 0..1
+  let liquidCoverageWeighted = 0, areaSum = 0;
+  for (const zone of zones) {
+    const liq = (z[zone].frac.ocean || 0) + (z[zone].frac.hydrocarbon || 0);
+    liquidCoverageWeighted += liq * z[zone].area;
+    areaSum += z[zone].area;
+  }
+  const liquidCoverage = areaSum > 0 ? liquidCoverageWeighted / areaSum : 0;
+
+  // Liquids aid meridional transport; keep in a sane range [0.5, 2.0]
+  const liquidFactor = 0.5 + 1.5 * Math.max(0, Math.min(1, liquidCoverage));
+
+  // Final fraction of the zonal ΔT that is equalized in one pass (0..0.95)
+  let mixFrac = massBoost * rotFactor * liquidFactor;
+  mixFrac = Math.max(0, Math.min(0.95, mixFrac));
+
+  // Stronger mixing → a few passes of pairwise exchange
+  const passes = Math.max(1, Math.min(5, Math.round(1 + 4 * mixFrac)));
+
+  // Weights are energy capacities (J/K) so updates conserve energy
+  const W = {};
+  const T = {};
+  for (const zone of zones) {
+    W[zone] = (z[zone].Cslab || 0) * (z[zone].area || 0);
+    T[zone] = z[zone].mean;
+  }
+
+  function mixPair(a, b, f) {
+    const Wa = W[a], Wb = W[b];
+    const denom = Wa + Wb;
+    if (denom <= 0 || f <= 0) return;
+    const dT = T[a] - T[b];
+    // Move fraction 'f' toward equalization, conserving energy
+    const deltaA = -f * (Wb / denom) * dT;
+    const deltaB =  f * (Wa / denom) * dT;
+    T[a] += deltaA;
+    T[b] += deltaB;
+  }
+
+  for (let p = 0; p < passes; p++) {
+    mixPair('tropical', 'temperate', mixFrac);
+    mixPair('temperate', 'polar',    mixFrac);
+  }
+
+  // --- Shift day/night by the mean offset the mixing applied --------
+  const zoneTemperatures = {};
+  let weightedTemp = 0;
+  for (const zone of zones) {
+    const dMean = T[zone] - z[zone].mean;
+    zoneTemperatures[zone] = {
+      value: T[zone],
+      day:   z[zone].day   + dMean,
+      night: z[zone].night + dMean,
+      // Keep the radiative equilibrium diagnostic (pre‑mix) visible
+      equilibriumTemperature: z[zone].eq,
+    };
+    weightedTemp += T[zone] * input.zonePercentages[zone];
+  }
+
+  const penalty = Math.min(1, Math.max(0, input.cloudHazePenalty || 0));
+  return {
+    zones: zoneTemperatures,
+    value: weightedTemp,
+    equilibriumTemperature: weightedEqTemp,
+    emissivity,
+    opticalDepth: tau,
+    opticalDepthContributions: contributions,
+    zonalFluxes: { ...input.zonalFlux },
+    modifiedSolarFluxUnpenalized: weightedFluxUnpenalized,
+    modifiedSolarFlux: weightedFluxUnpenalized * (1 - penalty),
+    effectiveTempNoAtmosphere: effectiveTemp(input.surfaceAlbedo, weightedFluxUnpenalized),
+  };
+}
+
+// Plain-data copy of everything the climate step reads from `terraforming`.
+// Safe to post to a worker.
+function createClimateSnapshot(terraforming, durationSeconds, realSeconds, maxStepSeconds = Infinity) {
+  const zones = ZONES.slice();
+  const zonalSolarFlux = {};
+  for (const zone of zones) {
+    zonalSolarFlux[zone] = terraforming.calculateZoneSolarFlux(zone, true);
+  }
+  const atmospheric = {};
+  for (const key in terraforming.resources.atmospheric) {
+    atmospheric[key] = terraforming.resources.atmospheric[key]?.value || 0;
+  }
+  const stores = {};
+  for (const key of CLIMATE_ZONAL_STORES) {
+    if (terraforming[key]) stores[key] = copyZones(terraforming[key]);
+  }
+  return {
+    zones,
+    durationSeconds,
+    realSeconds,
+    maxStepSeconds,
+    celestialParameters: JSON.parse(JSON.stringify(terraforming.celestialParameters)),
+    equilibriumWaterCondensationParameter: terraforming.equilibriumWaterCondensationParameter,
+    equilibriumMethaneCondensationParameter: terraforming.equilibriumMethaneCondensationParameter,
+    equilibriumCO2CondensationParameter: terraforming.equilibriumCO2CondensationParameter,
+    temperatureZones: copyZones(terraforming.temperature.zones),
+    zonalCoverageCache: copyZones(terraforming.zonalCoverageCache),
+    zonalSolarFlux,
+    atmospheric,
+    stores,
+  };
+}
+
+// Stand-in for the Terraforming object with just the fields the cycles use
+function createClimateState(snapshot) {
+  const atmospheric = {};
+  for (const key in snapshot.atmospheric) {
+    atmospheric[key] = { value: snapshot.atmospheric[key] };
+  }
+  const state = {
+    celestialParameters: snapshot.celestialParameters,
+    equilibriumWaterCondensationParameter: snapshot.equilibriumWaterCondensationParameter,
+    equilibriumMethaneCondensationParameter: snapshot.equilibriumMethaneCondensationParameter,
+    equilibriumCO2CondensationParameter: snapshot.equilibriumCO2CondensationParameter,
+    temperature: { zones: copyZones(snapshot.temperatureZones) },
+    zonalCoverageCache: copyZones(snapshot.zonalCoverageCache),
+    resources: { atmospheric },
+    calculateZoneSolarFlux: (zone) => snapshot.zonalSolarFlux[zone] || 0,
+  };
+  for (const key in snapshot.stores) {
+    state[key] = copyZones(snapshot.stores[key]);
+  }
+  return state;
+}
+
+function addTotals(target, totals) {
+  for (const key in totals) {
+    if (typeof totals[key] === 'number') {
+      target[key] = (target[key] || 0) + totals[key];
+    }
+  }
+}
+
+function runClimateSubstep(state, zones, cycles, durationSeconds, realSeconds, result) {
+  const gravity = state.celestialParameters.gravity;
+  const {
+    totalPressure: globalTotalPressurePa,
+    pressureByKey,
+    availableByKey,
+  } = buildAtmosphereContext(state.resources.atmospheric, gravity, state.celestialParameters.radius);
+
+  cycles.forEach((cycle, index) => {
+    const params = {
+      atmPressure: globalTotalPressurePa,
+      vaporPressure: pressureByKey[cycle.atmKey] || 0,
+      available: availableByKey[cycle.atmKey] || 0,
+      durationSeconds,
+      extraParams: cycle.getExtraParams ? cycle.getExtraParams(state) : {},
+    };
+    const totals = cycle.runCycle(state, zones, params);
+    const atmRes = state.resources.atmospheric[cycle.atmKey];
+    if (atmRes) {
+      atmRes.value = Math.max(0, atmRes.value + (totals.totalAtmosphericChange || 0));
+    }
+    addTotals(result.cycleTotals[index], totals);
+  });
+  for (const amountKey in CLIMATE_FLOW_FIELDS) {
+    if (typeof state[amountKey] === 'number') {
+      result.flow[amountKey] = (result.flow[amountKey] || 0) + state[amountKey];
+    }
+  }
+
+  const chemTotals = runAtmosphericChemistryFn(state.resources, {
+    globalOxygenPressurePa: pressureByKey.oxygen || 0,
+    globalMethanePressurePa: pressureByKey.atmosphericMethane || 0,
+    availableGlobalMethaneGas: availableByKey.atmosphericMethane || 0,
+    availableGlobalOxygenGas: availableByKey.oxygen || 0,
+    realSeconds,
+    durationSeconds,
+    surfaceArea: state.celestialParameters.surfaceArea,
+  });
+  for (const [key, delta] of Object.entries(chemTotals.changes)) {
+    const res = state.resources.atmospheric[key];
+    if (res && delta) {
+      res.value = Math.max(0, res.value + delta);
+    }
+  }
+  for (const [key, rate] of Object.entries(chemTotals.rates || {})) {
+    result.chemistryRates[key] = (result.chemistryRates[key] || 0) + rate;
+  }
+}
+
+/**
+ * Advance the climate described by `snapshot` and return what changed:
+ * zonal store and atmospheric deltas, per-cycle totals and chemistry rates.
+ * Steps longer than snapshot.maxStepSeconds are split into equal substeps.
+ * When the snapshot carries a temperatureInput the temperatures are solved
+ * first, used by the cycles and returned as result.temperature.
+ */
+function runClimateStep(snapshot, cycles) {
+  const state = createClimateState(snapshot);
+  const zones = snapshot.zones;
+  const durationSeconds = snapshot.durationSeconds;
+  const maxStep = snapshot.maxStepSeconds > 0 ? snapshot.maxStepSeconds : Infinity;
+  const count = Math.max(1, Math.ceil(durationSeconds / maxStep));
+  const result = {
+    durationSeconds,
+    realSeconds: snapshot.realSeconds,
+    cycleTotals: cycles.map(() => ({})),
+    chemistryRates: {},
+    flow: {},
+    atmosphericDeltas: {},
+    zonalDeltas: {},
+  };
+
+  if (snapshot.temperatureInput) {
+    result.temperature = solveSurfaceTemperatures(snapshot.temperatureInput);
+    for (const zone in result.temperature.zones) {
+      Object.assign(state.temperature.zones[zone] || (state.temperature.zones[zone] = {}),
+        result.temperature.zones[zone]);
+    }
+  }
+
+  for (let i = 0; i < count; i++) {
+    runClimateSubstep(state, zones, cycles, durationSeconds / count, snapshot.realSeconds / count, result);
+  }
+
+  for (const key in result.chemistryRates) {
+    result.chemistryRates[key] /= count;
+  }
+  for (const key in snapshot.atmospheric) {
+    result.atmosphericDeltas[key] = state.resources.atmospheric[key].value - snapshot.atmospheric[key];
+  }
+  for (const storeKey in snapshot.stores) {
+    const before = snapshot.stores[storeKey];
+    const after = state[storeKey] || {};
+    const deltas = {};
+    for (const zone in after) {
+      deltas[zone] = {};
+      for (const key in after[zone]) {
+        deltas[zone][key] = (after[zone][key] || 0) - (before[zone]?.[key] || 0);
+      }
+    }
+    result.zonalDeltas[storeKey] = deltas;
+  }
+  return result;
+}
+
+// Apply a climate step result to the live game state and report its rates.
+// Deltas are clamped at zero because the state may have moved on since the
+// snapshot was taken.
+function applyClimateResult(terraforming, result, cycles) {
+  if (result.temperature && typeof terraforming.applySurfaceTemperatures === 'function') {
+    terraforming.applySurfaceTemperatures(result.temperature);
+  }
+  for (const storeKey in result.zonalDeltas) {
+    const container = terraforming[storeKey] || (terraforming[storeKey] = {});
+    const deltas = result.zonalDeltas[storeKey];
+    for (const zone in deltas) {
+      const zoneStore = container[zone] || (container[zone] = {});
+      for (const key in deltas[zone]) {
+        const value = (zoneStore[key] || 0) + deltas[zone][key];
+        zoneStore[key] = value < 0 ? 0 : value;
+      }
+    }
+  }
+  for (const key in result.atmosphericDeltas) {
+    const res = terraforming.resources.atmospheric[key];
+    if (res && result.atmosphericDeltas[key]) {
+      res.value = Math.max(0, res.value + result.atmosphericDeltas[key]);
+    }
+  }
+  const durationSeconds = result.durationSeconds;
+  for (const amountKey in result.flow) {
+    terraforming[amountKey] = result.flow[amountKey];
+    terraforming[CLIMATE_FLOW_FIELDS[amountKey]] = durationSeconds > 0
+      ? result.flow[amountKey] / durationSeconds * 86400
+      : 0;
+  }
+  cycles.forEach((cycle, index) => {
+    if (typeof cycle.updateResourceRates === 'function') {
+      cycle.updateResourceRates(terraforming, result.cycleTotals[index] || {}, durationSeconds);
+    }
+  });
+  applyAtmosphericChemistryRatesFn(terraforming.resources, result.chemistryRates);
+}
+
+function createDefaultClimateWorker(url) {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(url);
+}
+
+// Hands climate steps to the worker during the frame loop. Results come back
+// a frame later and are applied as deltas. Everything else (offline catch-up,
+// tests, the headless runner, browsers without workers or a worker that
+// failed) runs the step synchronously.
+class ClimateStepRunner {
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || CLIMATE_WORKER_URL;
+    this.createWorker = options.createWorker || createDefaultClimateWorker;
+    this.worker = null;
+    this.workerFailed = false;
+    this.deferring = false;
+    this.nextId = 1;
+    this.inFlight = null;  // { id, owner, durationSeconds, realSeconds }
+    this.ready = null;     // { owner, result }
+    this.pending = null;   // time not yet sent: { owner, durationSeconds, realSeconds }
+  }
+
+  // Let climate steps made inside `callback` go to the worker
+  defer(callback) {
+    const previous = this.deferring;
+    this.deferring = true;
+    try {
+      return callback();
+    } finally {
+      this.deferring = previous;
+    }
+  }
+
+  // Whether steps made now go to the worker, which then also solves the
+  // temperatures
+  usesWorker() {
+    return this.deferring && !!this.getWorker();
+  }
+
+  getWorker() {
+    if (this.worker || this.workerFailed) return this.worker;
+    try {
+      this.worker = this.createWorker(this.workerUrl);
+    } catch (e) {
+      console.warn('Climate worker unavailable, running the climate on the main thread:', e);
+      this.worker = null;
+    }
+    if (!this.worker) {
+      this.workerFailed = true;
+      return null;
+    }
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => this.handleFailure(event && event.message ? event.message : event);
+    return this.worker;
+  }
+
+  handleMessage(message) {
+    if (!this.inFlight || !message || message.id !== this.inFlight.id) return;
+    const request = this.inFlight;
+    this.inFlight = null;
+    if (message.error) {
+      this.handleFailure(message.error, request);
+      return;
+    }
+    this.ready = { owner: request.owner, result: message.result };
+  }
+
+  // Stop using the worker. Time it never answered for is replayed
+  // synchronously on the next step.
+  handleFailure(error, request = this.inFlight) {
+    console.error('Climate worker failed, running the climate on the main thread:', error);
+    this.workerFailed = true;
+    if (this.worker && typeof this.worker.terminate === 'function') {
+      this.worker.terminate();
+    }
+    this.worker = null;
+    this.inFlight = null;
+    if (request) {
+      this.addPending(request.owner, request.durationSeconds, request.realSeconds);
+    }
+  }
+
+  addPending(owner, durationSeconds, realSeconds) {
+    if (!this.pending || this.pending.owner !== owner) {
+      this.pending = { owner, durationSeconds: 0, realSeconds: 0 };
+    }
+    this.pending.durationSeconds += durationSeconds;
+    this.pending.realSeconds += realSeconds;
+  }
+
+  takeReady(owner) {
+    const ready = this.ready;
+    this.ready = null;
+    return ready && ready.owner === owner ? ready.result : null;
+  }
+
+  /**
+   * Advance the climate of `terraforming` and return the results to apply
+   * now: the synchronous result, or whatever the worker has answered since
+   * the last call (empty while a request is outstanding).
+   */
+  step(terraforming, durationSeconds, realSeconds, cycles, maxStepSeconds = Infinity) {
+    const results = [];
+    const ready = this.takeReady(terraforming);
+    if (ready) results.push(ready);
+    this.addPending(terraforming, durationSeconds, realSeconds);
+
+    const worker = this.deferring ? this.getWorker() : null;
+    if (!worker) {
+      const pending = this.pending;
+      this.pending = null;
+      const snapshot = createClimateSnapshot(terraforming, pending.durationSeconds, pending.realSeconds, maxStepSeconds);
+      results.push(runClimateStep(snapshot, cycles));
+      return results;
+    }
+    if (!this.inFlight) {
+      const pending = this.pending;
+      this.pending = null;
+      const id = this.nextId++;
+      this.inFlight = { id, owner: terraforming, durationSeconds: pending.durationSeconds, realSeconds: pending.realSeconds };
+      const snapshot = createClimateSnapshot(terraforming, pending.durationSeconds, pending.realSeconds, maxStepSeconds);
+      if (typeof terraforming.getSurfaceTemperatureInput === 'function') {
+        snapshot.temperatureInput = terraforming.getSurfaceTemperatureInput();
+      }
+      worker.postMessage({ id, snapshot });
+    }
+    return results;
+  }
+}
+
+if (isNodeClimateStep) {
+  module.exports = {
+    CLIMATE_ZONAL_STORES,
+    buildAtmosphereContext,
+    calculateAtmosphericCompositionFromValues,
+    solveSurfaceTemperatures,
+    createClimateSnapshot,
+    runClimateStep,
+    applyClimateResult,
+    ClimateStepRunner,
+  };
+} else {
+  globalThis.buildAtmosphereContext = buildAtmosphereContext;
+  globalThis.calculateAtmosphericCompositionFromValues = calculateAtmosphericCompositionFromValues;
+  globalThis.solveSurfaceTemperatures = solveSurfaceTemperatures;
+  globalThis.createClimateSnapshot = createClimateSnapshot;
+  globalThis.runClimateStep = runClimateStep;
+  globalThis.applyClimateResult = applyClimateResult;
+  globalThis.ClimateStepRunner = ClimateStepRunner;
+  if (typeof window !== 'undefined') {
+    globalThis.climateStepRunner = new ClimateStepRunner();
+  }
+}
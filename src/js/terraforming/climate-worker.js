@@ -0,0 +1,32 @@
+// Runs climate steps off the main thread. Loads the same scripts the page
+// does, in the same order, then answers { id, snapshot } messages with
+// { id, result } (see climate-step.js).
+// Air constants the phase-change helpers expect; on the page they come from
+// terraforming.js, which the worker does not load.
+self.C_P_AIR = 1004; // J/kg·K
+self.EPSILON = 0.622; // Molecular weight ratio
+
+importScripts(
+  'zones.js',
+  'physics.js',
+  'phase-change-utils.js',
+  'hydrology.js',
+  'condensation-utils.js',
+  'resource-cycle.js',
+  'water-cycle.js',
+  'dry-ice-cycle.js',
+  'hydrocarbon-cycle.js',
+  'atmospheric-chemistry.js',
+  'climate-step.js'
+);
+
+const climateCycles = [waterCycle, methaneCycle, co2Cycle];
+
+self.onmessage = (event) => {
+  const { id, snapshot } = event.data;
+  try {
+    self.postMessage({ id, result: runClimateStep(snapshot, climateCycles) });
+  } catch (e) {
+    self.postMessage({ id, error: e && e.message ? e.message : String(e) });
+  }
+};
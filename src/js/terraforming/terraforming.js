@@ -22,6 +22,8 @@ const EQUILIBRIUM_CO2_PARAMETER = 1.95e-3;
 
 // Load utility functions when running under Node for tests
 var getZonePercentage, estimateCoverage, waterCycleInstance, methaneCycleInstance, co2CycleInstance;
+var buildAtmosphereContext, createClimateSnapshot, runClimateStep, applyClimateResult;
+var calculateAtmosphericCompositionFromValues, solveSurfaceTemperatures;
 if (typeof module !== 'undefined' && module.exports) {
     const waterCycleMod = require('./water-cycle.js');
     waterCycleInstance = waterCycleMod.waterCycle;
@@ -74,6 +76,15 @@ if (typeof module !== 'undefined' && module.exports) {
     globalThis.effectiveTemp = physics.effectiveTemp;
     }
 
+    ({
+        buildAtmosphereContext,
+        calculateAtmosphericCompositionFromValues,
+        solveSurfaceTemperatures,
+        createClimateSnapshot,
+        runClimateStep,
+        applyClimateResult,
+    } = require('./climate-step.js'));
+
     const atmosphericChem = require('./atmospheric-chemistry.js');
     runAtmosphericChemistry = atmosphericChem.runAtmosphericChemistry;
     METHANE_COMBUSTION_PARAMETER_CONST = atmosphericChem.METHANE_COMBUSTION_PARAMETER;
@@ -85,6 +96,12 @@ if (typeof module !== 'undefined' && module.exports) {
     co2CycleInstance = globalThis.co2Cycle;
     runAtmosphericChemistry = globalThis.runAtmosphericChemistry;
     METHANE_COMBUSTION_PARAMETER_CONST = globalThis.METHANE_COMBUSTION_PARAMETER;
+    buildAtmosphereContext = globalThis.buildAtmosphereContext;
+    calculateAtmosphericCompositionFromValues = globalThis.calculateAtmosphericCompositionFromValues;
+    solveSurfaceTemperatures = globalThis.solveSurfaceTemperatures;
+    createClimateSnapshot = globalThis.createClimateSnapshot;
+    runClimateStep = globalThis.runClimateStep;
+    applyClimateResult = globalThis.applyClimateResult;
 }
 
 var getEcumenopolisLandFraction;
@@ -115,20 +132,6 @@ const terraformingGasTargets = {
   inertGas : {min : 50000, max : 100000}
 }
 
-function buildAtmosphereContext(atmospheric, gravity, radius) {
-    let totalPressurePa = 0;
-    const pressureByKey = {};
-    const availableByKey = {};
-    for (const key in atmospheric) {
-        const amount = atmospheric[key]?.value || 0;
-        const pressure = calculateAtmosphericPressure(amount, gravity, radius);
-        totalPressurePa += pressure;
-        pressureByKey[key] = pressure;
-        availableByKey[key] = amount;
-    }
-    return { totalPressure: totalPressurePa, pressureByKey, availableByKey };
-}
-
 class Terraforming extends EffectableEntity{
   constructor(resources, celestialParameters) {
     super({ description: 'This module manages all terraforming compononents' });
@@ -511,59 +514,21 @@ class Terraforming extends EffectableEntity{
         if (durationSeconds <= 0) return;
 
 
-        const zones = ZONES;
-        const gravity = this.celestialParameters.gravity;
-        const {
-            totalPressure: globalTotalPressurePa,
-            pressureByKey,
-            availableByKey,
-        } = buildAtmosphereContext(
-            this.resources.atmospheric,
-            gravity,
-            this.celestialParameters.radius
-        );
-        const globalMethanePressurePa = pressureByKey.atmosphericMethane || 0;
-        const globalOxygenPressurePa = pressureByKey.oxygen || 0;
-        const availableGlobalMethaneGas = availableByKey.atmosphericMethane || 0;
-        const availableGlobalOxygenGas = availableByKey.oxygen || 0;
-
         if (!this.cycles) {
             this.cycles = [waterCycleInstance, methaneCycleInstance, co2CycleInstance];
         }
 
-        for (const cycle of this.cycles) {
-            const params = {
-                atmPressure: globalTotalPressurePa,
-                vaporPressure: pressureByKey[cycle.atmKey] || 0,
-                available: availableByKey[cycle.atmKey] || 0,
-                durationSeconds,
-                extraParams: cycle.getExtraParams ? cycle.getExtraParams(this) : {},
-            };
-            const totals = cycle.runCycle(this, zones, params);
-            const delta = totals.totalAtmosphericChange || 0;
-            const atmRes = this.resources.atmospheric[cycle.atmKey];
-            if (atmRes) {
-                atmRes.value = Math.max(0, atmRes.value + delta);
-            }
-            if (typeof cycle.updateResourceRates === 'function') {
-                cycle.updateResourceRates(this, totals, durationSeconds);
-            }
-        }
-        const chemTotals = runAtmosphericChemistry(this.resources, {
-            globalOxygenPressurePa,
-            globalMethanePressurePa,
-            availableGlobalMethaneGas,
-            availableGlobalOxygenGas,
-            realSeconds,
-            durationSeconds,
-            surfaceArea: this.celestialParameters.surfaceArea,
-        });
-
-        for (const [key, delta] of Object.entries(chemTotals.changes)) {
-            const res = this.resources.atmospheric[key];
-            if (res && delta) {
-                res.value = Math.max(0, res.value + delta);
-            }
+        // Phase changes, surface flow and chemistry (see climate-step.js).
+        // During the frame loop the runner hands them to a worker and
+        // returns its earlier answers; otherwise they run right here.
+        const maxStepSeconds = typeof getSimulationStepLimit === 'function'
+            ? 86400 * getSimulationStepLimit('terraforming') / 1000
+            : Infinity;
+        const results = (typeof climateStepRunner !== 'undefined' && climateStepRunner)
+            ? climateStepRunner.step(this, durationSeconds, realSeconds, this.cycles, maxStepSeconds)
+            : [runClimateStep(createClimateSnapshot(this, durationSeconds, realSeconds), this.cycles)];
+        for (const result of results) {
+            applyClimateResult(this, result, this.cycles);
         }
 
         this.synchronizeGlobalResources();
@@ -581,170 +546,58 @@ class Terraforming extends EffectableEntity{
     }
 
     updateSurfaceTemperature() {
-    const groundAlbedo = this.luminosity.groundAlbedo;
-    const rotationPeriodH = this.celestialParameters.rotationPeriod || 24;
-    const gSurface = this.celestialParameters.gravity || 9.81;
-
-    // --- Atmospheric state (composition → IR emissivity, pressure → column mass)
-    const { composition, totalMass } = this.calculateAtmosphericComposition(); // totalMass in kg
-    const surfacePressurePa = calculateAtmosphericPressure(
-        totalMass / 1000, // tons → Pa via physics helper
-        gSurface,
-        this.celestialParameters.radius
-    );
-    const surfacePressureBar = surfacePressurePa / 1e5;
-
-    const { emissivity, tau, contributions } =
-        calculateEmissivity(composition, surfacePressureBar, gSurface);
-    this.temperature.emissivity = emissivity;
-    this.temperature.opticalDepth = tau;
-    this.temperature.opticalDepthContributions = contributions;
-
-    // --- Shortwave aerosols (for albedo adders, already in your model)
-    const aerosolsSW = {};
-    const area_m2 = 4 * Math.PI * Math.pow((this.celestialParameters.radius || 1) * 1000, 2);
-    if (this.resources?.atmospheric?.calciteAerosol) {
-        const mass_ton = this.resources.atmospheric.calciteAerosol.value || 0;
-        aerosolsSW.calcite = area_m2 > 0 ? (mass_ton * 1000) / area_m2 : 0; // kg/m²
+      this.applySurfaceTemperatures(solveSurfaceTemperatures(this.getSurfaceTemperatureInput()));
     }
 
-    // --- Base per-zone radiative solve (exactly what you had)
-    const baseParams = {
-        groundAlbedo,
-        // flux will be set per zone below
-        rotationPeriodH,
-        surfacePressureBar,
-        composition,
-        gSurface,
-        aerosolsSW
-    };
-
-    const ORDER = ['tropical', 'temperate', 'polar'];
-    const z = {}; // per-zone working data
-    let weightedEqTemp = 0;
-    let weightedFluxUnpenalized = 0;
-
-    for (const zone of ORDER) {
-        const zoneFlux = this.calculateZoneSolarFlux(zone);
-        this.luminosity.zonalFluxes[zone] = zoneFlux;
-
-        const zoneFractions = (typeof calculateZonalSurfaceFractions === 'function')
-        ? calculateZonalSurfaceFractions(this, zone)
-        : { ocean: 0, ice: 0, hydrocarbon: 0, hydrocarbonIce: 0, co2_ice: 0, biomass: 0 };
-
-        const zTemps = dayNightTemperaturesModel({
-        ...baseParams,
-        flux: zoneFlux,
-        surfaceFractions: zoneFractions
-        });
-
-        // Slab heat capacity (J/m²/K) including atmosphere + ocean/ice/soil
-        const Cslab = (typeof autoSlabHeatCapacity === 'function')
-        ? autoSlabHeatCapacity(rotationPeriodH, surfacePressureBar, zoneFractions, gSurface)
-        : // Fallback: atmosphere only
-            (1004 /* C_P_AIR */) * (surfacePressurePa / Math.max(gSurface, 1e-6));
-
-        const pct = getZonePercentage(zone);                       // fraction of surface (0..1)
-        const area = (this.celestialParameters.surfaceArea || 0) * pct; // m²
-
-        z[zone] = {
-        mean:  zTemps.mean,
-        day:   zTemps.day,
-        night: zTemps.night,
-        eq:    zTemps.equilibriumTemperature,
-        frac:  zoneFractions,
-        area,
-        Cslab
-        };
-
-        weightedEqTemp           += zTemps.equilibriumTemperature * pct;
-        weightedFluxUnpenalized  += zoneFlux * pct;
-    }
-
-    // --- Meridional (equator↔pole) mixing strength --------------------
-    // Column mass (kg/m²) — higher => stronger mixing
-    const columnMass = surfacePressurePa / Math.max(gSurface, 1e-6);
-
-    // Tunables (picked to match Earth/Mars/Titan/Venus qualitatively)
-    const MASS_REF = 1.03e4;  // ≈ Earth column mass at 1 bar
-    const K_MASS   = 0.03;    // how quickly mixing rises with mass
-    const A_MASS   = 1.0;     // exponent on (columnMass / MASS_REF)
-
-    // 0..~1: 1-e^{-K (M/Mref)^a}
-    const massBoost = 1 - Math.exp(-K_MASS * Math.pow(columnMass / MASS_REF, A_MASS));
-
-    // Rotation boost: slower rotation ⇒ larger Hadley cells (cap at 3×)
-    const rotFactor = Math.min(3, Math.sqrt(Math.max(0.5, rotationPeriodH / 24)));
-
-    // Planet-wide liquid coverage (water + hydrocarbons), 0..1
-    let liquidCoverageWeighted = 0, areaSum = 0;
-    for (const zone of ORDER) {
-        const liq = (z[zone].frac.ocean || 0) + (z[zone].frac.hydrocarbon || 0);
-        liquidCoverageWeighted += liq * z[zone].area;
-        areaSum += z[zone].area;
-    }
-    const liquidCoverage = areaSum > 0 ? liquidCoverageWeighted / areaSum : 0;
-
-    // Liquids aid meridional transport; keep in a sane range [0.5, 2.0]
-    const liquidFactor = 0.5 + 1.5 * Math.max(0, Math.min(1, liquidCoverage));
-
-    // Final fraction of the zonal ΔT that is equalized in one pass (0..0.95)
-    let mixFrac = massBoost * rotFactor * liquidFactor;
-    mixFrac = Math.max(0, Math.min(0.95, mixFrac));
-
-    // Stronger mixing → a few passes of pairwise exchange
-    const passes = Math.max(1, Math.min(5, Math.round(1 + 4 * mixFrac)));
-
-    // Weights are energy capacities (J/K) so updates conserve energy
-    const W = {};
-    const T = {};
-    for (const zone of ORDER) {
-        W[zone] = (z[zone].Cslab || 0) * (z[zone].area || 0);
-        T[zone] = z[zone].mean;
-    }
-
-    function mixPair(a, b, f) {
-        const Wa = W[a], Wb = W[b];
-        const denom = Wa + Wb;
-        if (denom <= 0 || f <= 0) return;
-        const dT = T[a] - T[b];
-        // Move fraction 'f' toward equalization, conserving energy
-        const deltaA = -f * (Wb / denom) * dT;
-        const deltaB =  f * (Wa / denom) * dT;
-        T[a] += deltaA;
-        T[b] += deltaB;
-    }
-
-    for (let p = 0; p < passes; p++) {
-        mixPair('tropical', 'temperate', mixFrac);
-        mixPair('temperate', 'polar',    mixFrac);
-    }
-
-    // --- Write back temperatures; shift day/night by mean offset ------
-    let weightedTemp = 0;
-    for (const zone of ORDER) {
-        const pct = getZonePercentage(zone);
-        const dMean = T[zone] - z[zone].mean;
-
-        this.temperature.zones[zone].value = T[zone];
-        this.temperature.zones[zone].day   = z[zone].day   + dMean;
-        this.temperature.zones[zone].night = z[zone].night + dMean;
-        // Keep the radiative equilibrium diagnostic (pre‑mix) visible
-        this.temperature.zones[zone].equilibriumTemperature = z[zone].eq;
-
-        weightedTemp += T[zone] * pct;
+    // Plain-data input for solveSurfaceTemperatures (see climate-step.js).
+    // Surface fractions come from the zonal coverage cache.
+    getSurfaceTemperatureInput() {
+      const zones = ['tropical', 'temperate', 'polar'];
+      const zonalFlux = {};
+      const zoneFractions = {};
+      const zonePercentages = {};
+      for (const zone of zones) {
+        zonalFlux[zone] = this.calculateZoneSolarFlux(zone);
+        zoneFractions[zone] = (typeof calculateZonalSurfaceFractions === 'function')
+          ? calculateZonalSurfaceFractions(this, zone)
+          : { ocean: 0, ice: 0, hydrocarbon: 0, hydrocarbonIce: 0, co2_ice: 0, biomass: 0 };
+        zonePercentages[zone] = getZonePercentage(zone);
+      }
+      const atmospheric = {};
+      for (const gas in this.resources.atmospheric) {
+        atmospheric[gas] = this.resources.atmospheric[gas]?.value || 0;
+      }
+      return {
+        zones,
+        groundAlbedo: this.luminosity.groundAlbedo,
+        surfaceAlbedo: this.luminosity.surfaceAlbedo,
+        cloudHazePenalty: this.luminosity.cloudHazePenalty,
+        rotationPeriodH: this.celestialParameters.rotationPeriod || 24,
+        gravity: this.celestialParameters.gravity || 9.81,
+        radius: this.celestialParameters.radius,
+        surfaceArea: this.celestialParameters.surfaceArea || 0,
+        atmospheric,
+        zonalFlux,
+        zoneFractions,
+        zonePercentages,
+      };
     }
 
-    // Global diagnostics (unchanged from your logic)
-    this.temperature.value = weightedTemp;
-    this.temperature.equilibriumTemperature = weightedEqTemp;
-
-    this.luminosity.modifiedSolarFluxUnpenalized = weightedFluxUnpenalized;
-    const penalty = Math.min(1, Math.max(0, this.luminosity.cloudHazePenalty || 0));
-    this.luminosity.modifiedSolarFlux = this.luminosity.modifiedSolarFluxUnpenalized * (1 - penalty);
-
-    this.temperature.effectiveTempNoAtmosphere =
-        effectiveTemp(this.luminosity.surfaceAlbedo, this.luminosity.modifiedSolarFluxUnpenalized);
+    // Write a solveSurfaceTemperatures answer back to the temperature and
+    // luminosity state
+    applySurfaceTemperatures(solution) {
+      for (const zone in solution.zones) {
+        Object.assign(this.temperature.zones[zone], solution.zones[zone]);
+      }
+      this.temperature.value = solution.value;
+      this.temperature.equilibriumTemperature = solution.equilibriumTemperature;
+      this.temperature.emissivity = solution.emissivity;
+      this.temperature.opticalDepth = solution.opticalDepth;
+      this.temperature.opticalDepthContributions = solution.opticalDepthContributions;
+      this.temperature.effectiveTempNoAtmosphere = solution.effectiveTempNoAtmosphere;
+      Object.assign(this.luminosity.zonalFluxes, solution.zonalFluxes);
+      this.luminosity.modifiedSolarFluxUnpenalized = solution.modifiedSolarFluxUnpenalized;
+      this.luminosity.modifiedSolarFlux = solution.modifiedSolarFlux;
     }
 
 
@@ -894,8 +747,12 @@ class Terraforming extends EffectableEntity{
       //First update luminosity
       this.updateLuminosity();
 
-      // Update temperature based on the new calculateSurfaceTemperature function
-      this.updateSurfaceTemperature();
+      // Update temperature based on the new calculateSurfaceTemperature function.
+      // While the climate worker is in use it solves them with the climate step.
+      const runner = typeof climateStepRunner !== 'undefined' ? climateStepRunner : null;
+      if (!runner || !runner.usesWorker()) {
+        this.updateSurfaceTemperature();
+      }
 
       // Update Resources will be called by resources.js
       //this.updateResources(deltaTime);
@@ -961,27 +818,11 @@ class Terraforming extends EffectableEntity{
     }
 
     calculateAtmosphericComposition() {
-        let co2Mass = 0, h2oMass = 0, ch4Mass = 0, h2so4Mass = 0, safeGHGMass = 0, inertMass = 0;
+        const amounts = {};
         for (const gas in this.resources.atmospheric) {
-            const amountTons = this.resources.atmospheric[gas].value || 0;
-            const kg = amountTons * 1000;
-            if (gas === 'carbonDioxide') co2Mass += kg;
-            else if (gas === 'atmosphericWater') h2oMass += kg;
-            else if (gas === 'atmosphericMethane') ch4Mass += kg;
-            else if (gas === 'sulfuricAcid') h2so4Mass += kg;
-            else if (gas === 'greenhouseGas') safeGHGMass += kg;
-            else inertMass += kg;
-        }
-        const totalMass = co2Mass + h2oMass + ch4Mass + h2so4Mass + safeGHGMass + inertMass;
-        const composition = {};
-        if (totalMass > 0) {
-            if (co2Mass > 0) composition.co2 = co2Mass / totalMass;
-            if (h2oMass > 0) composition.h2o = h2oMass / totalMass;
-            if (ch4Mass > 0) composition.ch4 = ch4Mass / totalMass;
-            if (h2so4Mass > 0) composition.h2so4 = h2so4Mass / totalMass;
-            if (safeGHGMass > 0) composition.greenhouseGas = safeGHGMass / totalMass;
+            amounts[gas] = this.resources.atmospheric[gas].value || 0;
         }
-        return { composition, totalMass };
+        return calculateAtmosphericCompositionFromValues(amounts);
     }
 
     // Removed global calculateHumidity function as humidity should be calculated zonally if needed.
@@ -0,0 +1,66 @@
+(function(){
+  // Time until a cost can be paid at the current net rates. Rates are the
+  // per-second production and consumption the resources collected this tick,
+  // so estimates move with the economy and are refreshed by each display.
+
+  function getNetRate(resource) {
+    return (resource.productionRate || 0) - (resource.consumptionRate || 0);
+  }
+
+  /**
+   * Seconds until `amount` of a resource is on hand: 0 when it already is,
+   * Infinity when the net rate is not positive or the amount can never fit in
+   * storage. Projects that draw on space storage count what they may use.
+   */
+  function getTimeUntilAvailable(category, resourceName, amount, project = null) {
+    if (!(amount > 0)) return 0;
+    const resource = typeof resources !== 'undefined' ? resources?.[category]?.[resourceName] : null;
+    if (!resource) return Infinity;
+    let available = resource.value || 0;
+    if (resourceName === 'land') {
+      available -= resource.reserved || 0;
+    }
+    const stored = project && typeof project.getUsableSpaceStorage === 'function'
+      ? project.getUsableSpaceStorage(category, resourceName)
+      : 0;
+    const missing = amount - available - stored;
+    if (missing <= 0) return 0;
+    if (resource.hasCap && resource.cap + stored < amount) return Infinity;
+    const netRate = getNetRate(resource);
+    if (!(netRate > 0)) return Infinity;
+    return missing / netRate;
+  }
+
+  /**
+   * Longest wait over a { category: { resource: amount } } cost. Resources a
+   * project does not actually pay are skipped.
+   */
+  function getTimeToAfford(cost, project = null) {
+    let longest = 0;
+    for (const category in cost || {}) {
+      for (const resourceName in cost[category]) {
+        if (project && typeof project.ignoreCostForResource === 'function' &&
+            project.ignoreCostForResource(category, resourceName)) {
+          continue;
+        }
+        longest = Math.max(longest, getTimeUntilAvailable(category, resourceName, cost[category][resourceName], project));
+      }
+    }
+    return longest;
+  }
+
+  // Suffix for cost displays; empty when affordable now
+  function formatTimeToAfford(seconds) {
+    if (seconds <= 0) return '';
+    if (!Number.isFinite(seconds)) return 'Not affordable at current rates';
+    return `Affordable in ${formatDuration(seconds)}`;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getTimeUntilAvailable, getTimeToAfford, formatTimeToAfford };
+  } else {
+    globalThis.getTimeUntilAvailable = getTimeUntilAvailable;
+    globalThis.getTimeToAfford = getTimeToAfford;
+    globalThis.formatTimeToAfford = formatTimeToAfford;
+  }
+})();
@@ -433,6 +433,9 @@ class WarpGateCommand extends EffectableEntity {
     op.artifacts = 0;
     op.successes = 0;
     this.addLog(teamIndex, '');
+    if (typeof emitGameEvent === 'function') {
+      emitGameEvent(GAME_EVENTS.WGC_OPERATION_FINISHED, { team: teamIndex, number: op.number, successes, artifacts: art });
+    }
   }
 
   startOperation(teamIndex, difficulty = 0) {
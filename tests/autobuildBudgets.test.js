@@ -0,0 +1,104 @@
+const {
+  autoBuild,
+  autobuildCostTracker,
+  constructionOfficeState,
+  setResourceBudget,
+  setResourceBudgets,
+  getBudgetRate,
+  saveConstructionOfficeState,
+  loadConstructionOfficeState
+} = require('../src/js/autobuild.js');
+
+function createBuilding(name, electronics, overrides = {}) {
+  const building = {
+    displayName: name,
+    autoBuildEnabled: true,
+    autoBuildPercent: 100,
+    autoBuildBasis: 'population',
+    autoBuildPriority: false,
+    count: 0,
+    requiresLand: 0,
+    requiresDeposit: null,
+    getEffectiveCost: (count = 1) => ({ colony: { electronics: electronics * count } }),
+    canAfford: () => true,
+    maxBuildable: () => 999,
+    ...overrides
+  };
+  building.build = jest.fn(count => {
+    building.count += count;
+    return true;
+  });
+  return building;
+}
+
+describe('autobuild resource budgets', () => {
+  beforeEach(() => {
+    global.resources = {
+      colony: {
+        colonists: { value: 100 },
+        electronics: { value: 1000, cap: 1000, productionRate: 40, consumptionRate: 0 }
+      }
+    };
+    setResourceBudgets({});
+  });
+
+  test('a fixed rate budget limits builds and carries over unspent allowance', () => {
+    setResourceBudget('electronics', 'rate', 10);
+    const building = createBuilding('Cheap', 1, { autoBuildPercent: 1000 });
+    autoBuild({ cheap: building }, 1000);
+    expect(building.build).toHaveBeenLastCalledWith(10, false);
+
+    autoBuild({ cheap: building }, 0);
+    expect(building.build).toHaveBeenCalledTimes(1);
+
+    // Allowance stops building up after ten seconds' worth
+    autoBuild({ cheap: building }, 60000);
+    expect(building.build).toHaveBeenLastCalledWith(100, false);
+  });
+
+  test('allowance builds up to the unit cost of a building dearer than the window', () => {
+    setResourceBudget('electronics', 'rate', 10);
+    const building = createBuilding('Dear', 250);
+    for (let second = 1; second < 25; second++) {
+      autoBuild({ dear: building }, 1000);
+    }
+    expect(building.build).not.toHaveBeenCalled();
+
+    autoBuild({ dear: building }, 1000);
+    expect(building.build).toHaveBeenCalledWith(1, false);
+
+    // Once paid for, the allowance starts again from nothing
+    autoBuild({ dear: building }, 60000);
+    expect(building.build).toHaveBeenCalledTimes(2);
+    autoBuild({ dear: building }, 0);
+    expect(building.build).toHaveBeenCalledTimes(2);
+  });
+
+  test('an income share budget is shared across buildings in priority order', () => {
+    setResourceBudget('electronics', 'income', 25);
+    expect(getBudgetRate('electronics')).toBe(10);
+    const first = createBuilding('First', 3, { autoBuildPriority: true });
+    const second = createBuilding('Second', 1);
+    autoBuild({ second, first }, 2000);
+    expect(first.build).toHaveBeenCalledWith(6, false);
+    expect(second.build).toHaveBeenCalledWith(2, false);
+    expect(autobuildCostTracker.currentCosts.colony.electronics).toBe(20);
+  });
+
+  test('resources without a budget are not limited', () => {
+    setResourceBudget('metal', 'rate', 0);
+    const building = createBuilding('Other', 1);
+    autoBuild({ other: building }, 0);
+    expect(building.build).toHaveBeenCalledWith(100, false);
+  });
+
+  test('budgets are saved with the Construction Office', () => {
+    setResourceBudget('electronics', 'rate', '5');
+    const saved = saveConstructionOfficeState();
+    setResourceBudgets({});
+    loadConstructionOfficeState(saved);
+    expect(constructionOfficeState.resourceBudgets).toEqual({ electronics: { mode: 'rate', value: 5 } });
+    setResourceBudget('electronics', null);
+    expect(constructionOfficeState.resourceBudgets).toEqual({});
+  });
+});
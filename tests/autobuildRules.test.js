@@ -0,0 +1,109 @@
+const {
+  autoBuild,
+  evaluateAutoBuildRules,
+  getAutoBuildTarget,
+  captureAutoBuildSettings,
+  restoreAutoBuildSettings
+} = require('../src/js/autobuild.js');
+
+function createBuilding(rules, overrides = {}) {
+  return {
+    autoBuildEnabled: true,
+    autoBuildBasis: 'rules',
+    autoBuildRules: rules,
+    count: 4,
+    requiresLand: 0,
+    requiresDeposit: null,
+    getModifiedProduction: () => ({ colony: { energy: 10 } }),
+    getModifiedConsumption: () => ({}),
+    getEffectiveCost: () => ({ colony: { metal: 100 } }),
+    canAfford: () => true,
+    maxBuildable: () => 999,
+    build: jest.fn(() => true),
+    ...overrides
+  };
+}
+
+describe('autobuild rules', () => {
+  beforeEach(() => {
+    global.resources = {
+      colony: {
+        colonists: { value: 100 },
+        workers: { value: 0, cap: 50 },
+        energy: { value: 0, cap: 1000, productionRate: 20, consumptionRate: 45 },
+        metal: { value: 800, cap: 1000, productionRate: 0, consumptionRate: 0 }
+      }
+    };
+    global.colonies = { t1_colony: { active: 3 }, t2_colony: { active: 2 } };
+  });
+
+  afterEach(() => {
+    delete global.colonies;
+  });
+
+  test('each rule type asks for the buildings it needs', () => {
+    const single = rule => evaluateAutoBuildRules(createBuilding({ mode: 'and', rules: [rule] }));
+    expect(single({ type: 'count', value: 10 })).toBe(6);
+    expect(single({ type: 'perColony', value: 2 })).toBe(6);
+    // net energy is -25/s, each building adds 10/s
+    expect(single({ type: 'netRate', category: 'colony', resource: 'energy', value: 0 })).toBe(3);
+    // 300 metal above the 50% line at 100 per building
+    expect(single({ type: 'resourceAbove', category: 'colony', resource: 'metal', value: 50 })).toBe(3);
+    expect(single({ type: 'resourceAbove', category: 'colony', resource: 'metal', value: 90 })).toBe(0);
+  });
+
+  test('and takes the smallest answer, or the largest', () => {
+    const rules = [
+      { type: 'count', value: 20 },
+      { type: 'resourceAbove', category: 'colony', resource: 'metal', value: 50 }
+    ];
+    expect(evaluateAutoBuildRules(createBuilding({ mode: 'and', rules }))).toBe(3);
+    expect(evaluateAutoBuildRules(createBuilding({ mode: 'or', rules }))).toBe(16);
+    expect(evaluateAutoBuildRules(createBuilding({ mode: 'and', rules: [] }))).toBe(0);
+  });
+
+  test('autoBuild builds toward the rule target', () => {
+    const building = createBuilding({ mode: 'and', rules: [{ type: 'count', value: 10 }] });
+    expect(getAutoBuildTarget(building)).toBe(10);
+    autoBuild({ Test: building });
+    expect(building.build).toHaveBeenCalledWith(6, false);
+
+    // A cap-only rule on a resource the building does not cost is bounded by what is affordable
+    global.resources.colony.energy.value = 500;
+    const free = createBuilding(
+      { mode: 'and', rules: [{ type: 'resourceAbove', category: 'colony', resource: 'energy', value: 0 }] },
+      { getEffectiveCost: () => ({}), maxBuildable: () => 7 }
+    );
+    expect(getAutoBuildTarget(free)).toBe(11);
+  });
+
+  test('count rules can set the target below the current count', () => {
+    const single = rule => evaluateAutoBuildRules(createBuilding({ mode: 'and', rules: [rule] }));
+    expect(single({ type: 'count', value: 1 })).toBe(-3);
+    expect(single({ type: 'perColony', value: 0.5 })).toBe(-1);
+
+    const rules = [
+      { type: 'count', value: 2 },
+      { type: 'netRate', category: 'colony', resource: 'energy', value: 0 }
+    ];
+    const building = createBuilding({ mode: 'and', rules }, { active: 4, autoActiveEnabled: true });
+    expect(getAutoBuildTarget(building)).toBe(2);
+    expect(getAutoBuildTarget(createBuilding({ mode: 'or', rules }))).toBe(7);
+    expect(getAutoBuildTarget(createBuilding({ mode: 'and', rules: [{ type: 'count', value: -5 }] }))).toBe(0);
+
+    autoBuild({ Test: building });
+    expect(building.build).not.toHaveBeenCalled();
+    expect(building.active).toBe(2);
+  });
+
+  test('rules are carried across travel', () => {
+    const rules = { mode: 'or', rules: [{ type: 'perColony', value: 2 }] };
+    captureAutoBuildSettings({ Alpha: createBuilding(rules) });
+    rules.rules[0].value = 5;
+    const after = { Alpha: createBuilding(undefined), Beta: createBuilding(undefined) };
+    restoreAutoBuildSettings(after);
+    expect(after.Alpha.autoBuildRules).toEqual({ mode: 'or', rules: [{ type: 'perColony', value: 2 }] });
+    expect(after.Alpha.autoBuildBasis).toBe('rules');
+    expect(after.Beta.autoBuildRules).toEqual({ mode: 'and', rules: [] });
+  });
+});
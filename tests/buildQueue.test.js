@@ -0,0 +1,127 @@
+const {
+  buildQueueState,
+  enqueueBuildOrder,
+  removeBuildOrder,
+  moveBuildOrder,
+  setBuildOrderPaused,
+  clearBuildQueue,
+  processBuildQueue,
+  saveBuildQueueState,
+  loadBuildQueueState,
+  describeBuildOrderStatus
+} = require('../src/js/build-queue.js');
+const { formatTimeToAfford } = require('../src/js/time-estimates.js');
+
+function createStructure(displayName, affordable) {
+  const structure = {
+    displayName,
+    unlocked: true,
+    count: 0,
+    requiresLand: 0,
+    affordable,
+    maxBuildable: jest.fn(() => structure.affordable),
+    getEffectiveCost: count => ({ colony: { metal: count } })
+  };
+  structure.build = jest.fn(count => {
+    structure.count += count;
+    structure.affordable -= count;
+    return true;
+  });
+  return structure;
+}
+
+describe('build queue', () => {
+  beforeEach(() => {
+    clearBuildQueue();
+  });
+
+  test('orders build in sequence and partially as resources allow', () => {
+    const smelter = createStructure('Glass Smelter', 2);
+    const panel = createStructure('Solar Panel Array', 100);
+    const structures = { glassSmelter: smelter, solarPanel: panel };
+    enqueueBuildOrder('glassSmelter', 5);
+    enqueueBuildOrder('solarPanel', 10);
+
+    processBuildQueue(structures);
+    expect(smelter.count).toBe(2);
+    expect(panel.build).not.toHaveBeenCalled();
+    expect(buildQueueState.orders[0].remaining).toBe(3);
+
+    // The first order finishes and the next one starts in the same tick
+    smelter.affordable = 10;
+    processBuildQueue(structures);
+    expect(smelter.count).toBe(5);
+    expect(panel.count).toBe(10);
+    expect(buildQueueState.orders).toEqual([]);
+  });
+
+  test('paused orders are skipped, and orders can be moved and removed', () => {
+    const smelter = createStructure('Glass Smelter', 10);
+    const panel = createStructure('Solar Panel Array', 10);
+    const first = enqueueBuildOrder('glassSmelter', 3);
+    const second = enqueueBuildOrder('solarPanel', 4);
+    setBuildOrderPaused(first.id, true);
+
+    processBuildQueue({ glassSmelter: smelter, solarPanel: panel });
+    expect(smelter.build).not.toHaveBeenCalled();
+    expect(panel.count).toBe(4);
+    expect(buildQueueState.orders.map(order => order.id)).toEqual([first.id]);
+
+    const third = enqueueBuildOrder('solarPanel', 1);
+    moveBuildOrder(third.id, -1);
+    expect(buildQueueState.orders.map(order => order.id)).toEqual([third.id, first.id]);
+    removeBuildOrder(third.id);
+    expect(buildQueueState.orders.map(order => order.id)).toEqual([first.id]);
+    expect(enqueueBuildOrder('solarPanel', 0)).toBeNull();
+    expect(second.remaining).toBe(0);
+  });
+
+  test('locked structures hold the queue', () => {
+    const colony = createStructure('Metropolis', 10);
+    colony.unlocked = false;
+    const panel = createStructure('Solar Panel Array', 10);
+    enqueueBuildOrder('t5_colony', 2);
+    enqueueBuildOrder('solarPanel', 2);
+    processBuildQueue({ t5_colony: colony, solarPanel: panel });
+    expect(panel.build).not.toHaveBeenCalled();
+    expect(buildQueueState.orders).toHaveLength(2);
+  });
+
+  test('the active order reports how long until the next one is affordable', () => {
+    const panel = createStructure('Solar Panel Array', 0);
+    const order = enqueueBuildOrder('solarPanel', 2);
+    global.formatTimeToAfford = formatTimeToAfford;
+    global.formatDuration = seconds => `${seconds}s`;
+    try {
+      global.getTimeToAfford = () => 30;
+      expect(describeBuildOrderStatus(order, panel, true)).toBe('Waiting: next affordable in 30s');
+      global.getTimeToAfford = () => Infinity;
+      expect(describeBuildOrderStatus(order, panel, true)).toBe('Waiting: not affordable at current rates');
+      global.getTimeToAfford = () => 0;
+      expect(describeBuildOrderStatus(order, panel, true)).toBe('Building');
+    } finally {
+      delete global.getTimeToAfford;
+      delete global.formatTimeToAfford;
+      delete global.formatDuration;
+    }
+  });
+
+  test('the queue is saved and loaded', () => {
+    const order = enqueueBuildOrder('glassSmelter', 200);
+    order.remaining = 150;
+    setBuildOrderPaused(order.id, true);
+    enqueueBuildOrder('t3_colony', 50);
+    const saved = JSON.parse(JSON.stringify(saveBuildQueueState()));
+
+    clearBuildQueue();
+    loadBuildQueueState(saved);
+    expect(buildQueueState.orders).toEqual([
+      { id: order.id, structure: 'glassSmelter', total: 200, remaining: 150, paused: true },
+      { id: order.id + 1, structure: 't3_colony', total: 50, remaining: 50, paused: false }
+    ]);
+    expect(enqueueBuildOrder('solarPanel', 1).id).toBe(order.id + 2);
+
+    loadBuildQueueState(undefined);
+    expect(buildQueueState.orders).toEqual([]);
+  });
+});
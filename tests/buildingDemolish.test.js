@@ -0,0 +1,130 @@
+const EffectableEntity = require('../src/js/effectable-entity.js');
+global.EffectableEntity = EffectableEntity;
+const { Building } = require('../src/js/building.js');
+global.Building = Building;
+const { autoBuild, autobuildCostTracker, constructionOfficeState } = require('../src/js/autobuild.js');
+
+function createResource(value, reserved = 0) {
+  return {
+    value,
+    reserved,
+    cap: Infinity,
+    increase(amount) { this.value += amount; },
+    reserve(amount) { this.reserved += amount; return true; },
+    release(amount) { this.reserved = Math.max(this.reserved - amount, 0); }
+  };
+}
+
+function createMine(overrides = {}) {
+  const mine = new Building({
+    name: 'Ore Mine',
+    category: 'resource',
+    cost: { colony: { metal: 50, components: 10 } },
+    consumption: {},
+    production: { colony: { metal: 1 } },
+    storage: {},
+    dayNightActivity: false,
+    canBeToggled: true,
+    requiresMaintenance: false,
+    maintenanceFactor: 1,
+    requiresDeposit: { underground: { ore: 1 } },
+    requiresWorker: 0,
+    unlocked: true,
+    ...overrides
+  }, 'oreMine');
+  mine.requiresLand = 2;
+  mine.count = 10;
+  mine.active = 6;
+  return mine;
+}
+
+describe('building demolition', () => {
+  beforeEach(() => {
+    global.maintenanceFraction = 0.1;
+    global.resources = {
+      colony: { metal: createResource(0), components: createResource(0), colonists: { value: 0 } },
+      surface: { land: createResource(100, 12) },
+      underground: { ore: createResource(20, 10) }
+    };
+    global.emitGameEvent = jest.fn();
+    global.GAME_EVENTS = { BUILDING_DEMOLISHED: 'buildingDemolished' };
+  });
+
+  afterEach(() => {
+    ['maintenanceFraction', 'resources', 'emitGameEvent', 'GAME_EVENTS'].forEach(key => delete global[key]);
+  });
+
+  test('demolishing removes inactive buildings first and refunds half the cost', () => {
+    const mine = createMine();
+    expect(mine.demolish(6)).toEqual({ colony: { metal: 150, components: 30 } });
+    expect(mine.count).toBe(4);
+    expect(mine.active).toBe(4);
+    expect(resources.colony.metal.value).toBe(150);
+    // Two active mines held land, all six held a deposit
+    expect(resources.surface.land.reserved).toBe(8);
+    expect(resources.underground.ore.reserved).toBe(4);
+    expect(emitGameEvent).toHaveBeenCalledWith('buildingDemolished', expect.objectContaining({ name: 'oreMine', count: 6 }));
+
+    expect(mine.demolish(100)).not.toBeNull();
+    expect(mine.count).toBe(0);
+    expect(mine.demolish(1)).toBeNull();
+  });
+
+  test('the refund share comes from the config', () => {
+    const mine = createMine({ demolishRefund: 0 });
+    expect(mine.demolish(1)).toEqual({});
+    expect(resources.colony.metal.value).toBe(0);
+    expect(createMine({ demolishRefund: 0.2 }).getDemolishRefund(5)).toEqual({ colony: { metal: 50, components: 10 } });
+  });
+
+  test('autobuild demolishes above target when allowed and records the refund', () => {
+    const mine = createMine();
+    mine.autoBuildEnabled = true;
+    mine.autoBuildPercent = 0;
+    constructionOfficeState.autobuilderActive = true;
+
+    autoBuild({ oreMine: mine });
+    expect(mine.count).toBe(10);
+
+    mine.autoDemolishEnabled = true;
+    autoBuild({ oreMine: mine });
+    expect(mine.count).toBe(0);
+    expect(autobuildCostTracker.currentCosts.colony.metal).toBe(-250);
+    expect(autobuildCostTracker.currentBuildingCosts['Ore Mine'].colony.components).toBe(-50);
+  });
+
+  test('autobuild leaves a small surplus alone so a wobbling target does not churn', () => {
+    const mine = createMine();
+    mine.count = 100;
+    mine.active = 100;
+    mine.build = jest.fn(() => true);
+    mine.autoBuildEnabled = true;
+    mine.autoDemolishEnabled = true;
+    resources.colony.colonists.value = 1000;
+    constructionOfficeState.autobuilderActive = true;
+
+    [10, 9.6, 10, 9.6, 10].forEach(percent => {
+      mine.autoBuildPercent = percent;
+      autoBuild({ oreMine: mine });
+    });
+    expect(mine.count).toBe(100);
+    expect(mine.build).not.toHaveBeenCalled();
+
+    mine.autoBuildPercent = 9;
+    autoBuild({ oreMine: mine });
+    expect(mine.count).toBe(90);
+  });
+
+  test('autobuild demolishes down to a rules target', () => {
+    const mine = createMine();
+    mine.autoBuildEnabled = true;
+    mine.autoDemolishEnabled = true;
+    mine.autoBuildBasis = 'rules';
+    mine.autoBuildRules = { mode: 'and', rules: [{ type: 'count', value: 4 }] };
+    constructionOfficeState.autobuilderActive = true;
+
+    autoBuild({ oreMine: mine });
+    expect(mine.count).toBe(4);
+    expect(mine.active).toBe(4);
+  });
+});
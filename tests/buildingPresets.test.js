@@ -0,0 +1,150 @@
+global.cloneAutoBuildRules = require('../src/js/autobuild.js').cloneAutoBuildRules;
+const {
+  buildingPresetsState,
+  saveBuildingPreset,
+  loadBuildingPreset,
+  deleteBuildingPreset,
+  exportBuildingPreset,
+  importBuildingPreset,
+  getCurrentPlanetPresetType,
+  setPlanetDefaultPreset,
+  applyPlanetDefaultPreset,
+  saveBuildingPresetsState,
+  loadBuildingPresetsState
+} = require('../src/js/building-presets.js');
+
+function createStructures() {
+  const factory = {
+    autoBuildPercent: 0.1,
+    autoBuildBasis: 'population',
+    autoBuildPriority: false,
+    autoActiveEnabled: false,
+    autoBuildRules: { mode: 'and', rules: [] },
+    recipes: { ghg: { displayName: 'GHG Factory' }, calcite: { displayName: 'Calcite Factory' } },
+    currentRecipeKey: 'ghg',
+    reverseEnabled: true
+  };
+  factory._applyRecipeMapping = jest.fn(() => {
+    factory.displayName = factory.recipes[factory.currentRecipeKey].displayName;
+  });
+  factory.setRecipe = jest.fn(key => {
+    factory.currentRecipeKey = key;
+    factory.reverseEnabled = false;
+    factory._applyRecipeMapping();
+    return true;
+  });
+  const panel = {
+    autoBuildPercent: 0.1,
+    autoBuildBasis: 'population',
+    autoBuildPriority: false,
+    autoActiveEnabled: false,
+    autoBuildRules: { mode: 'and', rules: [] }
+  };
+  return { ghgFactory: factory, solarPanel: panel };
+}
+
+describe('building presets', () => {
+  beforeEach(() => {
+    loadBuildingPresetsState(undefined);
+    global.ghgFactorySettings = { autoDisableAboveTemp: false, disableTempThreshold: 283.15, reverseTempThreshold: 290 };
+    global.oxygenFactorySettings = { autoDisableAbovePressure: false, disablePressureThreshold: 15 };
+    let sliders = { workerRatio: 0.5 };
+    global.colonySliderSettings = {
+      saveState: () => ({ ...sliders }),
+      loadState: jest.fn(state => { sliders = { ...state }; })
+    };
+    global.spaceManager = { currentRandomSeed: null, randomWorldStatuses: {}, getCurrentPlanetKey: () => 'mars' };
+  });
+
+  afterEach(() => {
+    delete global.ghgFactorySettings;
+    delete global.oxygenFactorySettings;
+    delete global.colonySliderSettings;
+    delete global.spaceManager;
+  });
+
+  test('a preset restores autobuild settings, recipes, thresholds and sliders', () => {
+    const before = createStructures();
+    before.solarPanel.autoBuildPercent = 2;
+    before.solarPanel.autoBuildBasis = 'workers';
+    before.solarPanel.autoBuildPriority = true;
+    before.solarPanel.autoActiveEnabled = true;
+    before.solarPanel.autoBuildRules = { mode: 'or', rules: [{ type: 'count', value: 40 }] };
+    before.ghgFactory.currentRecipeKey = 'calcite';
+    global.ghgFactorySettings.autoDisableAboveTemp = true;
+    global.oxygenFactorySettings.disablePressureThreshold = 25;
+    expect(saveBuildingPreset('  Venus opening ', before)).toBe('Venus opening');
+
+    global.ghgFactorySettings.autoDisableAboveTemp = false;
+    global.oxygenFactorySettings.disablePressureThreshold = 15;
+    const after = createStructures();
+    expect(loadBuildingPreset('Venus opening', after)).toBe(true);
+    expect(after.solarPanel).toMatchObject({
+      autoBuildPercent: 2,
+      autoBuildBasis: 'workers',
+      autoBuildPriority: true,
+      autoActiveEnabled: true,
+      autoBuildRules: { mode: 'or', rules: [{ type: 'count', value: 40 }] }
+    });
+    expect(after.ghgFactory.setRecipe).toHaveBeenCalledWith('calcite');
+    expect(after.ghgFactory.currentRecipeKey).toBe('calcite');
+    expect(after.ghgFactory.displayName).toBe('Calcite Factory');
+    expect(after.ghgFactory.reverseEnabled).toBe(false);
+    expect(global.ghgFactorySettings.autoDisableAboveTemp).toBe(true);
+    expect(global.oxygenFactorySettings.disablePressureThreshold).toBe(25);
+    expect(global.colonySliderSettings.loadState).toHaveBeenCalledWith({ workerRatio: 0.5 });
+    expect(loadBuildingPreset('Missing', after)).toBe(false);
+  });
+
+  test('presets are exported and imported as strings', () => {
+    const structures = createStructures();
+    structures.solarPanel.autoBuildPercent = 3;
+    saveBuildingPreset('Basic', structures);
+    const text = exportBuildingPreset('Basic');
+
+    loadBuildingPresetsState(undefined);
+    expect(importBuildingPreset(text)).toBe('Basic');
+    expect(buildingPresetsState.presets.Basic.structures.solarPanel.percent).toBe(3);
+    expect(importBuildingPreset('not json')).toBeNull();
+    expect(importBuildingPreset(JSON.stringify({ name: 'Empty', preset: {} }))).toBeNull();
+    expect(exportBuildingPreset('Missing')).toBeNull();
+  });
+
+  test('the preset chosen for a planet type is applied on arrival', () => {
+    const structures = createStructures();
+    structures.solarPanel.autoBuildPercent = 5;
+    saveBuildingPreset('Icy', structures);
+    setPlanetDefaultPreset('rwg:icy-moon', 'Icy');
+    setPlanetDefaultPreset('mars', 'Unknown');
+    expect(buildingPresetsState.planetDefaults).toEqual({ 'rwg:icy-moon': 'Icy' });
+
+    const arrival = createStructures();
+    expect(getCurrentPlanetPresetType()).toBe('mars');
+    expect(applyPlanetDefaultPreset(arrival)).toBeNull();
+    expect(arrival.solarPanel.autoBuildPercent).toBe(0.1);
+
+    global.spaceManager.currentRandomSeed = 42;
+    global.spaceManager.randomWorldStatuses['42'] = {
+      original: { override: { classification: { archetype: 'icy-moon' } } }
+    };
+    expect(getCurrentPlanetPresetType()).toBe('rwg:icy-moon');
+    expect(applyPlanetDefaultPreset(arrival)).toBe('Icy');
+    expect(arrival.solarPanel.autoBuildPercent).toBe(5);
+
+    deleteBuildingPreset('Icy');
+    expect(buildingPresetsState.planetDefaults).toEqual({});
+  });
+
+  test('presets and planet defaults are saved and loaded', () => {
+    saveBuildingPreset('Default', createStructures());
+    setPlanetDefaultPreset('titan', 'Default');
+    const saved = JSON.parse(JSON.stringify(saveBuildingPresetsState()));
+
+    loadBuildingPresetsState(undefined);
+    expect(buildingPresetsState.presets).toEqual({});
+    loadBuildingPresetsState(saved);
+    expect(Object.keys(buildingPresetsState.presets)).toEqual(['Default']);
+    expect(buildingPresetsState.presets.Default.structures.ghgFactory.recipe).toBe('ghg');
+    expect(buildingPresetsState.planetDefaults).toEqual({ titan: 'Default' });
+  });
+});
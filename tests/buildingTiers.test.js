@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const EffectableEntity = require('../src/js/effectable-entity.js');
+global.EffectableEntity = EffectableEntity;
+const { Building } = require('../src/js/building.js');
+global.Building = Building;
+const { getAutoBuildTarget, autoBuild, constructionOfficeState } = require('../src/js/autobuild.js');
+
+function createResource(value, reserved = 0) {
+  return {
+    value,
+    reserved,
+    decrease(amount) { this.value -= amount; },
+    reserve(amount) { this.reserved += amount; return true; },
+    release(amount) { this.reserved = Math.max(this.reserved - amount, 0); }
+  };
+}
+
+function createBuilding(name, overrides = {}) {
+  const config = {
+    name,
+    category: 'resource',
+    cost: { colony: { metal: 50, components: 10 } },
+    consumption: {},
+    production: { colony: { metal: 1 } },
+    storage: {},
+    dayNightActivity: false,
+    canBeToggled: true,
+    requiresMaintenance: false,
+    maintenanceFactor: 1,
+    requiresDeposit: { underground: { ore: 1 } },
+    requiresWorker: 0,
+    unlocked: true,
+    ...overrides
+  };
+  return new Building(config, name);
+}
+
+describe('building tiers', () => {
+  let mine;
+  let complex;
+
+  beforeEach(() => {
+    global.maintenanceFraction = 0.1;
+    global.resources = {
+      colony: { metal: createResource(10000), components: createResource(10000), water: createResource(10000) },
+      surface: { land: createResource(1000) },
+      underground: { ore: createResource(30, 25) }
+    };
+    mine = createBuilding('oreMine', { nextTier: 'oreMiningComplex' });
+    complex = createBuilding('oreMiningComplex', { cost: { colony: { metal: 500, components: 100 } } });
+    mine.count = 25;
+    mine.active = 20;
+    global.buildings = { oreMine: mine, oreMiningComplex: complex };
+    global.emitGameEvent = jest.fn();
+    global.GAME_EVENTS = { BUILDING_UPGRADED: 'buildingUpgraded' };
+  });
+
+  afterEach(() => {
+    ['maintenanceFraction', 'resources', 'buildings', 'emitGameEvent', 'GAME_EVENTS'].forEach(key => delete global[key]);
+  });
+
+  test('upgrades use the colony cost rules and move deposits to the new tier', () => {
+    // Metal at half price; components are not charged
+    expect(mine.getUpgradeCost(2)).toEqual({ colony: { metal: 500 } });
+    expect(mine.canAffordUpgrade(3)).toBe(true);
+    expect(mine.canAffordUpgrade(4)).toBe(false);
+
+    expect(mine.upgrade(2)).toBe(true);
+    expect(resources.colony.metal.value).toBe(9500);
+    expect(mine.count).toBe(5);
+    expect(mine.active).toBe(0);
+    expect(complex.count).toBe(2);
+    expect(complex.active).toBe(2);
+    expect(resources.underground.ore.reserved).toBe(7);
+    expect(emitGameEvent).toHaveBeenCalledWith('buildingUpgraded', { from: 'oreMine', to: 'oreMiningComplex', count: 2 });
+
+    // Five mines short of a full upgrade pay the missing share of everything
+    expect(mine.getUpgradeCost(1)).toEqual({ colony: { metal: 375, components: 50 } });
+    expect(complex.getUpgradeCost(1)).toBeNull();
+  });
+
+  test('a tier holding the deposits of the buildings it replaces needs no spare deposit', () => {
+    complex.requiresDeposit = { underground: { ore: 10 } };
+    resources.underground.ore.value = 25;
+    expect(mine.getUpgradeCost(2)).toEqual({ colony: { metal: 500 } });
+    expect(mine.upgrade(2)).toBe(true);
+    expect(resources.underground.ore.reserved).toBe(25);
+  });
+
+  test('the share of missing buildings costs the full next tier price', () => {
+    complex.cost = { colony: { metal: 500, components: 5000, electronics: 5000 } };
+    mine.count = 1;
+    mine.active = 1;
+    resources.colony.electronics = createResource(10000);
+    resources.underground.ore.reserved = 1;
+
+    // One mine covers a tenth: its metal share at half price, its other shares waived
+    expect(mine.getUpgradeCost(1)).toEqual({ colony: { metal: 475, components: 4500, electronics: 4500 } });
+    expect(mine.canAffordUpgrade(1)).toBe(true);
+    resources.colony.electronics.value = 4000;
+    expect(mine.canAffordUpgrade(1)).toBe(false);
+  });
+
+  test('land held by active buildings follows the upgrade', () => {
+    mine.requiresLand = 1;
+    complex.requiresLand = 4;
+    resources.surface.land.reserved = mine.active;
+    expect(mine.getUpgradeCost(2).surface).toBeUndefined();
+
+    mine.upgrade(2);
+    // Same total recalculateLandUsage gets from active × requiresLand
+    expect(resources.surface.land.reserved).toBe(mine.active * 1 + complex.active * 4);
+  });
+
+  test('locked or missing tiers cannot be upgraded', () => {
+    complex.unlocked = false;
+    expect(mine.upgrade(1)).toBe(false);
+    mine.nextTier = null;
+    expect(mine.getUpgradeCost(1)).toBeNull();
+    expect(mine.count).toBe(25);
+  });
+
+  test('autobuild counts upgraded buildings toward the lower tier target', () => {
+    mine.upgrade(2);
+    expect(mine.getTierEquivalentCount()).toBe(25);
+
+    mine.autoBuildEnabled = true;
+    mine.autoBuildBasis = 'rules';
+    mine.autoBuildRules = { mode: 'and', rules: [{ type: 'count', value: 30 }] };
+    mine.autoActiveEnabled = true;
+    expect(getAutoBuildTarget(mine)).toBe(30);
+
+    mine.build = jest.fn(count => { mine.count += count; return true; });
+    mine.canAfford = () => true;
+    constructionOfficeState.autobuilderActive = true;
+    autoBuild({ oreMine: mine });
+    expect(mine.build).toHaveBeenCalledWith(5, false);
+    expect(mine.active).toBe(10);
+  });
+});
+
+describe('building tier effects', () => {
+  // addEffect resolves its targets from page globals, so run the scripts in a
+  // context that has them
+  function setupContext() {
+    const ctx = vm.createContext({ console, globalGameIsLoadingFromSave: false, maintenanceFraction: 0.1, resources: { colony: {} } });
+    ['fundingModule', 'populationModule', 'projectManager', 'tabManager', 'globalEffects', 'terraforming',
+      'lifeDesigner', 'lifeManager', 'oreScanner', 'researchManager', 'solisManager', 'spaceManager',
+      'warpGateCommand'].forEach(name => { ctx[name] = null; });
+    ['effectable-entity.js', 'building.js'].forEach(file => {
+      const filename = path.join(__dirname, '..', 'src/js', file);
+      vm.runInContext(fs.readFileSync(filename, 'utf8'), ctx, { filename });
+    });
+    const Building = vm.runInContext('Building', ctx);
+    const config = name => ({
+      name,
+      category: 'resource',
+      cost: { colony: { metal: 50 } },
+      consumption: {},
+      production: { colony: { metal: 1 } },
+      storage: {},
+      dayNightActivity: false,
+      canBeToggled: true,
+      requiresMaintenance: false,
+      maintenanceFactor: 1,
+      requiresDeposit: null,
+      requiresWorker: 10,
+      unlocked: true
+    });
+    ctx.buildings = {
+      oreMine: new Building({ ...config('oreMine'), nextTier: 'oreMiningComplex' }, 'oreMine'),
+      oreMiningComplex: new Building({ ...config('oreMiningComplex'), nextTier: 'oreMiningHub', upgradeRatio: 5 }, 'oreMiningComplex'),
+      oreMiningHub: new Building(config('oreMiningHub'), 'oreMiningHub')
+    };
+    return ctx;
+  }
+
+  test('flat effects are scaled by the buildings each tier replaces, multipliers are not', () => {
+    const ctx = setupContext();
+    const { oreMine, oreMiningComplex, oreMiningHub } = ctx.buildings;
+    ctx.addEffect({ target: 'building', targetId: 'oreMine', type: 'addedWorkerNeed', value: 10, effectId: 'need', sourceId: 'slider' });
+    ctx.addEffect({ target: 'building', targetId: 'oreMine', type: 'productionMultiplier', value: 3, effectId: 'boost', sourceId: 'slider' });
+    ctx.addEffect({
+      target: 'building', targetId: 'oreMine', type: 'addResourceConsumption',
+      resourceCategory: 'colony', resourceId: 'components', amount: 0.5, effectId: 'parts', sourceId: 'assist'
+    });
+
+    expect(oreMine.getAddedWorkerNeed()).toBe(10);
+    expect(oreMiningComplex.getAddedWorkerNeed()).toBe(100);
+    expect(oreMiningHub.getAddedWorkerNeed()).toBe(500);
+    expect(oreMiningHub.getEffectiveProductionMultiplier()).toBe(3);
+    expect(oreMiningComplex.consumption.colony.components).toBe(5);
+    expect(oreMiningHub.consumption.colony.components).toBe(25);
+
+    // A replaced effect replaces the scaled copies too
+    ctx.addEffect({ target: 'building', targetId: 'oreMine', type: 'addedWorkerNeed', value: 20, effectId: 'need', sourceId: 'slider' });
+    expect(oreMiningComplex.getAddedWorkerNeed()).toBe(200);
+
+    ctx.removeEffect({ target: 'building', targetId: 'oreMine', sourceId: 'slider' });
+    expect(oreMiningHub.getAddedWorkerNeed()).toBe(0);
+    expect(oreMiningHub.getEffectiveProductionMultiplier()).toBe(1);
+    expect(oreMiningHub.consumption.colony.components).toBe(25);
+  });
+});
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { getZonePercentage, ZONES } = require('../src/js/terraforming/zones.js');
+global.getZonePercentage = getZonePercentage;
+global.ZONES = ZONES;
+global.C_P_AIR = 1004;
+global.EPSILON = 0.622;
+// jestSetup stubs the pressure to 0; the worker loads the real physics.js
+const stubPressure = global.calculateAtmosphericPressure;
+global.calculateAtmosphericPressure = require('../src/js/terraforming/physics.js').calculateAtmosphericPressure;
+afterAll(() => {
+  global.calculateAtmosphericPressure = stubPressure;
+});
+
+const { waterCycle } = require('../src/js/terraforming/water-cycle.js');
+const { methaneCycle } = require('../src/js/terraforming/hydrocarbon-cycle.js');
+const { co2Cycle } = require('../src/js/terraforming/dry-ice-cycle.js');
+const {
+  createClimateSnapshot,
+  runClimateStep,
+  applyClimateResult,
+  solveSurfaceTemperatures,
+  ClimateStepRunner
+} = require('../src/js/terraforming/climate-step.js');
+
+const cycles = [waterCycle, methaneCycle, co2Cycle];
+const surfaceArea = 1.448e14;
+
+function resource(value) {
+  return { value, modifyRate: jest.fn() };
+}
+
+function zoneValues(values) {
+  return { tropical: { ...values }, temperate: { ...values }, polar: { ...values } };
+}
+
+function createTerraforming() {
+  const zonalCoverageCache = {};
+  for (const zone of ZONES) {
+    zonalCoverageCache[zone] = {
+      zoneArea: surfaceArea * getZonePercentage(zone),
+      liquidWater: 0.2, ice: 0.3, dryIce: 0.05, liquidMethane: 0, hydrocarbonIce: 0
+    };
+  }
+  return {
+    celestialParameters: { gravity: 3.71, radius: 3389.5, surfaceArea },
+    equilibriumWaterCondensationParameter: 0.451833045526663,
+    equilibriumMethaneCondensationParameter: 0.00006,
+    equilibriumCO2CondensationParameter: 1.95e-3,
+    temperature: {
+      zones: {
+        tropical: { value: 285, day: 295, night: 275 },
+        temperate: { value: 262, day: 270, night: 254 },
+        polar: { value: 205, day: 210, night: 200 }
+      }
+    },
+    zonalCoverageCache,
+    zonalWater: zoneValues({ liquid: 1e13, ice: 5e13, buriedIce: 1e12 }),
+    zonalHydrocarbons: zoneValues({ liquid: 0, ice: 0, buriedIce: 0 }),
+    zonalCO2: zoneValues({ liquid: 0, ice: 1e12, buriedIce: 0 }),
+    resources: {
+      atmospheric: {
+        atmosphericWater: resource(1e10),
+        carbonDioxide: resource(2.5e13),
+        atmosphericMethane: resource(0),
+        oxygen: resource(1e11),
+        calciteAerosol: resource(500)
+      },
+      surface: {
+        liquidWater: resource(0), ice: resource(0), dryIce: resource(0),
+        liquidCO2: resource(0), liquidMethane: resource(0), hydrocarbonIce: resource(0)
+      }
+    },
+    calculateZoneSolarFlux: () => 600
+  };
+}
+
+function createTemperatureInput() {
+  const zoneFractions = {};
+  const zonePercentages = {};
+  for (const zone of ZONES) {
+    zoneFractions[zone] = { ocean: 0.2, ice: 0.3, hydrocarbon: 0, hydrocarbonIce: 0, co2_ice: 0.05, biomass: 0 };
+    zonePercentages[zone] = getZonePercentage(zone);
+  }
+  return {
+    zones: ZONES.slice(),
+    groundAlbedo: 0.25,
+    surfaceAlbedo: 0.27,
+    cloudHazePenalty: 0.1,
+    rotationPeriodH: 24.6,
+    gravity: 3.71,
+    radius: 3389.5,
+    surfaceArea,
+    atmospheric: { carbonDioxide: 2.5e13, atmosphericWater: 1e10, oxygen: 1e11, calciteAerosol: 500 },
+    zonalFlux: { tropical: 650, temperate: 550, polar: 300 },
+    zoneFractions,
+    zonePercentages
+  };
+}
+
+// Evaluate climate-worker.js the way a browser would: a plain global scope
+// with importScripts and postMessage.
+function loadWorker() {
+  const dir = path.join(__dirname, '..', 'src', 'js', 'terraforming');
+  const messages = [];
+  const context = vm.createContext({ console });
+  context.self = context;
+  context.postMessage = (message) => messages.push(message);
+  context.importScripts = (...files) => {
+    files.forEach(file => {
+      const filename = path.join(dir, file);
+      vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+  };
+  const filename = path.join(dir, 'climate-worker.js');
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  return { context, messages };
+}
+
+describe('climate step', () => {
+  test('runs on a copy and returns deltas that reproduce the change', () => {
+    const terraforming = createTerraforming();
+    const snapshot = createClimateSnapshot(terraforming, 86400, 1);
+    const before = JSON.stringify(snapshot);
+    const result = runClimateStep(snapshot, cycles);
+
+    expect(JSON.stringify(snapshot)).toBe(before);
+    expect(terraforming.zonalWater.tropical.liquid).toBe(1e13);
+    expect(result.atmosphericDeltas.calciteAerosol).toBeLessThan(0);
+    expect(result.zonalDeltas.zonalWater.tropical.liquid).not.toBe(0);
+
+    applyClimateResult(terraforming, result, cycles);
+    expect(terraforming.zonalWater.tropical.liquid)
+      .toBeCloseTo(1e13 + result.zonalDeltas.zonalWater.tropical.liquid, 0);
+    expect(terraforming.resources.atmospheric.calciteAerosol.value).toBeLessThan(500);
+    const decay = terraforming.resources.atmospheric.calciteAerosol.modifyRate.mock.calls
+      .find(call => call[1] === 'Calcite Decay');
+    expect(decay[0]).toBeLessThan(0);
+    expect(typeof terraforming.totalEvaporationRate).toBe('number');
+  });
+
+  test('splits long steps into substeps', () => {
+    const snapshot = createClimateSnapshot(createTerraforming(), 86400 * 4, 4, 86400);
+    const calls = [];
+    const fakeCycle = {
+      atmKey: 'atmosphericWater',
+      runCycle: (state, zones, params) => {
+        calls.push(params.durationSeconds);
+        return { evaporation: 1, totalAtmosphericChange: 2 };
+      }
+    };
+    const result = runClimateStep(snapshot, [fakeCycle]);
+    expect(calls).toEqual([86400, 86400, 86400, 86400]);
+    expect(result.cycleTotals[0].evaporation).toBe(4);
+    expect(result.atmosphericDeltas.atmosphericWater).toBe(8);
+  });
+
+  test('the worker script gives the same answer as the main thread', () => {
+    const { context, messages } = loadWorker();
+    const snapshot = createClimateSnapshot(createTerraforming(), 86400, 1);
+    snapshot.temperatureInput = createTemperatureInput();
+    context.onmessage({ data: { id: 7, snapshot: JSON.parse(JSON.stringify(snapshot)) } });
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].id).toBe(7);
+    expect(messages[0].error).toBeUndefined();
+    expect(JSON.parse(JSON.stringify(messages[0].result)))
+      .toEqual(JSON.parse(JSON.stringify(runClimateStep(snapshot, cycles))));
+    expect(messages[0].result.temperature.zones.polar.value).toBeGreaterThan(0);
+  });
+
+  test('solves the temperatures a snapshot carries before running the cycles', () => {
+    const input = createTemperatureInput();
+    const expected = solveSurfaceTemperatures(input);
+    expect(expected.zones.tropical.value).toBeGreaterThan(expected.zones.polar.value);
+    expect(expected.modifiedSolarFlux).toBeCloseTo(expected.modifiedSolarFluxUnpenalized * 0.9);
+
+    const snapshot = createClimateSnapshot(createTerraforming(), 86400, 1);
+    const withoutTemperatures = runClimateStep(snapshot, cycles);
+    expect(withoutTemperatures.temperature).toBeUndefined();
+
+    snapshot.temperatureInput = input;
+    const result = runClimateStep(snapshot, cycles);
+    expect(result.temperature).toEqual(expected);
+    // The cycles ran against the new temperatures, not the snapshot's
+    expect(result.zonalDeltas.zonalWater).not.toEqual(withoutTemperatures.zonalDeltas.zonalWater);
+
+    const terraforming = createTerraforming();
+    terraforming.applySurfaceTemperatures = jest.fn();
+    applyClimateResult(terraforming, result, cycles);
+    expect(terraforming.applySurfaceTemperatures).toHaveBeenCalledWith(expected);
+  });
+});
+
+describe('climate step runner', () => {
+  function createFakeWorker() {
+    const worker = { posted: [], postMessage(message) { this.posted.push(message); }, terminate: jest.fn() };
+    worker.reply = (result) => {
+      const { id } = worker.posted[worker.posted.length - 1];
+      worker.onmessage({ data: { id, result } });
+    };
+    return worker;
+  }
+
+  test('steps synchronously outside the frame loop', () => {
+    const createWorker = jest.fn();
+    const runner = new ClimateStepRunner({ createWorker });
+    const results = runner.step(createTerraforming(), 86400, 1, cycles);
+    expect(results).toHaveLength(1);
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  test('hands deferred steps to the worker and applies answers on the next step', () => {
+    const worker = createFakeWorker();
+    const runner = new ClimateStepRunner({ createWorker: () => worker });
+    const terraforming = createTerraforming();
+    terraforming.getSurfaceTemperatureInput = () => createTemperatureInput();
+    expect(runner.usesWorker()).toBe(false);
+
+    runner.defer(() => {
+      expect(runner.usesWorker()).toBe(true);
+      expect(runner.step(terraforming, 100, 1, cycles)).toEqual([]);
+      // A request is outstanding, so this time waits for the next request
+      expect(runner.step(terraforming, 50, 0.5, cycles)).toEqual([]);
+    });
+    expect(worker.posted).toHaveLength(1);
+    expect(worker.posted[0].snapshot.durationSeconds).toBe(100);
+    // The worker also solves the temperatures
+    expect(worker.posted[0].snapshot.temperatureInput).toEqual(createTemperatureInput());
+
+    worker.reply({ answer: 1 });
+    const results = runner.defer(() => runner.step(terraforming, 25, 0.25, cycles));
+    expect(results).toEqual([{ answer: 1 }]);
+    expect(worker.posted).toHaveLength(2);
+    expect(worker.posted[1].snapshot.durationSeconds).toBe(75);
+  });
+
+  test('drops answers meant for a replaced terraforming object', () => {
+    const worker = createFakeWorker();
+    const runner = new ClimateStepRunner({ createWorker: () => worker });
+    runner.defer(() => runner.step(createTerraforming(), 100, 1, cycles));
+    worker.reply({ answer: 1 });
+    expect(runner.defer(() => runner.step(createTerraforming(), 100, 1, cycles))).toEqual([]);
+  });
+
+  test('falls back to the main thread when the worker fails', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const worker = createFakeWorker();
+    const createWorker = jest.fn(() => worker);
+    const runner = new ClimateStepRunner({ createWorker });
+    const terraforming = createTerraforming();
+    runner.defer(() => runner.step(terraforming, 100, 1, cycles));
+    worker.onerror({ message: 'boom' });
+
+    const results = runner.defer(() => runner.step(terraforming, 50, 0.5, cycles));
+    expect(results).toHaveLength(1);
+    // The unanswered request is replayed together with the new time
+    expect(results[0].durationSeconds).toBe(150);
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(createWorker).toHaveBeenCalledTimes(1);
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,175 @@
+const {
+  ContentPackError,
+  deepMerge,
+  validateContentPack,
+  applyContentPack
+} = require('../src/js/content-packs.js');
+const EffectableEntity = require('../src/js/effectable-entity.js');
+const fs = require('fs');
+const path = require('path');
+
+function makeTables() {
+  return {
+    resources: {
+      colony: { metal: {}, energy: {}, research: {} },
+      surface: { land: {} }
+    },
+    buildings: {
+      oreMine: {
+        name: 'Ore Mine',
+        category: 'resource',
+        cost: { colony: { metal: 50 } },
+        consumption: { colony: { energy: 1 } },
+        production: { colony: { metal: 1 } },
+        storage: {},
+        maintenanceFactor: 1
+      }
+    },
+    colonies: {},
+    projects: {},
+    research: {
+      energy: [
+        { id: 'solar', name: 'Solar', cost: { research: 100 }, prerequisites: [], effects: [] }
+      ]
+    }
+  };
+}
+
+const newBuilding = {
+  name: 'Deep Mine',
+  category: 'resource',
+  description: 'Digs deeper.',
+  cost: { colony: { metal: 500 } },
+  consumption: { colony: { energy: 5 } },
+  production: { colony: { metal: 10 } },
+  storage: {},
+  dayNightActivity: false,
+  canBeToggled: true,
+  requiresMaintenance: true,
+  maintenanceFactor: 1,
+  unlocked: false
+};
+
+describe('content packs', () => {
+  test('deepMerge merges objects, replaces arrays and removes null fields', () => {
+    const target = { a: { b: 1, c: 2 }, list: [1, 2], gone: true };
+    deepMerge(target, { a: { c: 3 }, list: [9], gone: null });
+    expect(target).toEqual({ a: { b: 1, c: 3 }, list: [9] });
+  });
+
+  test('overrides existing entries and adds new ones', () => {
+    const tables = makeTables();
+    applyContentPack({
+      id: 'hard',
+      buildings: {
+        oreMine: { cost: { colony: { metal: 100 } } },
+        deepMine: newBuilding
+      },
+      research: {
+        energy: [
+          { id: 'solar', cost: { research: 200 } },
+          {
+            id: 'deep_mining', name: 'Deep Mining', description: 'Unlocks deep mines.',
+            cost: { research: 500 }, prerequisites: ['solar'],
+            effects: [{ target: 'building', targetId: 'deepMine', type: 'enable' }]
+          }
+        ]
+      }
+    }, tables);
+
+    expect(tables.buildings.oreMine.cost.colony.metal).toBe(100);
+    expect(tables.buildings.oreMine.production.colony.metal).toBe(1);
+    expect(tables.buildings.deepMine).toEqual(newBuilding);
+    expect(tables.buildings.deepMine).not.toBe(newBuilding);
+    expect(tables.research.energy.map(r => r.id)).toEqual(['solar', 'deep_mining']);
+    expect(tables.research.energy[0].cost.research).toBe(200);
+    expect(tables.research.energy[0].name).toBe('Solar');
+  });
+
+  test('reports unknown resources, effects and targets with their paths', () => {
+    const errors = validateContentPack({
+      id: 'broken',
+      buildings: {
+        oreMine: {
+          cost: { colony: { unobtainium: 5 }, orbit: { metal: 1 } },
+          type: 'NotAClass'
+        }
+      },
+      research: {
+        energy: [
+          {
+            id: 'solar',
+            effects: [
+              { target: 'building', targetId: 'missingMine', type: 'enable' },
+              { target: 'building', targetId: 'oreMine', type: 'makeItRain' }
+            ]
+          }
+        ]
+      }
+    }, makeTables());
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'buildings.oreMine.cost.colony.unobtainium: unknown resource "unobtainium" in category "colony"',
+      'buildings.oreMine.cost.orbit: unknown resource category "orbit"',
+      expect.stringContaining('buildings.oreMine.type: unknown building class "NotAClass"'),
+      'research.energy[0].effects[0].targetId: no building named "missingMine"',
+      'research.energy[0].effects[1].type: unknown effect type "makeItRain"'
+    ]));
+    expect(errors).toHaveLength(5);
+  });
+
+  test('new entries must define every required field', () => {
+    const errors = validateContentPack({
+      id: 'partial',
+      buildings: { halfMine: { name: 'Half Mine', cost: {} } }
+    }, makeTables());
+    expect(errors).toContain('buildings.halfMine: new entry is missing required field "production"');
+    expect(errors).not.toContain('buildings.halfMine: new entry is missing required field "name"');
+  });
+
+  test('invalid packs throw and leave the tables untouched', () => {
+    const tables = makeTables();
+    const before = JSON.stringify(tables);
+    let error;
+    try {
+      applyContentPack({
+        id: 'bad',
+        name: 'Bad Pack',
+        buildings: { oreMine: { cost: { colony: { metal: 1 } } }, other: {} }
+      }, tables);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ContentPackError);
+    expect(error.message).toContain('Content pack "Bad Pack" is invalid');
+    expect(error.errors.length).toBeGreaterThan(0);
+    expect(JSON.stringify(tables)).toBe(before);
+  });
+
+  test('rejects unknown sections and packs without an id', () => {
+    expect(validateContentPack({ units: {} }, makeTables())).toEqual([
+      'id: a content pack needs a non-empty string id',
+      'units: unknown section (expected buildings, colonies, projects, research)'
+    ]);
+  });
+
+  test('every effect type applyEffect handles is a known effect type', () => {
+    const handled = new Set();
+    for (const match of EffectableEntity.prototype.applyEffect.toString().matchAll(/case '(\w+)'/g)) {
+      handled.add(match[1]);
+    }
+    // Subclasses that handle their own effect types before deferring to the base
+    ['space.js', 'rwg.js'].forEach(file => {
+      const source = fs.readFileSync(path.join(__dirname, '..', 'src/js', file), 'utf8');
+      const start = source.indexOf('applyEffect(effect) {');
+      const indent = source.slice(source.lastIndexOf('\n', start) + 1, start);
+      const method = source.slice(start, source.indexOf(`\n${indent}}`, start));
+      for (const match of method.matchAll(/effect\.type === '(\w+)'/g)) {
+        handled.add(match[1]);
+      }
+    });
+    expect(handled.size).toBeGreaterThan(30);
+    const missing = [...handled].filter(type => !EffectableEntity.EFFECT_TYPES.includes(type));
+    expect(missing).toEqual([]);
+  });
+});
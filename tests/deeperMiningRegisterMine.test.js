@@ -26,4 +26,30 @@ describe('Deeper mining registerMine updates depth', () => {
     expect(p.oreMineCount).toBe(6);
     expect(p.averageDepth).toBeCloseTo((2 * 4 + 2) / 6);
   });
+
+  test('demolishing mines lowers the mine count', () => {
+    const { GAME_EVENTS, GameEventBus } = require('../src/js/event-bus.js');
+    const ctx = { console, EffectableEntity, GAME_EVENTS, gameEvents: new GameEventBus(GAME_EVENTS) };
+    ctx.buildings = { oreMine: { count: 10 } };
+    vm.createContext(ctx);
+    ['projects.js', 'projects/AndroidProject.js', 'projects/DeeperMiningProject.js'].forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src/js', file), 'utf8'), ctx);
+    });
+    const DeeperMiningProject = vm.runInContext('DeeperMiningProject', ctx);
+    const config = { name: 'deeperMining', category: 'infrastructure', cost: {}, duration: 1, description: '', repeatable: true, maxDepth: Infinity, unlocked: true, attributes: { costOreMineScaling: true }};
+    const p = new DeeperMiningProject(config, 'deeperMining');
+    ctx.projectManager = { projects: { deeperMining: p } };
+    p.registerMine();
+    p.averageDepth = 3;
+
+    ctx.buildings.oreMine.count = 4;
+    ctx.gameEvents.emit(GAME_EVENTS.BUILDING_DEMOLISHED, { name: 'oreMine', count: 6 });
+    expect(p.oreMineCount).toBe(4);
+    expect(p.averageDepth).toBe(3);
+
+    // Building again adds new mines at the surface
+    ctx.buildings.oreMine.count = 6;
+    p.registerMine();
+    expect(p.averageDepth).toBeCloseTo((3 * 4 + 2) / 6);
+  });
 });
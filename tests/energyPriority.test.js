@@ -0,0 +1,88 @@
+const EffectableEntity = require('../src/js/effectable-entity.js');
+global.EffectableEntity = EffectableEntity;
+const { Building } = require('../src/js/building.js');
+const { EnergyPriorityManager } = require('../src/js/energy-priority.js');
+
+function makeEnergy(value, productionRate, consumers) {
+  const building = {};
+  let consumptionRate = 0;
+  for (const name in consumers) {
+    building[name] = consumers[name];
+    consumptionRate += consumers[name];
+  }
+  return { value, productionRate, consumptionRate, consumptionRateByType: { building } };
+}
+
+function structure(displayName, energyPriority) {
+  return { name: displayName.toLowerCase(), displayName, active: 1, energyPriority };
+}
+
+describe('energy priority tiers', () => {
+  test('supply covers critical demand first, then normal, then low', () => {
+    const manager = new EnergyPriorityManager();
+    const energy = makeEnergy(0, 100, { Colony: 60, Factory: 80, 'GHG Factory': 40 });
+    const structures = {
+      colony: structure('Colony', 1),
+      factory: structure('Factory', 0),
+      ghg: structure('GHG Factory', -1)
+    };
+    manager.update(energy, structures, {}, 1000);
+    expect(manager.demand).toEqual({ critical: 60, normal: 80, low: 40 });
+    expect(manager.getAvailabilityRatio(1)).toBe(1);
+    expect(manager.getAvailabilityRatio(0)).toBeCloseTo(0.5);
+    expect(manager.getAvailabilityRatio(-1)).toBe(0);
+  });
+
+  test('stored energy counts toward supply and unmatched consumers are normal', () => {
+    const manager = new EnergyPriorityManager();
+    const energy = makeEnergy(50, 50, { Factory: 100 });
+    energy.consumptionRate += 100; // a consumer with no matching structure
+    manager.update(energy, { factory: structure('Factory', -1) }, {}, 1000);
+    expect(manager.demand.normal).toBe(100);
+    expect(manager.getAvailabilityRatio(0)).toBe(1);
+    expect(manager.getAvailabilityRatio(-1)).toBe(0);
+  });
+
+  test('running projects add their energy cost to their tier', () => {
+    const manager = new EnergyPriorityManager();
+    const ships = {
+      name: 'ships',
+      displayName: 'Ships',
+      energyPriority: -1,
+      isContinuous: () => true,
+      estimateCostAndGain: () => ({ cost: { colony: { energy: 30 } }, gain: {} })
+    };
+    const oneOff = {
+      name: 'oneOff',
+      isContinuous: () => false,
+      estimateCostAndGain: () => ({ cost: { colony: { energy: 1000 } }, gain: {} })
+    };
+    manager.update(makeEnergy(0, 20, {}), {}, { ships, oneOff }, 500);
+    expect(manager.demand.low).toBe(60);
+    expect(manager.demand.normal).toBe(0);
+    expect(manager.getProjectProductivity(ships, { colony: { energy: 30 } })).toBeCloseTo(1 / 3);
+    expect(manager.getProjectProductivity(ships, { colony: { metal: 30 } })).toBe(1);
+  });
+
+  test('buildings take their tier ratio for energy', () => {
+    const manager = new EnergyPriorityManager();
+    manager.ratios = { critical: 1, normal: 0.5, low: 0 };
+    global.energyPriorityManager = manager;
+    global.resources = { colony: { energy: { value: 0, productionRate: 0, consumptionRate: 10 } } };
+    global.populationModule = { getWorkerAvailabilityRatio: () => 1 };
+    const config = {
+      name: 'Factory', category: 'production', cost: {}, consumption: { colony: { energy: 10 } },
+      production: {}, storage: {}, dayNightActivity: false, canBeToggled: true,
+      requiresMaintenance: false, maintenanceFactor: 1, requiresDeposit: null, requiresWorker: 0, unlocked: true
+    };
+    const factory = new Building(config, 'factory');
+    factory.active = 1;
+    expect(factory.calculateBaseMinRatio(global.resources, 1000)).toBe(0.5);
+    factory.energyPriority = 1;
+    expect(factory.calculateBaseMinRatio(global.resources, 1000)).toBe(1);
+    factory.energyPriority = -1;
+    expect(factory.calculateBaseMinRatio(global.resources, 1000)).toBe(0);
+    expect(factory.productivityLimit).toEqual({ type: 'resource', category: 'colony', resource: 'energy', ratio: 0 });
+    delete global.energyPriorityManager;
+  });
+});
@@ -0,0 +1,96 @@
+const { EnergyStorageManager } = require('../src/js/energy-storage.js');
+
+function battery(active, overrides = {}) {
+  return {
+    displayName: 'Battery',
+    active,
+    storage: { colony: { energy: 1000 } },
+    energyStorage: { chargeRate: 100, efficiency: 0.8 },
+    getEffectiveStorageMultiplier: () => 1,
+    ...overrides
+  };
+}
+
+function makeEnergy(value, cap, modifyRate = () => {}) {
+  return { value, cap, productionRate: 0, consumptionRate: 0, productionRateByType: {}, modifyRate };
+}
+
+describe('energy storage banks', () => {
+  test('surplus fills base storage, then charges batteries at their rate with losses', () => {
+    const manager = new EnergyStorageManager();
+    const rates = [];
+    const energy = makeEnergy(400, 2500, (value, source, type) => rates.push([source, type, value]));
+    manager.update(energy, { battery: battery(2) });
+    expect(manager.capacity).toBe(2000);
+    expect(manager.baseCapacity).toBe(500);
+    expect(manager.rate).toBe(200);
+
+    // 100 tops up base storage, 200 is charged (160 stored), 200 exceeds the rate
+    expect(manager.applyCharge(energy, 500, 1000)).toBeCloseTo(260);
+    expect(manager.lossRate).toBeCloseTo(40);
+    expect(manager.curtailedRate).toBeCloseTo(200);
+    expect(rates).toEqual([
+      ['Battery losses', 'storage', -40],
+      ['Battery charge limit (not summed)', 'overflow', -200]
+    ]);
+    // Deficits pass through untouched
+    expect(manager.applyCharge(energy, -50, 1000)).toBe(-50);
+  });
+
+  test('discharge is limited by the battery rate, base storage is not', () => {
+    const manager = new EnergyStorageManager();
+    manager.update(makeEnergy(0, 2500), { battery: battery(2) });
+    expect(manager.getDrawableEnergy(2500, 1)).toBe(700);
+    expect(manager.getDrawableEnergy(2500, 10)).toBe(2500);
+    expect(manager.getDrawableEnergy(300, 1)).toBe(300);
+  });
+
+  test('forecasts whether storage covers the next night', () => {
+    const manager = new EnergyStorageManager();
+    const energy = makeEnergy(500, 2500);
+    energy.productionRate = 150;
+    energy.consumptionRate = 50;
+    energy.productionRateByType = { building: { 'Solar Panel Array': 150 } };
+    const structures = {
+      battery: battery(2),
+      solarPanel: { displayName: 'Solar Panel Array', dayNightActivity: true, active: 1 }
+    };
+    manager.update(energy, structures);
+    const cycle = { dayDuration: 40000, getDayProgress: () => 0.25, isDay: () => true };
+
+    // 10s of daylight at +100/s charges 800 into the batteries; night needs 50/s for 20s
+    let forecast = manager.forecastNight(energy, structures, cycle);
+    expect(forecast.secondsToNight).toBeCloseTo(10);
+    expect(forecast.storedAtNightfall).toBeCloseTo(1300);
+    expect(forecast.nightDeficit).toBeCloseTo(1000);
+    expect(forecast.covered).toBe(true);
+
+    energy.consumptionRate = 140;
+    forecast = manager.forecastNight(energy, structures, cycle);
+    expect(forecast.nightDeficit).toBeCloseTo(2800);
+    expect(forecast.covered).toBe(false);
+    expect(forecast.limitedBy).toBe('generation');
+  });
+
+  test('suggests batteries when capacity or discharge rate is short', () => {
+    const manager = new EnergyStorageManager();
+    const building = battery(2);
+    const energy = makeEnergy(2500, 2500);
+    energy.consumptionRate = 150;
+    manager.update(energy, { battery: building });
+    const night = { dayDuration: 40000, getDayProgress: () => 0.5, isDay: () => false };
+
+    let forecast = manager.forecastNight(energy, { battery: building }, night);
+    expect(forecast.nightDeficit).toBeCloseTo(3000);
+    expect(forecast.shortfall).toBeCloseTo(500);
+    expect(forecast.limitedBy).toBe('capacity');
+    expect(manager.getBuildingsToCover(forecast, building)).toBe(1);
+
+    building.energyStorage.chargeRate = 40;
+    manager.update(energy, { battery: building });
+    forecast = manager.forecastNight(energy, { battery: building }, night);
+    expect(forecast.deliverable).toBeCloseTo(2100);
+    expect(forecast.limitedBy).toBe('discharge');
+    expect(manager.getBuildingsToCover(forecast, building)).toBe(2);
+  });
+});
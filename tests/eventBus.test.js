@@ -0,0 +1,69 @@
+const { GAME_EVENTS, GameEventBus, gameEvents, emitGameEvent } = require('../src/js/event-bus.js');
+const EffectableEntity = require('../src/js/effectable-entity.js');
+global.EffectableEntity = EffectableEntity;
+const { Building } = require('../src/js/building.js');
+
+describe('game event bus', () => {
+  test('delivers events to listeners until they are removed', () => {
+    const bus = new GameEventBus();
+    const seen = [];
+    const remove = bus.on(GAME_EVENTS.RESEARCH_COMPLETED, detail => seen.push(detail.id));
+    bus.emit(GAME_EVENTS.RESEARCH_COMPLETED, { id: 'a' });
+    remove();
+    bus.emit(GAME_EVENTS.RESEARCH_COMPLETED, { id: 'b' });
+    expect(seen).toEqual(['a']);
+  });
+
+  test('once listeners fire a single time', () => {
+    const bus = new GameEventBus();
+    const listener = jest.fn();
+    bus.once(GAME_EVENTS.MILESTONE_COMPLETED, listener);
+    bus.emit(GAME_EVENTS.MILESTONE_COMPLETED, { name: 'm' });
+    bus.emit(GAME_EVENTS.MILESTONE_COMPLETED, { name: 'm' });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects unknown event names', () => {
+    const bus = new GameEventBus();
+    expect(() => bus.on('notAnEvent', () => {})).toThrow('Unknown game event "notAnEvent"');
+  });
+
+  test('a failing listener does not stop the others', () => {
+    const bus = new GameEventBus();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const after = jest.fn();
+    bus.on(GAME_EVENTS.PROJECT_COMPLETED, () => { throw new Error('boom'); });
+    bus.on(GAME_EVENTS.PROJECT_COMPLETED, after);
+    bus.emit(GAME_EVENTS.PROJECT_COMPLETED, { name: 'p' });
+    expect(after).toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  test('buildings announce construction', () => {
+    global.GAME_EVENTS = GAME_EVENTS;
+    global.emitGameEvent = emitGameEvent;
+    global.resources = { colony: {}, surface: {}, underground: {} };
+    const building = new Building({
+      name: 'Mine',
+      category: 'resource',
+      cost: {},
+      consumption: {},
+      production: {},
+      storage: {},
+      dayNightActivity: false,
+      canBeToggled: true,
+      requiresMaintenance: false,
+      requiresDeposit: false,
+      requiresWorker: 0,
+      unlocked: true
+    }, 'mine');
+    const built = [];
+    const remove = gameEvents.on(GAME_EVENTS.BUILDING_BUILT, detail => built.push([detail.name, detail.count]));
+    building.build(3);
+    remove();
+    delete global.GAME_EVENTS;
+    delete global.emitGameEvent;
+    expect(built).toEqual([['mine', 3]]);
+  });
+});
@@ -0,0 +1,44 @@
+const { createHeadlessGame, runSimulation, toCSV } = require('../tools/headless-sim.js');
+
+describe('headless simulation runner', () => {
+  test('runs scripted actions and samples time series without a DOM', () => {
+    const game = createHeadlessGame({ planet: 'mars' });
+    const result = runSimulation({
+      durationSeconds: 30,
+      stepMs: 1000,
+      sampleIntervalSeconds: 10,
+      resources: ['surface.land'],
+      actions: [
+        { at: 0, type: 'unlock', structure: 'solarPanel' },
+        { at: 0, type: 'setResource', category: 'colony', resource: 'metal', value: 100 },
+        { at: 0, type: 'setResource', category: 'colony', resource: 'glass', value: 100 },
+        { at: 0, type: 'setResource', category: 'colony', resource: 'electronics', value: 1 },
+        { at: 5, type: 'build', structure: 'solarPanel', count: 2 },
+        { at: 5, type: 'build', structure: 'oreMine', count: 1000 }
+      ]
+    }, { game });
+
+    expect(result.samples.map(s => s.time)).toEqual([0, 10, 20, 30]);
+    expect(result.actions.map(a => a.ok)).toEqual([true, true, true, true, true, false]);
+    expect(game.run('buildings.solarPanel.count')).toBe(2);
+    expect(game.run('playTimeSeconds')).toBeCloseTo(30);
+    const last = result.samples[result.samples.length - 1];
+    expect(last['colony.metal']).toBeLessThan(100);
+    expect(typeof last.temperature).toBe('number');
+    expect(typeof last.pressure).toBe('number');
+    expect(last['surface.land']).toBeGreaterThan(0);
+  });
+
+  test('applies scenario content packs before the game starts', () => {
+    const game = createHeadlessGame({
+      planet: 'mars',
+      contentPacks: [{ id: 'cheap-mines', buildings: { oreMine: { cost: { colony: { metal: 1 } } } } }]
+    });
+    expect(game.run('buildings.oreMine.cost.colony.metal')).toBe(1);
+  });
+
+  test('formats samples as CSV', () => {
+    const csv = toCSV([{ time: 0, temperature: 200 }, { time: 1, temperature: undefined }]);
+    expect(csv).toBe('time,temperature\n0,200\n1,\n');
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  planOfflineSteps,
+  simulateOfflineProgress,
+  OFFLINE_MAX_SECONDS
+} = require('../src/js/offline-progress.js');
+
+describe('offline progress', () => {
+  afterEach(() => {
+    delete global.updateLogic;
+    delete global.buildings;
+    delete global.colonies;
+    delete global.projectManager;
+    global.resources = { atmospheric: {} };
+  });
+
+  test('short absences are not simulated', () => {
+    expect(planOfflineSteps(5000).steps).toBe(0);
+  });
+
+  test('long absences are capped and use bounded steps', () => {
+    const plan = planOfflineSteps(OFFLINE_MAX_SECONDS * 1000 * 3);
+    expect(plan.simulatedMs).toBeLessThanOrEqual(OFFLINE_MAX_SECONDS * 1000);
+    expect(plan.steps).toBeLessThanOrEqual(2880);
+    expect(plan.stepMs).toBeGreaterThanOrEqual(1000);
+    expect(plan.discardedMs).toBeGreaterThan(0);
+  });
+
+  test('runs updateLogic and summarizes changes', async () => {
+    global.resources = {
+      colony: { metal: { displayName: 'Metal', unlocked: true, value: 0 } }
+    };
+    global.buildings = { mine: { displayName: 'Ore Mine', count: 1 } };
+    global.colonies = {};
+    global.projectManager = { projects: { probe: { displayName: 'Probe', repeatCount: 0, isCompleted: false } } };
+    let elapsed = 0;
+    global.updateLogic = (delta) => {
+      elapsed += delta;
+      global.resources.colony.metal.value += delta / 1000;
+    };
+    const progress = [];
+    const result = await simulateOfflineProgress(120000, { sync: true }, p => progress.push(p));
+    expect(elapsed).toBe(120000);
+    expect(result.simulatedMs).toBe(120000);
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(result.summary.resources).toEqual([
+      { category: 'colony', name: 'metal', displayName: 'Metal', delta: 120 }
+    ]);
+    expect(result.summary.built).toEqual([]);
+  });
+
+  test('reports built structures and completed projects', async () => {
+    global.resources = {};
+    global.buildings = { mine: { displayName: 'Ore Mine', count: 1 } };
+    global.colonies = {};
+    const probe = { displayName: 'Probe', repeatCount: 0, isCompleted: false };
+    global.projectManager = { projects: { probe } };
+    global.updateLogic = () => {
+      global.buildings.mine.count += 1;
+      probe.isCompleted = true;
+    };
+    const result = await simulateOfflineProgress(60000, { sync: true });
+    expect(result.summary.built).toEqual([{ name: 'mine', displayName: 'Ore Mine', count: 60 }]);
+    expect(result.summary.completed).toEqual([{ name: 'probe', displayName: 'Probe', count: 1 }]);
+  });
+});
@@ -4,7 +4,7 @@ const { JSDOM } = require(path.join(process.execPath, '..', '..', 'lib', 'node_m
 const vm = require('vm');
 
 describe('pre-travel save slot', () => {
-  test('slot visibility toggles with saves', () => {
+  test('slot visibility toggles with saves', async () => {
     const dom = new JSDOM('<!DOCTYPE html><table><tr id="pretravel-row" class="hidden"><td id="pretravel-date"></td></tr></table>', {
       url: 'http://localhost',
       runScripts: 'outside-only'
@@ -23,7 +23,7 @@ describe('pre-travel save slot', () => {
     const row = dom.window.document.getElementById('pretravel-row');
     ctx.loadSaveSlotDates();
     expect(row.classList.contains('hidden')).toBe(true);
-    ctx.saveGameToSlot('pretravel');
+    await ctx.saveGameToSlot('pretravel');
     expect(row.classList.contains('hidden')).toBe(false);
     ctx.deleteSaveFileFromSlot('pretravel');
     expect(row.classList.contains('hidden')).toBe(true);
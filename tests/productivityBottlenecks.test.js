@@ -0,0 +1,142 @@
+const EffectableEntity = require('../src/js/effectable-entity.js');
+global.EffectableEntity = EffectableEntity;
+const { Building } = require('../src/js/building.js');
+global.Building = Building;
+const { Biodome } = require('../src/js/buildings/Biodome.js');
+const numbers = require('../src/js/numbers.js');
+const { describeProductivity, rankProductivityBottlenecks, updateBottleneckDisplay } = require('../src/js/bottlenecks.js');
+
+function createBuilding(overrides = {}, Type = Building) {
+  const config = {
+    name: 'Factory',
+    category: 'production',
+    cost: {},
+    consumption: { colony: { energy: 10 } },
+    production: { colony: { components: 1 } },
+    storage: {},
+    dayNightActivity: false,
+    canBeToggled: true,
+    requiresMaintenance: true,
+    maintenanceFactor: 1,
+    requiresDeposit: null,
+    requiresWorker: 0,
+    unlocked: true,
+    ...overrides
+  };
+  const building = new Type(config, 'factory');
+  building.active = 4;
+  building.count = 4;
+  return building;
+}
+
+describe('productivity limits', () => {
+  beforeEach(() => {
+    global.formatNumber = numbers.formatNumber;
+    global.formatBigInteger = numbers.formatBigInteger;
+    global.resources = {
+      colony: {
+        energy: { displayName: 'Energy', value: 0, productionRate: 25, consumptionRate: 100 },
+        metal: { displayName: 'Metal', value: 100, productionRate: 0, consumptionRate: 0 },
+        components: { displayName: 'Components', value: 0, productionRate: 0, consumptionRate: 0 }
+      },
+      surface: { land: { value: 10, reserved: 10 } }
+    };
+    global.populationModule = { getWorkerAvailabilityRatio: () => 0.5 };
+  });
+
+  afterEach(() => {
+    delete global.lifeDesigner;
+  });
+
+  test('records the input that sets the ratio', () => {
+    const factory = createBuilding({ requiresWorker: 1 });
+    expect(factory.calculateBaseMinRatio(global.resources, 1000)).toBeCloseTo(0.25);
+    expect(factory.productivityLimit).toEqual({ type: 'resource', category: 'colony', resource: 'energy', ratio: 0.25 });
+
+    global.resources.colony.energy.value = 1000;
+    factory.calculateBaseMinRatio(global.resources, 1000);
+    expect(factory.productivityLimit).toEqual({ type: 'workers', ratio: 0.5 });
+
+    global.populationModule.getWorkerAvailabilityRatio = () => 1;
+    factory.calculateBaseMinRatio(global.resources, 1000);
+    expect(factory.productivityLimit).toBeNull();
+  });
+
+  test('a subclass cap replaces the input limit when it cuts deeper', () => {
+    global.lifeDesigner = { currentDesign: { canSurviveAnywhere: () => false } };
+    const biodome = createBiodome();
+    biodome.updateProductivity(global.resources, 1000);
+    biodome.finalizeProductivityLimit();
+    expect(biodome.productivityLimit).toEqual({ type: 'cap', reason: 'Life design cannot survive anywhere', ratio: 0 });
+  });
+
+  test('describes the limit, idle land-bound buildings and temperature penalties', () => {
+    const factory = createBuilding({ requiresLand: 1 });
+    factory.active = 3;
+    factory.productivity = 0.25;
+    factory.productivityLimit = { type: 'resource', category: 'colony', resource: 'energy', ratio: 0.25 };
+    factory.activeEffects.push({ effectId: 'temperatureMaintenancePenalty', type: 'maintenanceMultiplier', value: 1.2 });
+    expect(describeProductivity(factory)).toEqual([
+      'Limited by Energy: supply covers 25% of demand',
+      '1 inactive: not enough land',
+      'Maintenance x1.20 from temperature'
+    ]);
+  });
+
+  test('ranks limits by the output they cost', () => {
+    const factory = createBuilding();
+    factory.displayName = 'Factory';
+    factory.productivity = 0.25;
+    factory.productivityLimit = { type: 'resource', category: 'colony', resource: 'energy', ratio: 0.25 };
+    const smelter = createBuilding();
+    smelter.displayName = 'Smelter';
+    smelter.active = 10;
+    smelter.productivity = 0.5;
+    smelter.productivityLimit = { type: 'resource', category: 'colony', resource: 'energy', ratio: 0.5 };
+    const mine = createBuilding();
+    mine.displayName = 'Mine';
+    mine.active = 20;
+    mine.productivity = 0.9;
+    mine.productivityLimit = { type: 'workers', ratio: 0.9 };
+    const idle = createBuilding();
+    idle.productivity = 1;
+
+    const ranked = rankProductivityBottlenecks([{ factory, smelter, mine, idle }]);
+    expect(ranked.map(entry => entry.label)).toEqual(['Energy shortage', 'Workers']);
+    expect(ranked[0].lost).toBeCloseTo(8);
+    expect(ranked[0].structures).toEqual(['Factory', 'Smelter']);
+    expect(ranked[1].lost).toBeCloseTo(2);
+  });
+
+  test('the settings list is rebuilt only when the ranking text changes', () => {
+    const list = { children: [], appendChild(child) { this.children.push(child); } };
+    let clears = 0;
+    Object.defineProperty(list, 'innerHTML', { set() { clears += 1; this.children = []; } });
+    global.document = { getElementById: () => list, createElement: () => ({}) };
+    const factory = createBuilding();
+    factory.displayName = 'Factory';
+    factory.productivity = 0.25;
+    factory.productivityLimit = { type: 'workers', ratio: 0.25 };
+    global.buildings = { factory };
+    try {
+      updateBottleneckDisplay();
+      updateBottleneckDisplay();
+      expect(clears).toBe(1);
+      expect(list.children.map(item => item.textContent)).toEqual(['Workers: 3.0 buildings idle (Factory)']);
+
+      factory.productivity = 1;
+      updateBottleneckDisplay();
+      expect(clears).toBe(2);
+      expect(list.children.map(item => item.textContent)).toEqual(['Everything is running at full productivity.']);
+    } finally {
+      delete global.document;
+      delete global.buildings;
+    }
+  });
+});
+
+function createBiodome() {
+  const biodome = createBuilding({ name: 'Biodome', consumption: {}, production: {} }, Biodome);
+  biodome.productivity = 1;
+  return biodome;
+}
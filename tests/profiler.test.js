@@ -0,0 +1,74 @@
+const { percentile, PerformanceProfiler } = require('../src/js/profiler.js');
+
+function makeProfiler(windowFrames) {
+  let time = 0;
+  const profiler = new PerformanceProfiler({ windowFrames, now: () => time });
+  const advance = ms => { time += ms; };
+  return { profiler, advance };
+}
+
+describe('performance profiler', () => {
+  test('percentile uses the nearest rank', () => {
+    const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(percentile(sorted, 50)).toBe(5);
+    expect(percentile(sorted, 95)).toBe(10);
+    expect(percentile([], 50)).toBe(0);
+  });
+
+  test('does nothing until enabled', () => {
+    const { profiler, advance } = makeProfiler();
+    profiler.beginFrame();
+    expect(profiler.measure('logic', () => { advance(5); return 'done'; })).toBe('done');
+    profiler.endFrame();
+    expect(profiler.getReport().stages).toEqual([]);
+  });
+
+  test('sums repeated stages within a frame and keeps rolling statistics', () => {
+    const { profiler, advance } = makeProfiler(3);
+    profiler.enable();
+    [4, 8, 12, 16].forEach(ms => {
+      profiler.beginFrame();
+      profiler.measure('logic', () => {
+        profiler.measure('logic.terraforming', () => advance(ms / 2));
+        profiler.measure('logic.terraforming', () => advance(ms / 2));
+      });
+      profiler.measure('render', () => advance(1));
+      profiler.endFrame();
+    });
+
+    const report = profiler.getReport();
+    expect(report.frames).toBe(4);
+    const byName = Object.fromEntries(report.stages.map(s => [s.name, s]));
+    // Only the last three frames are kept
+    expect(byName['logic.terraforming'].avg).toBeCloseTo(12);
+    expect(byName['logic.terraforming'].p50).toBe(12);
+    expect(byName['logic.terraforming'].max).toBe(16);
+    expect(byName['logic.terraforming'].frames).toBe(4);
+    expect(byName.frame.avg).toBeCloseTo(13);
+    expect(report.stages[0].name).toBe('frame');
+  });
+
+  test('stages skipped in a frame are not counted as zero', () => {
+    const { profiler, advance } = makeProfiler();
+    profiler.enable();
+    profiler.beginFrame();
+    profiler.measure('render.buildings', () => advance(10));
+    profiler.endFrame();
+    profiler.beginFrame();
+    profiler.endFrame();
+    const stage = profiler.getReport().stages.find(s => s.name === 'render.buildings');
+    expect(stage.avg).toBe(10);
+    expect(stage.frames).toBe(1);
+  });
+
+  test('still records the time when a stage throws', () => {
+    const { profiler, advance } = makeProfiler();
+    profiler.enable();
+    profiler.beginFrame();
+    expect(() => profiler.measure('logic', () => { advance(3); throw new Error('boom'); })).toThrow('boom');
+    profiler.endFrame();
+    const json = JSON.parse(JSON.stringify(profiler));
+    expect(json.stages.find(s => s.name === 'logic').avg).toBe(3);
+    expect(typeof json.generatedAt).toBe('string');
+  });
+});
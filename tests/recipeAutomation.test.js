@@ -0,0 +1,121 @@
+const EffectableEntity = require('../src/js/effectable-entity.js');
+global.EffectableEntity = EffectableEntity;
+const { Building } = require('../src/js/building.js');
+global.Building = Building;
+const { GhgFactory, ghgFactorySettings } = require('../src/js/buildings/GhgFactory.js');
+const {
+  createRecipeAutomationRule,
+  getRecipeAutomationReading,
+  applyRecipeAutomation
+} = require('../src/js/recipe-automation.js');
+
+function createFactory(Type = Building) {
+  const config = {
+    name: 'Dust Factory',
+    category: 'terraforming',
+    cost: {},
+    consumption: {},
+    production: { special: { albedoUpgrades: 100 } },
+    storage: {},
+    dayNightActivity: false,
+    canBeToggled: true,
+    requiresMaintenance: false,
+    maintenanceFactor: 1,
+    requiresDeposit: null,
+    requiresWorker: 0,
+    unlocked: true,
+    reversalAvailable: true,
+    defaultRecipe: 'black',
+    recipes: {
+      black: { displayName: 'Black Dust Factory', production: { special: { albedoUpgrades: 100 } } },
+      white: { displayName: 'White Dust Factory', production: { special: { whiteDust: 100 } } }
+    }
+  };
+  return new Type(config, 'dustFactory');
+}
+
+describe('recipe automation', () => {
+  beforeEach(() => {
+    global.resources = {
+      colony: { energy: { value: 800, cap: 1000 } },
+      atmospheric: { oxygen: { value: 2e6 } }
+    };
+    global.terraforming = {
+      temperature: { value: 280 },
+      celestialParameters: { gravity: 10, radius: 1000 },
+      calculateTotalPressure: () => 42
+    };
+    global.calculateAtmosphericPressure = (amount, gravity) => amount * gravity / 1000;
+  });
+
+  afterEach(() => {
+    delete global.calculateAtmosphericPressure;
+  });
+
+  test('temperature rules switch recipes with hysteresis', () => {
+    const factory = createFactory();
+    factory.reverseEnabled = true;
+    factory.recipeAutomation = {
+      enabled: true,
+      rules: [
+        { recipe: 'white', metric: 'temperature', comparison: 'above', value: 290, margin: 5 },
+        { recipe: 'black', metric: 'temperature', comparison: 'below', value: 285, margin: 0 }
+      ]
+    };
+    const structures = { dustFactory: factory };
+
+    applyRecipeAutomation(structures);
+    expect(factory.currentRecipeKey).toBe('black');
+
+    terraforming.temperature.value = 291;
+    applyRecipeAutomation(structures);
+    expect(factory.currentRecipeKey).toBe('white');
+    expect(factory.displayName).toBe('White Dust Factory');
+    expect(factory.production).toEqual({ special: { whiteDust: 100 } });
+    expect(factory.reverseEnabled).toBe(false);
+
+    // Inside the margin the white recipe keeps running
+    terraforming.temperature.value = 286;
+    applyRecipeAutomation(structures);
+    expect(factory.currentRecipeKey).toBe('white');
+
+    terraforming.temperature.value = 284;
+    applyRecipeAutomation(structures);
+    expect(factory.currentRecipeKey).toBe('black');
+  });
+
+  test('rules read resource levels and pressures', () => {
+    expect(getRecipeAutomationReading(createRecipeAutomationRule(null, 'resource'))).toBe(80);
+    const total = createRecipeAutomationRule(null, 'pressure');
+    expect(getRecipeAutomationReading(total)).toBe(42);
+    expect(getRecipeAutomationReading({ ...total, resource: 'oxygen' })).toBe(20);
+    expect(getRecipeAutomationReading({ ...total, resource: 'argon' })).toBeNull();
+
+    const factory = createFactory();
+    factory.recipeAutomation = {
+      enabled: true,
+      rules: [{ recipe: 'white', metric: 'pressure', resource: 'oxygen', comparison: 'above', value: 15, margin: 1 }]
+    };
+    applyRecipeAutomation({ dustFactory: factory });
+    expect(factory.currentRecipeKey).toBe('white');
+  });
+
+  test('disabled automation and built-in recipe control leave the recipe alone', () => {
+    const rules = [{ recipe: 'white', metric: 'resource', category: 'colony', resource: 'energy', comparison: 'above', value: 50, margin: 0 }];
+    const factory = createFactory();
+    factory.recipeAutomation = { enabled: false, rules };
+    applyRecipeAutomation({ dustFactory: factory });
+    expect(factory.currentRecipeKey).toBe('black');
+
+    const ghg = createFactory(GhgFactory);
+    ghg.recipeAutomation = { enabled: true, rules };
+    ghg.addAndReplace({ type: 'booleanFlag', flagId: 'terraformingBureauFeature', value: true, effectId: 'test', sourceId: 'test' });
+    ghgFactorySettings.autoDisableAboveTemp = true;
+    applyRecipeAutomation({ ghgFactory: ghg });
+    expect(ghg.currentRecipeKey).toBe('black');
+
+    ghgFactorySettings.autoDisableAboveTemp = false;
+    applyRecipeAutomation({ ghgFactory: ghg });
+    expect(ghg.currentRecipeKey).toBe('white');
+  });
+});
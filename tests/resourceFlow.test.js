@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const jsdomPath = path.join(process.execPath, '..', '..', 'lib', 'node_modules', 'jsdom');
+const { JSDOM } = require(jsdomPath);
+const vm = require('vm');
+const numbers = require('../src/js/numbers.js');
+const {
+  buildResourceFlowGraph,
+  layoutResourceFlowGraph,
+  resolveFlowTarget
+} = require('../src/js/resource-flow.js');
+
+function makeResource(name, production = {}, consumption = {}, unlocked = true) {
+  return { name, displayName: name.charAt(0).toUpperCase() + name.slice(1), unlocked, unit: null, productionRateByType: production, consumptionRateByType: consumption };
+}
+
+function sampleResources() {
+  return {
+    colony: {
+      energy: makeResource('energy',
+        { building: { 'Solar Panel': 90, 'Wind Turbine': 1 }, overflow: { 'Overflow (not summed)': 500 } },
+        { building: { 'Ore Mine': 60 }, project: { 'Space Mirror Facility': 20 } }),
+      metal: makeResource('metal', { building: { 'Ore Mine': 5 } }, {}),
+      food: makeResource('food', { building: { 'Hydroponic Farm': 1 } }, {}, false)
+    },
+    atmospheric: {
+      carbonDioxide: makeResource('carbonDioxide', { terraforming: { 'CO2 sublimation': 2 } }, { life: { 'Photosynthesis': 1 } })
+    }
+  };
+}
+
+describe('resource flow graph', () => {
+  test('joins producers, resources and consumers by share of throughput', () => {
+    const graph = buildResourceFlowGraph(sampleResources(), { categories: ['colony'] });
+    const ids = graph.nodes.map(node => node.id);
+    expect(ids).toContain('resource:colony.energy');
+    expect(ids).toContain('producer:Solar Panel');
+    expect(ids).not.toContain('producer:Overflow (not summed)');
+    expect(ids).not.toContain('resource:colony.food');
+    expect(ids).not.toContain('resource:atmospheric.carbonDioxide');
+
+    const solar = graph.links.find(link => link.from === 'producer:Solar Panel');
+    expect(solar.rate).toBe(90);
+    expect(solar.share).toBeCloseTo(90 / 91);
+    const mirror = graph.links.find(link => link.to === 'consumer:Space Mirror Facility');
+    expect(mirror.share).toBeCloseTo(20 / 91);
+  });
+
+  test('merges small flows into Other', () => {
+    const graph = buildResourceFlowGraph(sampleResources(), { categories: ['colony'], minShare: 0.05 });
+    const other = graph.links.find(link => link.from === 'producer:Other' && link.to === 'resource:colony.energy');
+    expect(other.rate).toBe(1);
+    expect(graph.nodes.some(node => node.id === 'producer:Wind Turbine')).toBe(false);
+  });
+
+  test('a source on both sides of different resources gets a node per side', () => {
+    const graph = layoutResourceFlowGraph(buildResourceFlowGraph(sampleResources(), { categories: ['colony'] }));
+    const producer = graph.nodes.find(node => node.id === 'producer:Ore Mine');
+    const consumer = graph.nodes.find(node => node.id === 'consumer:Ore Mine');
+    expect(producer.x).toBeLessThan(consumer.x);
+    graph.links.forEach(link => {
+      expect(link.width).toBeGreaterThan(0);
+      expect(Number.isFinite(link.y0) && Number.isFinite(link.y1)).toBe(true);
+    });
+  });
+});
+
+describe('resource flow targets', () => {
+  beforeEach(() => {
+    global.buildings = { solarPanel: { name: 'solarPanel', displayName: 'Solar Panel', category: 'energy' } };
+    global.colonies = { t1_colony: { name: 't1_colony', displayName: 'Research Outpost' } };
+    global.projectManager = { projects: { spaceMirrorFacility: { name: 'spaceMirrorFacility', displayName: 'Space Mirror Facility', category: 'terraforming' } } };
+  });
+
+  afterEach(() => {
+    delete global.buildings;
+    delete global.colonies;
+    delete global.projectManager;
+  });
+
+  test('resolves buildings, colonies, projects and terraforming sources', () => {
+    expect(resolveFlowTarget({ source: 'Solar Panel', type: 'building' }))
+      .toEqual({ tab: 'buildings', subtab: 'energy-buildings', structure: 'solarPanel' });
+    expect(resolveFlowTarget({ source: 'Research Outpost', type: 'building' }))
+      .toEqual({ tab: 'colonies', structure: 't1_colony' });
+    expect(resolveFlowTarget({ source: 'Space Mirror Facility', type: 'project' }))
+      .toEqual({ tab: 'special-projects', subtab: 'terraforming-projects', project: 'spaceMirrorFacility' });
+    expect(resolveFlowTarget({ source: 'CO2 sublimation', type: 'terraforming' }))
+      .toEqual({ tab: 'terraforming', subtab: 'summary-terraforming' });
+    expect(resolveFlowTarget({ source: 'Photosynthesis', type: 'life' }))
+      .toEqual({ tab: 'terraforming', subtab: 'life-terraforming' });
+    expect(resolveFlowTarget({ source: 'Other', type: null })).toBeNull();
+  });
+
+  test('clicking a node closes the overlay and opens its panel', () => {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+    const ctx = dom.getInternalVMContext();
+    const row = dom.window.document.createElement('div');
+    row.scrollIntoView = jest.fn();
+    ctx.formatNumber = numbers.formatNumber;
+    ctx.resources = sampleResources();
+    ctx.buildings = global.buildings;
+    ctx.activateTab = jest.fn();
+    ctx.activateBuildingSubtab = jest.fn();
+    ctx.structureUIElements = { solarPanel: { combinedRow: row } };
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src/js', 'resource-flow.js'), 'utf8'), ctx);
+
+    ctx.openResourceFlowOverlay();
+    const doc = dom.window.document;
+    const overlay = doc.getElementById('resource-flow-overlay');
+    expect(overlay.style.display).toBe('');
+    expect(doc.querySelectorAll('#resource-flow-body .resource-flow-resource')).toHaveLength(3);
+
+    const solar = Array.from(doc.querySelectorAll('.resource-flow-clickable'))
+      .find(node => node.textContent.includes('Solar Panel'));
+    solar.dispatchEvent(new dom.window.Event('click'));
+    expect(overlay.style.display).toBe('none');
+    expect(ctx.activateTab).toHaveBeenCalledWith('buildings');
+    expect(ctx.activateBuildingSubtab).toHaveBeenCalledWith('energy-buildings');
+    expect(row.scrollIntoView).toHaveBeenCalled();
+  });
+});
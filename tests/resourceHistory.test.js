@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const jsdomPath = path.join(process.execPath, '..', '..', 'lib', 'node_modules', 'jsdom');
+const { JSDOM } = require(jsdomPath);
+const vm = require('vm');
+const numbers = require('../src/js/numbers.js');
+const { ResourceHistory, getTopSources } = require('../src/js/resource-history.js');
+
+function makeResource(value, production = {}, consumption = {}) {
+  const productionRate = Object.values(production).reduce((a, b) => a + b, 0);
+  const consumptionRate = Object.values(consumption).reduce((a, b) => a + b, 0);
+  return {
+    name: 'energy',
+    displayName: 'Energy',
+    category: 'colony',
+    value,
+    unlocked: true,
+    hasCap: false,
+    productionRate,
+    consumptionRate,
+    productionRateBySource: production,
+    consumptionRateBySource: consumption,
+    unit: null
+  };
+}
+
+const tiers = [
+  { name: 'fine', label: 'Fine', intervalSeconds: 1, samples: 3 },
+  { name: 'coarse', label: 'Coarse', intervalSeconds: 2, samples: 2 }
+];
+
+describe('resource history', () => {
+  test('top sources are ranked by net contribution', () => {
+    const res = makeResource(0, { Mine: 5, Colony: 1, 'Overflow (not summed)': 50 }, { Colony: 3, Factory: 0.5 });
+    expect(getTopSources(res, 2)).toEqual([['Mine', 5], ['Colony', -2]]);
+  });
+
+  test('samples each tier on its own interval and keeps only the newest samples', () => {
+    const history = new ResourceHistory({ tiers });
+    const energy = makeResource(0, { Mine: 2 });
+    const map = { colony: { energy, locked: { ...makeResource(7), unlocked: false } } };
+    for (let i = 1; i <= 5; i++) {
+      energy.value = i;
+      history.update(1000, map);
+    }
+    expect(history.getSamples('colony', 'energy', 'fine').map(s => s.value)).toEqual([3, 4, 5]);
+    expect(history.getSamples('colony', 'energy', 'coarse').map(s => s.value)).toEqual([2, 4]);
+    expect(history.getSamples('colony', 'energy', 'fine')[0]).toEqual({ value: 3, rate: 2, sources: [['Mine', 2]] });
+    expect(history.getSeries('colony', 'locked', 'fine')).toBeNull();
+  });
+
+  test('a long step fills at most one buffer', () => {
+    const history = new ResourceHistory({ tiers });
+    const map = { colony: { energy: makeResource(9) } };
+    history.update(60000, map);
+    expect(history.getSeries('colony', 'energy', 'fine').length).toBe(3);
+    expect(history.getSeries('colony', 'energy', 'coarse').total).toBe(2);
+  });
+
+  test('survives a save and load', () => {
+    const history = new ResourceHistory({ tiers });
+    const energy = makeResource(1.234567, { Mine: 2.5 }, { Colony: 1 });
+    history.update(1500, { colony: { energy } });
+    const restored = new ResourceHistory({ tiers });
+    restored.loadState(JSON.parse(JSON.stringify(history.saveState())));
+    expect(restored.getSamples('colony', 'energy', 'fine')).toEqual([
+      { value: 1.2346, rate: 1.5, sources: [['Mine', 2.5], ['Colony', -1]] }
+    ]);
+    restored.update(500, { colony: { energy } });
+    expect(restored.getSeries('colony', 'energy', 'fine').length).toBe(2);
+    expect(restored.getSourceAverages('colony', 'energy', 'fine')).toEqual([['Mine', 2.5], ['Colony', -1]]);
+  });
+
+  test('a step with many samples due reads each resource once', () => {
+    const history = new ResourceHistory({ tiers });
+    const energy = makeResource(4, { Mine: 1 });
+    let reads = 0;
+    const production = energy.productionRateBySource;
+    Object.defineProperty(energy, 'productionRateBySource', { get: () => { reads += 1; return production; } });
+    history.update(4000, { colony: { energy } });
+    expect(reads).toBe(1);
+    expect(history.getSamples('colony', 'energy', 'fine')).toEqual([
+      { value: 4, rate: 1, sources: [['Mine', 1]] },
+      { value: 4, rate: 1, sources: [['Mine', 1]] },
+      { value: 4, rate: 1, sources: [['Mine', 1]] }
+    ]);
+  });
+
+  test('saves keep a downsampled copy of the tiers marked for saving', () => {
+    const saveTiers = [
+      { name: 'fine', label: 'Fine', intervalSeconds: 1, samples: 3, saveEvery: 0 },
+      { name: 'coarse', label: 'Coarse', intervalSeconds: 1, samples: 6, saveEvery: 2 }
+    ];
+    const history = new ResourceHistory({ tiers: saveTiers });
+    const energy = makeResource(0);
+    const map = { colony: { energy } };
+    for (let i = 1; i <= 7; i++) {
+      energy.value = i;
+      history.update(1000, map);
+    }
+    const state = JSON.parse(JSON.stringify(history.saveState()));
+    expect(state.series.fine).toBeUndefined();
+    expect(state.series.coarse.colony.energy.values).toEqual([3, 5, 7]);
+
+    const restored = new ResourceHistory({ tiers: saveTiers });
+    restored.loadState(state);
+    expect(restored.getSeries('colony', 'energy', 'fine')).toBeNull();
+    expect(restored.getSamples('colony', 'energy', 'coarse').map(s => s.value)).toEqual([3, 3, 5, 5, 7, 7]);
+  });
+
+  test('resource tooltip charts the recorded history', () => {
+    const dom = new JSDOM('<!DOCTYPE html><div id="resources-container"></div>', { runScripts: 'outside-only' });
+    const ctx = dom.getInternalVMContext();
+    ctx.formatNumber = numbers.formatNumber;
+    ctx.formatDuration = numbers.formatDuration;
+    ctx.oreScanner = { scanData: {} };
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src/js', 'resourceUI.js'), 'utf8'), ctx);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src/js', 'resource-history.js'), 'utf8'), ctx);
+
+    const energy = makeResource(10, { Mine: 4 }, { Colony: 1 });
+    ctx.createResourceDisplay({ colony: { energy } });
+    const tooltip = dom.window.document.getElementById('energy-tooltip');
+    tooltip._isActive = true;
+    const historyDiv = dom.window.document.getElementById('energy-tooltip-history');
+
+    ctx.updateResourceRateDisplay(energy);
+    expect(historyDiv.style.display).toBe('none');
+
+    ctx.resourceHistory.update(1000, { colony: { energy } });
+    energy.value = 20;
+    ctx.resourceHistory.update(1000, { colony: { energy } });
+    ctx.updateResourceRateDisplay(energy);
+
+    expect(historyDiv.style.display).toBe('block');
+    const chart = historyDiv.querySelector('.resource-history-chart');
+    expect(chart.textContent).toContain('Last 10 minutes: 10.000 - 20.000');
+    expect(chart.textContent).toContain('Average: Mine +4.00/s, Colony -1.00/s');
+    const points = chart.querySelector('.resource-history-value').getAttribute('points');
+    expect(points).toBe('0.0,48.0 220.0,0.0');
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  encodeSaveString,
+  decodeSaveString,
+  isEncodedSaveString,
+  crc32,
+  lzwCompress,
+  lzwDecompress,
+  SaveStringError
+} = require('../src/js/save-codec.js');
+
+describe('save string codec', () => {
+  test('crc32 matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+  });
+
+  test('round trips large repetitive JSON and compresses it', () => {
+    const log = [];
+    for (let i = 0; i < 5000; i++) {
+      log.push({ team: i % 4, event: 'Operation complete', artifacts: i % 7, note: 'ünïcødé ✓' });
+    }
+    const json = JSON.stringify({ version: 1, log });
+    const encoded = encodeSaveString(json, 1);
+    expect(isEncodedSaveString(encoded)).toBe(true);
+    expect(encoded.length).toBeLessThan(json.length / 4);
+    const decoded = decodeSaveString(encoded);
+    expect(decoded.json).toBe(json);
+    expect(decoded.formatVersion).toBe(1);
+  });
+
+  test('round trips empty and random byte input', () => {
+    const bytes = new Uint8Array(20000);
+    let seed = 42;
+    for (let i = 0; i < bytes.length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      bytes[i] = seed & 0xff;
+    }
+    expect(Array.from(lzwDecompress(lzwCompress(bytes)))).toEqual(Array.from(bytes));
+    expect(lzwDecompress(lzwCompress(new Uint8Array(0))).length).toBe(0);
+  });
+
+  test('truncated strings are reported as errors', () => {
+    const encoded = encodeSaveString(JSON.stringify({ a: 'x'.repeat(1000), b: [1, 2, 3] }), 1);
+    expect(() => decodeSaveString(encoded.slice(0, encoded.length - 8))).toThrow(SaveStringError);
+    expect(() => decodeSaveString('TTSAVE:1:1')).toThrow('header is malformed');
+  });
+
+  test('lengths the input cannot hold are rejected before decoding', () => {
+    const compressed = lzwCompress(new TextEncoder().encode('{"a":1}'));
+    compressed.set([0xff, 0xff, 0xff, 0x7f], 0);
+    expect(() => lzwDecompress(compressed)).toThrow(SaveStringError);
+    expect(() => lzwDecompress(new Uint8Array([0, 0, 0, 1]))).toThrow('corrupt');
+
+    const uniform = new Uint8Array(200000);
+    expect(lzwDecompress(lzwCompress(uniform)).length).toBe(uniform.length);
+  });
+
+  test('checksum mismatches are reported', () => {
+    const encoded = encodeSaveString('{"a":1}', 1);
+    const parts = encoded.split(':');
+    parts[3] = '00000000';
+    expect(() => decodeSaveString(parts.join(':'))).toThrow('checksum');
+  });
+
+  test('plain JSON is not treated as an encoded string', () => {
+    expect(isEncodedSaveString('{"version":1}')).toBe(false);
+  });
+});
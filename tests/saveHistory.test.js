@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require(path.join(process.execPath, '..', '..', 'lib', 'node_modules', 'jsdom'));
+const vm = require('vm');
+
+function setup() {
+  const dom = new JSDOM(`<!DOCTYPE html><table>
+    <tr><td id="autosave-date"></td><td id="slot1-date"></td></tr>
+    <tr id="pretravel-row" class="hidden"><td id="pretravel-date"></td></tr>
+    </table><table><tbody id="save-history-body"></tbody></table>`, {
+    url: 'http://localhost',
+    runScripts: 'outside-only'
+  });
+  const ctx = dom.getInternalVMContext();
+  ctx.console = console;
+  ctx.gameSettings = { autosaveHistoryLimit: 3 };
+  ctx.spaceManager = { getCurrentWorldName: () => 'Mars' };
+  ctx.playTimeSeconds = 10;
+  ctx.totalPlayTimeSeconds = 20;
+  const storage = {};
+  Object.defineProperty(ctx, 'localStorage', {
+    configurable: true,
+    value: {
+      getItem: (k) => (k in storage ? storage[k] : null),
+      setItem: (k, v) => { storage[k] = v; },
+      removeItem: (k) => { delete storage[k]; }
+    }
+  });
+  const saveCode = fs.readFileSync(path.join(__dirname, '..', 'src/js/save.js'), 'utf8');
+  vm.runInContext(saveCode, ctx);
+  ctx.getGameState = () => ({ foo: 'bar' });
+  return { dom, ctx, storage };
+}
+
+describe('autosave history', () => {
+  test('autosaves and departures create restore points', async () => {
+    const { dom, ctx, storage } = setup();
+    await ctx.saveGameToSlot('autosave');
+    await ctx.saveGameToSlot('slot1');
+    await ctx.saveGameToSlot('pretravel');
+    await vm.runInContext('saveHistoryQueue', ctx);
+    const history = ctx.getSaveHistory();
+    expect(history.map(e => e.reason).sort()).toEqual(['autosave', 'departure']);
+    history.forEach(entry => {
+      expect(storage[`gameState_${entry.id}`]).toBe(JSON.stringify({ foo: 'bar' }));
+      expect(entry.planet).toBe('Mars');
+      expect(entry.totalPlayTimeSeconds).toBe(20);
+    });
+    const rows = dom.window.document.querySelectorAll('#save-history-body tr');
+    expect(rows.length).toBe(2);
+  });
+
+  test('keeps the newest autosaves plus hourly and departure points', async () => {
+    const { ctx, storage } = setup();
+    const hour = 3600000;
+    const start = 100 * hour;
+    ctx.recordSaveHistory('departure', '{}', start - hour);
+    for (let i = 0; i < 6; i++) {
+      ctx.recordSaveHistory('autosave', '{}', start + i * 10 * 60000);
+    }
+    await vm.runInContext('saveHistoryQueue', ctx);
+    const history = ctx.getSaveHistory();
+    const dates = history.map(e => e.date).sort((a, b) => a - b);
+    // First autosave of the hour, the three newest autosaves and the departure
+    expect(dates).toEqual([
+      start - hour,
+      start,
+      start + 30 * 60000,
+      start + 40 * 60000,
+      start + 50 * 60000
+    ]);
+    expect(storage[`gameState_history_${start + 10 * 60000}`]).toBeUndefined();
+  });
+
+  test('restoring an entry loads its slot', async () => {
+    const { ctx } = setup();
+    const entry = await ctx.recordSaveHistory('autosave', '{}', 5000);
+    const loaded = [];
+    ctx.loadGame = (slot) => loaded.push(slot);
+    expect(await ctx.restoreSaveHistoryEntry(entry.id)).toBe(true);
+    expect(loaded).toEqual([`gameState_${entry.id}`]);
+    expect(await ctx.restoreSaveHistoryEntry('history_missing')).toBe(false);
+  });
+
+  test('a restore point that fails to load is reported', async () => {
+    const { ctx } = setup();
+    const entry = await ctx.recordSaveHistory('autosave', '{}', 5000);
+    const alerts = [];
+    ctx.alert = (msg) => alerts.push(msg);
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    ctx.loadGame = () => Promise.reject(new Error('corrupt'));
+    expect(await ctx.restoreSaveHistoryEntry(entry.id)).toBe(false);
+    expect(alerts).toEqual(['Unable to restore autosave: corrupt']);
+    errorSpy.mockRestore();
+  });
+
+  test('oldest entries are dropped when storage is full', async () => {
+    const { ctx, storage } = setup();
+    await ctx.recordSaveHistory('departure', '{}', 1000);
+    const realSet = ctx.localStorage.setItem;
+    ctx.localStorage.setItem = (k, v) => {
+      if (k.startsWith('gameState_history_') && storage['gameState_history_1000']) {
+        throw new Error('QuotaExceededError');
+      }
+      realSet(k, v);
+    };
+    const entry = await ctx.recordSaveHistory('autosave', '{"a":1}', 2000);
+    expect(entry).not.toBeNull();
+    expect(storage['gameState_history_1000']).toBeUndefined();
+    expect(ctx.getSaveHistory().map(e => e.id)).toEqual(['history_2000']);
+  });
+});
@@ -0,0 +1,42 @@
+global.document = { addEventListener: () => {}, getElementById: () => ({ textContent: '' }) };
+const codec = require('../src/js/save-codec.js');
+global.isEncodedSaveString = codec.isEncodedSaveString;
+global.decodeSaveString = codec.decodeSaveString;
+global.encodeSaveString = codec.encodeSaveString;
+const { parseSaveString, getExportSaveString, loadGame, SAVE_FORMAT_VERSION } = require('../src/js/save.js');
+
+describe('save import strings', () => {
+  afterAll(() => {
+    delete global.isEncodedSaveString;
+    delete global.decodeSaveString;
+    delete global.encodeSaveString;
+    delete global.alert;
+  });
+
+  test('exported strings are compact and load back', () => {
+    const exported = getExportSaveString();
+    expect(exported.startsWith(`TTSAVE:1:${SAVE_FORMAT_VERSION}:`)).toBe(true);
+    const state = parseSaveString(exported);
+    expect(state.version).toBe(SAVE_FORMAT_VERSION);
+  });
+
+  test('plain JSON saves still parse', () => {
+    expect(parseSaveString('{"playTimeSeconds":5}')).toEqual({ playTimeSeconds: 5 });
+  });
+
+  test('truncated JSON and newer versions give clear errors', () => {
+    expect(() => parseSaveString('{"playTime')).toThrow('not valid JSON');
+    const newer = JSON.stringify({ version: SAVE_FORMAT_VERSION + 1 });
+    expect(() => parseSaveString(newer)).toThrow('newer version');
+    const encodedNewer = codec.encodeSaveString('{}', SAVE_FORMAT_VERSION + 1);
+    expect(() => parseSaveString(encodedNewer)).toThrow('newer version');
+  });
+
+  test('loadGame reports corrupt imports to the player', () => {
+    global.alert = jest.fn();
+    const exported = getExportSaveString();
+    expect(() => loadGame(exported.slice(0, -10))).not.toThrow();
+    expect(global.alert).toHaveBeenCalledTimes(1);
+    expect(global.alert.mock.calls[0][0]).toMatch(/^Unable to load save:/);
+  });
+});
@@ -0,0 +1,88 @@
+const { validateGameState } = require('../src/js/save-integrity.js');
+
+describe('save integrity checker', () => {
+  beforeEach(() => {
+    global.resources = {
+      colony: {
+        metal: { displayName: 'Metal', value: null, reserved: -2, hasCap: true, cap: NaN, baseCap: 500 },
+        energy: { displayName: 'Energy', value: 10, reserved: 0, hasCap: true, cap: 100 }
+      },
+      surface: { land: { displayName: 'Land', value: 100, reserved: 0 } }
+    };
+    global.buildings = {
+      oreMine: { displayName: 'Ore Mine', count: 3, active: 5, productivity: null, requiresLand: 2 }
+    };
+    global.colonies = {
+      t1_colony: { displayName: 'Research Outpost', count: -1, active: 0, productivity: 1, requiresLand: 1 }
+    };
+    global.buildingsParameters = { oreMine: {} };
+    global.colonyParameters = { t1_colony: {} };
+    global.projectParameters = { probe: {} };
+    global.projectManager = {
+      projects: { probe: { displayName: 'Probe', repeatCount: NaN, remainingTime: null, duration: 500 } },
+      projectOrder: ['probe', 'removedProject']
+    };
+    global.terraforming = {
+      zonalWater: { polar: { liquid: -5, ice: null, buriedIce: 3 } },
+      zonalSurface: { polar: { biomass: 1 } },
+      synchronizeGlobalResources: jest.fn()
+    };
+    global.spaceManager = {
+      allPlanetsData: { mars: {} },
+      planetStatuses: { mars: { colonists: null, ecumenopolisPercent: 0 }, pluto: { colonists: 5 } },
+      randomWorldStatuses: { 123: { name: 'Rock', colonists: -10 }, 456: null }
+    };
+    global.recalculateLandUsage = jest.fn();
+  });
+
+  afterEach(() => {
+    ['buildings', 'colonies', 'buildingsParameters', 'colonyParameters', 'projectParameters',
+      'projectManager', 'terraforming', 'spaceManager', 'recalculateLandUsage'].forEach(k => delete global[k]);
+    global.resources = { atmospheric: {} };
+  });
+
+  test('repairs invalid values and reports each fix', () => {
+    const report = validateGameState({
+      buildings: { oreMine: {}, oldMine: {} },
+      colonies: { t1_colony: {} },
+      projects: { projects: { probe: {}, removedProject: {} } }
+    });
+
+    expect(resources.colony.metal.value).toBe(0);
+    expect(resources.colony.metal.reserved).toBe(0);
+    expect(resources.colony.metal.cap).toBe(500);
+    expect(buildings.oreMine.active).toBe(3);
+    expect(buildings.oreMine.productivity).toBe(0);
+    expect(colonies.t1_colony.count).toBe(0);
+    expect(projectManager.projects.probe.repeatCount).toBe(0);
+    expect(projectManager.projects.probe.remainingTime).toBe(500);
+    expect(projectManager.projectOrder).toEqual(['probe']);
+    expect(terraforming.zonalWater.polar).toEqual({ liquid: 0, ice: 0, buriedIce: 3 });
+    expect(terraforming.synchronizeGlobalResources).toHaveBeenCalled();
+    expect(spaceManager.planetStatuses.pluto).toBeUndefined();
+    expect(spaceManager.planetStatuses.mars.colonists).toBe(0);
+    expect(spaceManager.randomWorldStatuses[123].colonists).toBe(0);
+    expect(spaceManager.randomWorldStatuses[456]).toBeUndefined();
+    expect(recalculateLandUsage).toHaveBeenCalled();
+
+    expect(report).toEqual(expect.arrayContaining([
+      'Dropped saved building "oldMine" which no longer exists',
+      'Dropped saved project "removedProject" which no longer exists',
+      'Ore Mine: active (5) exceeded count (3), clamped'
+    ]));
+    expect(report.length).toBe(17);
+  });
+
+  test('a valid state produces an empty report', () => {
+    resources.colony.metal = { value: 5, reserved: 0, hasCap: true, cap: 10 };
+    buildings.oreMine = { count: 3, active: 3, productivity: 1 };
+    colonies.t1_colony.count = 0;
+    projectManager.projects.probe = { repeatCount: 0, remainingTime: 10 };
+    projectManager.projectOrder = ['probe'];
+    terraforming.zonalWater.polar = { liquid: 0, ice: 0, buriedIce: 0 };
+    spaceManager.planetStatuses = { mars: { colonists: 0, ecumenopolisPercent: 0 } };
+    spaceManager.randomWorldStatuses = {};
+    expect(validateGameState()).toEqual([]);
+    expect(terraforming.synchronizeGlobalResources).not.toHaveBeenCalled();
+  });
+});
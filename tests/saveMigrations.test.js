@@ -0,0 +1,44 @@
+global.document = { addEventListener: () => {}, getElementById: () => ({ textContent: '' }) };
+const { getGameState, migrateGameState, saveMigrations, SAVE_FORMAT_VERSION } = require('../src/js/save.js');
+
+describe('save format migrations', () => {
+  test('current version equals number of migrations', () => {
+    expect(SAVE_FORMAT_VERSION).toBe(saveMigrations.length);
+    expect(getGameState().version).toBe(SAVE_FORMAT_VERSION);
+  });
+
+  test('unversioned saves are upgraded to the current version', () => {
+    const settings = { distribution: { tropical: 0.5 } };
+    const legacy = {
+      spaceState: { currentPlanetKey: 'titan' },
+      mirrorOversightSettings: settings,
+      projects: { projects: { spaceMirrorFacility: {} } }
+    };
+    const migrated = migrateGameState(legacy);
+    expect(migrated.version).toBe(SAVE_FORMAT_VERSION);
+    expect(migrated.spaceManager).toEqual({ currentPlanetKey: 'titan' });
+    expect(migrated.spaceState).toBeUndefined();
+    expect(migrated.projects.projects.spaceMirrorFacility.mirrorOversightSettings).toBe(settings);
+    expect(migrated.mirrorOversightSettings).toBeUndefined();
+  });
+
+  test('migrations run in order starting from the saved version', () => {
+    const calls = [];
+    const original = saveMigrations.slice();
+    saveMigrations[0] = (state) => { calls.push(0); return state; };
+    try {
+      migrateGameState({ version: SAVE_FORMAT_VERSION });
+      expect(calls).toEqual([]);
+      migrateGameState({});
+      expect(calls).toEqual([0]);
+    } finally {
+      saveMigrations.splice(0, saveMigrations.length, ...original);
+    }
+  });
+
+  test('saves from a newer version are rejected untouched', () => {
+    const state = { version: SAVE_FORMAT_VERSION + 5, spaceState: {} };
+    expect(() => migrateGameState(state)).toThrow('newer version of the game');
+    expect(state.spaceState).toEqual({});
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require(path.join(process.execPath, '..', '..', 'lib', 'node_modules', 'jsdom'));
+const vm = require('vm');
+const {
+  SaveStorageError,
+  createSaveStorage
+} = require('../src/js/save-storage.js');
+
+function createLocalStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get length() { return Object.keys(data).length; },
+    key: (i) => Object.keys(data)[i] || null,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); },
+    removeItem: (k) => { delete data[k]; }
+  };
+}
+
+// Minimal in-memory IndexedDB covering what save-storage.js uses
+function createFakeIndexedDB({ failWrites = null } = {}) {
+  const stores = {};
+  const db = {
+    objectStoreNames: { contains: (name) => name in stores },
+    createObjectStore: (name) => { stores[name] = new Map(); },
+    transaction: (name) => {
+      const transaction = {};
+      const finish = (request, work) => setTimeout(() => {
+        try {
+          request.result = work();
+          if (request.onsuccess) request.onsuccess();
+          if (transaction.oncomplete) transaction.oncomplete();
+        } catch (e) {
+          transaction.error = e;
+          if (transaction.onabort) transaction.onabort();
+        }
+      }, 0);
+      transaction.objectStore = () => ({
+        get: (key) => {
+          const request = {};
+          finish(request, () => stores[name].get(key));
+          return request;
+        },
+        put: (value, key) => {
+          const request = {};
+          finish(request, () => {
+            if (failWrites) throw failWrites;
+            stores[name].set(key, value);
+            return key;
+          });
+          return request;
+        },
+        delete: (key) => {
+          const request = {};
+          finish(request, () => { stores[name].delete(key); });
+          return request;
+        }
+      });
+      return transaction;
+    }
+  };
+  return {
+    stores,
+    open: () => {
+      const request = {};
+      setTimeout(() => {
+        request.result = db;
+        if (!stores.saves && request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      }, 0);
+      return request;
+    }
+  };
+}
+
+describe('save storage', () => {
+  test('moves existing localStorage slots into IndexedDB once', async () => {
+    const local = createLocalStorage({
+      gameState_slot1: '{"a":1}',
+      gameState_history_5: '{"b":2}',
+      saveSlotDates: '{"slot1":1}'
+    });
+    const idb = createFakeIndexedDB();
+    const storage = createSaveStorage({ indexedDB: idb, localStorage: local });
+    expect(await storage.getItem('gameState_slot1')).toBe('{"a":1}');
+    expect(storage.backend.name).toBe('indexedDB');
+    expect(idb.stores.saves.get('gameState_history_5')).toBe('{"b":2}');
+    expect(local.getItem('gameState_slot1')).toBeNull();
+    expect(local.getItem('saveSlotDates')).toBe('{"slot1":1}');
+    expect(local.getItem('saveStorageMigrated')).not.toBeNull();
+
+    // A second session does not copy anything again
+    local.setItem('gameState_slot2', 'stale');
+    const again = createSaveStorage({ indexedDB: idb, localStorage: local });
+    expect(await again.getItem('gameState_slot2')).toBeNull();
+  });
+
+  test('falls back to localStorage without IndexedDB', async () => {
+    const local = createLocalStorage();
+    const storage = createSaveStorage({ localStorage: local });
+    await storage.setItem('gameState_slot1', 'data');
+    expect(storage.backend.name).toBe('localStorage');
+    expect(local.getItem('gameState_slot1')).toBe('data');
+    await storage.removeItem('gameState_slot1');
+    expect(await storage.getItem('gameState_slot1')).toBeNull();
+  });
+
+  test('quota failures reject with a player facing error', async () => {
+    const quota = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    const storage = createSaveStorage({
+      indexedDB: createFakeIndexedDB({ failWrites: quota }),
+      localStorage: createLocalStorage()
+    });
+    const error = await storage.setItem('gameState_slot1', 'data').catch(e => e);
+    expect(error).toBeInstanceOf(SaveStorageError);
+    expect(error.quotaExceeded).toBe(true);
+    expect(error.message).toMatch(/storage is full/);
+  });
+
+  test('saveGameToSlot reports storage failures instead of updating the slot', async () => {
+    const dom = new JSDOM('<!DOCTYPE html><div id="slot1-date">Empty</div>', {
+      url: 'http://localhost',
+      runScripts: 'outside-only'
+    });
+    const ctx = dom.getInternalVMContext();
+    ctx.console = { log() {}, warn() {}, error() {} };
+    const alerts = [];
+    ctx.alert = (msg) => alerts.push(msg);
+    ctx.saveStorage = {
+      setItem: () => Promise.reject(new SaveStorageError('Browser storage is full.')),
+      getItem: () => Promise.resolve(null),
+      removeItem: () => Promise.resolve()
+    };
+    const saveCode = fs.readFileSync(path.join(__dirname, '..', 'src/js/save.js'), 'utf8');
+    vm.runInContext(saveCode, ctx);
+    ctx.getGameState = () => ({ foo: 'bar' });
+    expect(await ctx.saveGameToSlot('slot1')).toBe(false);
+    expect(alerts).toEqual(['Unable to save to slot slot1: Browser storage is full.']);
+    expect(dom.window.document.getElementById('slot1-date').textContent).toBe('Empty');
+  });
+
+  test('a most recent save that fails to load starts a new game', async () => {
+    const dom = new JSDOM('<!DOCTYPE html>', { url: 'http://localhost', runScripts: 'outside-only' });
+    const ctx = dom.getInternalVMContext();
+    const errors = [];
+    ctx.console = { log() {}, warn() {}, error: (...args) => errors.push(args) };
+    const local = createLocalStorage({ saveSlotDates: JSON.stringify({ slot1: 1000 }) });
+    Object.defineProperty(ctx, 'localStorage', { configurable: true, value: local });
+    const saveCode = fs.readFileSync(path.join(__dirname, '..', 'src/js/save.js'), 'utf8');
+    vm.runInContext(saveCode, ctx);
+    ctx.loadSaveSlotDates = () => {};
+    ctx.loadGame = () => Promise.reject(new Error('broken save'));
+    ctx.initializeGameState = jest.fn();
+
+    expect(ctx.loadMostRecentSave()).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(ctx.initializeGameState).toHaveBeenCalledTimes(1);
+    expect(errors[0][1].message).toBe('broken save');
+  });
+});
@@ -21,6 +21,6 @@ describe('saveGameToFile', () => {
     vm.runInContext(code, ctx);
     ctx.saveGameToFile();
     expect(anchor.download).toMatch(/^Mars_Base_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}/);
-    expect(anchor.download.endsWith('.json')).toBe(true);
+    expect(anchor.download.endsWith('.sav')).toBe(true);
   });
 });
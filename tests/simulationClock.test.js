@@ -0,0 +1,54 @@
+const {
+  runSubsteps,
+  getSimulationStepLimit,
+  SimulationClock
+} = require('../src/js/simulation-clock.js');
+
+describe('simulation clock', () => {
+  test('runSubsteps splits large deltas into equal bounded steps', () => {
+    const steps = [];
+    expect(runSubsteps(2500, 1000, s => steps.push(s))).toBe(3);
+    steps.forEach(s => expect(s).toBeLessThanOrEqual(1000));
+    expect(steps.reduce((a, b) => a + b, 0)).toBeCloseTo(2500);
+
+    const small = [];
+    runSubsteps(16, 1000, s => small.push(s));
+    expect(small).toEqual([16]);
+  });
+
+  test('economy steps are smaller than terraforming steps', () => {
+    expect(getSimulationStepLimit('economy')).toBeLessThan(getSimulationStepLimit('terraforming'));
+    expect(getSimulationStepLimit('unknown')).toBe(Infinity);
+  });
+
+  test('advance feeds bounded ticks and reports simulated time', () => {
+    const clock = new SimulationClock({ tickMs: 1000, frameBudgetMs: 1000, now: () => 0 });
+    const ticks = [];
+    expect(clock.advance(3500, t => ticks.push(t))).toBe(3500);
+    expect(ticks).toEqual([1000, 1000, 1000, 500]);
+    expect(clock.backlogMs).toBe(0);
+  });
+
+  test('frame budget carries the rest to later frames and caps the backlog', () => {
+    let time = 0;
+    const clock = new SimulationClock({ tickMs: 1000, frameBudgetMs: 10, maxBacklogMs: 5000, now: () => time });
+    const ticks = [];
+    const step = t => { ticks.push(t); time += 6; };
+    expect(clock.advance(10000, step)).toBe(2000);
+    expect(clock.backlogMs).toBe(5000);
+    expect(clock.droppedMs).toBe(3000);
+    expect(clock.advance(1000, step)).toBe(2000);
+    expect(clock.backlogMs).toBe(4000);
+  });
+
+  test('zero delta runs an empty tick and clears the backlog', () => {
+    let time = 0;
+    const clock = new SimulationClock({ tickMs: 1000, frameBudgetMs: 1, now: () => time });
+    clock.advance(5000, () => { time += 5; });
+    expect(clock.backlogMs).toBe(4000);
+    const ticks = [];
+    expect(clock.advance(0, t => ticks.push(t))).toBe(0);
+    expect(ticks).toEqual([0]);
+    expect(clock.backlogMs).toBe(0);
+  });
+});
@@ -0,0 +1,51 @@
+const numbers = require('../src/js/numbers.js');
+const { getTimeUntilAvailable, getTimeToAfford, formatTimeToAfford } = require('../src/js/time-estimates.js');
+
+describe('time to afford', () => {
+  beforeEach(() => {
+    global.formatDuration = numbers.formatDuration;
+    global.resources = {
+      colony: {
+        metal: { value: 40, cap: 1000, hasCap: true, productionRate: 12, consumptionRate: 2 },
+        glass: { value: 0, cap: 1000, hasCap: true, productionRate: 1, consumptionRate: 1 },
+        water: { value: 10, cap: 50, hasCap: true, productionRate: 5, consumptionRate: 0 }
+      },
+      surface: {
+        land: { value: 100, reserved: 90, hasCap: false, productionRate: 0, consumptionRate: 0 }
+      }
+    };
+  });
+
+  test('divides the shortfall by the net rate', () => {
+    expect(getTimeUntilAvailable('colony', 'metal', 30)).toBe(0);
+    expect(getTimeUntilAvailable('colony', 'metal', 100)).toBeCloseTo(6);
+  });
+
+  test('never arrives at zero or negative rates, beyond the cap, or for missing land', () => {
+    expect(getTimeUntilAvailable('colony', 'glass', 10)).toBe(Infinity);
+    resources.colony.glass.consumptionRate = 3;
+    expect(getTimeUntilAvailable('colony', 'glass', 10)).toBe(Infinity);
+    expect(getTimeUntilAvailable('colony', 'water', 60)).toBe(Infinity);
+    expect(getTimeUntilAvailable('surface', 'land', 20)).toBe(Infinity);
+    expect(getTimeUntilAvailable('surface', 'land', 10)).toBe(0);
+  });
+
+  test('counts space storage the project can draw on', () => {
+    const project = { getUsableSpaceStorage: (category, resource) => (resource === 'water' ? 100 : 0) };
+    expect(getTimeUntilAvailable('colony', 'water', 60, project)).toBe(0);
+    expect(getTimeUntilAvailable('colony', 'water', 120, project)).toBeCloseTo(2);
+  });
+
+  test('waits for the slowest resource and skips ignored costs', () => {
+    const cost = { colony: { metal: 100, water: 30 } };
+    expect(getTimeToAfford(cost)).toBeCloseTo(6);
+    const project = { ignoreCostForResource: (category, resource) => resource === 'metal' };
+    expect(getTimeToAfford(cost, project)).toBeCloseTo(4);
+  });
+
+  test('formats the estimate', () => {
+    expect(formatTimeToAfford(0)).toBe('');
+    expect(formatTimeToAfford(90)).toBe('Affordable in 1m 30s');
+    expect(formatTimeToAfford(Infinity)).toBe('Not affordable at current rates');
+  });
+});
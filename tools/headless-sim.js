@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+// Headless simulation runner for balance testing.
+//
+// Boots the game scripts listed in index.html inside a Node vm context with
+// stubbed Phaser and DOM objects, then drives updateLogic() for a scripted
+// duration while applying scripted player actions and sampling time series.
+//
+// Usage:
+//   node tools/headless-sim.js <scenario.json|scenario.js> [--out file.csv|file.json] [--verbose]
+//
+// Scenario fields:
+//   planet                 planet key from planetParameters (default 'mars')
+//   durationSeconds        simulated time to run
+//   stepMs                 updateLogic step size in milliseconds (default 1000)
+//   sampleIntervalSeconds  time between samples (default 60)
+//   resources              extra 'category.name' keys to sample (colony resources are always sampled)
+//   contentPacks           content pack JSON files (relative to the scenario) applied before the game starts
+//   actions                [{ at, type, ... }] applied once simulated time reaches `at` seconds
+//
+// Action types:
+//   { type: 'unlock', structure }                 unlock a building or colony
+//   { type: 'build', structure, count, activate } build using normal costs
+//   { type: 'research', id, instant }             complete a research (instant skips cost and prerequisites)
+//   { type: 'startProject', project }             start a special project
+//   { type: 'setResource', category, resource, value }
+//   { type: 'eval', code }                        run arbitrary code inside the game context
+// Scenarios written as .js modules may also give actions a `run(game)` function.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function createNullElement() {
+  const handler = {
+    get: (target, prop) => {
+      if (prop === Symbol.toPrimitive) return () => '';
+      if (prop === 'firstChild') return null;
+      if (prop === 'children' || prop === 'childNodes') return [];
+      if (prop === 'classList') return { add() {}, remove() {}, toggle() {}, contains() { return false; } };
+      return new Proxy(function () {}, handler);
+    },
+    apply: () => new Proxy(function () {}, handler),
+    set: () => true,
+  };
+  return new Proxy(function () {}, handler);
+}
+
+function createDocumentStub() {
+  const nullElement = createNullElement();
+  const overrides = {
+    body: nullElement,
+    createElement: () => nullElement,
+    createElementNS: () => nullElement,
+    createTextNode: () => nullElement,
+    createDocumentFragment: () => nullElement,
+    getElementById: () => nullElement,
+    querySelector: () => nullElement,
+    querySelectorAll: () => [],
+    getElementsByClassName: () => [],
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    dispatchEvent: () => true,
+  };
+  return new Proxy(overrides, {
+    get: (target, prop) => (prop in target ? target[prop] : nullElement[prop]),
+    set: () => true,
+  });
+}
+
+function getLocalScripts() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const srcRegex = /<script\s+[^>]*src=['"]([^'"]+)['"][^>]*>/gi;
+  const sources = [];
+  let match;
+  while ((match = srcRegex.exec(html)) !== null) {
+    if (!/^https?:\/\//.test(match[1])) {
+      sources.push(match[1]);
+    }
+  }
+  return sources;
+}
+
+function createHeadlessGame(options = {}) {
+  const storage = {};
+  const quietConsole = {
+    log: () => {},
+    info: () => {},
+    debug: () => {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args),
+  };
+  const context = {
+    console: options.verbose ? console : quietConsole,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    structuredClone,
+    performance,
+    document: createDocumentStub(),
+    localStorage: {
+      getItem: (k) => (k in storage ? storage[k] : null),
+      setItem: (k, v) => { storage[k] = String(v); },
+      removeItem: (k) => { delete storage[k]; },
+    },
+    CustomEvent: class { constructor(type, init) { this.type = type; this.detail = init && init.detail; } },
+    Event: class { constructor(type) { this.type = type; } },
+    Node: class {},
+    Element: class {},
+    HTMLElement: class {},
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+    Phaser: { AUTO: 'AUTO', Game: function () { this.scene = { pause() {}, resume() {} }; } },
+  };
+  context.window = context;
+  vm.createContext(context);
+
+  for (const src of getLocalScripts()) {
+    const code = fs.readFileSync(path.join(ROOT, src), 'utf8');
+    vm.runInContext(code, context, { filename: src });
+  }
+
+  const run = (code) => vm.runInContext(code, context);
+  const planet = options.planet || 'mars';
+  if (!run(`!!planetParameters[${JSON.stringify(planet)}]`)) {
+    throw new Error(`Unknown planet "${planet}"`);
+  }
+  run(`defaultPlanet = ${JSON.stringify(planet)}; currentPlanetParameters = planetParameters[defaultPlanet];`);
+  (options.contentPacks || []).forEach(pack => {
+    run('applyContentPack')(pack, run('getCoreContentTables()'));
+  });
+  run('initializeGameState();');
+
+  return { context, run };
+}
+
+function applyAction(game, action) {
+  switch (action.type) {
+    case 'unlock': {
+      const structure = game.run('structures')[action.structure];
+      if (!structure) throw new Error(`Unknown structure "${action.structure}"`);
+      structure.unlocked = true;
+      return true;
+    }
+    case 'build': {
+      const structure = game.run('structures')[action.structure];
+      if (!structure) throw new Error(`Unknown structure "${action.structure}"`);
+      const built = structure.build(action.count || 1, action.activate !== false);
+      if (built) game.run('recalculateLandUsage();');
+      return built;
+    }
+    case 'research': {
+      const researchManager = game.run('researchManager');
+      if (action.instant) {
+        researchManager.completeResearchInstant(action.id);
+      } else {
+        researchManager.completeResearch(action.id);
+      }
+      return !!researchManager.getResearchById(action.id)?.isResearched;
+    }
+    case 'startProject': {
+      const projectManager = game.run('projectManager');
+      const project = projectManager.projects[action.project];
+      if (!project) throw new Error(`Unknown project "${action.project}"`);
+      projectManager.startProject(action.project);
+      return !!project.isActive;
+    }
+    case 'setResource': {
+      const res = game.run('resources')[action.category]?.[action.resource];
+      if (!res) throw new Error(`Unknown resource "${action.category}.${action.resource}"`);
+      res.value = action.value;
+      return true;
+    }
+    case 'eval':
+      game.run(action.code);
+      return true;
+    default:
+      if (typeof action.run === 'function') {
+        action.run(game);
+        return true;
+      }
+      throw new Error(`Unknown action type "${action.type}"`);
+  }
+}
+
+function takeSample(game, time, extraResources) {
+  const resources = game.run('resources');
+  const terraforming = game.run('terraforming');
+  const sample = {
+    time,
+    temperature: terraforming.temperature.value,
+    pressure: terraforming.calculateTotalPressure(),
+    population: resources.colony.colonists ? resources.colony.colonists.value : 0,
+  };
+  for (const name in resources.colony) {
+    sample[`colony.${name}`] = resources.colony[name].value;
+  }
+  extraResources.forEach(key => {
+    const [category, name] = key.split('.');
+    sample[key] = resources[category]?.[name]?.value;
+  });
+  return sample;
+}
+
+/**
+ * Run a scenario and return { samples, actions }.
+ * `actions` records whether each scripted action succeeded.
+ */
+function runSimulation(scenario, options = {}) {
+  const game = options.game || createHeadlessGame({
+    planet: scenario.planet,
+    verbose: options.verbose,
+    contentPacks: scenario.contentPacks
+  });
+  const stepMs = scenario.stepMs || 1000;
+  const sampleIntervalSeconds = scenario.sampleIntervalSeconds || 60;
+  const totalSteps = Math.ceil((scenario.durationSeconds || 0) * 1000 / stepMs);
+  const extraResources = scenario.resources || [];
+  const pending = (scenario.actions || []).slice().sort((a, b) => (a.at || 0) - (b.at || 0));
+  const actionLog = [];
+  const samples = [];
+  let nextSample = 0;
+
+  for (let step = 0; step <= totalSteps; step++) {
+    const time = step * stepMs / 1000;
+    while (pending.length && (pending[0].at || 0) <= time) {
+      const action = pending.shift();
+      actionLog.push({ at: time, type: action.type, ok: applyAction(game, action) });
+    }
+    if (time >= nextSample) {
+      samples.push(takeSample(game, time, extraResources));
+      nextSample += sampleIntervalSeconds;
+    }
+    if (step < totalSteps) {
+      game.run(`updateLogic(${stepMs});`);
+    }
+  }
+
+  return { samples, actions: actionLog };
+}
+
+function toCSV(samples) {
+  if (!samples.length) return '';
+  const columns = Object.keys(samples[0]);
+  const rows = samples.map(sample => columns.map(col => {
+    const value = sample[col];
+    return value === undefined || value === null ? '' : String(value);
+  }).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+function loadScenario(file) {
+  const resolved = path.resolve(file);
+  const scenario = resolved.endsWith('.js')
+    ? require(resolved)
+    : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  if (Array.isArray(scenario.contentPacks)) {
+    scenario.contentPacks = scenario.contentPacks.map(pack => (typeof pack === 'string'
+      ? JSON.parse(fs.readFileSync(path.resolve(path.dirname(resolved), pack), 'utf8'))
+      : pack));
+  }
+  return scenario;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const scenarioFile = args.find(arg => !arg.startsWith('--'));
+  const outIndex = args.indexOf('--out');
+  const outFile = outIndex >= 0 ? args[outIndex + 1] : null;
+  if (!scenarioFile) {
+    console.error('Usage: node tools/headless-sim.js <scenario.json|scenario.js> [--out file.csv|file.json] [--verbose]');
+    return 1;
+  }
+  const scenario = loadScenario(scenarioFile);
+  const result = runSimulation(scenario, { verbose: args.includes('--verbose') });
+  result.actions.filter(a => !a.ok).forEach(a => {
+    console.warn(`Action "${a.type}" at ${a.at}s did not succeed`);
+  });
+  const output = outFile && outFile.endsWith('.json')
+    ? JSON.stringify(result, null, 2)
+    : toCSV(result.samples);
+  if (outFile) {
+    fs.writeFileSync(outFile, output);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv);
+}
+
+module.exports = { createHeadlessGame, runSimulation, applyAction, toCSV };